@@ -0,0 +1,144 @@
+import { CONFIG } from './config.js';
+
+// Tipos de regla soportados en alert_rules.rule_type
+export const RULE_TYPES = {
+    ABSOLUTE_DROP: 'absolute_drop',   // threshold = bajada mínima en moneda base vs. mínimo previo
+    PERCENT_DROP: 'percent_drop',     // threshold = % mínimo de bajada vs. mínimo previo
+    TARGET_PRICE: 'target_price',     // threshold = precio objetivo en moneda base
+    BELOW_MEDIAN: 'below_median'      // threshold = % por debajo de la mediana de window_days días
+};
+
+// Función para normalizar una regla (fila de alert_rules o de CONFIG.ALERTS.DEFAULT_RULES)
+export function normalizeRule(rule) {
+    const ruleType = rule.rule_type;
+    if (!Object.values(RULE_TYPES).includes(ruleType)) {
+        throw new Error(`Tipo de regla de alerta no soportado: ${ruleType}`);
+    }
+
+    const threshold = parseFloat(rule.threshold);
+    if (isNaN(threshold) || threshold <= 0) {
+        throw new Error(`La regla ${ruleType} requiere un threshold mayor a 0`);
+    }
+
+    const windowDays = ruleType === RULE_TYPES.BELOW_MEDIAN ? parseInt(rule.window_days, 10) : null;
+    if (ruleType === RULE_TYPES.BELOW_MEDIAN && !(windowDays > 0)) {
+        throw new Error('La regla below_median requiere window_days mayor a 0');
+    }
+
+    return {
+        id: rule.id ?? null,
+        route_id: rule.route_id ?? null,
+        from_city: rule.from_city ?? null,
+        to_city: rule.to_city ?? null,
+        rule_type: ruleType,
+        threshold,
+        window_days: windowDays
+    };
+}
+
+// Función para elegir las reglas que aplican a una ruta
+// Prioridad: reglas del route_id exacto > reglas de origen/destino > reglas globales > CONFIG.ALERTS.DEFAULT_RULES
+export function selectRulesForRoute(rules, { routeId, fromCity, toCity }) {
+    const validRules = [];
+    (rules || []).forEach(rule => {
+        try {
+            validRules.push(normalizeRule(rule));
+        } catch (error) {
+            console.log(`⚠️ Regla de alerta ${rule.id ?? ''} ignorada: ${error.message}`);
+        }
+    });
+
+    const byRouteId = validRules.filter(rule => rule.route_id && rule.route_id === routeId);
+    if (byRouteId.length > 0) return byRouteId;
+
+    const byCities = validRules.filter(rule =>
+        !rule.route_id &&
+        (rule.from_city || rule.to_city) &&
+        (!rule.from_city || rule.from_city === fromCity) &&
+        (!rule.to_city || rule.to_city === toCity)
+    );
+    if (byCities.length > 0) return byCities;
+
+    const globalRules = validRules.filter(rule => !rule.route_id && !rule.from_city && !rule.to_city);
+    if (globalRules.length > 0) return globalRules;
+
+    return CONFIG.ALERTS.DEFAULT_RULES.map(normalizeRule);
+}
+
+// Función para saber qué ventanas de mediana (en días) necesitan las reglas
+export function getMedianWindows(rules) {
+    return [...new Set(
+        rules
+            .filter(rule => rule.rule_type === RULE_TYPES.BELOW_MEDIAN)
+            .map(rule => rule.window_days)
+    )];
+}
+
+// Función para redondear a 2 decimales
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Función para evaluar una regla; devuelve el motivo de la alerta o null si no se cumple
+function evaluateRule(rule, { newPrice, referencePrice, medians, currency }) {
+    switch (rule.rule_type) {
+        case RULE_TYPES.ABSOLUTE_DROP: {
+            if (referencePrice === null || referencePrice === undefined) return null;
+            const drop = round(referencePrice - newPrice);
+            return drop >= rule.threshold
+                ? `Bajada de $${drop} ${currency} vs. mínimo previo (regla: ≥ $${rule.threshold})`
+                : null;
+        }
+
+        case RULE_TYPES.PERCENT_DROP: {
+            if (!referencePrice) return null;
+            const dropPercent = round(((referencePrice - newPrice) / referencePrice) * 100);
+            return dropPercent >= rule.threshold
+                ? `Bajada de ${dropPercent}% vs. mínimo previo de $${referencePrice} ${currency} (regla: ≥ ${rule.threshold}%)`
+                : null;
+        }
+
+        case RULE_TYPES.TARGET_PRICE:
+            return newPrice <= rule.threshold
+                ? `Precio $${newPrice} ${currency} por debajo del objetivo de $${rule.threshold}`
+                : null;
+
+        case RULE_TYPES.BELOW_MEDIAN: {
+            const median = medians ? medians[rule.window_days] : null;
+            if (!median) return null;
+            const belowPercent = round(((median - newPrice) / median) * 100);
+            return belowPercent >= rule.threshold
+                ? `Precio ${belowPercent}% debajo de la mediana de ${rule.window_days} días ($${median} ${currency}) (regla: ≥ ${rule.threshold}%)`
+                : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+// Función principal: evalúa las reglas en orden y devuelve la primera que se cumple (o null)
+// context = { newPrice, referencePrice (mínimo previo), medians: { [días]: mediana }, currency }
+export function evaluateAlertRules(rules, context) {
+    if (context.newPrice === null || context.newPrice === undefined) return null;
+
+    for (const rule of rules) {
+        const reason = evaluateRule(rule, context);
+        if (reason) {
+            return { rule, reason };
+        }
+    }
+
+    return null;
+}
+
+// Función para describir una regla en los logs
+export function describeRule(rule) {
+    switch (rule.rule_type) {
+        case RULE_TYPES.ABSOLUTE_DROP: return `bajada ≥ $${rule.threshold}`;
+        case RULE_TYPES.PERCENT_DROP: return `bajada ≥ ${rule.threshold}%`;
+        case RULE_TYPES.TARGET_PRICE: return `precio ≤ $${rule.threshold}`;
+        case RULE_TYPES.BELOW_MEDIAN: return `≥ ${rule.threshold}% bajo la mediana de ${rule.window_days} días`;
+        default: return rule.rule_type;
+    }
+}
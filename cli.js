@@ -0,0 +1,287 @@
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { normalizeEvaluationScope } from './evaluation_scope.js';
+import { formatFromFilename, normalizeExportOptions } from './export_format.js';
+
+const USAGE = `Uso: node cli.js <comando> [opciones] [--json]
+
+Rutas:
+  routes add --from <ciudad> --to <ciudad> --date YYYY-MM-DD [--return YYYY-MM-DD] [--priority N]
+  routes add --legs '[{"origin":"…","destination":"…","date":"YYYY-MM-DD"}, …]'
+  routes add --from <ciudad> --to <ciudad> --window-start YYYY-MM-DD --window-end YYYY-MM-DD [--weekdays 5,6,0]
+  routes list [--all]
+  routes pause <id> | routes resume <id> | routes remove <id>
+
+Cola de trabajos:
+  jobs dead                       Trabajos que agotaron sus intentos (dead letter) con su último error
+  jobs requeue <id> | --all       Devuelve a pending trabajos en dead letter (reinicia los intentos)
+
+Pipeline:
+  schedule                        Retira fechas pasadas y devuelve a pending las rutas a las que les toca scrapear
+  scrape [--job <id>]             Scrapea el próximo trabajo pendiente (o el indicado)
+  evaluate [--date YYYY-MM-DD | --date-from YYYY-MM-DD --date-to YYYY-MM-DD | --route <route_id>] [--incremental]
+                                  Evalúa precios y envía alertas (sin alcance: todos los trabajos activos)
+  summary                         Resumen de analytics por ruta (precios, tendencias, pronóstico)
+  forecast [--route <route_id>]   Recomendación comprar/esperar vigente de cada ruta
+  forecast backtest [--route <route_id>]
+                                  Evalúa el pronóstico contra la historia de rutas con salida pasada
+  notifications history [--limit N]
+  stats                           Estadísticas de notificaciones
+  health [--days N]               Tasa de éxito del scraper por ruta, paso y día (por defecto 7 días)
+
+Exportación:
+  export <flights|price_analytics|price_changes|notifications> --out <archivo> [--format csv|jsonl|parquet]
+         [--route <route_id>] [--date-from YYYY-MM-DD] [--date-to YYYY-MM-DD] [--currency MXN]
+         [--since <marca> | --watermark-file <archivo>]
+                                  Exporta filas (fechas = fecha de vuelo); con --watermark-file solo las nuevas
+
+--json imprime solo el resultado en JSON por stdout (los logs van a stderr)`;
+
+const CLI_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    all: { type: 'boolean', default: false },
+    job: { type: 'string' },
+    date: { type: 'string' },
+    'date-from': { type: 'string' },
+    'date-to': { type: 'string' },
+    route: { type: 'string' },
+    incremental: { type: 'boolean', default: false },
+    limit: { type: 'string' },
+    days: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    return: { type: 'string' },
+    'trip-type': { type: 'string' },
+    legs: { type: 'string' },
+    'window-start': { type: 'string' },
+    'window-end': { type: 'string' },
+    weekdays: { type: 'string' },
+    priority: { type: 'string' },
+    format: { type: 'string' },
+    out: { type: 'string' },
+    currency: { type: 'string' },
+    since: { type: 'string' },
+    'watermark-file': { type: 'string' }
+};
+
+// Función para convertir un id de la línea de comandos a entero positivo
+function parseId(value, name) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new Error(`${name} debe ser un id numérico: ${value ?? '(vacío)'}`);
+    }
+    return id;
+}
+
+// Función para leer los argumentos: comando, subcomando y opciones
+export function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+    const [command = null, ...rest] = positionals;
+
+    return { command, args: rest, options: values };
+}
+
+// Función para traducir las opciones de `routes add` a los campos de buildRouteConfig
+export function toRouteOptions(options) {
+    let legs = null;
+    if (options.legs) {
+        try {
+            legs = JSON.parse(options.legs);
+        } catch (error) {
+            throw new Error(`--legs no es un JSON válido: ${error.message}`);
+        }
+    }
+
+    return {
+        from: options.from,
+        to: options.to,
+        date: options.date || null,
+        returnDate: options.return || null,
+        tripType: options['trip-type'] || null,
+        legs,
+        windowStart: options['window-start'] || null,
+        windowEnd: options['window-end'] || null,
+        weekdays: options.weekdays ? options.weekdays.split(',').map(day => Number(day.trim())) : null,
+        priority: options.priority ?? 1
+    };
+}
+
+// Función para traducir las opciones de `evaluate` al alcance de runPriceEvaluator
+export function toEvaluationScope(options) {
+    return {
+        flightDate: options.date || null,
+        dateFrom: options['date-from'] || null,
+        dateTo: options['date-to'] || null,
+        routeId: options.route || null,
+        incremental: options.incremental
+    };
+}
+
+// Función para traducir las opciones de `export` a las de runExport (el formato sale de --format o de la extensión de --out)
+export function toExportOptions(dataset, options) {
+    if (!options.out) {
+        throw new Error('Indica el archivo de salida con --out');
+    }
+
+    return {
+        dataset,
+        format: options.format || formatFromFilename(options.out) || undefined,
+        output: options.out,
+        routeId: options.route || null,
+        dateFrom: options['date-from'] || null,
+        dateTo: options['date-to'] || null,
+        currency: options.currency || null,
+        since: options.since || null,
+        watermarkFile: options['watermark-file'] || null
+    };
+}
+
+// Función para ejecutar un comando; devuelve su resultado (null = falló)
+async function runCommand({ command, args, options }) {
+    const [subcommand, target] = args;
+
+    switch (command) {
+        case 'routes': {
+            const routes = await import('./route_manager.js');
+            switch (subcommand) {
+                case 'add':
+                    return routes.addRoute(toRouteOptions(options));
+                case 'list':
+                    return routes.listRoutes({ includeInactive: options.all });
+                case 'pause':
+                    return routes.setRouteActive(parseId(target, 'La ruta'), false);
+                case 'resume':
+                    return routes.setRouteActive(parseId(target, 'La ruta'), true);
+                case 'remove':
+                    return routes.removeRoute(parseId(target, 'La ruta'));
+                default:
+                    throw new Error(`Subcomando desconocido: routes ${subcommand ?? ''} (usa add, list, pause, resume o remove)`);
+            }
+        }
+
+        case 'jobs': {
+            const routes = await import('./route_manager.js');
+            switch (subcommand) {
+                case 'dead':
+                    return routes.listDeadLetterJobs();
+                case 'requeue':
+                    if (target === undefined && !options.all) {
+                        throw new Error('Indica el id del trabajo o --all para reencolar todos');
+                    }
+                    return routes.requeueJobs({ jobId: target === undefined ? null : parseId(target, 'El trabajo') });
+                default:
+                    throw new Error(`Subcomando desconocido: jobs ${subcommand ?? ''} (usa dead o requeue)`);
+            }
+        }
+
+        case 'schedule': {
+            const { runScheduler } = await import('./scheduler.js');
+            return runScheduler();
+        }
+
+        case 'scrape': {
+            const { runWebScraper } = await import('./web_scraper.js');
+            const jobId = options.job !== undefined ? parseId(options.job, '--job') : null;
+            return runWebScraper({ jobId });
+        }
+
+        case 'evaluate': {
+            // Validar el alcance antes de cargar el evaluador
+            const scope = toEvaluationScope(options);
+            normalizeEvaluationScope(scope);
+            const { runPriceEvaluator } = await import('./evaluate_price.js');
+            return runPriceEvaluator(scope);
+        }
+
+        case 'summary': {
+            const { getAnalyticsSummary } = await import('./price_analytics.js');
+            return getAnalyticsSummary();
+        }
+
+        case 'forecast': {
+            const { runForecastBacktest, getRouteForecasts } = await import('./forecast_backtest.js');
+            const routeId = options.route || null;
+            if (subcommand === 'backtest') {
+                return runForecastBacktest({ routeId });
+            }
+            if (subcommand !== undefined) {
+                throw new Error(`Subcomando desconocido: forecast ${subcommand} (usa backtest)`);
+            }
+            return getRouteForecasts({ routeId });
+        }
+
+        case 'notifications': {
+            if (subcommand !== 'history') {
+                throw new Error(`Subcomando desconocido: notifications ${subcommand ?? ''} (usa history)`);
+            }
+            const { getNotificationsHistory } = await import('./send_notifications.js');
+            return getNotificationsHistory(options.limit ? parseId(options.limit, '--limit') : 10);
+        }
+
+        case 'stats': {
+            const { getNotificationStats } = await import('./send_notifications.js');
+            return getNotificationStats();
+        }
+
+        case 'health': {
+            const { getScrapeHealthReport } = await import('./scrape_health.js');
+            return getScrapeHealthReport({ days: options.days ? parseId(options.days, '--days') : 7 });
+        }
+
+        case 'export': {
+            // Validar las opciones antes de cargar la base de datos
+            const exportOptions = toExportOptions(subcommand, options);
+            normalizeExportOptions(exportOptions);
+            const { runExport } = await import('./data_export.js');
+            return runExport(exportOptions);
+        }
+
+        default:
+            throw new Error(`Comando desconocido: ${command}`);
+    }
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (parsed.options.help || !parsed.command) {
+        console.log(USAGE);
+        return;
+    }
+
+    // En modo JSON stdout queda reservado para el resultado
+    const { json } = parsed.options;
+    if (json) {
+        console.log = (...args) => console.error(...args);
+    }
+
+    try {
+        const result = await runCommand(parsed);
+
+        if (json) {
+            process.stdout.write(`${JSON.stringify(result ?? null, null, 2)}\n`);
+        }
+        if (result === null || result === undefined || result === false || result.success === false) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+        }
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    // Cargar .env antes que cualquier módulo lea process.env (config.js lo lee al importarse)
+    await import('dotenv/config');
+    main();
+}
@@ -1,14 +1,16 @@
+import { existsSync } from 'fs';
+
 // Configuración global para Google Flights Scraper
 export const CONFIG = {
-  // URLs
-  GOOGLE_FLIGHTS_URL: 'https://www.google.com/travel/flights?hl=es-419&gl=MX',
+  // URLs (los parámetros de idioma/región se agregan con getGoogleFlightsUrl)
+  GOOGLE_FLIGHTS_URL: 'https://www.google.com/travel/flights',
   
-  // Configuración de región y localización
+  // Configuración de región y localización (language elige el paquete de SELECTORS.LABELS)
   LOCALE: {
-    language: 'es-419',  // Spanish (Latin America)
-    country: 'MX',       // Mexico
-    timezone: 'America/Mexico_City',
-    currency: 'MXN'
+    language: process.env.FLIGHTS_LANGUAGE || 'es-419',  // es-419 | en-US | pt-BR
+    country: process.env.FLIGHTS_COUNTRY || 'MX',        // Mexico
+    timezone: process.env.FLIGHTS_TIMEZONE || 'America/Mexico_City',
+    currency: process.env.FLIGHTS_CURRENCY || 'MXN'
   },
   
   // Geolocalización (Ciudad de México)
@@ -51,28 +53,135 @@ export const CONFIG = {
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'
   ],
   
-  // Selectores para elementos de la página
+  // Selectores para elementos de la página (única fuente de verdad del scraper y del parser)
   SELECTORS: {
-    // Configuración de viaje
+    // Selectores estructurales (no dependen del idioma)
     TRIP_TYPE_DROPDOWN: '.VfPpkd-aPP78e',
-    ONE_WAY_OPTION: 'role=option[name*="Solo ida" i]',
-    
-    // Campos de búsqueda
-    ORIGIN_FIELD: 'role=combobox[name*="desde" i]',
-    DESTINATION_FIELD: 'role=combobox[name*="dónde quieres" i]',
-    DATE_FIELD: 'role=textbox[name*="salida" i]',
-    
-    // Botones
-    SEARCH_BUTTON: 'role=button[name*="buscar" i]',
-    DONE_BUTTON: 'role=button[name*="listo" i]',
+    ITINERARY_CLASS: 'JMc5Xc',
+    CALENDAR_DAY_ATTRIBUTE: 'data-iso',   // celdas del calendario de salida (YYYY-MM-DD)
+    CALENDAR_PRICE_CLASS: 'CylAxb',       // precio mostrado debajo de cada día
     
-    // Precios
-    PRICE_ELEMENTS: [
-      '[jsname="qCDwBb"]',
-      'div.CylAxb[jsname="qCDwBb"]',
-      '.pIav2d',
-      '.YMlIz'
-    ]
+    // Nombres accesibles y textos por idioma
+    LABELS: {
+      'es-419': {
+        ORIGIN_FIELD: '¿Desde dónde?',
+        DESTINATION_FIELD: '¿A dónde quieres ir?',
+        DEPARTURE_DATE_FIELD: 'Salida',
+        RETURN_DATE_FIELD: 'Regreso',
+        DONE_BUTTON: /^Listo/,
+        SEARCH_BUTTON: 'Buscar',
+        ADD_FLIGHT_BUTTON: 'Agregar vuelo',
+        NEXT_MONTH_BUTTON: 'Siguiente',
+        CHEAPEST_TAB: /Más económicos/i,
+        TRIP_TYPES: {
+          one_way: 'Solo ida',
+          round_trip: 'Ida y vuelta',
+          multi_city: 'Varios destinos'
+        },
+        // Nombres de moneda que Google usa en los aria-label de precios
+        CURRENCY_NAMES: {
+          'pesos mexicanos': 'MXN',
+          'dólares estadounidenses': 'USD',
+          'euros': 'EUR',
+          'pesos colombianos': 'COP',
+          'pesos chilenos': 'CLP',
+          'pesos argentinos': 'ARS',
+          'reales brasileños': 'BRL',
+          'soles peruanos': 'PEN'
+        },
+        // Patrones para interpretar el aria-label de cada itinerario
+        RESULTS: {
+          CHEAPEST_TAB_PRICE: /Más económicos\s*(?:desde)?[^\d]{0,8}(\d[\d.,]*)/i,
+          PRICE: /Desde ([\d.,]+)(?: ([^.\d]+?))?\./,
+          NONSTOP: /sin escalas|vuelo directo/i,
+          STOPS: /(\d+) escalas?/,
+          AIRLINE: [
+            /Vuelo (?:sin escalas|directo) (?:de|con) ([^.]+)\./,
+            /Vuelo de (.+?) con \d+ escalas?\./,
+            /Vuelo con \d+ escalas? (?:de|con) ([^.]+)\./
+          ],
+          TIME: /a las (\d{1,2}:\d{2}(?:\s*[ap]\.?\s?m\.?)?)/gi,
+          DURATION: /Duración total:? ([^.]+)\./,
+          LAYOVER: /Escala \(\d+ de \d+\) de [^.]+? en (?:el aeropuerto )?(.+?)(?: en [^.]+)?\./g
+        }
+      },
+      'en-US': {
+        ORIGIN_FIELD: 'Where from?',
+        DESTINATION_FIELD: 'Where to?',
+        DEPARTURE_DATE_FIELD: 'Departure',
+        RETURN_DATE_FIELD: 'Return',
+        DONE_BUTTON: /^Done/,
+        SEARCH_BUTTON: 'Search',
+        ADD_FLIGHT_BUTTON: 'Add flight',
+        NEXT_MONTH_BUTTON: 'Next',
+        CHEAPEST_TAB: /Cheapest/i,
+        TRIP_TYPES: {
+          one_way: 'One way',
+          round_trip: 'Round trip',
+          multi_city: 'Multi-city'
+        },
+        CURRENCY_NAMES: {
+          'mexican pesos': 'MXN',
+          'us dollars': 'USD',
+          'euros': 'EUR',
+          'colombian pesos': 'COP',
+          'chilean pesos': 'CLP',
+          'argentine pesos': 'ARS',
+          'brazilian reais': 'BRL',
+          'peruvian soles': 'PEN'
+        },
+        RESULTS: {
+          CHEAPEST_TAB_PRICE: /Cheapest\s*(?:from)?[^\d]{0,8}(\d[\d.,]*)/i,
+          PRICE: /From ([\d.,]+)(?: ([^.\d]+?))?\./,
+          NONSTOP: /nonstop/i,
+          STOPS: /(\d+) stops?/,
+          AIRLINE: [
+            /(?:Nonstop|\d+ stops?) flight with ([^.]+)\./
+          ],
+          TIME: /at (\d{1,2}:\d{2}(?:\s*[AP]M)?)/gi,
+          DURATION: /Total duration:? ([^.]+)\./,
+          LAYOVER: /Layover \(\d+ of \d+\) is a [^.]+? layover at (.+?)(?: in [^.]+)?\./g
+        }
+      },
+      'pt-BR': {
+        ORIGIN_FIELD: 'De onde?',
+        DESTINATION_FIELD: 'Para onde?',
+        DEPARTURE_DATE_FIELD: 'Partida',
+        RETURN_DATE_FIELD: 'Volta',
+        DONE_BUTTON: /^Concluído/,
+        SEARCH_BUTTON: 'Pesquisar',
+        ADD_FLIGHT_BUTTON: 'Adicionar voo',
+        NEXT_MONTH_BUTTON: 'Próximo',
+        CHEAPEST_TAB: /Mais barato/i,
+        TRIP_TYPES: {
+          one_way: 'Só ida',
+          round_trip: 'Ida e volta',
+          multi_city: 'Vários destinos'
+        },
+        CURRENCY_NAMES: {
+          'pesos mexicanos': 'MXN',
+          'dólares americanos': 'USD',
+          'euros': 'EUR',
+          'pesos colombianos': 'COP',
+          'pesos chilenos': 'CLP',
+          'pesos argentinos': 'ARS',
+          'reais brasileiros': 'BRL',
+          'sóis peruanos': 'PEN'
+        },
+        RESULTS: {
+          CHEAPEST_TAB_PRICE: /Mais baratos?\s*(?:a partir de)?[^\d]{0,8}(\d[\d.,]*)/i,
+          PRICE: /A partir de ([\d.,]+)(?: ([^.\d]+?))?\./,
+          NONSTOP: /sem escalas|voo direto/i,
+          STOPS: /(\d+) paradas?/,
+          AIRLINE: [
+            /Voo (?:direto|sem escalas|com \d+ paradas?) (?:da|do|de|com) ([^.]+)\./
+          ],
+          TIME: /às (\d{1,2}:\d{2})/gi,
+          DURATION: /Duração total:? ([^.]+)\./,
+          LAYOVER: /Parada \(\d+ de \d+\) de [^.]+? no aeroporto (.+?)(?: em [^.]+)?\./g
+        }
+      }
+    }
   },
   
   // Configuración de búsqueda
@@ -84,17 +193,120 @@ export const CONFIG = {
     CLICK_DELAY: 1500  // 1.5 segundos entre clicks
   },
   
+  // Consentimiento de cookies y desafíos anti-bot (captcha, límite de solicitudes)
+  CHALLENGES: {
+    // Cookies y consentimiento guardados entre ejecuciones (el workflow cachea storage/)
+    STORAGE_STATE_PATH: process.env.BROWSER_STATE_PATH || './storage/browser_state.json',
+    // Botón "Aceptar todo" de consent.google.com (el idioma depende de la IP, no de LOCALE)
+    CONSENT_ACCEPT_BUTTON: /^(Accept all|Aceptar todo|Aceitar tudo|Alle akzeptieren|Tout accepter)/i,
+    // Backoff del trabajo tras un desafío: 30 min, 60 min, 120 min... hasta 6 h
+    BACKOFF_BASE_MINUTES: 30,
+    BACKOFF_MAX_MINUTES: 360
+  },
+  
+  // Frecuencia de scraping por ruta (scheduler): los trabajos completed vuelven a pending cuando les toca
+  SCHEDULER: {
+    // Intervalo base según días para la salida (se usa el primer tramo que aplique)
+    PROXIMITY_TIERS: [
+      { maxDays: 7, hours: 3 },
+      { maxDays: 30, hours: 8 },
+      { maxDays: 90, hours: 24 },
+      { maxDays: Infinity, hours: 72 }
+    ],
+    // price_volatility / precio promedio: arriba de HIGH el intervalo se reduce a la mitad, debajo de LOW sube 50%
+    HIGH_VOLATILITY_RATIO: 0.08,
+    LOW_VOLATILITY_RATIO: 0.02,
+    CHANGE_LOOKBACK_DAYS: 7,          // cambios de precio recientes que aceleran el scraping
+    MIN_INTERVAL_MINUTES: 60,
+    MAX_INTERVAL_MINUTES: 7 * 24 * 60
+  },
+  
+  // Pronóstico "comprar o esperar" (price_forecast.js)
+  FORECAST: {
+    DROP_RATIO: 0.05,                 // baja que justifica esperar (5%)
+    WAIT_PROBABILITY: 0.5,            // con esta probabilidad de baja o más se recomienda esperar
+    MIN_SAMPLES: 5,                   // muestras mínimas para pronosticar
+    FULL_CONFIDENCE_SAMPLES: 30,      // con estas muestras y días de historia la confianza no se penaliza
+    FULL_CONFIDENCE_SPAN_DAYS: 14
+  },
+  
+  // Detección de precios anómalos (price_anomaly.js)
+  ANOMALY: {
+    METHOD: process.env.ANOMALY_METHOD || 'mad',   // 'mad' (mediana + MAD) | 'zscore' (media + desviación)
+    WINDOW_DAYS: 14,                  // ventana móvil de precios recientes
+    MIN_SAMPLES: 5,                   // con menos muestras en la ventana no se puntúa
+    THRESHOLD: 3,                     // |puntaje| ≥ 3 = atípico
+    MIN_SPREAD_RATIO: 0.01,           // dispersión mínima (1% del centro) para ventanas planas
+    // Una bajada atípica se confirma si el siguiente scraping da un precio ≤ 3% por encima, dentro de 24 h
+    CONFIRMATION_TOLERANCE: 0.03,
+    CONFIRMATION_MAX_HOURS: 24
+  },
+  
+  // Reintentos de trabajos fallidos (los desafíos usan CHALLENGES y no cuentan como intento)
+  RETRY: {
+    MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),   // al agotarlos el trabajo pasa a dead_letter
+    // Backoff: 5 min, 10 min, 20 min... hasta 4 h, ±20% de jitter
+    BACKOFF_BASE_MINUTES: 5,
+    BACKOFF_MAX_MINUTES: 240,
+    JITTER_RATIO: 0.2
+  },
+  
+  // Modo worker (varios trabajos por ejecución)
+  WORKER: {
+    CONCURRENCY: parseInt(process.env.SCRAPER_CONCURRENCY || '2', 10),     // trabajos en paralelo
+    TIME_BUDGET_MS: parseInt(process.env.SCRAPER_TIME_BUDGET_MIN || '40', 10) * 60 * 1000,
+    // Lease de un trabajo en processing: sin heartbeat durante este tiempo el reaper lo devuelve a pending
+    LEASE_MS: parseInt(process.env.JOB_LEASE_MINUTES || '10', 10) * 60 * 1000,
+    HEARTBEAT_INTERVAL_MS: 60 * 1000   // renovación del lease mientras dura el scraping
+  },
+  
   // Configuración de Supabase (se toma de variables de entorno)
   SUPABASE: {
     URL: process.env.SUPABASE_URL,
     KEY: process.env.SUPABASE_KEY
   },
   
+  // Configuración de monedas (analytics y umbrales comparan siempre en BASE)
+  CURRENCY: {
+    BASE: process.env.BASE_CURRENCY || 'MXN',
+    RATES_SOURCE: process.env.EXCHANGE_RATES_SOURCE || 'file',  // 'file' | 'supabase'
+    RATES_FILE: './exchange_rates.json',
+    SUPPORTED: ['MXN', 'USD', 'EUR', 'COP', 'CLP', 'ARS', 'BRL', 'PEN']
+  },
+  
   // Configuración de alertas
   ALERTS: {
-    PUSHCUT_URL: 'https://api.pushcut.io/eOU0kCDr2y95dXanO0nwk/notifications/Google%20Flights',
-    PRICE_DROP_THRESHOLD: 400,  // MXN - mínimo de bajada para alertar
-    TREND_CHANGE_THRESHOLD: 50  // MXN - mínimo para alerta de cambio de tendencia
+    // Reglas por defecto cuando una ruta no tiene reglas en la tabla alert_rules
+    // rule_type: absolute_drop | percent_drop | target_price | below_median (ver alert_rules.js)
+    DEFAULT_RULES: [
+      { rule_type: 'percent_drop', threshold: 8 },                    // ≥ 8% bajo el mínimo previo
+      { rule_type: 'below_median', threshold: 15, window_days: 30 }   // ≥ 15% bajo la mediana de 30 días
+    ],
+    TREND_CHANGE_THRESHOLD: 50  // Moneda base - mínimo para alerta de cambio de tendencia
+  },
+  
+  // Almacenamiento: supabase (por defecto) o sqlite para correr todo sin conexión
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || 'supabase',
+    SQLITE_PATH: process.env.SQLITE_PATH || './data/flights.sqlite'
+  },
+  
+  // Canales de notificación (los secretos de cada canal se leen de variables de entorno)
+  NOTIFICATIONS: {
+    // Canales para rutas sin suscripciones en notification_subscriptions (ej. "pushcut,telegram")
+    DEFAULT_CHANNELS: (process.env.ALERT_CHANNELS || 'pushcut').split(',').map(channel => channel.trim()).filter(Boolean),
+    REQUEST_TIMEOUT_MS: 10000
+  },
+  DASHBOARD: {
+    // Solo escucha en localhost: la API no tiene autenticación
+    HOST: process.env.DASHBOARD_HOST || '127.0.0.1',
+    PORT: parseInt(process.env.DASHBOARD_PORT || '3000', 10),
+    HISTORY_DAYS: 90
+  },
+
+  // Exportación para análisis (data_export.js)
+  EXPORT: {
+    PAGE_SIZE: 1000                   // filas por consulta (Supabase devuelve como máximo 1000 por defecto)
   },
   
   // Configuración de archivos y logging
@@ -102,7 +314,8 @@ export const CONFIG = {
     SCREENSHOTS_DIR: './screenshots',
     LOGS_DIR: './logs',
     ERROR_LOGS_DIR: './error_logs',
-    HTML_DUMPS_DIR: './html_dumps'
+    HTML_DUMPS_DIR: './html_dumps',
+    DUMP_HTML: process.env.DUMP_HTML === 'true'  // true = guardar el HTML de resultados en cada ejecución
   },
   
   // Headers HTTP para las peticiones
@@ -120,6 +333,29 @@ export const CONFIG = {
   }
 };
 
+// Función para obtener los selectores del idioma configurado (o del idioma indicado)
+export function getSelectors(language = CONFIG.LOCALE.language) {
+  const labels = CONFIG.SELECTORS.LABELS[language];
+  
+  if (!labels) {
+    const available = Object.keys(CONFIG.SELECTORS.LABELS).join(', ');
+    throw new Error(`No hay selectores para el idioma ${language} (disponibles: ${available})`);
+  }
+  
+  const { LABELS, ...structural } = CONFIG.SELECTORS;
+  return { ...structural, ...labels };
+}
+
+// Función para construir la URL de Google Flights con idioma, región y moneda
+export function getGoogleFlightsUrl() {
+  const params = new URLSearchParams({
+    hl: CONFIG.LOCALE.language,
+    gl: CONFIG.LOCALE.country,
+    curr: CONFIG.LOCALE.currency
+  });
+  return `${CONFIG.GOOGLE_FLIGHTS_URL}?${params.toString()}`;
+}
+
 // Función para obtener un User Agent aleatorio
 export function getRandomUserAgent() {
   return CONFIG.USER_AGENTS[Math.floor(Math.random() * CONFIG.USER_AGENTS.length)];
@@ -134,15 +370,19 @@ export function getBrowserConfig() {
   };
 }
 
-// Función para obtener configuración de contexto
+// Función para obtener configuración de contexto (reutiliza cookies/consentimiento guardados si existen)
 export function getContextConfig() {
+  const storageState = existsSync(CONFIG.CHALLENGES.STORAGE_STATE_PATH) ? CONFIG.CHALLENGES.STORAGE_STATE_PATH : undefined;
   return {
+    storageState,
     viewport: CONFIG.BROWSER.viewport,
     locale: CONFIG.LOCALE.language,
+    timezoneId: CONFIG.LOCALE.timezone,
     geolocation: CONFIG.GEOLOCATION,
     permissions: ['geolocation'],
     extraHTTPHeaders: {
       ...CONFIG.HTTP_HEADERS,
+      'Accept-Language': `${CONFIG.LOCALE.language},${CONFIG.LOCALE.language.split('-')[0]};q=0.9,en;q=0.8`,
       'User-Agent': getRandomUserAgent()
     }
   };
@@ -152,14 +392,22 @@ export function getContextConfig() {
 export function validateConfig() {
   const errors = [];
   
-  if (!CONFIG.SUPABASE.URL) {
+  if (CONFIG.STORAGE.BACKEND === 'supabase' && !CONFIG.SUPABASE.URL) {
     errors.push('SUPABASE_URL no está definida en variables de entorno');
   }
   
-  if (!CONFIG.SUPABASE.KEY) {
+  if (CONFIG.STORAGE.BACKEND === 'supabase' && !CONFIG.SUPABASE.KEY) {
     errors.push('SUPABASE_KEY no está definida en variables de entorno');
   }
   
+  if (!['supabase', 'sqlite'].includes(CONFIG.STORAGE.BACKEND)) {
+    errors.push(`STORAGE_BACKEND ${CONFIG.STORAGE.BACKEND} no es válido (supabase o sqlite)`);
+  }
+  
+  if (!CONFIG.SELECTORS.LABELS[CONFIG.LOCALE.language]) {
+    errors.push(`LOCALE.language ${CONFIG.LOCALE.language} no tiene selectores en SELECTORS.LABELS`);
+  }
+  
   if (errors.length > 0) {
     console.error('❌ Errores de configuración:');
     errors.forEach(error => console.error(`   - ${error}`));
@@ -0,0 +1,100 @@
+import { readFile } from 'fs/promises';
+import { CONFIG } from './config.js';
+import { db } from './storage.js';
+
+// Tabla de tipos de cambio cargada (se reutiliza durante la ejecución; un fallo no se guarda)
+let cachedRates = null;
+
+// Función para cargar tipos de cambio desde un archivo JSON local
+// Formato: { "base": "MXN", "rates": { "USD": 17.2, ... } } (1 USD = 17.2 MXN)
+async function loadRatesFromFile(filePath) {
+    const content = await readFile(filePath, 'utf8');
+    const parsed = JSON.parse(content);
+
+    if (!parsed.base || !parsed.rates) {
+        throw new Error(`El archivo ${filePath} debe tener las claves "base" y "rates"`);
+    }
+
+    return { base: parsed.base, rates: parsed.rates, source: 'file' };
+}
+
+// Función para cargar tipos de cambio desde la tabla exchange_rates de Supabase
+async function loadRatesFromSupabase(baseCurrency) {
+    const { data, error } = await db
+        .from('exchange_rates')
+        .select('currency, rate, updated_at')
+        .eq('base_currency', baseCurrency)
+        .order('updated_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Error obteniendo exchange_rates: ${error.message}`);
+    }
+
+    // Quedarse con el tipo de cambio más reciente de cada moneda
+    const rates = {};
+    (data || []).forEach(row => {
+        if (rates[row.currency] === undefined) {
+            rates[row.currency] = parseFloat(row.rate);
+        }
+    });
+
+    return { base: baseCurrency, rates, source: 'supabase' };
+}
+
+// Función para cargar la tabla de tipos de cambio según CONFIG.CURRENCY.RATES_SOURCE
+// Si la carga falla se devuelve una tabla solo con la moneda base sin guardarla: en procesos largos
+// (dashboard, worker) la siguiente llamada vuelve a intentar
+export async function loadExchangeRates({ forceReload = false } = {}) {
+    if (cachedRates && !forceReload) {
+        return cachedRates;
+    }
+
+    const baseCurrency = CONFIG.CURRENCY.BASE;
+
+    try {
+        const table = CONFIG.CURRENCY.RATES_SOURCE === 'supabase'
+            ? await loadRatesFromSupabase(baseCurrency)
+            : await loadRatesFromFile(CONFIG.CURRENCY.RATES_FILE);
+
+        if (table.base !== baseCurrency) {
+            throw new Error(`La tabla de tipos de cambio usa base ${table.base} pero CONFIG.CURRENCY.BASE es ${baseCurrency}`);
+        }
+
+        cachedRates = { ...table, rates: { ...table.rates, [baseCurrency]: 1 } };
+        console.log(`💱 Tipos de cambio cargados (${cachedRates.source}): ${Object.keys(cachedRates.rates).length} monedas, base ${baseCurrency}`);
+
+    } catch (error) {
+        console.error('❌ Error cargando tipos de cambio:', error.message);
+        // Sin tabla solo se pueden comparar precios que ya están en la moneda base
+        cachedRates = null;
+        return { base: baseCurrency, rates: { [baseCurrency]: 1 }, source: 'none' };
+    }
+
+    return cachedRates;
+}
+
+// Función para convertir un monto a la moneda base (null si no hay tipo de cambio)
+export function convertToBase(amount, currency, exchangeRates) {
+    if (amount === null || amount === undefined || isNaN(amount)) return null;
+
+    const fromCurrency = currency || exchangeRates.base;
+    const rate = exchangeRates.rates[fromCurrency];
+
+    if (!rate) {
+        return null;
+    }
+
+    return Math.round(amount * rate * 100) / 100;
+}
+
+// Función para obtener el precio en moneda base de un registro de flights
+// Usa price_base guardado al momento del scraping solo si se calculó en la moneda base actual
+// (base_currency); si no existe o es de otra base, convierte con la tabla actual
+export function getBasePrice(record, exchangeRates) {
+    const hasStoredBase = record.price_base !== null && record.price_base !== undefined;
+    if (hasStoredBase && record.base_currency === exchangeRates.base) {
+        return parseFloat(record.price_base);
+    }
+
+    return convertToBase(record.price, record.currency, exchangeRates);
+}
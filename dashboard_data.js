@@ -0,0 +1,147 @@
+import { db } from './storage.js';
+import { CONFIG } from './config.js';
+import { buildScrapeHealthReport } from './scrape_telemetry.js';
+import { loadScrapeRuns } from './scrape_health.js';
+import { PRICE_SOURCES, filterByItinerary } from './trip_types.js';
+
+// Consultas de solo lectura para la API local y el dashboard (devuelven null si fallan)
+
+// Función para ejecutar una consulta y registrar el error sin interrumpir el servidor
+async function runQuery(label, query) {
+    try {
+        const { data, error } = await query;
+        if (error) {
+            console.error(`❌ Error al obtener ${label}:`, error.message);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error(`❌ Error crítico al obtener ${label}:`, error.message);
+        return null;
+    }
+}
+
+// Función para limitar el número de filas pedidas por la API
+function clampLimit(limit, fallback, max = 500) {
+    const parsed = parseInt(limit, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, max) : fallback;
+}
+
+// Función para obtener las rutas configuradas (activas y pausadas)
+export async function getRoutes() {
+    return runQuery('rutas', db
+        .from('config_flights')
+        .select('*')
+        .order('priority', { ascending: false })
+        .order('id', { ascending: true }));
+}
+
+// Función para obtener el analytics de todas las rutas o de una sola
+export async function getAnalytics({ routeId = null } = {}) {
+    let query = db
+        .from('price_analytics')
+        .select('*')
+        .order('last_updated', { ascending: false });
+
+    if (routeId) {
+        query = query.eq('route_id', routeId);
+    }
+
+    return runQuery('analytics', query);
+}
+
+// Función para obtener los precios guardados de una ruta de analytics a lo largo del tiempo
+// Las rutas de ventana (from::to::inicio..fin) traen los precios del calendario de toda la ventana
+export async function getPriceHistory({ routeId, days = CONFIG.DASHBOARD.HISTORY_DAYS }) {
+    const analytics = await getAnalytics({ routeId });
+    if (!analytics) return null;
+    if (analytics.length === 0) return [];
+
+    const route = analytics[0];
+    const since = new Date(Date.now() - clampLimit(days, CONFIG.DASHBOARD.HISTORY_DAYS, 3650) * 24 * 60 * 60 * 1000);
+    const windowMatch = route.route_id.match(/::(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+
+    let query = db
+        .from('flights')
+        .select('price, currency, price_base, base_currency, flight_date, return_date, source, created_at')
+        .eq('from', route.from_city)
+        .eq('to', route.to_city)
+        .gte('created_at', since.toISOString())
+        .order('created_at', { ascending: true });
+
+    if (windowMatch) {
+        query = query.eq('source', PRICE_SOURCES.CALENDAR).gte('flight_date', windowMatch[1]).lte('flight_date', windowMatch[2]);
+    } else {
+        // Los multi-destino llevan la clave de sus tramos al final del route_id
+        const itineraryKey = route.route_id.split('::')[4] || null;
+        query = filterByItinerary(query.eq('source', PRICE_SOURCES.SEARCH).eq('flight_date', route.flight_date), route.return_date, itineraryKey);
+    }
+
+    return runQuery('historial de precios', query);
+}
+
+// Función para obtener los agregados diarios (OHLC) de una ruta de analytics
+// Las rutas de ventana traen los agregados de cada fecha de la ventana (una fila por fecha y día)
+export async function getDailyPrices({ routeId, days = CONFIG.DASHBOARD.HISTORY_DAYS }) {
+    const analytics = await getAnalytics({ routeId });
+    if (!analytics) return null;
+    if (analytics.length === 0) return [];
+
+    const route = analytics[0];
+    const since = new Date(Date.now() - clampLimit(days, CONFIG.DASHBOARD.HISTORY_DAYS, 3650) * 24 * 60 * 60 * 1000);
+    const windowMatch = route.route_id.match(/::(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+
+    let query = db
+        .from('price_daily')
+        .select('route_id, flight_date, return_date, day, currency, open_price, close_price, min_price, max_price, median_price, avg_price, sample_count')
+        .gte('day', since.toISOString().slice(0, 10))
+        .order('day', { ascending: true });
+
+    query = windowMatch
+        ? query.eq('source', PRICE_SOURCES.CALENDAR).eq('from_city', route.from_city).eq('to_city', route.to_city).gte('flight_date', windowMatch[1]).lte('flight_date', windowMatch[2])
+        : query.eq('source', PRICE_SOURCES.SEARCH).eq('route_id', route.route_id);
+
+    return runQuery('agregados diarios', query);
+}
+
+// Función para obtener los cambios de precio detectados por el evaluador
+export async function getPriceChanges({ routeId = null, limit = 50 } = {}) {
+    let query = db
+        .from('price_changes')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(clampLimit(limit, 50));
+
+    if (routeId) {
+        query = query.eq('route_id', routeId);
+    }
+
+    return runQuery('cambios de precio', query);
+}
+
+// Función para obtener el registro de alertas enviadas (una fila por canal)
+export async function getNotifications({ routeId = null, limit = 50 } = {}) {
+    let query = db
+        .from('notifications')
+        .select('*')
+        .order('notification_sent_at', { ascending: false })
+        .limit(clampLimit(limit, 50));
+
+    if (routeId) {
+        query = query.eq('route_id', routeId);
+    }
+
+    return runQuery('notificaciones', query);
+}
+
+// Función para obtener la salud del scraper (éxito por ruta, paso y día) de los últimos N días
+export async function getScrapeHealth({ days = 7 } = {}) {
+    const lookbackDays = clampLimit(days, 7, 365);
+    try {
+        const runs = await loadScrapeRuns({ days: lookbackDays });
+        return runs && { days: lookbackDays, ...buildScrapeHealthReport(runs) };
+    } catch (error) {
+        console.error('❌ Error crítico al obtener telemetría de scraping:', error.message);
+        return null;
+    }
+}
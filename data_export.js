@@ -0,0 +1,190 @@
+import { readFile, writeFile } from 'fs/promises';
+import { CONFIG } from './config.js';
+import { db } from './storage.js';
+import { filterByItinerary } from './trip_types.js';
+import {
+    EXPORT_CONTENT_TYPES,
+    normalizeExportOptions,
+    parseWatermark,
+    nextWatermark,
+    encodeExport
+} from './export_format.js';
+
+// Función para aplicar los filtros de ruta, fechas de vuelo y moneda a la consulta de un dataset
+// flights no tiene route_id: la ruta se filtra por origen, destino y fecha (o ventana de fechas) y viaje
+function applyExportFilters(query, options) {
+    const { route } = options;
+
+    if (route && options.byRouteId) {
+        query = query.eq('route_id', options.routeId);
+    } else if (route) {
+        query = query.eq('from', route.from).eq('to', route.to);
+        if (route.windowStart) {
+            query = query.gte('flight_date', route.windowStart).lte('flight_date', route.windowEnd);
+        } else {
+            query = filterByItinerary(query.eq('flight_date', route.flightDate), route.returnDate, route.itineraryKey);
+        }
+    }
+
+    if (options.dateFrom) {
+        query = query.gte('flight_date', options.dateFrom);
+    }
+    if (options.dateTo) {
+        query = query.lte('flight_date', options.dateTo);
+    }
+    if (options.currency) {
+        query = query.eq('currency', options.currency);
+    }
+
+    return query;
+}
+
+// Función para leer la página de filas que sigue a la posición `after` (null si falla)
+// Con un cursor que se repite (last_updated) el orden se desempata por id: primero se leen las filas
+// con el mismo valor que la última leída y id mayor, después las de valor mayor
+async function fetchExportPage(options, columns, after) {
+    const pageSize = CONFIG.EXPORT.PAGE_SIZE;
+    const tieBreak = options.cursor !== 'id';
+    const page = [];
+
+    const runQuery = async (query) => {
+        const { data, error } = await query;
+        if (error) {
+            console.error(`Error leyendo ${options.dataset} para exportar:`, error.message);
+            return false;
+        }
+        page.push(...(data || []));
+        return true;
+    };
+
+    if (tieBreak && after.id !== null) {
+        const ties = applyExportFilters(db.from(options.dataset).select(columns), options)
+            .eq(options.cursor, after.value)
+            .gt('id', after.id)
+            .order('id', { ascending: true })
+            .limit(pageSize);
+        if (!await runQuery(ties)) return null;
+        if (page.length === pageSize) return page;
+    }
+
+    let query = applyExportFilters(db.from(options.dataset).select(columns), options);
+    if (after.value !== null) {
+        query = query.gt(options.cursor, after.value);
+    }
+    query = query.order(options.cursor, { ascending: true });
+    if (tieBreak) {
+        query = query.order('id', { ascending: true });
+    }
+    if (!await runQuery(query.limit(pageSize - page.length))) return null;
+
+    return page;
+}
+
+// Función para leer las filas a exportar por páginas ordenadas por el cursor (null si falla)
+// Cada página sigue después de la última fila leída, así no se pierden filas aunque lleguen nuevas durante la exportación
+async function fetchExportRows(options) {
+    const columns = options.columns.map(column => column.name).join(', ');
+    const rows = [];
+    let after = { value: options.since, id: null };
+
+    while (true) {
+        const page = await fetchExportPage(options, columns, after);
+        if (page === null) return null;
+
+        rows.push(...page);
+        if (page.length < CONFIG.EXPORT.PAGE_SIZE) {
+            return rows;
+        }
+        const last = page[page.length - 1];
+        after = { value: last[options.cursor], id: last.id };
+    }
+}
+
+// Función para armar una exportación: filas nuevas desde la marca de agua, archivo y nueva marca de agua
+// options = salida de normalizeExportOptions; devuelve null si falla la consulta
+export async function buildExport(options) {
+    const rows = await fetchExportRows(options);
+    if (rows === null) return null;
+
+    return {
+        rows: rows.length,
+        since: options.since,
+        watermark: nextWatermark(rows, options.cursor, options.since),
+        contentType: EXPORT_CONTENT_TYPES[options.format],
+        body: await encodeExport(rows, options)
+    };
+}
+
+// Función para leer la marca de agua guardada de una exportación incremental (null si es la primera)
+async function readWatermarkFile(filename, options) {
+    let state;
+    try {
+        state = JSON.parse(await readFile(filename, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`No se pudo leer la marca de agua ${filename}: ${error.message}`);
+    }
+
+    if (state.dataset !== options.dataset) {
+        throw new Error(`La marca de agua ${filename} es de ${state.dataset}, no de ${options.dataset}`);
+    }
+    return parseWatermark(state.watermark, options.cursor);
+}
+
+// Función para exportar un dataset a un archivo (línea de comandos)
+// Con watermarkFile la exportación es incremental: solo filas posteriores a la marca guardada, que se
+// actualiza al terminar (sirve para sincronizar todas las noches). since fija la marca a mano
+export async function runExport({ output, watermarkFile = null, ...filters }) {
+    const options = normalizeExportOptions(filters);
+
+    if (options.since === null && watermarkFile) {
+        options.since = await readWatermarkFile(watermarkFile, options);
+    }
+
+    console.log(`📦 Exportando ${options.dataset} a ${output} (${options.format})${options.since !== null ? ` desde ${options.cursor} > ${options.since}` : ''}...`);
+
+    const result = await buildExport(options);
+    if (!result) return null;
+
+    await writeFile(output, result.body);
+
+    if (watermarkFile) {
+        const state = { dataset: options.dataset, cursor: options.cursor, watermark: result.watermark, exported_at: new Date().toISOString() };
+        await writeFile(watermarkFile, `${JSON.stringify(state, null, 2)}\n`);
+    }
+
+    console.log(`✅ ${result.rows} fila(s) exportada(s) a ${output}`);
+    console.log(`🔖 Marca de agua: ${result.watermark ?? '(sin filas)'}${watermarkFile ? ` (guardada en ${watermarkFile})` : ''}`);
+
+    return {
+        dataset: options.dataset,
+        format: options.format,
+        output,
+        rows: result.rows,
+        since: result.since,
+        watermark: result.watermark
+    };
+}
+
+// Función para exportar un dataset desde la API local (devuelve { status, error } si los parámetros son inválidos)
+export async function exportDataset(filters) {
+    let options;
+    try {
+        options = normalizeExportOptions(filters);
+    } catch (error) {
+        return { status: 400, error: error.message };
+    }
+
+    const result = await buildExport(options);
+    if (!result) return null;
+
+    return {
+        file: {
+            filename: `${options.dataset}.${options.format}`,
+            contentType: result.contentType,
+            body: result.body,
+            rows: result.rows,
+            watermark: result.watermark
+        }
+    };
+}
@@ -1,393 +1,244 @@
-import { createClient } from '@supabase/supabase-js';
 import { CONFIG } from './config.js';
-import { updatePriceAnalytics, detectPriceChanges, getAnalyticsSummary, generateRouteId } from './price_analytics.js';
-import { sendPriceAlert, getNotificationsHistory } from './send_notifications.js';
-import dotenv from 'dotenv';
+import { updatePriceAnalytics, detectPriceChanges, generateRouteId, generateWindowRouteId, calculateAdvancedStats, loadAlertRules } from './price_analytics.js';
+import { sendPriceAlert } from './send_notifications.js';
+import { loadExchangeRates, getBasePrice } from './currency_converter.js';
+import { evaluateAlertRules } from './alert_rules.js';
+import { describeForecast } from './price_forecast.js';
+import {
+    EVALUATION_SCOPES,
+    normalizeEvaluationScope,
+    describeEvaluationScope,
+    getActiveRouteKeys,
+    groupLatestByRoute,
+    getIncrementalSince,
+    selectRoutesWithNewSamples
+} from './evaluation_scope.js';
+import { rollupNewSamples } from './price_daily.js';
+import { PRICE_SOURCES, filterByItinerary } from './trip_types.js';
+import { db } from './storage.js';
 
-dotenv.config();
+// Función para cargar los precios que entran en el alcance del evaluador (solo búsquedas de fecha fija;
+// los precios del calendario los evalúa runDateWindowEvaluator)
+async function loadFlightsForScope(scope) {
+    let query = db
+        .from('flights')
+        .select('from, to, price, currency, price_base, base_currency, flight_date, return_date, trip_type, itinerary_key, updated_at')
+        .eq('source', PRICE_SOURCES.SEARCH)
+        .order('updated_at', { ascending: false });
+    let activeRouteKeys = null;
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+    switch (scope.type) {
+        case EVALUATION_SCOPES.DATE:
+            query = query.eq('flight_date', scope.flightDate);
+            break;
 
-// Función para actualizar o crear registro en historical_prices
-async function updateHistoricalPrice(fromCity, toCity, flightDate, priceStats) {
-    try {
-        // Buscar registro existente
-        const { data: existing, error: selectError } = await supabase
-            .from('historical_prices')
-            .select('*')
-            .eq('from_city', fromCity)
-            .eq('to_city', toCity)
-            .eq('flight_date', flightDate)
-            .single();
+        case EVALUATION_SCOPES.RANGE:
+            if (scope.dateFrom) query = query.gte('flight_date', scope.dateFrom);
+            if (scope.dateTo) query = query.lte('flight_date', scope.dateTo);
+            break;
 
-        if (selectError && selectError.code !== 'PGRST116') { // PGRST116 = no rows found
-            console.error('Error al buscar precio histórico:', selectError.message);
-            return false;
+        case EVALUATION_SCOPES.ROUTE: {
+            const { from, to, flightDate, returnDate, itineraryKey } = scope.route;
+            query = filterByItinerary(query.eq('from', from).eq('to', to).eq('flight_date', flightDate), returnDate, itineraryKey);
+            break;
         }
 
-        const now = new Date().toISOString();
-        
-        if (existing) {
-            // Comparar estadísticas actuales vs nuevas
-            const currentBestPrice = parseFloat(existing.best_price);
-            const currentMaxPrice = parseFloat(existing.max_price) || 0;
-            const currentMinPrice = parseFloat(existing.min_price) || currentBestPrice;
-            const currentAvgPrice = parseFloat(existing.average_price) || currentBestPrice;
-            
-            const newBestPrice = priceStats.minPrice;
-            const isPriceBetter = newBestPrice < currentBestPrice;
-            const isMaxHigher = priceStats.maxPrice > currentMaxPrice;
-            const isMinLower = priceStats.minPrice < currentMinPrice;
-            
-            console.log(`📊 Estadísticas actuales: Min: ${priceStats.currency}$${currentMinPrice} | Avg: ${priceStats.currency}$${currentAvgPrice} | Max: ${priceStats.currency}$${currentMaxPrice}`);
-            console.log(`💰 Estadísticas nuevas: Min: ${priceStats.currency}$${priceStats.minPrice} | Avg: ${priceStats.currency}$${priceStats.averagePrice} | Max: ${priceStats.currency}$${priceStats.maxPrice}`);
-            console.log(`📈 Mejor precio mejoró: ${isPriceBetter ? 'SÍ' : 'NO'}`);
-            
-            let priceTrend = 'stable';
-            if (isPriceBetter) {
-                priceTrend = 'decreasing';
-            } else if (newBestPrice > currentBestPrice) {
-                priceTrend = 'increasing';
-            }
-            
-            // Actualizar registro con nuevas estadísticas
-            const updateData = {
-                best_price: Math.min(currentBestPrice, priceStats.minPrice),
-                max_price: Math.max(currentMaxPrice, priceStats.maxPrice),
-                min_price: Math.min(currentMinPrice, priceStats.minPrice),
-                average_price: priceStats.averagePrice, // Usar promedio más reciente
-                best_price_currency: priceStats.currency,
-                last_updated: now,
-                price_trend: priceTrend
-            };
-            
-            const { error: updateError } = await supabase
-                .from('historical_prices')
-                .update(updateData)
-                .eq('id', existing.id);
+        default: {
+            const { data: jobs, error: jobsError } = await db
+                .from('config_flights')
+                .select('*')
+                .eq('is_active', true);
 
-            if (updateError) {
-                console.error('Error al actualizar estadísticas históricas:', updateError.message);
-                return false;
-            }
-            
-            if (isPriceBetter) {
-                console.log('✅ Estadísticas actualizadas (nuevo mejor precio)');
-                return {
-                    isNewBest: true,
-                    priceDrop: currentBestPrice - newBestPrice,
-                    previousPrice: currentBestPrice
-                };
-            } else {
-                console.log('📝 Estadísticas actualizadas (no es mejor precio)');
-                return {
-                    isNewBest: false,
-                    priceDrop: 0,
-                    previousPrice: currentBestPrice
-                };
+            if (jobsError) {
+                console.error('Error al obtener trabajos activos:', jobsError.message);
+                return null;
             }
-        } else {
-            // Crear nuevo registro con estadísticas completas
-            const { error: insertError } = await supabase
-                .from('historical_prices')
-                .insert([{
-                    from_city: fromCity,
-                    to_city: toCity,
-                    flight_date: flightDate,
-                    best_price: priceStats.minPrice,
-                    max_price: priceStats.maxPrice,
-                    min_price: priceStats.minPrice,
-                    average_price: priceStats.averagePrice,
-                    best_price_currency: priceStats.currency,
-                    last_updated: now,
-                    price_trend: 'stable',
-                    created_at: now
-                }]);
 
-            if (insertError) {
-                console.error('Error al crear registro histórico:', insertError.message);
-                return false;
+            activeRouteKeys = getActiveRouteKeys(jobs || [], generateRouteId);
+            const flightDates = [...new Set([...activeRouteKeys].map(routeKey => routeKey.split('::')[2]))];
+            if (flightDates.length === 0) {
+                return [];
             }
-            
-            console.log('✅ Nuevo registro histórico creado con estadísticas completas');
-            console.log(`📊 Min: ${priceStats.currency}$${priceStats.minPrice} | Avg: ${priceStats.currency}$${priceStats.averagePrice} | Max: ${priceStats.currency}$${priceStats.maxPrice}`);
-            return {
-                isNewBest: true,
-                priceDrop: 0,
-                previousPrice: null
-            };
+            query = query.in('flight_date', flightDates);
         }
-    } catch (error) {
-        console.error('Error crítico en updateHistoricalPrice:', error.message);
-        return false;
     }
-}
-
-// Función para encontrar el mejor precio histórico real de una ruta
-async function findBestHistoricalPrice(fromCity, toCity, flightDate) {
-    try {
-        // Obtener TODOS los precios históricos de esta ruta/fecha
-        const { data: allPrices, error } = await supabase
-            .from('flights')
-            .select('price, currency, updated_at')
-            .eq('from', fromCity)
-            .eq('to', toCity)
-            .eq('flight_date', flightDate)
-            .order('price', { ascending: true }); // Ordenar por precio, más barato primero
 
-        if (error) {
-            console.error('Error al obtener precios históricos completos:', error.message);
+    // En modo incremental la consulta ya excluye las muestras que todas las rutas del alcance analizaron
+    if (scope.incremental) {
+        const since = await loadIncrementalSince(scope, activeRouteKeys);
+        if (since === undefined) {
             return null;
         }
-
-        if (!allPrices || allPrices.length === 0) {
-            return null;
+        if (since) {
+            console.log(`⏩ Solo muestras posteriores a ${since}`);
+            query = query.gt('updated_at', since);
         }
+    }
 
-        const allPricesValues = allPrices.map(p => p.price);
-        const minPrice = Math.min(...allPricesValues);
-        const maxPrice = Math.max(...allPricesValues);
-        const avgPrice = allPricesValues.reduce((a, b) => a + b, 0) / allPricesValues.length;
-
-        return {
-            minPrice: minPrice,
-            maxPrice: maxPrice,
-            averagePrice: Math.round(avgPrice * 100) / 100, // Redondear a 2 decimales
-            currency: allPrices[0].currency,
-            totalRecords: allPrices.length,
-            allPrices: allPricesValues
-        };
-        
-    } catch (error) {
-        console.error('Error crítico buscando mejor precio histórico:', error.message);
+    const { data: flights, error } = await query;
+    if (error) {
+        console.error('Error obteniendo vuelos recientes:', error.message);
         return null;
     }
-}
 
-// Función para analizar precios de una fecha específica
-async function analyzePricesForDate(flightDate) {
-    try {
-        console.log(`\n🔍 Analizando precios para la fecha: ${flightDate}`);
-        
-        // Obtener todas las rutas únicas para esta fecha
-        const { data: allRoutes, error: routesError } = await supabase
-            .from('flights')
-            .select('from, to')
-            .eq('flight_date', flightDate)
-            .order('updated_at', { ascending: false });
+    // En el alcance de trabajos activos solo cuentan las rutas configuradas (no otras fechas de regreso)
+    return activeRouteKeys
+        ? flights.filter(flight => activeRouteKeys.has(generateRouteId(flight.from, flight.to, flight.flight_date, flight.return_date, flight.itinerary_key)))
+        : flights;
+}
 
-        if (routesError) {
-            console.error('Error al obtener rutas:', routesError.message);
-            return false;
-        }
+// Función para leer price_analytics.last_updated de un conjunto de rutas (modo incremental)
+async function loadLastUpdatedByRoute(routeIds) {
+    const lastUpdatedByRoute = new Map();
+    if (routeIds.length === 0) return lastUpdatedByRoute;
 
-        if (!allRoutes || allRoutes.length === 0) {
-            console.log('📭 No hay rutas para analizar');
-            return false;
-        }
+    const { data, error } = await db
+        .from('price_analytics')
+        .select('route_id, last_updated')
+        .in('route_id', routeIds);
 
-        // Crear conjunto único de rutas
-        const uniqueRoutes = new Map();
-        allRoutes.forEach(route => {
-            const routeKey = `${route.from}-${route.to}`;
-            if (!uniqueRoutes.has(routeKey)) {
-                uniqueRoutes.set(routeKey, route);
-            }
-        });
+    if (error) {
+        console.error('Error leyendo last_updated de analytics:', error.message);
+        return null;
+    }
 
-        console.log(`🛣️ Analizando ${uniqueRoutes.size} rutas únicas en total`);
-        
-        const alerts = [];
-        let routesAnalyzed = 0;
+    data.forEach(row => lastUpdatedByRoute.set(row.route_id, row.last_updated));
+    return lastUpdatedByRoute;
+}
 
-        // Analizar cada ruta única
-        for (const [routeKey, route] of uniqueRoutes) {
-            routesAnalyzed++;
-            console.log(`\n🔍 [${routesAnalyzed}/${uniqueRoutes.size}] Analizando: ${route.from} → ${route.to}`);
-            
-            // Obtener el mejor precio histórico REAL de todos los registros
-            const historicalData = await findBestHistoricalPrice(route.from, route.to, flightDate);
-            
-            if (!historicalData) {
-                console.log('📭 No hay datos históricos para esta ruta');
-                continue;
-            }
+// Función para calcular el corte de updated_at del modo incremental (undefined si falla la consulta)
+// Con fecha o rango las rutas salen de price_analytics: una ruta sin analytics cuyas muestras son todas
+// anteriores al corte espera a una evaluación completa
+async function loadIncrementalSince(scope, activeRouteKeys) {
+    if (scope.type === EVALUATION_SCOPES.ACTIVE || scope.type === EVALUATION_SCOPES.ROUTE) {
+        const routeIds = activeRouteKeys ? [...activeRouteKeys] : [scope.routeId];
+        const lastUpdatedByRoute = await loadLastUpdatedByRoute(routeIds);
+        return lastUpdatedByRoute ? getIncrementalSince(routeIds, lastUpdatedByRoute) : undefined;
+    }
 
-            console.log(`📊 Registros históricos: ${historicalData.totalRecords}`);
-            console.log(`💰 Rango de precios: ${historicalData.currency}$${historicalData.minPrice} - ${historicalData.currency}$${historicalData.maxPrice}`);
-            console.log(`📈 Precio promedio: ${historicalData.currency}$${historicalData.averagePrice}`);
+    let query = db.from('price_analytics').select('route_id, last_updated');
+    if (scope.type === EVALUATION_SCOPES.DATE) {
+        query = query.eq('flight_date', scope.flightDate);
+    } else {
+        if (scope.dateFrom) query = query.gte('flight_date', scope.dateFrom);
+        if (scope.dateTo) query = query.lte('flight_date', scope.dateTo);
+    }
 
-            // Actualizar o crear registro en historical_prices
-            const analysis = await updateHistoricalPrice(
-                route.from,
-                route.to,
-                flightDate,
-                historicalData
-            );
-            
-            if (analysis && analysis.isNewBest && analysis.previousPrice !== null) {
-                const priceDrop = analysis.priceDrop;
-                console.log(`💰 Mejor precio actualizado: bajada de ${historicalData.currency}$${priceDrop}`);
-                
-                // Determinar si enviar alerta
-                let shouldAlert = false;
-                let alertReason = '';
-                
-                if (priceDrop >= CONFIG.ALERTS.PRICE_DROP_THRESHOLD) {
-                    shouldAlert = true;
-                    alertReason = `Bajada significativa de $${priceDrop} ${historicalData.currency}`;
-                }
-                
-                if (shouldAlert) {
-                    console.log(`🚨 CRITERIO PARA ALERTA CUMPLIDO: ${alertReason}`);
-                    
-                    const alertSent = await sendPriceAlert(
-                        route.from,
-                        route.to,
-                        historicalData.minPrice,
-                        historicalData.currency,
-                        flightDate,
-                        alertReason
-                    );
-                    
-                    if (alertSent) {
-                        alerts.push({
-                            route: `${route.from} → ${route.to}`,
-                            price: historicalData.minPrice,
-                            currency: historicalData.currency,
-                            priceDrop: priceDrop,
-                            reason: alertReason
-                        });
-                    }
-                } else {
-                    console.log('📝 No cumple criterios para alerta');
-                }
-            } else if (analysis && !analysis.isNewBest) {
-                console.log('📊 Precio histórico actual sigue siendo el mejor');
-            } else if (analysis && analysis.previousPrice === null) {
-                console.log('✅ Primer registro histórico creado');
-            }
-        }
-        
-        // Resumen final
-        console.log('\n📋 RESUMEN DEL ANÁLISIS:');
-        console.log(`   - Rutas analizadas: ${routesAnalyzed}`);
-        console.log(`   - Alertas enviadas: ${alerts.length}`);
-        
-        if (alerts.length > 0) {
-            console.log('\n🚨 ALERTAS ENVIADAS:');
-            alerts.forEach(alert => {
-                console.log(`   - ${alert.route}: ${alert.currency}$${alert.price} (${alert.reason})`);
-            });
-        }
-        
-        return {
-            routesAnalyzed: routesAnalyzed,
-            alertsSent: alerts.length,
-            alerts: alerts
-        };
-        
-    } catch (error) {
-        console.error('Error crítico en análisis de precios:', error.message);
-        return false;
+    const { data, error } = await query;
+    if (error) {
+        console.error('Error leyendo last_updated de analytics:', error.message);
+        return undefined;
     }
+
+    // Las ventanas de fechas tienen su propio evaluador
+    const rows = data.filter(row => !row.route_id.includes('..'));
+    return getIncrementalSince(rows.map(row => row.route_id), new Map(rows.map(row => [row.route_id, row.last_updated])));
 }
 
-// Función principal del evaluador de precios (optimizada para detección de bajadas ≥$400)
-export async function runPriceEvaluator(flightDate = null) {
+// Función principal del evaluador de precios (las alertas dependen de las reglas de cada ruta)
+// scope: fecha 'YYYY-MM-DD' o { flightDate | dateFrom/dateTo | routeId, incremental }; sin scope evalúa todos los trabajos activos
+export async function runPriceEvaluator(scope = null) {
     console.log('📊 Iniciando Evaluador de Precios Avanzado');
     console.log('=========================================\n');
     
     try {
-        // Si no se especifica fecha, usar fecha de los trabajos de configuración más común
-        if (!flightDate) {
-            const { data: commonDate, error } = await supabase
-                .from('config_flights')
-                .select('flight_date')
-                .eq('is_active', true)
-                .limit(1)
-                .single();
-                
-            if (error) {
-                console.error('Error al obtener fecha de configuración:', error.message);
-                return null;
-            }
-            
-            flightDate = commonDate.flight_date;
-            console.log(`📅 Usando fecha de configuración: ${flightDate}`);
-        }
+        const evaluationScope = normalizeEvaluationScope(scope);
+        console.log(`🎯 Alcance: ${describeEvaluationScope(evaluationScope)}`);
         
-        // PASO 1: Obtener el precio más reciente de cada ruta (simulando lo que acabó de capturar el web scraper)
-        const { data: recentFlights, error: recentError } = await supabase
-            .from('flights')
-            .select('from, to, price, currency, updated_at')
-            .eq('flight_date', flightDate)
-            .order('updated_at', { ascending: false });
+        // PASO 1: Obtener el precio más reciente de cada ruta dentro del alcance
+        const recentFlights = await loadFlightsForScope(evaluationScope);
 
-        if (recentError) {
-            console.error('Error obteniendo vuelos recientes:', recentError.message);
+        if (recentFlights === null) {
             return false;
         }
 
-        if (!recentFlights || recentFlights.length === 0) {
+        if (recentFlights.length === 0) {
             console.log('📭 No hay vuelos para analizar');
             return false;
         }
 
         // Agrupar por ruta y tomar el más reciente de cada una
-        const routeMap = new Map();
-        recentFlights.forEach(flight => {
-            const routeKey = `${flight.from}-${flight.to}`;
-            if (!routeMap.has(routeKey) || new Date(flight.updated_at) > new Date(routeMap.get(routeKey).updated_at)) {
-                routeMap.set(routeKey, flight);
+        let routeMap = groupLatestByRoute(recentFlights, generateRouteId);
+        let routesSkipped = 0;
+
+        // En modo incremental se omiten las rutas sin muestras nuevas desde su último análisis
+        if (evaluationScope.incremental) {
+            const lastUpdatedByRoute = await loadLastUpdatedByRoute([...routeMap.keys()]);
+            if (lastUpdatedByRoute === null) {
+                return false;
             }
-        });
+            const totalRoutes = routeMap.size;
+            routeMap = selectRoutesWithNewSamples(routeMap, lastUpdatedByRoute);
+            routesSkipped = totalRoutes - routeMap.size;
+            console.log(`⏭️ ${routesSkipped} ruta(s) sin muestras nuevas desde su último análisis`);
+        }
 
         console.log(`🛣️ Analizando ${routeMap.size} rutas únicas`);
         
+        // Los precios se comparan siempre en la moneda base
+        const exchangeRates = await loadExchangeRates();
+        const baseCurrency = exchangeRates.base;
+        
         const alerts = [];
         let routesAnalyzed = 0;
 
         // PASO 2: Para cada ruta, actualizar analytics y detectar cambios
         for (const [routeKey, flight] of routeMap) {
             routesAnalyzed++;
-            console.log(`\n🔍 [${routesAnalyzed}/${routeMap.size}] Procesando: ${flight.from} → ${flight.to}`);
+            const flightDate = flight.flight_date;
+            const returnLabel = flight.return_date ? ` (regreso ${flight.return_date})` : '';
+            console.log(`\n🔍 [${routesAnalyzed}/${routeMap.size}] Procesando: ${flight.from} → ${flight.to} (${flightDate})${returnLabel}`);
             
             // PASO 2A: Actualizar analytics completos
-            const analyticsResult = await updatePriceAnalytics(flight.from, flight.to, flightDate);
+            const analyticsResult = await updatePriceAnalytics(flight.from, flight.to, flightDate, flight.return_date, flight.itinerary_key);
             
             if (!analyticsResult) {
                 console.log('❌ Error actualizando analytics');
                 continue;
             }
             
-            // PASO 2B: Detectar cambios significativos (≥$400 MXN)
-            const changeDetection = await detectPriceChanges(flight.from, flight.to, flightDate, flight.price);
+            // PASO 2B: Detectar cambios significativos (umbral en moneda base)
+            const basePrice = getBasePrice(flight, exchangeRates);
+            if (basePrice === null) {
+                console.log(`⚠️ Sin tipo de cambio ${flight.currency} → ${baseCurrency}; no se evalúan alertas`);
+                continue;
+            }
+            
+            const changeDetection = await detectPriceChanges(
+                flight.from,
+                flight.to,
+                flightDate,
+                basePrice,
+                flight.return_date,
+                analyticsResult.previousAnalytics,
+                flight.itinerary_key
+            );
             
             if (changeDetection && changeDetection.shouldAlert) {
                 console.log(`🚨 BAJADA SIGNIFICATIVA DETECTADA: ${changeDetection.alertReason}`);
                 
                 // Generar routeId para logging
-                const routeId = generateRouteId(flight.from, flight.to, flightDate);
-                const oldPrice = flight.price + Math.abs(changeDetection.priceChange);
-                const priceDrop = Math.abs(changeDetection.priceChange);
+                const routeId = generateRouteId(flight.from, flight.to, flightDate, flight.return_date, flight.itinerary_key);
+                const oldPrice = changeDetection.previousMin;
+                const priceDrop = Math.max(0, Math.round((oldPrice - basePrice) * 100) / 100);
                 
                 // Enviar alerta via PushCut con logging
                 const alertSent = await sendPriceAlert(
                     flight.from,
                     flight.to,
-                    flight.price,
-                    flight.currency,
+                    basePrice,
+                    baseCurrency,
                     flightDate,
                     changeDetection.alertReason,
                     routeId,
                     oldPrice,
-                    priceDrop
+                    priceDrop,
+                    analyticsResult.forecast
                 );
                 
                 if (alertSent) {
                     // Actualizar contador de alertas en analytics
-                    const { error: alertUpdateError } = await supabase
+                    const { error: alertUpdateError } = await db
                         .from('price_analytics')
                         .update({ 
                             last_alert_sent_at: new Date().toISOString()
@@ -395,17 +246,19 @@ export async function runPriceEvaluator(flightDate = null) {
                         .eq('route_id', analyticsResult.routeId);
                         
                     // Incrementar contador usando RPC
-                    await supabase.rpc('increment_alert_counter', { 
+                    await db.rpc('increment_alert_counter', { 
                         p_route_id: analyticsResult.routeId 
                     });
                     
                     alerts.push({
-                        route: `${flight.from} → ${flight.to}`,
-                        price: flight.price,
-                        currency: flight.currency,
+                        route: `${flight.from} → ${flight.to} (${flightDate})${returnLabel}`,
+                        price: basePrice,
+                        currency: baseCurrency,
                         priceDrop: priceDrop,
                         reason: changeDetection.alertReason,
-                        changeType: changeDetection.changeType
+                        changeType: changeDetection.changeType,
+                        ruleType: changeDetection.firedRule.rule_type,
+                        forecast: analyticsResult.forecast
                     });
                 } else {
                     console.log('❌ Error enviando alerta');
@@ -415,32 +268,34 @@ export async function runPriceEvaluator(flightDate = null) {
             }
         }
         
-        // PASO 3: Mostrar resumen de analytics
-        console.log('\n🔄 Generando resumen de analytics...');
-        await getAnalyticsSummary();
-        
-        // PASO 4: Resumen final
+        // PASO 3: Resumen final
         console.log('\n📋 RESUMEN DEL ANÁLISIS AVANZADO:');
         console.log('================================');
         console.log(`   - Rutas analizadas: ${routeMap.size}`);
+        if (evaluationScope.incremental) {
+            console.log(`   - Rutas sin cambios (omitidas): ${routesSkipped}`);
+        }
         console.log(`   - Alertas enviadas: ${alerts.length}`);
-        console.log(`   - Umbral configurado: ≥$${CONFIG.ALERTS.PRICE_DROP_THRESHOLD} MXN`);
         
         if (alerts.length > 0) {
             console.log('\n🚨 ALERTAS ENVIADAS:');
             alerts.forEach(alert => {
                 console.log(`   • ${alert.route}: $${alert.price} ${alert.currency}`);
-                console.log(`     📉 ${alert.reason} (${alert.changeType})`);
+                console.log(`     📉 ${alert.reason} (${alert.changeType}, regla ${alert.ruleType})`);
+                const forecast = describeForecast(alert.forecast);
+                if (forecast) {
+                    console.log(`     🔮 Recomendación: ${forecast}`);
+                }
             });
         } else {
-            console.log('\n📝 No se detectaron bajadas significativas ≥$400 MXN');
+            console.log('\n📝 Ninguna regla de alerta se cumplió');
         }
         
         return {
             routesAnalyzed: routeMap.size,
+            routesSkipped,
             alertsSent: alerts.length,
-            alerts: alerts,
-            threshold: CONFIG.ALERTS.PRICE_DROP_THRESHOLD
+            alerts: alerts
         };
         
     } catch (error) {
@@ -449,39 +304,174 @@ export async function runPriceEvaluator(flightDate = null) {
     }
 }
 
-// Función para obtener resumen de precios históricos
-export async function getHistoricalSummary() {
+// Función del evaluador para ventanas de fechas: alerta cuando baja el día más barato de la ventana
+export async function runDateWindowEvaluator(windowData) {
+    console.log('📊 Iniciando Evaluador de Ventana de Fechas');
+    console.log('==========================================\n');
+    
     try {
-        const { data: summary, error } = await supabase
-            .from('historical_prices')
-            .select('from_city, to_city, flight_date, best_price, best_price_currency, price_trend, last_updated')
-            .order('last_updated', { ascending: false });
-
-        if (error) {
-            console.error('Error al obtener resumen histórico:', error.message);
+        const { from, to, window_start: windowStart, window_end: windowEnd } = windowData;
+        const routeId = generateWindowRouteId(from, to, windowStart, windowEnd);
+        console.log(`🔍 Ventana: ${from} → ${to} (${windowStart} → ${windowEnd})`);
+        
+        // PASO 1: Normalizar los precios por fecha a la moneda base
+        const exchangeRates = await loadExchangeRates();
+        const baseCurrency = exchangeRates.base;
+        const datePrices = windowData.date_prices
+            .map(datePrice => ({ date: datePrice.flight_date, price: getBasePrice(datePrice, exchangeRates) }))
+            .filter(datePrice => datePrice.price !== null);
+        
+        if (datePrices.length === 0) {
+            console.log('📭 No hay precios convertibles a la moneda base');
             return null;
         }
-
-        console.log('\n📊 RESUMEN DE PRECIOS HISTÓRICOS:');
-        console.log('=================================');
         
-        if (summary && summary.length > 0) {
-            summary.forEach(record => {
-                const trendIcon = record.price_trend === 'decreasing' ? '📉' : 
-                                 record.price_trend === 'increasing' ? '📈' : '📊';
-                console.log(`${trendIcon} ${record.from_city} → ${record.to_city}`);
-                console.log(`   Mejor precio: ${record.best_price_currency}$${record.best_price}`);
-                console.log(`   Tendencia: ${record.price_trend}`);
-                console.log(`   Actualizado: ${new Date(record.last_updated).toLocaleString('es-MX')}`);
-                console.log('');
-            });
+        // Los precios de cada fecha alimentan sus agregados diarios de calendario (gráfico de la ventana),
+        // separados de los de búsqueda de esa fecha
+        for (const date of new Set(datePrices.map(datePrice => datePrice.date))) {
+            await rollupNewSamples(from, to, date, null, generateRouteId(from, to, date), { source: PRICE_SOURCES.CALENDAR });
+        }
+        
+        const cheapest = datePrices.reduce((best, current) => current.price < best.price ? current : best);
+        const stats = calculateAdvancedStats(datePrices.map(datePrice => datePrice.price));
+        console.log(`💰 Día más barato: ${cheapest.date} (${baseCurrency}$${cheapest.price}) | Rango: $${stats.min} - $${stats.max}`);
+        
+        // PASO 2: Comparar con el mínimo previo de la ventana
+        const { data: existing, error: selectError } = await db
+            .from('price_analytics')
+            .select('*')
+            .eq('route_id', routeId)
+            .single();
+        
+        if (selectError && selectError.code !== 'PGRST116') {
+            console.error('Error buscando analytics de la ventana:', selectError.message);
+            return null;
+        }
+        
+        const previousMin = existing ? parseFloat(existing.all_time_min_price) : null;
+        const priceDrop = previousMin !== null ? Math.max(0, Math.round((previousMin - cheapest.price) * 100) / 100) : 0;
+        
+        // Las reglas de mediana no aplican a ventanas (no hay una sola fecha de vuelo)
+        const rules = await loadAlertRules(routeId, from, to);
+        const firedRule = previousMin !== null
+            ? evaluateAlertRules(rules, { newPrice: cheapest.price, referencePrice: previousMin, currency: baseCurrency })
+            : null;
+        const shouldAlert = Boolean(firedRule);
+        const alertReason = shouldAlert
+            ? `Día más barato entre ${windowStart} y ${windowEnd}: ${cheapest.date}. ${firedRule.reason}`
+            : null;
+        
+        const now = new Date().toISOString();
+        const analyticsData = {
+            route_id: routeId,
+            from_city: from,
+            to_city: to,
+            flight_date: cheapest.date,
+            currency: baseCurrency,
+            current_min_price: stats.min,
+            current_max_price: stats.max,
+            current_avg_price: stats.avg,
+            current_median_price: stats.median,
+            all_time_min_price: previousMin !== null ? Math.min(previousMin, stats.min) : stats.min,
+            all_time_max_price: existing ? Math.max(existing.all_time_max_price, stats.max) : stats.max,
+            price_volatility: stats.volatility,
+            total_samples: (existing?.total_samples || 0) + stats.samples,
+            total_alerts_sent: existing?.total_alerts_sent || 0,
+            last_updated: now
+        };
+        
+        const { error: saveError } = existing
+            ? await db.from('price_analytics').update(analyticsData).eq('route_id', routeId)
+            : await db.from('price_analytics').insert([{ ...analyticsData, created_at: now }]);
+        
+        if (saveError) {
+            console.error('Error guardando analytics de la ventana:', saveError.message);
+            return null;
+        }
+        
+        // PASO 3: Registrar el cambio del mínimo de la ventana
+        if (previousMin !== null) {
+            const { error: changeError } = await db
+                .from('price_changes')
+                .insert([{
+                    route_id: routeId,
+                    from_city: from,
+                    to_city: to,
+                    flight_date: cheapest.date,
+                    old_price: previousMin,
+                    new_price: cheapest.price,
+                    price_change: cheapest.price - previousMin,
+                    change_percentage: Math.round(((cheapest.price - previousMin) / previousMin) * 10000) / 100,
+                    change_type: cheapest.price < previousMin ? 'window_new_minimum' : 'window_fluctuation',
+                    samples_analyzed: datePrices.length,
+                    previous_min: previousMin,
+                    previous_avg: existing.current_avg_price,
+                    alert_sent: shouldAlert,
+                    alert_reason: alertReason,
+                    alert_rule_id: firedRule ? firedRule.rule.id : null,
+                    alert_rule_type: firedRule ? firedRule.rule.rule_type : null,
+                    currency: baseCurrency
+                }]);
+            
+            if (changeError) {
+                console.error('Error registrando cambio de la ventana:', changeError.message);
+            }
         } else {
-            console.log('📭 No hay registros históricos disponibles');
+            console.log('✅ Primer registro de la ventana creado');
         }
-
-        return summary;
+        
+        // PASO 4: Alertar sobre el día más barato
+        const alerts = [];
+        if (shouldAlert) {
+            console.log(`🚨 BAJADA EN LA VENTANA: ${alertReason}`);
+            
+            const alertSent = await sendPriceAlert(
+                from,
+                to,
+                cheapest.price,
+                baseCurrency,
+                cheapest.date,
+                alertReason,
+                routeId,
+                previousMin,
+                priceDrop
+            );
+            
+            if (alertSent) {
+                await db
+                    .from('price_analytics')
+                    .update({ last_alert_sent_at: new Date().toISOString() })
+                    .eq('route_id', routeId);
+                
+                await db.rpc('increment_alert_counter', { 
+                    p_route_id: routeId 
+                });
+                
+                alerts.push({
+                    route: `${from} → ${to} (${windowStart} → ${windowEnd})`,
+                    price: cheapest.price,
+                    currency: baseCurrency,
+                    priceDrop,
+                    reason: alertReason,
+                    changeType: 'window_new_minimum',
+                    ruleType: firedRule.rule.rule_type
+                });
+            } else {
+                console.log('❌ Error enviando alerta');
+            }
+        } else {
+            console.log('📝 El día más barato no cumple criterios para alerta');
+        }
+        
+        return {
+            routesAnalyzed: 1,
+            alertsSent: alerts.length,
+            alerts,
+            cheapestDate: cheapest.date
+        };
+        
     } catch (error) {
-        console.error('Error al obtener resumen histórico:', error.message);
+        console.error('❌ Error crítico en evaluador de ventana:', error.message);
         return null;
     }
 }
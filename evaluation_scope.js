@@ -0,0 +1,141 @@
+import { buildItinerary, isDateWindowJob } from './trip_types.js';
+
+// Alcances del evaluador de precios
+export const EVALUATION_SCOPES = {
+    ACTIVE: 'active',   // todas las rutas de los trabajos activos de fecha fija
+    DATE: 'date',       // todas las rutas con precios para una fecha de vuelo
+    RANGE: 'range',     // todas las rutas con fecha de vuelo dentro de un rango
+    ROUTE: 'route'      // una sola ruta (route_id de price_analytics)
+};
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const ITINERARY_KEY_REGEX = /^[0-9a-f]{12}$/;
+
+// Función para separar un route_id de fecha fija: origen::destino::fecha[::regreso[::clave multi-destino]]
+export function parseRouteId(routeId) {
+    const parts = String(routeId || '').split('::');
+
+    if (parts.length === 3 && parts[2].includes('..')) {
+        throw new Error(`${routeId} es una ventana de fechas; se evalúa con runDateWindowEvaluator`);
+    }
+    const itineraryKey = parts.length === 5 ? parts.pop() : null;
+    if (parts.length < 3 || parts.length > 4 || !parts[0] || !parts[1] || !parts.slice(2).every(date => DATE_REGEX.test(date))
+        || (itineraryKey !== null && !ITINERARY_KEY_REGEX.test(itineraryKey))) {
+        throw new Error(`route_id inválido: ${routeId} (se espera origen::destino::YYYY-MM-DD[::YYYY-MM-DD[::clave]])`);
+    }
+
+    return { from: parts[0], to: parts[1], flightDate: parts[2], returnDate: parts[3] || null, itineraryKey };
+}
+
+// Función para normalizar el alcance del evaluador
+// Acepta una fecha (compatibilidad con runPriceEvaluator('2026-12-15')) o { flightDate | dateFrom/dateTo | routeId, incremental }
+export function normalizeEvaluationScope(scope = null) {
+    if (scope === null || scope === undefined) {
+        return { type: EVALUATION_SCOPES.ACTIVE, incremental: false };
+    }
+    if (typeof scope === 'string') {
+        scope = { flightDate: scope };
+    }
+
+    const incremental = Boolean(scope.incremental);
+
+    if (scope.routeId) {
+        return { type: EVALUATION_SCOPES.ROUTE, routeId: scope.routeId, route: parseRouteId(scope.routeId), incremental };
+    }
+
+    if (scope.flightDate) {
+        if (!DATE_REGEX.test(scope.flightDate)) {
+            throw new Error(`Fecha inválida: ${scope.flightDate} (se espera YYYY-MM-DD)`);
+        }
+        return { type: EVALUATION_SCOPES.DATE, flightDate: scope.flightDate, incremental };
+    }
+
+    if (scope.dateFrom || scope.dateTo) {
+        const dateFrom = scope.dateFrom || null;
+        const dateTo = scope.dateTo || null;
+        if ([dateFrom, dateTo].some(date => date !== null && !DATE_REGEX.test(date))) {
+            throw new Error(`Rango de fechas inválido: ${dateFrom} → ${dateTo} (se espera YYYY-MM-DD)`);
+        }
+        if (dateFrom && dateTo && dateTo < dateFrom) {
+            throw new Error(`El rango termina (${dateTo}) antes de empezar (${dateFrom})`);
+        }
+        return { type: EVALUATION_SCOPES.RANGE, dateFrom, dateTo, incremental };
+    }
+
+    return { type: EVALUATION_SCOPES.ACTIVE, incremental };
+}
+
+// Función para describir el alcance en los logs
+export function describeEvaluationScope(scope) {
+    const mode = scope.incremental ? ' (incremental)' : '';
+
+    switch (scope.type) {
+        case EVALUATION_SCOPES.DATE:
+            return `fecha ${scope.flightDate}${mode}`;
+        case EVALUATION_SCOPES.RANGE:
+            return `fechas ${scope.dateFrom || '…'} → ${scope.dateTo || '…'}${mode}`;
+        case EVALUATION_SCOPES.ROUTE:
+            return `ruta ${scope.routeId}${mode}`;
+        default:
+            return `todos los trabajos activos${mode}`;
+    }
+}
+
+// Función para obtener las rutas (from, to, fecha, regreso, clave multi-destino) de los trabajos activos de fecha fija
+// Las ventanas de fechas tienen su propio evaluador y los trabajos inválidos se omiten
+export function getActiveRouteKeys(jobs, generateRouteId) {
+    const routeKeys = new Set();
+
+    jobs
+        .filter(job => job.is_active !== false && !isDateWindowJob(job))
+        .forEach(job => {
+            try {
+                const itinerary = buildItinerary(job);
+                routeKeys.add(generateRouteId(itinerary.from, itinerary.to, itinerary.flightDate, itinerary.returnDate, itinerary.itineraryKey));
+            } catch (error) {
+                console.log(`⚠️ Trabajo ${job.id} omitido: ${error.message}`);
+            }
+        });
+
+    return routeKeys;
+}
+
+// Función para quedarse con el precio más reciente de cada ruta
+export function groupLatestByRoute(flights, generateRouteId) {
+    const routeMap = new Map();
+
+    flights.forEach(flight => {
+        const routeKey = generateRouteId(flight.from, flight.to, flight.flight_date, flight.return_date, flight.itinerary_key);
+        const current = routeMap.get(routeKey);
+        if (!current || new Date(flight.updated_at) > new Date(current.updated_at)) {
+            routeMap.set(routeKey, flight);
+        }
+    });
+
+    return routeMap;
+}
+
+// Función para el modo incremental: desde cuándo leer flights (el last_updated más antiguo de las rutas)
+// null = sin corte, porque alguna ruta del alcance todavía no tiene analytics y se evalúa con toda su historia
+export function getIncrementalSince(routeIds, lastUpdatedByRoute) {
+    const lastUpdated = routeIds.map(routeId => lastUpdatedByRoute.get(routeId));
+    if (lastUpdated.length === 0 || lastUpdated.some(value => !value)) return null;
+
+    return lastUpdated.reduce((oldest, value) => new Date(value) < new Date(oldest) ? value : oldest);
+}
+
+// Función para el modo incremental: solo rutas con muestras posteriores a su price_analytics.last_updated
+// lastUpdatedByRoute = Map(route_id → last_updated); las rutas sin analytics siempre se evalúan
+export function selectRoutesWithNewSamples(routeMap, lastUpdatedByRoute) {
+    const selected = new Map();
+
+    routeMap.forEach((flight, routeKey) => {
+        const lastUpdated = lastUpdatedByRoute.get(routeKey);
+        if (!lastUpdated || new Date(flight.updated_at) > new Date(lastUpdated)) {
+            selected.set(routeKey, flight);
+        }
+    });
+
+    return selected;
+}
@@ -0,0 +1,201 @@
+import { SQLITE_TABLES } from './sqlite_storage.js';
+import { parseRouteId } from './evaluation_scope.js';
+
+// Exportación de datos para análisis: qué tablas se exportan, cómo se filtran y cómo se escriben
+// en CSV, JSON Lines o Parquet. Las columnas y sus tipos salen de SQLITE_TABLES (mismo esquema
+// que las migraciones), así un archivo exportado de Supabase y uno de SQLite tienen la misma forma
+
+// Formatos de salida
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    JSONL: 'jsonl',
+    PARQUET: 'parquet'
+};
+
+export const EXPORT_CONTENT_TYPES = {
+    [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+    [EXPORT_FORMATS.JSONL]: 'application/x-ndjson; charset=utf-8',
+    [EXPORT_FORMATS.PARQUET]: 'application/vnd.apache.parquet'
+};
+
+// Tablas exportables y su cursor para exportaciones incrementales (la marca de agua es el último valor exportado)
+// flights, price_changes y notifications solo reciben inserts: el id crece con cada fila.
+// price_analytics tiene una fila por ruta que se reescribe en cada evaluación: el cursor es last_updated
+export const EXPORT_DATASETS = {
+    flights: { cursor: 'id', byRouteId: false },
+    price_analytics: { cursor: 'last_updated', byRouteId: true },
+    price_changes: { cursor: 'id', byRouteId: true },
+    notifications: { cursor: 'id', byRouteId: true }
+};
+
+// Tipos de SQLITE_TABLES → tipos de columna de hyparquet-writer
+const PARQUET_TYPES = {
+    ID: 'INT64',
+    INTEGER: 'INT32',
+    REAL: 'DOUBLE',
+    BOOLEAN: 'BOOLEAN',
+    JSON: 'JSON',
+    TIMESTAMP: 'TIMESTAMP',
+    TEXT: 'STRING'
+};
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const WINDOW_ROUTE_REGEX = /^(.+)::(.+)::(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+
+// Función para obtener las columnas de un dataset con su tipo (ID, TEXT, INTEGER, REAL, BOOLEAN, JSON o TIMESTAMP)
+export function getExportColumns(dataset) {
+    return Object.entries(SQLITE_TABLES[dataset]).map(([name, definition]) => ({ name, type: definition.split(' ')[0] }));
+}
+
+// Función para separar el route_id a exportar: fecha fija (origen::destino::fecha[::regreso[::clave]]) o ventana (origen::destino::inicio..fin)
+export function parseExportRoute(routeId) {
+    const windowMatch = String(routeId).match(WINDOW_ROUTE_REGEX);
+    if (windowMatch) {
+        const [, from, to, windowStart, windowEnd] = windowMatch;
+        return { from, to, windowStart, windowEnd };
+    }
+    return parseRouteId(routeId);
+}
+
+// Función para validar una marca de agua según el cursor del dataset (id numérico o instante ISO)
+export function parseWatermark(value, cursor) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (cursor === 'id') {
+        if (!/^\d+$/.test(String(value))) {
+            throw new Error(`Marca de agua inválida: ${value} (se espera el último id exportado)`);
+        }
+        return Number(value);
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Marca de agua inválida: ${value} (se espera una fecha y hora ISO)`);
+    }
+    return new Date(time).toISOString();
+}
+
+// Función para deducir el formato por la extensión del archivo de salida (null si no se reconoce)
+export function formatFromFilename(filename) {
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    return Object.values(EXPORT_FORMATS).includes(extension) ? extension : null;
+}
+
+// Función para normalizar las opciones de una exportación (lanza un error si alguna es inválida)
+export function normalizeExportOptions({ dataset, format = EXPORT_FORMATS.CSV, routeId = null, dateFrom = null, dateTo = null, currency = null, since = null } = {}) {
+    const definition = EXPORT_DATASETS[dataset];
+    if (!definition) {
+        throw new Error(`Dataset desconocido: ${dataset ?? '(vacío)'} (usa ${Object.keys(EXPORT_DATASETS).join(', ')})`);
+    }
+
+    const normalizedFormat = String(format || EXPORT_FORMATS.CSV).toLowerCase();
+    if (!Object.values(EXPORT_FORMATS).includes(normalizedFormat)) {
+        throw new Error(`Formato desconocido: ${format} (usa ${Object.values(EXPORT_FORMATS).join(', ')})`);
+    }
+
+    if ([dateFrom, dateTo].some(date => date && !DATE_REGEX.test(date))) {
+        throw new Error(`Rango de fechas inválido: ${dateFrom || '…'} → ${dateTo || '…'} (se espera YYYY-MM-DD)`);
+    }
+    if (dateFrom && dateTo && dateTo < dateFrom) {
+        throw new Error(`El rango termina (${dateTo}) antes de empezar (${dateFrom})`);
+    }
+
+    const normalizedCurrency = currency ? String(currency).toUpperCase() : null;
+    if (normalizedCurrency && !/^[A-Z]{3}$/.test(normalizedCurrency)) {
+        throw new Error(`Moneda inválida: ${currency} (se espera un código ISO de 3 letras)`);
+    }
+
+    return {
+        dataset,
+        format: normalizedFormat,
+        cursor: definition.cursor,
+        byRouteId: definition.byRouteId,
+        columns: getExportColumns(dataset),
+        routeId: routeId || null,
+        route: routeId ? parseExportRoute(routeId) : null,
+        dateFrom: dateFrom || null,
+        dateTo: dateTo || null,
+        currency: normalizedCurrency,
+        since: parseWatermark(since, definition.cursor)
+    };
+}
+
+// Función para calcular la nueva marca de agua: el cursor de la última fila (filas ordenadas por cursor)
+// Sin filas nuevas se conserva la anterior
+export function nextWatermark(rows, cursor, since = null) {
+    return rows.length > 0 ? rows[rows.length - 1][cursor] : since;
+}
+
+// Función para escribir un valor como campo CSV (objetos como JSON; comillas solo cuando hacen falta)
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Función para escribir filas en CSV con encabezado
+export function toCsv(rows, columns) {
+    const lines = [columns.map(column => toCsvField(column.name)).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => toCsvField(row[column.name])).join(',')));
+    return `${lines.join('\n')}\n`;
+}
+
+// Función para escribir filas en JSON Lines (un objeto por línea, con las columnas en el orden del esquema)
+export function toJsonl(rows, columns) {
+    return rows
+        .map(row => JSON.stringify(Object.fromEntries(columns.map(column => [column.name, row[column.name] ?? null]))))
+        .map(line => `${line}\n`)
+        .join('');
+}
+
+// Función para convertir un valor al tipo de su columna Parquet (null si falta o no se puede convertir)
+function toParquetValue(value, type) {
+    if (value === null || value === undefined) return null;
+
+    switch (type) {
+        case 'ID': return BigInt(value);
+        case 'INTEGER':
+        case 'REAL': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'BOOLEAN': return Boolean(value);
+        case 'TIMESTAMP': {
+            const time = Date.parse(value);
+            return Number.isNaN(time) ? null : new Date(time);
+        }
+        case 'JSON': return value;
+        default: return String(value);
+    }
+}
+
+// Función para armar las columnas de hyparquet-writer (datos por columna con su tipo explícito,
+// así una exportación sin filas también tiene esquema)
+export function toParquetColumns(rows, columns) {
+    return columns.map(column => ({
+        name: column.name,
+        type: PARQUET_TYPES[column.type] || PARQUET_TYPES.TEXT,
+        data: rows.map(row => toParquetValue(row[column.name], column.type))
+    }));
+}
+
+// Función para escribir las filas en el formato pedido (string para CSV/JSONL, Buffer para Parquet)
+// Parquet usa el paquete opcional hyparquet-writer
+export async function encodeExport(rows, { format, columns }) {
+    switch (format) {
+        case EXPORT_FORMATS.CSV:
+            return toCsv(rows, columns);
+        case EXPORT_FORMATS.JSONL:
+            return toJsonl(rows, columns);
+        case EXPORT_FORMATS.PARQUET: {
+            const writer = await import('hyparquet-writer').catch(() => null);
+            if (!writer) {
+                throw new Error('Exportar a Parquet requiere el paquete opcional hyparquet-writer (npm install hyparquet-writer)');
+            }
+            return Buffer.from(writer.parquetWriteBuffer({ columnData: toParquetColumns(rows, columns) }));
+        }
+        default:
+            throw new Error(`Formato desconocido: ${format}`);
+    }
+}
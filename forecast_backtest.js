@@ -0,0 +1,109 @@
+import { CONFIG } from './config.js';
+import { db } from './storage.js';
+import { describeStoredForecast } from './price_analytics.js';
+import { backtestForecasts } from './price_forecast.js';
+import { toCloseSeries } from './price_rollup.js';
+import { PRICE_SOURCES } from './trip_types.js';
+
+// Función para armar la serie diaria de cierres de cada ruta a partir de price_daily (solo búsquedas de fecha fija)
+async function loadRouteSeries({ routeId = null } = {}) {
+    let query = db
+        .from('price_daily')
+        .select('route_id, flight_date, day, close_price, last_sample_at')
+        .eq('source', PRICE_SOURCES.SEARCH)
+        .order('day', { ascending: true });
+
+    if (routeId) {
+        query = query.eq('route_id', routeId);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+        console.error('Error obteniendo agregados diarios:', error.message);
+        return null;
+    }
+
+    const routes = new Map();
+    (rows || []).forEach(row => {
+        if (!routes.has(row.route_id)) {
+            routes.set(row.route_id, { routeId: row.route_id, departureDate: row.flight_date, rows: [] });
+        }
+        routes.get(row.route_id).rows.push({ ...row, close_price: Number(row.close_price) });
+    });
+
+    return [...routes.values()].map(({ rows: routeRows, ...route }) => ({ ...route, series: toCloseSeries(routeRows) }));
+}
+
+// Función para evaluar el pronóstico comprar/esperar contra la historia guardada
+export async function runForecastBacktest({ routeId = null } = {}) {
+    try {
+        console.log('🧪 Backtest del pronóstico comprar/esperar...');
+
+        const routes = await loadRouteSeries({ routeId });
+        if (routes === null) {
+            return null;
+        }
+
+        const report = backtestForecasts(routes, { config: CONFIG.FORECAST });
+
+        console.log('\n🔮 BACKTEST DEL PRONÓSTICO:');
+        console.log('===========================');
+        console.log(`   🛣️ Rutas con salida pasada: ${report.routesEvaluated} (omitidas ${report.routesSkipped} aún vigentes)`);
+
+        if (report.forecasts === 0) {
+            console.log(`📭 No hay suficiente historia (se necesitan al menos ${CONFIG.FORECAST.MIN_SAMPLES + 1} días con precios por ruta)`);
+            return report;
+        }
+
+        const { buy, wait } = report.byRecommendation;
+        console.log(`   🎯 Aciertos: ${Math.round(report.accuracy * 100)}% de ${report.forecasts} pronósticos`);
+        console.log(`   🛒 Comprar: ${buy.correct}/${buy.count} correctos | ⏳ Esperar: ${wait.correct}/${wait.count} correctos`);
+        console.log(`   📐 Brier: ${report.brierScore} | bajas reales: ${Math.round(report.baseRate * 100)}% de los días`);
+
+        return report;
+
+    } catch (error) {
+        console.error('Error en el backtest del pronóstico:', error.message);
+        return null;
+    }
+}
+
+// Función para listar el pronóstico vigente de cada ruta (calculado en la última evaluación)
+export async function getRouteForecasts({ routeId = null } = {}) {
+    try {
+        let query = db
+            .from('price_analytics')
+            .select('route_id, from_city, to_city, flight_date, current_min_price, currency, forecast_recommendation, forecast_drop_probability, forecast_confidence, last_updated')
+            .order('flight_date', { ascending: true });
+
+        if (routeId) {
+            query = query.eq('route_id', routeId);
+        }
+
+        const { data: routes, error } = await query;
+        if (error) {
+            console.error('Error obteniendo pronósticos:', error.message);
+            return null;
+        }
+
+        console.log('\n🔮 PRONÓSTICO POR RUTA:');
+        console.log('=======================');
+
+        if (!routes || routes.length === 0) {
+            console.log('📭 No hay rutas analizadas');
+            return [];
+        }
+
+        routes.forEach(route => {
+            const forecast = describeStoredForecast(route) || 'sin datos suficientes';
+            console.log(`   ✈️ ${route.from_city} → ${route.to_city} (${route.flight_date}): $${route.current_min_price} ${route.currency || ''} → ${forecast}`);
+        });
+
+        return routes;
+
+    } catch (error) {
+        console.error('Error obteniendo pronósticos:', error.message);
+        return null;
+    }
+}
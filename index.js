@@ -1,6 +1,10 @@
-import { runWebScraper } from './web_scraper.js';
-import { runPriceEvaluator, getHistoricalSummary } from './evaluate_price.js';
+// Cargar .env antes que cualquier módulo lea process.env (config.js lo lee al importarse)
+import 'dotenv/config';
+import { runWebScraper, runWorker } from './web_scraper.js';
+import { runPriceEvaluator, runDateWindowEvaluator } from './evaluate_price.js';
+import { getAnalyticsSummary } from './price_analytics.js';
 import { getNotificationsHistory } from './send_notifications.js';
+import { SEARCH_MODES } from './trip_types.js';
 
 // Función principal que orquesta el flujo completo
 async function main() {
@@ -26,13 +30,22 @@ async function main() {
         }
         
         console.log('\n✅ Web Scraper completado exitosamente');
-        console.log(`📊 Datos obtenidos: ${scraperResult.flightData.from} → ${scraperResult.flightData.to} (${scraperResult.flightData.flight_date})`);
+        const { flightData } = scraperResult;
+        const isDateWindow = flightData.search_mode === SEARCH_MODES.DATE_WINDOW;
+        if (isDateWindow) {
+            console.log(`📊 Datos obtenidos: ${flightData.from} → ${flightData.to} (${flightData.date_prices.length} fechas entre ${flightData.window_start} y ${flightData.window_end}, más barato: ${flightData.flight_date})`);
+        } else {
+            const returnLabel = flightData.return_date ? ` → ${flightData.return_date}` : '';
+            console.log(`📊 Datos obtenidos: ${flightData.from} → ${flightData.to} (${flightData.flight_date}${returnLabel}, ${flightData.trip_type})`);
+        }
         
-        // PASO 2: Ejecutar Evaluador de Precios
+        // PASO 2: Ejecutar Evaluador de Precios (ventana o todas las rutas activas con muestras nuevas)
         console.log('\n🔄 PASO 2: Ejecutando Evaluador de Precios...');
         console.log('=============================================\n');
         
-        const evaluatorResult = await runPriceEvaluator(scraperResult.flightData.flight_date);
+        const evaluatorResult = isDateWindow
+            ? await runDateWindowEvaluator(flightData)
+            : await runPriceEvaluator({ incremental: true });
         
         if (evaluatorResult) {
             console.log('\n✅ Evaluador de Precios completado exitosamente');
@@ -41,7 +54,7 @@ async function main() {
             console.log('\n🔄 PASO 3: Generando Resumen Final...');
             console.log('====================================');
             
-            await getHistoricalSummary();
+            await getAnalyticsSummary();
             await getNotificationsHistory(5);
             
             // Resumen de la ejecución completa
@@ -72,5 +85,83 @@ async function main() {
     }
 }
 
-// Ejecutar el sistema
-main();
\ No newline at end of file
+// Función del modo worker: procesa la cola completa y evalúa cada fecha scrapeada
+async function mainWorker() {
+    console.log('🚀 SISTEMA DE MONITOREO DE VUELOS (MODO WORKER)');
+    console.log('===============================================');
+    console.log('📋 Flujo: Worker de scraping → Evaluador de Precios por fecha\n');
+    
+    try {
+        // PASO 1: Procesar trabajos hasta vaciar la cola o agotar el tiempo
+        console.log('🔄 PASO 1: Ejecutando worker de scraping...');
+        console.log('==========================================\n');
+        
+        const workerResult = await runWorker();
+        
+        if (workerResult.succeeded === 0) {
+            console.log('\n❌ Ningún trabajo se completó. No se ejecutará el evaluador de precios.');
+            return;
+        }
+        
+        // PASO 2: Evaluar las rutas activas con muestras nuevas (las ventanas de fechas se evalúan aparte)
+        const successfulResults = workerResult.results.filter(result => result.success && result.flightData);
+        const windowResults = successfulResults.filter(result => result.flightData.search_mode === SEARCH_MODES.DATE_WINDOW);
+        
+        console.log(`\n🔄 PASO 2: Evaluando rutas activas con muestras nuevas y ${windowResults.length} ventana(s)...`);
+        console.log('=============================================\n');
+        
+        let routesAnalyzed = 0;
+        const alerts = [];
+        
+        const evaluatorResult = await runPriceEvaluator({ incremental: true });
+        if (evaluatorResult) {
+            routesAnalyzed += evaluatorResult.routesAnalyzed;
+            alerts.push(...evaluatorResult.alerts);
+        } else {
+            console.log('\n❌ Evaluador de Precios falló o no hubo vuelos para analizar');
+        }
+        
+        for (const { flightData } of windowResults) {
+            const evaluatorResult = await runDateWindowEvaluator(flightData);
+            if (evaluatorResult) {
+                routesAnalyzed += evaluatorResult.routesAnalyzed;
+                alerts.push(...evaluatorResult.alerts);
+            } else {
+                console.log(`\n❌ Evaluador de ventana falló para ${flightData.from} → ${flightData.to}`);
+            }
+        }
+        
+        // PASO 3: Mostrar Resumen Final
+        console.log('\n🔄 PASO 3: Generando Resumen Final...');
+        console.log('====================================');
+        
+        await getAnalyticsSummary();
+        await getNotificationsHistory(5);
+        
+        console.log('\n🎉 EJECUCIÓN COMPLETADA');
+        console.log('======================');
+        console.log('📊 ESTADÍSTICAS FINALES:');
+        console.log(`   • Trabajos: ${workerResult.succeeded} ✅ | ${workerResult.failed} ❌`);
+        console.log(`   • Rutas analizadas: ${routesAnalyzed}`);
+        console.log(`   • Alertas enviadas: ${alerts.length}`);
+        
+        if (alerts.length > 0) {
+            console.log('\n🚨 ALERTAS ENVIADAS:');
+            alerts.forEach(alert => {
+                console.log(`   • ${alert.route}: ${alert.currency}$${alert.price} (${alert.reason})`);
+            });
+        }
+        
+    } catch (error) {
+        console.error('\n❌ ERROR CRÍTICO EN MODO WORKER:', error.message);
+        console.error('Stack:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Ejecutar el sistema (--worker procesa varios trabajos por ejecución)
+if (process.argv.includes('--worker')) {
+    mainWorker();
+} else {
+    main();
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Leases de trabajos en processing: processing_started_at marca el último heartbeat de la instancia
+// que tiene el trabajo; si no se renueva dentro del lease, el reaper lo devuelve a pending
+
+// Función para calcular cuándo vence el lease de un trabajo (null si no tiene heartbeat registrado)
+export function getLeaseExpiry(job, leaseMs) {
+    if (!job.processing_started_at) return null;
+    const startedAt = new Date(job.processing_started_at).getTime();
+    return Number.isNaN(startedAt) ? null : new Date(startedAt + leaseMs);
+}
+
+// Función para saber si el lease de un trabajo en processing venció
+// Sin heartbeat registrado (filas de antes de los leases) se considera vencido
+export function isLeaseExpired(job, { leaseMs, now = Date.now() }) {
+    if (job.status !== 'processing') return false;
+    const expiry = getLeaseExpiry(job, leaseMs);
+    return expiry === null || expiry.getTime() <= now;
+}
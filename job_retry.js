@@ -0,0 +1,50 @@
+// Reintentos de trabajos fallidos: backoff exponencial con jitter y cola de trabajos muertos (dead letter)
+
+// Estado de los trabajos que agotaron sus intentos; solo vuelven a la cola con `cli.js jobs requeue`
+export const DEAD_LETTER_STATUS = 'dead_letter';
+
+// Función para calcular la espera antes del siguiente intento (en milisegundos)
+// Exponencial: base, 2×base, 4×base... hasta maxMinutes; el jitter (± jitterRatio) evita que
+// los trabajos que fallaron juntos se vuelvan a reclamar todos en el mismo minuto
+export function computeRetryDelayMs(attempts, { baseMinutes, maxMinutes, jitterRatio = 0, random = Math.random }) {
+    const exponent = Math.max(0, attempts - 1);
+    const minutes = Math.min(baseMinutes * 2 ** exponent, maxMinutes);
+    const jitter = 1 + jitterRatio * (2 * random() - 1);
+    return Math.round(minutes * jitter * 60 * 1000);
+}
+
+// Función para armar la actualización de config_flights después de un scraping fallido
+// Con intentos disponibles el trabajo vuelve a pending con next_attempt_at; si no, pasa a dead letter
+export function planJobFailure(job, failureReason, {
+    maxAttempts,
+    baseMinutes,
+    maxMinutes,
+    jitterRatio = 0,
+    random = Math.random,
+    now = Date.now()
+}) {
+    const attempts = (job.attempts || 0) + 1;
+    const update = {
+        attempts,
+        last_error: failureReason,
+        processing_instance_id: null,
+        processing_started_at: null,
+        updated_at: new Date(now).toISOString()
+    };
+
+    if (attempts >= maxAttempts) {
+        return {
+            ...update,
+            status: DEAD_LETTER_STATUS,
+            next_attempt_at: null,
+            dead_lettered_at: new Date(now).toISOString()
+        };
+    }
+
+    const delayMs = computeRetryDelayMs(attempts, { baseMinutes, maxMinutes, jitterRatio, random });
+    return {
+        ...update,
+        status: 'pending',
+        next_attempt_at: new Date(now + delayMs).toISOString()
+    };
+}
@@ -0,0 +1,111 @@
+import { CONFIG } from './config.js';
+
+// Función para normalizar texto (minúsculas, sin acentos ni espacios extra)
+export function normalizeText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Función para escapar texto antes de usarlo en una expresión regular
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Función para detectar si una ubicación es un código IATA (ej. MEX, BOG, SCL)
+export function isIataCode(location) {
+    return typeof location === 'string' && /^[A-Z]{3}$/.test(location.trim());
+}
+
+// Función para calcular qué tan bien coincide una sugerencia con la ubicación buscada
+export function scoreSuggestion(suggestionText, location) {
+    if (!suggestionText || !location) return 0;
+
+    const term = location.trim();
+
+    // Código IATA: debe aparecer como palabra completa en mayúsculas
+    if (isIataCode(term)) {
+        return new RegExp(`\\b${term}\\b`).test(suggestionText) ? 100 : 0;
+    }
+
+    const normalizedSuggestion = normalizeText(suggestionText);
+    const normalizedTerm = normalizeText(term);
+    const suggestionCity = normalizedSuggestion.split(',')[0].trim();
+
+    if (suggestionCity === normalizedTerm) return 90;
+    if (normalizedSuggestion.startsWith(normalizedTerm)) return 80;
+    if (new RegExp(`\\b${escapeRegExp(normalizedTerm)}\\b`).test(normalizedSuggestion)) return 60;
+    if (normalizedTerm.startsWith(suggestionCity) && suggestionCity.length > 3) return 40;
+
+    return 0;
+}
+
+// Función para elegir la mejor sugerencia del autocompletado (-1 si ninguna coincide)
+export function pickBestSuggestion(suggestions, location) {
+    let bestIndex = -1;
+    let bestScore = 0;
+
+    suggestions.forEach((text, index) => {
+        const score = scoreSuggestion(text, location);
+        if (score > bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
+
+// Función para obtener las opciones del autocompletado de un combobox
+// La página tiene otros comboboxes (origen, destino, pasajeros) con sus propias opciones: se usan solo las
+// del listbox que indica aria-controls y, si el combobox no lo indica, solo las visibles
+function getComboboxOptions(page, listboxId) {
+    if (listboxId) {
+        return page.locator(`[id=${JSON.stringify(listboxId)}]`).getByRole('option');
+    }
+    return page.getByRole('option').filter({ visible: true });
+}
+
+// Función para escribir una ubicación en un combobox y seleccionar la sugerencia correcta
+export async function selectLocation(page, combobox, location, label = 'ubicación') {
+    if (!location || typeof location !== 'string' || !location.trim()) {
+        throw new Error(`No se definió ${label} en el trabajo`);
+    }
+
+    const searchTerm = location.trim();
+
+    await combobox.click();
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+    await combobox.fill(searchTerm);
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+
+    const listboxId = await combobox.getAttribute('aria-controls') || await combobox.getAttribute('aria-owns');
+    const options = getComboboxOptions(page, listboxId);
+    try {
+        await options.first().waitFor({ state: 'visible', timeout: CONFIG.BROWSER.timeout.element });
+    } catch (e) {
+        throw new Error(`Sin sugerencias de autocompletado para ${label} "${searchTerm}"`);
+    }
+
+    const suggestions = (await options.allTextContents()).map(text => text.replace(/\s+/g, ' ').trim());
+    const bestIndex = pickBestSuggestion(suggestions, searchTerm);
+
+    if (bestIndex === -1) {
+        const preview = suggestions.slice(0, 5).join(' | ');
+        throw new Error(`Ninguna sugerencia coincide con ${label} "${searchTerm}" (opciones: ${preview || 'ninguna'})`);
+    }
+
+    console.log(`   Sugerencia elegida (${bestIndex + 1}/${suggestions.length}): ${suggestions[bestIndex]}`);
+    await options.nth(bestIndex).click();
+    await page.waitForTimeout(500);
+
+    const currentValue = await combobox.inputValue();
+    if (!currentValue) {
+        throw new Error(`El campo de ${label} quedó vacío después de seleccionar "${suggestions[bestIndex]}"`);
+    }
+
+    return currentValue;
+}
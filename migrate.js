@@ -0,0 +1,260 @@
+import { readdir, readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+// Carpeta con las migraciones versionadas: NNN_nombre.up.sql / NNN_nombre.down.sql
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Tabla donde se registran las migraciones aplicadas
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Llave del advisory lock para que dos ejecuciones no migren al mismo tiempo
+const MIGRATION_LOCK_KEY = 734119;
+
+const MIGRATION_FILE_REGEX = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Función para agrupar los archivos de migraciones por versión
+export function parseMigrationFiles(fileNames) {
+    const migrations = new Map();
+
+    fileNames.forEach(fileName => {
+        const match = fileName.match(MIGRATION_FILE_REGEX);
+        if (!match) return;
+
+        const [, version, name, direction] = match;
+        const existing = migrations.get(version);
+        if (existing && existing.name !== name) {
+            throw new Error(`La versión ${version} está repetida: ${existing.name} y ${name}`);
+        }
+
+        const migration = existing || { version, name, upFile: null, downFile: null };
+        migration[direction === 'up' ? 'upFile' : 'downFile'] = fileName;
+        migrations.set(version, migration);
+    });
+
+    const sorted = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+    sorted.forEach(migration => {
+        if (!migration.upFile || !migration.downFile) {
+            throw new Error(`La migración ${migration.version}_${migration.name} necesita archivos .up.sql y .down.sql`);
+        }
+    });
+
+    return sorted;
+}
+
+// Función para calcular el checksum de una migración (detecta archivos editados después de aplicarse)
+export function checksumSql(sql) {
+    return createHash('sha256').update(sql).digest('hex');
+}
+
+// Función para cargar las migraciones del disco con su SQL y checksum
+export async function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = parseMigrationFiles(await readdir(directory));
+
+    for (const migration of migrations) {
+        migration.upSql = await readFile(path.join(directory, migration.upFile), 'utf8');
+        migration.downSql = await readFile(path.join(directory, migration.downFile), 'utf8');
+        migration.checksum = checksumSql(migration.upSql);
+    }
+
+    return migrations;
+}
+
+// Función para decidir qué migraciones aplicar (up) o revertir (down)
+// applied = [{ version, checksum }] tal como están en schema_migrations
+export function planMigrations(migrations, applied, { direction = 'up', steps = null, to = null } = {}) {
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    // --to 000 en down revierte todo
+    if (to !== null && !known.has(to) && !/^0+$/.test(to)) {
+        throw new Error(`No existe la migración ${to}`);
+    }
+
+    if (direction === 'up') {
+        let pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+        if (to !== null) pending = pending.filter(migration => migration.version <= to);
+        if (steps !== null) pending = pending.slice(0, steps);
+        return pending;
+    }
+
+    if (direction === 'down') {
+        // Una versión aplicada que ya no existe en disco no se puede revertir
+        const missing = applied.filter(row => !known.has(row.version));
+        if (missing.length > 0) {
+            throw new Error(`Migraciones aplicadas sin archivos: ${missing.map(row => row.version).join(', ')}`);
+        }
+
+        let rollback = migrations.filter(migration => appliedVersions.has(migration.version)).reverse();
+        if (to !== null) {
+            rollback = rollback.filter(migration => migration.version > to);
+        } else {
+            rollback = rollback.slice(0, steps ?? 1);
+        }
+        return rollback;
+    }
+
+    throw new Error(`Dirección de migración no soportada: ${direction}`);
+}
+
+// Función para armar el estado de cada migración: applied, pending, modified (checksum distinto) o missing
+export function getMigrationStatus(migrations, applied) {
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        let state = 'pending';
+        if (row) {
+            state = row.checksum && row.checksum !== migration.checksum ? 'modified' : 'applied';
+        }
+        return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+    });
+
+    applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .forEach(row => status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+// Función para conectarse a la base destino (Postgres de Supabase o local)
+async function connect(databaseUrl) {
+    if (!databaseUrl) {
+        throw new Error('Falta DATABASE_URL (cadena de conexión de Postgres, ej. la de Supabase → Settings → Database)');
+    }
+
+    const { default: pg } = await import('pg');
+    const client = new pg.Client({ connectionString: databaseUrl });
+    await client.connect();
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+
+    return client;
+}
+
+// Función para leer las migraciones aplicadas
+async function getAppliedMigrations(client) {
+    const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+    return rows;
+}
+
+// Función para ejecutar una migración dentro de una transacción
+async function runMigration(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        if (direction === 'up') {
+            await client.query(migration.upSql);
+            await client.query(
+                `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+                [migration.version, migration.name, migration.checksum]
+            );
+        } else {
+            await client.query(migration.downSql);
+            await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migración ${migration.version}_${migration.name} (${direction}) falló: ${error.message}`);
+    }
+}
+
+// Función principal: aplica o revierte migraciones contra la base destino
+export async function migrate({ direction = 'up', steps = null, to = null, databaseUrl = process.env.DATABASE_URL } = {}) {
+    const migrations = await loadMigrations();
+    const client = await connect(databaseUrl);
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        const applied = await getAppliedMigrations(client);
+        const plan = planMigrations(migrations, applied, { direction, steps, to });
+
+        if (plan.length === 0) {
+            console.log(direction === 'up' ? '✅ No hay migraciones pendientes' : '📭 No hay migraciones para revertir');
+            return [];
+        }
+
+        for (const migration of plan) {
+            console.log(`${direction === 'up' ? '⬆️' : '⬇️'} ${migration.version}_${migration.name}...`);
+            await runMigration(client, migration, direction);
+        }
+
+        console.log(`✅ ${plan.length} migración(es) ${direction === 'up' ? 'aplicada(s)' : 'revertida(s)'}`);
+        return plan.map(migration => migration.version);
+
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        await client.end();
+    }
+}
+
+// Función para mostrar el estado de las migraciones de la base destino
+export async function showMigrationStatus({ databaseUrl = process.env.DATABASE_URL } = {}) {
+    const migrations = await loadMigrations();
+    const client = await connect(databaseUrl);
+
+    try {
+        const status = getMigrationStatus(migrations, await getAppliedMigrations(client));
+        const icons = { applied: '✅', pending: '⏳', modified: '⚠️', missing: '❓' };
+
+        console.log('\n🗄️ ESTADO DE MIGRACIONES:');
+        console.log('========================');
+        status.forEach(row => {
+            const appliedAt = row.appliedAt ? ` (${new Date(row.appliedAt).toISOString()})` : '';
+            console.log(`   ${icons[row.state]} ${row.version}_${row.name}: ${row.state}${appliedAt}`);
+        });
+
+        return status;
+    } finally {
+        await client.end();
+    }
+}
+
+// Función para leer una opción --nombre valor de la línea de comandos
+function readOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+// Uso: node migrate.js up [--to 005] [--steps 1] | down [--to 003 | --to 000] [--steps 1] | status
+async function main() {
+    const [command = 'status', ...args] = process.argv.slice(2);
+    const steps = readOption(args, 'steps');
+    const options = {
+        steps: steps !== null ? parseInt(steps, 10) : null,
+        to: readOption(args, 'to'),
+        databaseUrl: readOption(args, 'database-url') || process.env.DATABASE_URL
+    };
+
+    try {
+        switch (command) {
+            case 'up':
+            case 'down':
+                await migrate({ direction: command, ...options });
+                break;
+            case 'status':
+                await showMigrationStatus(options);
+                break;
+            default:
+                console.error(`❌ Comando desconocido: ${command} (usa up, down o status)`);
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error('❌ Error en migraciones:', error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await import('dotenv/config');
+    main();
+}
@@ -0,0 +1,10 @@
+DROP FUNCTION IF EXISTS increment_alert_counter(TEXT);
+DROP FUNCTION IF EXISTS claim_next_pending_job(TEXT);
+
+DROP TABLE IF EXISTS ping;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS price_changes;
+DROP TABLE IF EXISTS price_analytics;
+DROP TABLE IF EXISTS historical_prices;
+DROP TABLE IF EXISTS flights;
+DROP TABLE IF EXISTS config_flights;
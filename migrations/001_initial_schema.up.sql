@@ -0,0 +1,160 @@
+-- Esquema original del monitor: cola de trabajos, precios, analytics y notificaciones
+
+CREATE TABLE IF NOT EXISTS config_flights (
+    id BIGSERIAL PRIMARY KEY,
+    origin_city TEXT NOT NULL,
+    destination_city TEXT NOT NULL,
+    flight_date DATE,
+    priority INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    iterations INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    processing_instance_id TEXT,
+    processing_started_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS config_flights_queue_idx
+    ON config_flights (status, priority DESC, updated_at)
+    WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS flights (
+    id BIGSERIAL PRIMARY KEY,
+    "from" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    price NUMERIC(12, 2) NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'MXN',
+    link TEXT,
+    flight_date DATE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS flights_route_idx ON flights ("from", "to", flight_date, updated_at DESC);
+CREATE INDEX IF NOT EXISTS flights_flight_date_idx ON flights (flight_date);
+
+CREATE TABLE IF NOT EXISTS historical_prices (
+    id BIGSERIAL PRIMARY KEY,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE NOT NULL,
+    best_price NUMERIC(12, 2),
+    max_price NUMERIC(12, 2),
+    min_price NUMERIC(12, 2),
+    average_price NUMERIC(12, 2),
+    best_price_currency TEXT,
+    price_trend TEXT,
+    last_updated TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (from_city, to_city, flight_date)
+);
+
+CREATE TABLE IF NOT EXISTS price_analytics (
+    id BIGSERIAL PRIMARY KEY,
+    route_id TEXT NOT NULL UNIQUE,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE,
+    current_min_price NUMERIC(12, 2),
+    current_max_price NUMERIC(12, 2),
+    current_avg_price NUMERIC(12, 2),
+    current_median_price NUMERIC(12, 2),
+    all_time_min_price NUMERIC(12, 2),
+    all_time_max_price NUMERIC(12, 2),
+    price_volatility NUMERIC(12, 2),
+    total_samples INTEGER NOT NULL DEFAULT 0,
+    samples_last_24h INTEGER NOT NULL DEFAULT 0,
+    samples_last_7d INTEGER NOT NULL DEFAULT 0,
+    trend_24h TEXT,
+    trend_7d TEXT,
+    alert_threshold NUMERIC(12, 2) DEFAULT 400,
+    total_alerts_sent INTEGER NOT NULL DEFAULT 0,
+    last_alert_sent_at TIMESTAMPTZ,
+    last_updated TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS price_changes (
+    id BIGSERIAL PRIMARY KEY,
+    route_id TEXT NOT NULL,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE,
+    old_price NUMERIC(12, 2),
+    new_price NUMERIC(12, 2),
+    price_change NUMERIC(12, 2),
+    change_percentage NUMERIC(8, 2),
+    change_type TEXT,
+    samples_analyzed INTEGER,
+    previous_min NUMERIC(12, 2),
+    previous_avg NUMERIC(12, 2),
+    alert_sent BOOLEAN NOT NULL DEFAULT FALSE,
+    alert_reason TEXT,
+    currency TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS price_changes_route_idx ON price_changes (route_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    route_id TEXT,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE,
+    notification_type TEXT,
+    old_price NUMERIC(12, 2),
+    new_price NUMERIC(12, 2),
+    price_drop NUMERIC(12, 2),
+    drop_percentage NUMERIC(8, 2),
+    currency TEXT,
+    alert_reason TEXT,
+    pushcut_response JSONB,
+    notification_sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_route_idx
+    ON notifications (from_city, to_city, flight_date, notification_sent_at DESC);
+
+-- Tabla que escribe el workflow ping-pong.yml para mantener activo el proyecto de Supabase
+CREATE TABLE IF NOT EXISTS ping (
+    id BIGSERIAL PRIMARY KEY,
+    pong TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Reclama el siguiente trabajo pendiente; SKIP LOCKED evita que dos instancias tomen el mismo
+CREATE OR REPLACE FUNCTION claim_next_pending_job(p_instance_id TEXT)
+RETURNS SETOF config_flights
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE config_flights
+    SET status = 'processing',
+        processing_instance_id = p_instance_id,
+        processing_started_at = now(),
+        updated_at = now()
+    WHERE id = (
+        SELECT id
+        FROM config_flights
+        WHERE status = 'pending' AND is_active
+        ORDER BY priority DESC, updated_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION increment_alert_counter(p_route_id TEXT)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE price_analytics
+    SET total_alerts_sent = COALESCE(total_alerts_sent, 0) + 1
+    WHERE route_id = p_route_id;
+$$;
@@ -0,0 +1,10 @@
+ALTER TABLE flights
+    DROP COLUMN IF EXISTS legs,
+    DROP COLUMN IF EXISTS trip_type,
+    DROP COLUMN IF EXISTS return_date;
+
+ALTER TABLE config_flights
+    DROP COLUMN IF EXISTS last_error,
+    DROP COLUMN IF EXISTS legs,
+    DROP COLUMN IF EXISTS trip_type,
+    DROP COLUMN IF EXISTS return_date;
@@ -0,0 +1,12 @@
+-- Viajes de ida y vuelta / multi-destino y motivo del último fallo de cada trabajo
+
+ALTER TABLE config_flights
+    ADD COLUMN IF NOT EXISTS return_date DATE,
+    ADD COLUMN IF NOT EXISTS trip_type TEXT NOT NULL DEFAULT 'one_way',
+    ADD COLUMN IF NOT EXISTS legs JSONB,
+    ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE flights
+    ADD COLUMN IF NOT EXISTS return_date DATE,
+    ADD COLUMN IF NOT EXISTS trip_type TEXT NOT NULL DEFAULT 'one_way',
+    ADD COLUMN IF NOT EXISTS legs JSONB;
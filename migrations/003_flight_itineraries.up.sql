@@ -0,0 +1,25 @@
+-- Todos los itinerarios visibles de cada búsqueda como filas hijas de flights
+
+CREATE TABLE IF NOT EXISTS flight_itineraries (
+    id BIGSERIAL PRIMARY KEY,
+    flight_id BIGINT NOT NULL REFERENCES flights (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    "from" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    flight_date DATE NOT NULL,
+    return_date DATE,
+    airline TEXT,
+    departure_time TEXT,
+    arrival_time TEXT,
+    duration_minutes INTEGER,
+    stops INTEGER,
+    layover_airports JSONB,
+    price NUMERIC(12, 2) NOT NULL,
+    currency TEXT,
+    price_base NUMERIC(12, 2),
+    booking_link TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS flight_itineraries_flight_idx ON flight_itineraries (flight_id);
+CREATE INDEX IF NOT EXISTS flight_itineraries_route_idx ON flight_itineraries ("from", "to", flight_date, price);
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS exchange_rates;
+
+ALTER TABLE price_analytics
+    DROP COLUMN IF EXISTS currency,
+    DROP COLUMN IF EXISTS return_date;
+
+ALTER TABLE flights
+    DROP COLUMN IF EXISTS base_currency,
+    DROP COLUMN IF EXISTS price_base;
@@ -0,0 +1,20 @@
+-- Precios normalizados a la moneda base y analytics separados por fecha de regreso
+
+ALTER TABLE flights
+    ADD COLUMN IF NOT EXISTS price_base NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS base_currency TEXT;
+
+ALTER TABLE price_analytics
+    ADD COLUMN IF NOT EXISTS return_date DATE,
+    ADD COLUMN IF NOT EXISTS currency TEXT;
+
+-- Tipos de cambio: 1 unidad de currency = rate unidades de base_currency
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id BIGSERIAL PRIMARY KEY,
+    currency TEXT NOT NULL,
+    rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+    base_currency TEXT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS exchange_rates_lookup_idx ON exchange_rates (base_currency, currency, updated_at DESC);
@@ -0,0 +1,9 @@
+ALTER TABLE flights
+    DROP COLUMN IF EXISTS window_job_id,
+    DROP COLUMN IF EXISTS source;
+
+ALTER TABLE config_flights
+    DROP COLUMN IF EXISTS window_weekdays,
+    DROP COLUMN IF EXISTS window_end,
+    DROP COLUMN IF EXISTS window_start,
+    DROP COLUMN IF EXISTS search_mode;
@@ -0,0 +1,13 @@
+-- Trabajos de ventana de fechas flexible y origen de cada precio guardado
+
+ALTER TABLE config_flights
+    ADD COLUMN IF NOT EXISTS search_mode TEXT NOT NULL DEFAULT 'fixed_date',
+    ADD COLUMN IF NOT EXISTS window_start DATE,
+    ADD COLUMN IF NOT EXISTS window_end DATE,
+    ADD COLUMN IF NOT EXISTS window_weekdays JSONB;
+
+ALTER TABLE flights
+    ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'search',
+    ADD COLUMN IF NOT EXISTS window_job_id BIGINT REFERENCES config_flights (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS flights_window_job_idx ON flights (window_job_id) WHERE window_job_id IS NOT NULL;
@@ -0,0 +1,7 @@
+ALTER TABLE price_analytics ADD COLUMN IF NOT EXISTS alert_threshold NUMERIC(12, 2) DEFAULT 400;
+
+ALTER TABLE price_changes
+    DROP COLUMN IF EXISTS alert_rule_type,
+    DROP COLUMN IF EXISTS alert_rule_id;
+
+DROP TABLE IF EXISTS alert_rules;
@@ -0,0 +1,22 @@
+-- Reglas de alerta por ruta (reemplazan el umbral fijo price_analytics.alert_threshold)
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id BIGSERIAL PRIMARY KEY,
+    route_id TEXT,
+    from_city TEXT,
+    to_city TEXT,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('absolute_drop', 'percent_drop', 'target_price', 'below_median')),
+    threshold NUMERIC(12, 2) NOT NULL CHECK (threshold > 0),
+    window_days INTEGER CHECK (window_days > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (rule_type <> 'below_median' OR window_days IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS alert_rules_active_idx ON alert_rules (route_id, from_city, to_city) WHERE is_active;
+
+ALTER TABLE price_changes
+    ADD COLUMN IF NOT EXISTS alert_rule_id BIGINT REFERENCES alert_rules (id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS alert_rule_type TEXT;
+
+ALTER TABLE price_analytics DROP COLUMN IF EXISTS alert_threshold;
@@ -0,0 +1,7 @@
+ALTER TABLE notifications
+    DROP COLUMN IF EXISTS subscriber,
+    DROP COLUMN IF EXISTS channel;
+
+ALTER TABLE notifications RENAME COLUMN delivery_response TO pushcut_response;
+
+DROP TABLE IF EXISTS notification_subscriptions;
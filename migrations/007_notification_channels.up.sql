@@ -0,0 +1,26 @@
+-- Canales de notificación: suscripciones por ruta y una fila de notifications por canal
+
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    subscriber TEXT,
+    channel TEXT NOT NULL CHECK (channel IN ('pushcut', 'webhook', 'telegram', 'slack', 'discord', 'email')),
+    route_id TEXT,
+    from_city TEXT,
+    to_city TEXT,
+    -- Solo datos no secretos (chat_id, to) o nombres de variables de entorno (url_env, token_env)
+    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notification_subscriptions_active_idx
+    ON notification_subscriptions (route_id, from_city, to_city) WHERE is_active;
+
+ALTER TABLE notifications RENAME COLUMN pushcut_response TO delivery_response;
+
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS channel TEXT,
+    ADD COLUMN IF NOT EXISTS subscriber TEXT;
+
+-- Las notificaciones anteriores solo se enviaban por Pushcut
+UPDATE notifications SET channel = 'pushcut' WHERE channel IS NULL;
@@ -0,0 +1,26 @@
+-- Telemetría de scraping: una fila por ejecución con tiempos por paso y categoría de falla
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_id BIGINT REFERENCES config_flights (id) ON DELETE SET NULL,
+    route TEXT NOT NULL,
+    search_mode TEXT NOT NULL DEFAULT 'fixed_date',
+    trip_type TEXT NOT NULL DEFAULT 'one_way',
+    flight_date DATE,
+    instance_id TEXT,
+    success BOOLEAN NOT NULL,
+    failure_step TEXT,
+    failure_category TEXT CHECK (failure_category IN ('selector_missing', 'no_results', 'captcha_consent', 'timeout', 'validation', 'unknown')),
+    error_message TEXT,
+    -- [{ step, status, duration_ms }] en el orden en que se ejecutaron
+    step_timings JSONB NOT NULL DEFAULT '[]'::jsonb,
+    duration_ms INTEGER,
+    screenshot_path TEXT,
+    html_path TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS scrape_runs_started_at_idx ON scrape_runs (started_at DESC);
+CREATE INDEX IF NOT EXISTS scrape_runs_route_idx ON scrape_runs (route, started_at DESC);
@@ -0,0 +1,36 @@
+ALTER TABLE scrape_runs DROP CONSTRAINT IF EXISTS scrape_runs_failure_category_check;
+
+UPDATE scrape_runs
+SET failure_category = 'captcha_consent'
+WHERE failure_category IN ('consent', 'captcha', 'rate_limited');
+
+ALTER TABLE scrape_runs
+    ADD CONSTRAINT scrape_runs_failure_category_check
+    CHECK (failure_category IN ('selector_missing', 'no_results', 'captcha_consent', 'timeout', 'validation', 'unknown'));
+
+CREATE OR REPLACE FUNCTION claim_next_pending_job(p_instance_id TEXT)
+RETURNS SETOF config_flights
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE config_flights
+    SET status = 'processing',
+        processing_instance_id = p_instance_id,
+        processing_started_at = now(),
+        updated_at = now()
+    WHERE id = (
+        SELECT id
+        FROM config_flights
+        WHERE status = 'pending' AND is_active
+        ORDER BY priority DESC, updated_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$;
+
+ALTER TABLE config_flights
+    DROP COLUMN IF EXISTS challenge_count,
+    DROP COLUMN IF EXISTS next_attempt_at;
@@ -0,0 +1,38 @@
+-- Desafíos anti-bot: backoff por trabajo y categorías separadas para consentimiento, captcha y límite de solicitudes
+
+ALTER TABLE config_flights
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS challenge_count INTEGER NOT NULL DEFAULT 0;
+
+-- Los trabajos en backoff no se reclaman hasta next_attempt_at
+CREATE OR REPLACE FUNCTION claim_next_pending_job(p_instance_id TEXT)
+RETURNS SETOF config_flights
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE config_flights
+    SET status = 'processing',
+        processing_instance_id = p_instance_id,
+        processing_started_at = now(),
+        updated_at = now()
+    WHERE id = (
+        SELECT id
+        FROM config_flights
+        WHERE status = 'pending' AND is_active
+          AND (next_attempt_at IS NULL OR next_attempt_at <= now())
+        ORDER BY priority DESC, updated_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$;
+
+ALTER TABLE scrape_runs DROP CONSTRAINT IF EXISTS scrape_runs_failure_category_check;
+
+UPDATE scrape_runs SET failure_category = 'captcha' WHERE failure_category = 'captcha_consent';
+
+ALTER TABLE scrape_runs
+    ADD CONSTRAINT scrape_runs_failure_category_check
+    CHECK (failure_category IN ('selector_missing', 'no_results', 'consent', 'captcha', 'rate_limited', 'timeout', 'validation', 'unknown'));
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS config_flights_dead_letter_idx;
+
+UPDATE config_flights
+SET status = 'failed'
+WHERE status = 'dead_letter';
+
+ALTER TABLE config_flights
+    DROP COLUMN IF EXISTS dead_lettered_at;
@@ -0,0 +1,20 @@
+-- Reintentos con backoff (next_attempt_at, agregado en 009) y cola de trabajos muertos
+
+ALTER TABLE config_flights
+    ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ;
+
+-- Los trabajos 'failed' que agotaron sus intentos quedaban atascados: pasan a dead_letter
+UPDATE config_flights
+SET status = 'dead_letter',
+    dead_lettered_at = updated_at
+WHERE status = 'failed' AND attempts >= 3;
+
+-- Los que esperaban el setTimeout para volver a pending se reintentan en la próxima ejecución
+UPDATE config_flights
+SET status = 'pending',
+    next_attempt_at = NULL
+WHERE status = 'failed';
+
+CREATE INDEX IF NOT EXISTS config_flights_dead_letter_idx
+    ON config_flights (dead_lettered_at DESC)
+    WHERE status = 'dead_letter';
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS config_flights_schedule_idx;
+
+-- Los trabajos retirados vuelven a quedar como completados y pausados
+UPDATE config_flights
+SET status = 'completed'
+WHERE status = 'retired';
+
+ALTER TABLE config_flights
+    DROP COLUMN IF EXISTS retired_at,
+    DROP COLUMN IF EXISTS next_scrape_at,
+    DROP COLUMN IF EXISTS last_scraped_at;
@@ -0,0 +1,15 @@
+-- Scheduler: cada ruta se vuelve a scrapear según su próxima fecha debida; las fechas pasadas se retiran
+
+ALTER TABLE config_flights
+    ADD COLUMN IF NOT EXISTS last_scraped_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS next_scrape_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;
+
+-- Los trabajos completados antes del scheduler toman su última actualización como último scraping
+UPDATE config_flights
+SET last_scraped_at = updated_at
+WHERE status = 'completed' AND last_scraped_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS config_flights_schedule_idx
+    ON config_flights (next_scrape_at)
+    WHERE status = 'completed' AND is_active;
@@ -0,0 +1,4 @@
+ALTER TABLE price_analytics
+    DROP COLUMN IF EXISTS forecast_confidence,
+    DROP COLUMN IF EXISTS forecast_drop_probability,
+    DROP COLUMN IF EXISTS forecast_recommendation;
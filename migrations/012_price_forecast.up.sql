@@ -0,0 +1,6 @@
+-- Pronóstico "comprar o esperar" por ruta (se recalcula en cada actualización de analytics)
+
+ALTER TABLE price_analytics
+    ADD COLUMN IF NOT EXISTS forecast_recommendation TEXT CHECK (forecast_recommendation IN ('buy', 'wait')),
+    ADD COLUMN IF NOT EXISTS forecast_drop_probability NUMERIC(5, 3),
+    ADD COLUMN IF NOT EXISTS forecast_confidence NUMERIC(4, 2);
@@ -0,0 +1,7 @@
+ALTER TABLE price_analytics
+    DROP COLUMN IF EXISTS pending_outlier_at,
+    DROP COLUMN IF EXISTS pending_outlier_price;
+
+ALTER TABLE price_changes
+    DROP COLUMN IF EXISTS baseline_price,
+    DROP COLUMN IF EXISTS anomaly_score;
@@ -0,0 +1,10 @@
+-- Detección de anomalías: puntaje de cada muestra contra la ventana móvil y confirmación de bajadas atípicas
+
+ALTER TABLE price_changes
+    ADD COLUMN IF NOT EXISTS anomaly_score NUMERIC(8, 2),
+    ADD COLUMN IF NOT EXISTS baseline_price NUMERIC(12, 2);
+
+-- Bajada atípica a la espera de que un nuevo scraping la confirme antes de alertar
+ALTER TABLE price_analytics
+    ADD COLUMN IF NOT EXISTS pending_outlier_price NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS pending_outlier_at TIMESTAMPTZ;
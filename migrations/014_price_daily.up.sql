@@ -0,0 +1,32 @@
+-- Agregados diarios de precios por ruta (OHLC): se actualizan solo con las muestras nuevas de flights
+-- y el analytics se calcula sobre ellos. La primera evaluación de cada ruta suma su historia completa
+
+CREATE TABLE IF NOT EXISTS price_daily (
+    id BIGSERIAL PRIMARY KEY,
+    route_id TEXT NOT NULL,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE,
+    return_date DATE,
+    day DATE NOT NULL,
+    currency TEXT NOT NULL,
+    open_price NUMERIC(12, 2) NOT NULL,
+    close_price NUMERIC(12, 2) NOT NULL,
+    min_price NUMERIC(12, 2) NOT NULL,
+    max_price NUMERIC(12, 2) NOT NULL,
+    median_price NUMERIC(12, 2) NOT NULL,
+    avg_price NUMERIC(12, 2) NOT NULL,
+    stddev_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sample_count INTEGER NOT NULL,
+    -- Precios del día en moneda base: permiten recalcular la mediana al llegar muestras nuevas
+    prices JSONB NOT NULL DEFAULT '[]'::jsonb,
+    first_sample_at TIMESTAMPTZ NOT NULL,
+    last_sample_at TIMESTAMPTZ NOT NULL,
+    -- Último id de flights sumado al día (marca de agua del rollup incremental)
+    last_flight_id BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (route_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS price_daily_route_flight_idx ON price_daily (route_id, last_flight_id DESC);
+CREATE INDEX IF NOT EXISTS price_daily_cities_idx ON price_daily (from_city, to_city, flight_date, day);
@@ -0,0 +1,32 @@
+-- Recrea historical_prices con el resumen de las rutas solo ida de price_analytics
+-- (las filas que la subida agregó a price_analytics se conservan)
+
+CREATE TABLE IF NOT EXISTS historical_prices (
+    id BIGSERIAL PRIMARY KEY,
+    from_city TEXT NOT NULL,
+    to_city TEXT NOT NULL,
+    flight_date DATE NOT NULL,
+    best_price NUMERIC(12, 2),
+    max_price NUMERIC(12, 2),
+    min_price NUMERIC(12, 2),
+    average_price NUMERIC(12, 2),
+    best_price_currency TEXT,
+    price_trend TEXT,
+    last_updated TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (from_city, to_city, flight_date)
+);
+
+INSERT INTO historical_prices (
+    from_city, to_city, flight_date, best_price, max_price, min_price, average_price,
+    best_price_currency, price_trend, last_updated, created_at
+)
+SELECT
+    from_city, to_city, flight_date, all_time_min_price, all_time_max_price, all_time_min_price, current_avg_price,
+    currency,
+    CASE trend_7d WHEN 'down' THEN 'decreasing' WHEN 'up' THEN 'increasing' ELSE 'stable' END,
+    last_updated, created_at
+FROM price_analytics
+WHERE flight_date IS NOT NULL
+  AND route_id = from_city || '::' || to_city || '::' || to_char(flight_date, 'YYYY-MM-DD')
+ON CONFLICT (from_city, to_city, flight_date) DO NOTHING;
@@ -0,0 +1,37 @@
+-- Un solo modelo de analytics: los datos de historical_prices pasan a price_analytics y la tabla se elimina
+-- historical_prices guardaba precios en la moneda del scraping: las filas nuevas conservan esa moneda
+-- y el evaluador las reemplaza por la moneda base al recalcular la ruta
+
+-- Rutas que solo existen en historical_prices (siempre solo ida: la tabla no tenía fecha de regreso)
+INSERT INTO price_analytics (
+    route_id, from_city, to_city, flight_date, currency,
+    current_min_price, current_max_price, current_avg_price,
+    all_time_min_price, all_time_max_price, trend_7d,
+    last_updated, created_at
+)
+SELECT
+    hp.from_city || '::' || hp.to_city || '::' || to_char(hp.flight_date, 'YYYY-MM-DD'),
+    hp.from_city,
+    hp.to_city,
+    hp.flight_date,
+    hp.best_price_currency,
+    hp.min_price,
+    hp.max_price,
+    hp.average_price,
+    LEAST(hp.best_price, hp.min_price),
+    hp.max_price,
+    CASE hp.price_trend WHEN 'decreasing' THEN 'down' WHEN 'increasing' THEN 'up' ELSE 'stable' END,
+    hp.last_updated,
+    hp.created_at
+FROM historical_prices hp
+ON CONFLICT (route_id) DO NOTHING;
+
+-- Rutas presentes en ambas tablas: el mínimo y máximo históricos se combinan si la moneda coincide
+UPDATE price_analytics pa
+SET all_time_min_price = LEAST(pa.all_time_min_price, hp.best_price, hp.min_price),
+    all_time_max_price = GREATEST(pa.all_time_max_price, hp.max_price)
+FROM historical_prices hp
+WHERE pa.route_id = hp.from_city || '::' || hp.to_city || '::' || to_char(hp.flight_date, 'YYYY-MM-DD')
+  AND pa.currency = hp.best_price_currency;
+
+DROP TABLE IF EXISTS historical_prices;
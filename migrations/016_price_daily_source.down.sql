@@ -0,0 +1,9 @@
+DELETE FROM price_daily WHERE source = 'calendar';
+
+DROP INDEX IF EXISTS price_daily_route_flight_idx;
+CREATE INDEX IF NOT EXISTS price_daily_route_flight_idx ON price_daily (route_id, last_flight_id DESC);
+
+ALTER TABLE price_daily DROP CONSTRAINT IF EXISTS price_daily_route_source_day_key;
+ALTER TABLE price_daily ADD CONSTRAINT price_daily_route_id_day_key UNIQUE (route_id, day);
+
+ALTER TABLE price_daily DROP COLUMN IF EXISTS source;
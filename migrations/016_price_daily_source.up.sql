@@ -0,0 +1,24 @@
+-- Los precios del calendario de las ventanas (flights.source = 'calendar') se sumaban a los agregados
+-- diarios de la ruta de fecha fija. Cada fuente tiene ahora sus propias filas en price_daily
+
+ALTER TABLE price_daily
+    ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'search'
+    CHECK (source IN ('search', 'calendar'));
+
+ALTER TABLE price_daily DROP CONSTRAINT IF EXISTS price_daily_route_id_day_key;
+ALTER TABLE price_daily ADD CONSTRAINT price_daily_route_source_day_key UNIQUE (route_id, source, day);
+
+DROP INDEX IF EXISTS price_daily_route_flight_idx;
+CREATE INDEX IF NOT EXISTS price_daily_route_flight_idx ON price_daily (route_id, source, last_flight_id DESC);
+
+-- Las filas de fechas con precios de calendario mezclan ambas fuentes: se borran y el siguiente rollup de
+-- cada ruta las vuelve a armar desde flights (price_daily es derivada)
+DELETE FROM price_daily pd
+WHERE EXISTS (
+    SELECT 1
+    FROM flights f
+    WHERE f.source = 'calendar'
+      AND f."from" = pd.from_city
+      AND f."to" = pd.to_city
+      AND f.flight_date = pd.flight_date
+);
@@ -0,0 +1,6 @@
+DELETE FROM price_daily WHERE route_id ~ '::[0-9a-f]{12}$';
+
+DROP INDEX IF EXISTS flights_itinerary_key_idx;
+
+ALTER TABLE flight_itineraries DROP COLUMN IF EXISTS itinerary_key;
+ALTER TABLE flights DROP COLUMN IF EXISTS itinerary_key;
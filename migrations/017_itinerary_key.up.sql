@@ -0,0 +1,42 @@
+-- Un multi-destino se identificaba solo por origen, destino y fechas extremas: compartía route_id,
+-- analytics y agregados diarios con el ida y vuelta de las mismas fechas y con otros multi-destino.
+-- itinerary_key es un hash corto de sus tramos (getItineraryKey de trip_types.js) y va al final del route_id
+
+ALTER TABLE flights ADD COLUMN IF NOT EXISTS itinerary_key TEXT;
+ALTER TABLE flight_itineraries ADD COLUMN IF NOT EXISTS itinerary_key TEXT;
+
+-- Misma clave que calcula el código: md5 de "origen>destino@fecha" de cada tramo, unidos con "|"
+UPDATE flights f
+SET itinerary_key = left(md5(k.signature), 12)
+FROM (
+    SELECT fl.id,
+           string_agg(format('%s>%s@%s', leg ->> 'origin', leg ->> 'destination', leg ->> 'date'), '|' ORDER BY n) AS signature
+    FROM flights fl
+    CROSS JOIN LATERAL jsonb_array_elements(fl.legs) WITH ORDINALITY AS t(leg, n)
+    WHERE fl.trip_type = 'multi_city'
+      AND jsonb_typeof(fl.legs) = 'array'
+    GROUP BY fl.id
+) k
+WHERE f.id = k.id;
+
+UPDATE flight_itineraries fi
+SET itinerary_key = f.itinerary_key
+FROM flights f
+WHERE fi.flight_id = f.id
+  AND f.itinerary_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS flights_itinerary_key_idx ON flights (itinerary_key) WHERE itinerary_key IS NOT NULL;
+
+-- Los agregados diarios de rutas que mezclaron muestras multi-destino se borran y el siguiente rollup
+-- los vuelve a armar desde flights (price_daily es derivada). Los analytics multi-destino empiezan de
+-- nuevo con su route_id propio
+DELETE FROM price_daily pd
+WHERE EXISTS (
+    SELECT 1
+    FROM flights f
+    WHERE f.itinerary_key IS NOT NULL
+      AND f."from" = pd.from_city
+      AND f."to" = pd.to_city
+      AND f.flight_date = pd.flight_date
+      AND f.return_date IS NOT DISTINCT FROM pd.return_date
+);
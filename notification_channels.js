@@ -0,0 +1,232 @@
+import { CONFIG } from './config.js';
+import { describeForecast } from './price_forecast.js';
+
+// Canales soportados en notification_subscriptions.channel
+export const CHANNEL_TYPES = {
+    PUSHCUT: 'pushcut',
+    WEBHOOK: 'webhook',
+    TELEGRAM: 'telegram',
+    SLACK: 'slack',
+    DISCORD: 'discord',
+    EMAIL: 'email'
+};
+
+// Variables de entorno por defecto de cada canal (los secretos nunca se guardan en config ni en la base)
+// Una suscripción puede apuntar a otra variable con settings.<clave>_env (ej. { "url_env": "SLACK_WEBHOOK_EQUIPO" })
+const DEFAULT_ENV = {
+    [CHANNEL_TYPES.PUSHCUT]: { url: 'PUSHCUT_URL' },
+    [CHANNEL_TYPES.WEBHOOK]: { url: 'ALERT_WEBHOOK_URL' },
+    [CHANNEL_TYPES.TELEGRAM]: { token: 'TELEGRAM_BOT_TOKEN', chat_id: 'TELEGRAM_CHAT_ID' },
+    [CHANNEL_TYPES.SLACK]: { url: 'SLACK_WEBHOOK_URL' },
+    [CHANNEL_TYPES.DISCORD]: { url: 'DISCORD_WEBHOOK_URL' },
+    [CHANNEL_TYPES.EMAIL]: {
+        host: 'SMTP_HOST',
+        port: 'SMTP_PORT',
+        user: 'SMTP_USER',
+        pass: 'SMTP_PASS',
+        from: 'SMTP_FROM',
+        to: 'ALERT_EMAIL_TO'
+    }
+};
+
+// Claves que NO son secretas y pueden venir directo en settings (ej. el chat o el correo del suscriptor)
+const PLAIN_SETTINGS = ['chat_id', 'to'];
+
+// Función para leer un valor de un canal: settings (solo claves no secretas) o variable de entorno
+function resolveSetting(channel, settings, key, env = process.env) {
+    if (PLAIN_SETTINGS.includes(key) && settings[key]) {
+        return String(settings[key]);
+    }
+
+    const envName = settings[`${key}_env`] || DEFAULT_ENV[channel][key];
+    return envName && env[envName] ? env[envName] : null;
+}
+
+// Función para exigir un valor de un canal con un error claro
+function requireSetting(channel, settings, key, env) {
+    const value = resolveSetting(channel, settings, key, env);
+    if (!value) {
+        const envName = settings[`${key}_env`] || DEFAULT_ENV[channel][key];
+        throw new Error(`El canal ${channel} requiere la variable de entorno ${envName}`);
+    }
+    return value;
+}
+
+// Función para armar el título y texto de una alerta de precio
+export function formatAlertMessage(alert) {
+    const forecast = describeForecast(alert.forecast);
+    return {
+        title: `Vuelo ${alert.from} → ${alert.to}`,
+        text: `${alert.reason}: ${alert.currency}$${alert.currentPrice} para ${alert.flightDate}`
+            + (forecast ? `. Recomendación: ${forecast}` : '')
+    };
+}
+
+// Función para armar la petición HTTP de un canal: { url, body }
+export function buildChannelRequest(channel, alert, settings = {}, env = process.env) {
+    const { title, text } = formatAlertMessage(alert);
+
+    switch (channel) {
+        case CHANNEL_TYPES.PUSHCUT:
+            return {
+                url: requireSetting(channel, settings, 'url', env),
+                body: { title, text }
+            };
+
+        case CHANNEL_TYPES.WEBHOOK:
+            return {
+                url: requireSetting(channel, settings, 'url', env),
+                body: {
+                    event: 'price_alert',
+                    title,
+                    text,
+                    route_id: alert.routeId,
+                    from_city: alert.from,
+                    to_city: alert.to,
+                    flight_date: alert.flightDate,
+                    new_price: alert.currentPrice,
+                    old_price: alert.oldPrice,
+                    price_drop: alert.priceDrop,
+                    currency: alert.currency,
+                    reason: alert.reason,
+                    forecast_recommendation: alert.forecast?.recommendation ?? null,
+                    forecast_drop_probability: alert.forecast?.dropProbability ?? null,
+                    forecast_confidence: alert.forecast?.confidence ?? null
+                }
+            };
+
+        case CHANNEL_TYPES.TELEGRAM: {
+            const token = requireSetting(channel, settings, 'token', env);
+            return {
+                url: `https://api.telegram.org/bot${token}/sendMessage`,
+                body: {
+                    chat_id: requireSetting(channel, settings, 'chat_id', env),
+                    text: `${title}\n${text}`,
+                    disable_web_page_preview: true
+                }
+            };
+        }
+
+        case CHANNEL_TYPES.SLACK:
+            return {
+                url: requireSetting(channel, settings, 'url', env),
+                body: { text: `*${title}*\n${text}` }
+            };
+
+        case CHANNEL_TYPES.DISCORD:
+            return {
+                url: requireSetting(channel, settings, 'url', env),
+                body: { content: `**${title}**\n${text}` }
+            };
+
+        default:
+            throw new Error(`Canal de notificación no soportado por HTTP: ${channel}`);
+    }
+}
+
+// Función para armar el transporte SMTP y el correo de una alerta
+export function buildEmailMessage(alert, settings = {}, env = process.env) {
+    const { title, text } = formatAlertMessage(alert);
+    const channel = CHANNEL_TYPES.EMAIL;
+    const port = parseInt(resolveSetting(channel, settings, 'port', env) || '587', 10);
+    const user = resolveSetting(channel, settings, 'user', env);
+
+    return {
+        transport: {
+            host: requireSetting(channel, settings, 'host', env),
+            port,
+            secure: port === 465,
+            auth: user ? { user, pass: resolveSetting(channel, settings, 'pass', env) } : undefined
+        },
+        mail: {
+            from: resolveSetting(channel, settings, 'from', env) || user,
+            to: requireSetting(channel, settings, 'to', env),
+            subject: title,
+            text
+        }
+    };
+}
+
+// Función para enviar una alerta por correo SMTP (nodemailer se carga solo si se usa el canal)
+async function sendEmail(alert, settings) {
+    const { transport, mail } = buildEmailMessage(alert, settings);
+    const { default: nodemailer } = await import('nodemailer');
+
+    const info = await nodemailer.createTransport(transport).sendMail(mail);
+    return {
+        success: info.rejected.length === 0,
+        response: { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected }
+    };
+}
+
+// Función para enviar una alerta por un canal HTTP (Pushcut, webhook, Telegram, Slack, Discord)
+async function sendHttp(channel, alert, settings) {
+    const { url, body } = buildChannelRequest(channel, alert, settings);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(CONFIG.NOTIFICATIONS.REQUEST_TIMEOUT_MS)
+    });
+
+    const responseText = await response.text().catch(() => '');
+    let responseData = responseText || null;
+    try {
+        responseData = responseText ? JSON.parse(responseText) : null;
+    } catch {
+        // Slack y Discord responden texto plano ("ok") o vacío
+    }
+
+    return {
+        success: response.ok,
+        status: response.status,
+        response: responseData
+    };
+}
+
+// Función principal: entrega una alerta por un canal y nunca lanza (el error queda en el resultado)
+export async function deliverToChannel(channel, alert, settings = {}) {
+    try {
+        if (!Object.values(CHANNEL_TYPES).includes(channel)) {
+            throw new Error(`Canal de notificación no soportado: ${channel}`);
+        }
+
+        const result = channel === CHANNEL_TYPES.EMAIL
+            ? await sendEmail(alert, settings)
+            : await sendHttp(channel, alert, settings);
+
+        return { channel, ...result };
+    } catch (error) {
+        return { channel, success: false, error: error.message };
+    }
+}
+
+// Función para elegir las suscripciones que reciben la alerta de una ruta
+// Se suman todas las que aplican: route_id exacto, origen/destino (null = cualquiera) y globales
+// Sin suscripciones se usan los canales de CONFIG.NOTIFICATIONS.DEFAULT_CHANNELS
+export function selectSubscriptions(subscriptions, { routeId, fromCity, toCity }) {
+    const matching = (subscriptions || []).filter(subscription => {
+        if (subscription.route_id) {
+            return subscription.route_id === routeId;
+        }
+        return (!subscription.from_city || subscription.from_city === fromCity) &&
+               (!subscription.to_city || subscription.to_city === toCity);
+    });
+
+    if (matching.length > 0) {
+        return matching.map(subscription => ({
+            id: subscription.id ?? null,
+            subscriber: subscription.subscriber ?? null,
+            channel: subscription.channel,
+            settings: subscription.settings || {}
+        }));
+    }
+
+    return CONFIG.NOTIFICATIONS.DEFAULT_CHANNELS.map(channel => ({
+        id: null,
+        subscriber: null,
+        channel,
+        settings: {}
+    }));
+}
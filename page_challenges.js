@@ -0,0 +1,54 @@
+// Detección de páginas que no son resultados: consentimiento de cookies, captcha y límite de solicitudes
+
+// Tipos de desafío (también son categorías de falla en scrape_runs)
+export const CHALLENGE_TYPES = {
+    CONSENT: 'consent',
+    CAPTCHA: 'captcha',
+    RATE_LIMIT: 'rate_limited'
+};
+
+// Textos e indicadores en los idiomas que usa Google según la IP del runner
+const CONSENT_URL_REGEX = /^https?:\/\/consent\.google\./i;
+const CONSENT_HTML_REGEX = /action="https:\/\/consent\.google\.[^"]*"|Before you continue to Google|Antes de ir a Google|Antes de continuar a Google|Antes de continuar para o Google/i;
+const CAPTCHA_URL_REGEX = /^https?:\/\/(www\.)?google\.[^/]+\/sorry\//i;
+const CAPTCHA_HTML_REGEX = /id="captcha-form"|class="g-recaptcha"|unusual traffic from your computer network|tráfico inusual desde tu red|tráfego incomum/i;
+const RATE_LIMIT_HTML_REGEX = /429 Too Many Requests|<title>Too Many Requests|demasiadas solicitudes|solicitações em excesso/i;
+
+// Función para detectar si la página actual es un desafío en lugar de Google Flights
+// status = código HTTP de la navegación (si se conoce); devuelve un CHALLENGE_TYPES o null
+export function detectChallenge({ url = '', html = '', status = null } = {}) {
+    if (status === 429 || RATE_LIMIT_HTML_REGEX.test(html)) {
+        return CHALLENGE_TYPES.RATE_LIMIT;
+    }
+    if (CAPTCHA_URL_REGEX.test(url) || CAPTCHA_HTML_REGEX.test(html)) {
+        return CHALLENGE_TYPES.CAPTCHA;
+    }
+    if (CONSENT_URL_REGEX.test(url) || CONSENT_HTML_REGEX.test(html)) {
+        return CHALLENGE_TYPES.CONSENT;
+    }
+    return null;
+}
+
+// Función para crear el error que corta un scraping al encontrar un desafío
+// Lleva .challenge para que processJob aplique backoff en lugar de contarlo como intento fallido
+export function createChallengeError(challenge, url = '') {
+    const messages = {
+        [CHALLENGE_TYPES.CONSENT]: 'No se pudo aceptar la página de consentimiento de Google',
+        [CHALLENGE_TYPES.CAPTCHA]: 'Google mostró un captcha (tráfico inusual)',
+        [CHALLENGE_TYPES.RATE_LIMIT]: 'Google limitó las solicitudes (HTTP 429)'
+    };
+    return Object.assign(new Error(`${messages[challenge] || `Desafío ${challenge}`}${url ? ` en ${url}` : ''}`), { challenge });
+}
+
+// Función para calcular cuándo reintentar un trabajo después de su N-ésimo desafío seguido
+// Backoff exponencial: base, 2×base, 4×base... hasta maxMinutes
+export function computeChallengeBackoff(challengeCount, { baseMinutes, maxMinutes, now = Date.now() }) {
+    const exponent = Math.max(0, challengeCount - 1);
+    const minutes = Math.min(baseMinutes * 2 ** exponent, maxMinutes);
+    return new Date(now + minutes * 60 * 1000).toISOString();
+}
+
+// Función para saber si un desafío afecta a toda la ejecución (la IP del runner está marcada)
+export function isBlockingChallenge(challenge) {
+    return challenge === CHALLENGE_TYPES.CAPTCHA || challenge === CHALLENGE_TYPES.RATE_LIMIT;
+}
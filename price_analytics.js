@@ -1,10 +1,12 @@
-import { createClient } from '@supabase/supabase-js';
 import { CONFIG } from './config.js';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+import { loadExchangeRates, getBasePrice, convertToBase } from './currency_converter.js';
+import { selectRulesForRoute, getMedianWindows, evaluateAlertRules, describeRule } from './alert_rules.js';
+import { forecastRoute, describeForecast, describeConfidence } from './price_forecast.js';
+import { computeAnomalyScore, getRobustReferencePrice, planOutlierConfirmation, classifyPriceChange } from './price_anomaly.js';
+import { rollupNewSamples, loadDailyRollups } from './price_daily.js';
+import { combineDailyStats, summarizeRecentDays, toCloseSeries } from './price_rollup.js';
+import { PRICE_SOURCES, TRIP_TYPES, filterByItinerary } from './trip_types.js';
+import { db } from './storage.js';
 
 // Función para calcular estadísticas avanzadas
 function calculateAdvancedStats(prices) {
@@ -55,69 +57,88 @@ function calculateTrend(recentPrices, olderPrices) {
     return 'stable';
 }
 
-// Función para generar route_id único
-function generateRouteId(fromCity, toCity, flightDate) {
-    return `${fromCity}::${toCity}::${flightDate}`;
+// Función para generar route_id único (los viajes con regreso incluyen la fecha de regreso
+// y los multi-destino, además, la clave de sus tramos)
+function generateRouteId(fromCity, toCity, flightDate, returnDate = null, itineraryKey = null) {
+    const baseId = `${fromCity}::${toCity}::${flightDate}`;
+    if (itineraryKey) return `${baseId}::${returnDate}::${itineraryKey}`;
+    return returnDate ? `${baseId}::${returnDate}` : baseId;
+}
+
+// Función para generar route_id de una ventana de fechas flexible
+function generateWindowRouteId(fromCity, toCity, windowStart, windowEnd) {
+    return `${fromCity}::${toCity}::${windowStart}..${windowEnd}`;
 }
 
 // Función principal para actualizar analytics de una ruta
-async function updatePriceAnalytics(fromCity, toCity, flightDate) {
+async function updatePriceAnalytics(fromCity, toCity, flightDate, returnDate = null, itineraryKey = null) {
     try {
-        const routeId = generateRouteId(fromCity, toCity, flightDate);
+        const routeId = generateRouteId(fromCity, toCity, flightDate, returnDate, itineraryKey);
         console.log(`🔍 Actualizando analytics para: ${routeId}`);
         
-        // Obtener TODOS los precios históricos para esta ruta
-        const { data: allPrices, error: pricesError } = await supabase
-            .from('flights')
-            .select('price, updated_at')
-            .eq('from', fromCity)
-            .eq('to', toCity)
-            .eq('flight_date', flightDate)
-            .order('updated_at', { ascending: false });
+        // Sumar a price_daily solo las muestras nuevas y leer los agregados diarios de la ruta
+        const rollup = await rollupNewSamples(fromCity, toCity, flightDate, returnDate, routeId, { itineraryKey });
+        if (!rollup) {
+            return false;
+        }
 
-        if (pricesError) {
-            console.error('Error obteniendo precios:', pricesError.message);
+        const dailyRows = await loadDailyRollups(routeId);
+        if (!dailyRows) {
             return false;
         }
 
-        if (!allPrices || allPrices.length === 0) {
+        if (dailyRows.length === 0) {
             console.log('📭 No hay datos de precios para esta ruta');
             return false;
         }
 
-        console.log(`📊 Analizando ${allPrices.length} registros de precios`);
+        console.log(`📊 Analizando ${dailyRows.length} día(s) de agregados`);
         
-        const prices = allPrices.map(p => p.price);
+        // Las muestras de las últimas 24 h se leen de flights (consulta acotada) para la tendencia intradía
         const now = new Date();
-        
-        // Filtrar precios por períodos
-        const last24h = allPrices.filter(p => 
-            new Date(p.updated_at) > new Date(now - 24 * 60 * 60 * 1000)
-        ).map(p => p.price);
-        
-        const last7d = allPrices.filter(p => 
-            new Date(p.updated_at) > new Date(now - 7 * 24 * 60 * 60 * 1000)
-        ).map(p => p.price);
-        
-        const older7d = allPrices.filter(p => {
-            const priceDate = new Date(p.updated_at);
-            return priceDate <= new Date(now - 7 * 24 * 60 * 60 * 1000) && 
-                   priceDate > new Date(now - 14 * 24 * 60 * 60 * 1000);
-        }).map(p => p.price);
+        const exchangeRates = await loadExchangeRates();
+        const { data: recentFlights, error: recentError } = await filterByItinerary(
+            db
+                .from('flights')
+                .select('price, currency, price_base, base_currency, updated_at')
+                .eq('from', fromCity)
+                .eq('to', toCity)
+                .eq('flight_date', flightDate)
+                .eq('source', PRICE_SOURCES.SEARCH)
+                .gt('updated_at', new Date(now - 24 * 60 * 60 * 1000).toISOString()),
+            returnDate,
+            itineraryKey
+        ).order('updated_at', { ascending: false });
+
+        if (recentError) {
+            console.error('Error obteniendo precios de 24h:', recentError.message);
+            return false;
+        }
+
+        const last24h = (recentFlights || [])
+            .map(p => getBasePrice(p, exchangeRates))
+            .filter(price => price !== null);
         
         // Calcular estadísticas
-        const currentStats = calculateAdvancedStats(prices);
+        const currentStats = combineDailyStats(dailyRows);
         if (!currentStats) return false;
         
-        // Calcular tendencias
+        // Calcular tendencias (7d: promedio de los últimos 7 días contra los 7 anteriores)
         const trend24h = last24h.length >= 2 ? 
             calculateTrend(last24h.slice(0, Math.ceil(last24h.length / 2)), 
                           last24h.slice(Math.ceil(last24h.length / 2))) : 'stable';
         
-        const trend7d = calculateTrend(last7d, older7d);
+        const recentDays = summarizeRecentDays(dailyRows, { now });
+        const trend7d = recentDays.avgLast7d !== null && recentDays.avgPrevious7d !== null
+            ? calculateTrend([recentDays.avgLast7d], [recentDays.avgPrevious7d])
+            : 'stable';
+        const last7dSamples = recentDays.samplesLast7d;
+        
+        // Pronóstico comprar/esperar con la serie diaria de cierres y los días que faltan para la salida
+        const forecast = forecastRoute(toCloseSeries(dailyRows), { departureDate: flightDate, config: CONFIG.FORECAST });
         
         // Buscar registro existente en price_analytics
-        const { data: existing, error: selectError } = await supabase
+        const { data: existing, error: selectError } = await db
             .from('price_analytics')
             .select('*')
             .eq('route_id', routeId)
@@ -128,6 +149,8 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
             from_city: fromCity,
             to_city: toCity,
             flight_date: flightDate,
+            return_date: returnDate,
+            currency: exchangeRates.base,
             current_min_price: currentStats.min,
             current_max_price: currentStats.max,
             current_avg_price: currentStats.avg,
@@ -137,9 +160,12 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
             price_volatility: currentStats.volatility,
             total_samples: currentStats.samples,
             samples_last_24h: last24h.length,
-            samples_last_7d: last7d.length,
+            samples_last_7d: last7dSamples,
             trend_24h: trend24h,
             trend_7d: trend7d,
+            forecast_recommendation: forecast.recommendation,
+            forecast_drop_probability: forecast.dropProbability,
+            forecast_confidence: forecast.recommendation ? forecast.confidence : null,
             last_updated: new Date().toISOString()
         };
 
@@ -149,13 +175,18 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
         }
 
         if (existing) {
-            // Actualizar registro existente
-            analyticsData.all_time_min_price = Math.min(existing.all_time_min_price, currentStats.min);
-            analyticsData.all_time_max_price = Math.max(existing.all_time_max_price, currentStats.max);
+            // Actualizar registro existente (los extremos previos solo cuentan si están en la moneda base;
+            // las filas migradas de historical_prices pueden traer la moneda original del scraping)
+            const sameCurrency = !existing.currency || existing.currency === exchangeRates.base;
+            if (sameCurrency && existing.all_time_min_price !== null) {
+                analyticsData.all_time_min_price = Math.min(existing.all_time_min_price, currentStats.min);
+            }
+            if (sameCurrency && existing.all_time_max_price !== null) {
+                analyticsData.all_time_max_price = Math.max(existing.all_time_max_price, currentStats.max);
+            }
             analyticsData.total_alerts_sent = existing.total_alerts_sent || 0;
-            analyticsData.alert_threshold = existing.alert_threshold || 400;
             
-            const { error: updateError } = await supabase
+            const { error: updateError } = await db
                 .from('price_analytics')
                 .update(analyticsData)
                 .eq('route_id', routeId);
@@ -169,10 +200,9 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
         } else {
             // Crear nuevo registro
             analyticsData.created_at = new Date().toISOString();
-            analyticsData.alert_threshold = 400;
             analyticsData.total_alerts_sent = 0;
             
-            const { error: insertError } = await supabase
+            const { error: insertError } = await db
                 .from('price_analytics')
                 .insert([analyticsData]);
 
@@ -185,18 +215,21 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
         }
 
         // Mostrar resumen
-        console.log(`📈 Estadísticas calculadas:`);
+        console.log(`📈 Estadísticas calculadas (${exchangeRates.base}):`);
         console.log(`   Min: $${currentStats.min} | Max: $${currentStats.max}`);
         console.log(`   Promedio: $${currentStats.avg} | Mediana: $${currentStats.median}`);
         console.log(`   Volatilidad: $${currentStats.volatility}`);
-        console.log(`   Muestras: Total ${currentStats.samples} | 24h: ${last24h.length} | 7d: ${last7d.length}`);
+        console.log(`   Muestras: Total ${currentStats.samples} | 24h: ${last24h.length} | 7d: ${last7dSamples}`);
         console.log(`   Tendencias: 24h: ${trend24h} | 7d: ${trend7d}`);
+        console.log(`   Pronóstico: ${describeForecast(forecast) || `sin pronóstico (${forecast.reason})`}`);
 
         return {
             routeId,
             currentStats,
             trends: { trend24h, trend7d },
-            analytics: analyticsData
+            forecast,
+            analytics: analyticsData,
+            previousAnalytics: existing || null
         };
         
     } catch (error) {
@@ -205,21 +238,108 @@ async function updatePriceAnalytics(fromCity, toCity, flightDate) {
     }
 }
 
-// Función para detectar cambios significativos de precio
-async function detectPriceChanges(fromCity, toCity, flightDate, newPrice) {
+// Función para cargar las reglas de alerta activas que aplican a una ruta
+async function loadAlertRules(routeId, fromCity, toCity) {
+    const { data, error } = await db
+        .from('alert_rules')
+        .select('*')
+        .eq('is_active', true)
+        .order('id', { ascending: true });
+
+    if (error) {
+        console.error('Error obteniendo reglas de alerta (se usan las de CONFIG):', error.message);
+    }
+
+    return selectRulesForRoute(error ? [] : data, { routeId, fromCity, toCity });
+}
+
+// Función para obtener los precios en moneda base de los últimos N días de una ruta (más recientes primero)
+async function getRecentBasePrices(fromCity, toCity, flightDate, days, returnDate = null, itineraryKey = null) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await filterByItinerary(
+        db
+            .from('flights')
+            .select('price, currency, price_base, base_currency, updated_at')
+            .eq('from', fromCity)
+            .eq('to', toCity)
+            .eq('flight_date', flightDate)
+            .eq('source', PRICE_SOURCES.SEARCH)
+            .gte('updated_at', since),
+        returnDate,
+        itineraryKey
+    ).order('updated_at', { ascending: false });
+
+    if (error) {
+        console.error(`Error obteniendo precios de ${days} días:`, error.message);
+        return null;
+    }
+
+    const exchangeRates = await loadExchangeRates();
+    return (data || [])
+        .map(record => getBasePrice(record, exchangeRates))
+        .filter(price => price !== null);
+}
+
+// Función para calcular la mediana en moneda base de los últimos N días de una ruta
+async function getRecentMedianPrice(fromCity, toCity, flightDate, days, returnDate = null, itineraryKey = null) {
+    const prices = await getRecentBasePrices(fromCity, toCity, flightDate, days, returnDate, itineraryKey);
+    const stats = prices ? calculateAdvancedStats(prices) : null;
+    return stats ? stats.median : null;
+}
+
+// Función para pedir un nuevo scraping de la ruta (confirmación de una bajada atípica)
+// Solo toma trabajos completados: los pendientes o en proceso ya van a traer una muestra nueva.
+// config_flights no guarda la clave del itinerario: un multi-destino pide de nuevo los multi-destino
+// con los mismos extremos y fechas, y los demás viajes nunca piden un multi-destino
+async function requestRouteRecheck(fromCity, toCity, flightDate, returnDate = null, itineraryKey = null) {
+    let query = db
+        .from('config_flights')
+        .update({ status: 'pending', next_scrape_at: null, next_attempt_at: null, updated_at: new Date().toISOString() })
+        .eq('origin_city', fromCity)
+        .eq('destination_city', toCity)
+        .eq('flight_date', flightDate)
+        .eq('is_active', true)
+        .eq('status', 'completed');
+    query = returnDate ? query.eq('return_date', returnDate) : query.is('return_date', null);
+    query = itineraryKey ? query.eq('trip_type', TRIP_TYPES.MULTI_CITY) : query.neq('trip_type', TRIP_TYPES.MULTI_CITY);
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+        console.error('Error pidiendo el nuevo scraping de confirmación:', error.message);
+        return false;
+    }
+
+    console.log(data && data.length > 0
+        ? `🔁 Nuevo scraping pedido para confirmar (trabajo(s) ${data.map(job => job.id).join(', ')})`
+        : '🔁 La confirmación llegará con el próximo scraping de la ruta');
+    return true;
+}
+
+// Función para detectar cambios significativos de precio (newPrice en moneda base)
+// previousAnalytics: fila de price_analytics ANTES de incluir newPrice (la devuelve updatePriceAnalytics)
+// La referencia es la ventana móvil de precios recientes (sin sus atípicos), no el mínimo histórico:
+// una muestra errónea muy baja no bloquea las alertas siguientes. Una bajada atípica que cumple
+// las reglas no alerta hasta que un nuevo scraping la confirma
+async function detectPriceChanges(fromCity, toCity, flightDate, newPrice, returnDate = null, previousAnalytics = null, itineraryKey = null) {
     try {
-        const routeId = generateRouteId(fromCity, toCity, flightDate);
+        const routeId = generateRouteId(fromCity, toCity, flightDate, returnDate, itineraryKey);
         
-        // Obtener analytics actual
-        const { data: analytics, error: analyticsError } = await supabase
-            .from('price_analytics')
-            .select('*')
-            .eq('route_id', routeId)
-            .single();
+        // Obtener analytics actual (si no se recibió el previo)
+        let analytics = previousAnalytics;
+        if (!analytics) {
+            const { data, error: analyticsError } = await db
+                .from('price_analytics')
+                .select('*')
+                .eq('route_id', routeId)
+                .single();
 
-        if (analyticsError && analyticsError.code !== 'PGRST116') {
-            console.error('Error obteniendo analytics:', analyticsError.message);
-            return false;
+            if (analyticsError && analyticsError.code !== 'PGRST116') {
+                console.error('Error obteniendo analytics:', analyticsError.message);
+                return false;
+            }
+            analytics = data;
         }
 
         if (!analytics) {
@@ -227,37 +347,101 @@ async function detectPriceChanges(fromCity, toCity, flightDate, newPrice) {
             return false;
         }
 
-        const oldMin = analytics.all_time_min_price;
-        const oldAvg = analytics.current_avg_price;
-        const priceChange = newPrice - oldMin;
-        const changePercentage = ((newPrice - oldMin) / oldMin) * 100;
-
-        let changeType = 'normal_fluctuation';
-        let shouldAlert = false;
-        let alertReason = '';
-
-        // Determinar tipo de cambio
-        if (newPrice < oldMin) {
-            changeType = 'new_minimum';
-            if (Math.abs(priceChange) >= analytics.alert_threshold) {
-                shouldAlert = true;
-                alertReason = `Nuevo mínimo histórico con bajada de $${Math.abs(priceChange)} MXN`;
+        const baseCurrency = CONFIG.CURRENCY.BASE;
+        if (analytics.currency && analytics.currency !== baseCurrency) {
+            console.log(`📭 El analytics previo está en ${analytics.currency} (no en ${baseCurrency}): no hay con qué comparar`);
+            return false;
+        }
+
+        const oldMin = parseFloat(analytics.all_time_min_price);
+        const oldAvg = parseFloat(analytics.current_avg_price);
+
+        // Puntuar la muestra contra la ventana móvil (sin la propia muestra, que es la más reciente)
+        const recentPrices = await getRecentBasePrices(fromCity, toCity, flightDate, CONFIG.ANOMALY.WINDOW_DAYS, returnDate, itineraryKey);
+        const windowPrices = (recentPrices || []).slice(1);
+        const anomaly = computeAnomalyScore(newPrice, windowPrices, CONFIG.ANOMALY);
+        const referencePrice = getRobustReferencePrice(windowPrices, CONFIG.ANOMALY) ?? oldMin;
+        if (!Number.isFinite(referencePrice)) {
+            console.log('📭 Primera muestra de la ruta: no hay precio de referencia para comparar');
+            return false;
+        }
+        const priceChange = Math.round((newPrice - referencePrice) * 100) / 100;
+        const changePercentage = ((newPrice - referencePrice) / referencePrice) * 100;
+
+        if (anomaly) {
+            console.log(`🧮 Puntaje de anomalía (${anomaly.method}): ${anomaly.score} vs. centro $${anomaly.baseline} de ${anomaly.samples} muestras`);
+        } else {
+            console.log(`🧮 Sin puntaje de anomalía: menos de ${CONFIG.ANOMALY.MIN_SAMPLES} muestras en ${CONFIG.ANOMALY.WINDOW_DAYS} días`);
+        }
+
+        // Evaluar las reglas de alerta de la ruta (la primera que se cumple es la que dispara)
+        const rules = await loadAlertRules(routeId, fromCity, toCity);
+        const medians = {};
+        for (const days of getMedianWindows(rules)) {
+            medians[days] = await getRecentMedianPrice(fromCity, toCity, flightDate, days, returnDate, itineraryKey);
+        }
+        
+        console.log(`📏 Reglas de alerta: ${rules.map(describeRule).join(' | ')}`);
+        
+        const firedRule = evaluateAlertRules(rules, {
+            newPrice,
+            referencePrice,
+            medians,
+            currency: baseCurrency
+        });
+
+        // Confirmar las bajadas atípicas antes de alertar
+        const pendingOutlier = analytics.pending_outlier_price !== null && analytics.pending_outlier_price !== undefined
+            ? { price: parseFloat(analytics.pending_outlier_price), at: analytics.pending_outlier_at }
+            : null;
+        const confirmation = planOutlierConfirmation({
+            newPrice,
+            anomaly: firedRule ? anomaly : null,
+            pendingOutlier,
+            config: CONFIG.ANOMALY
+        });
+        const confirmationStatus = firedRule ? confirmation.status : 'none';
+
+        if (confirmation.rejectedPrevious) {
+            console.log(`🧹 La bajada atípica a $${pendingOutlier.price} no se repitió: se descarta como ruido del scraping`);
+        }
+
+        if (pendingOutlier || confirmation.pendingOutlier) {
+            const { error: pendingError } = await db
+                .from('price_analytics')
+                .update({
+                    pending_outlier_price: confirmation.pendingOutlier ? confirmation.pendingOutlier.price : null,
+                    pending_outlier_at: confirmation.pendingOutlier ? confirmation.pendingOutlier.at : null
+                })
+                .eq('route_id', routeId);
+
+            if (pendingError) {
+                console.error('Error guardando la bajada atípica pendiente:', pendingError.message);
             }
-        } else if (Math.abs(priceChange) >= analytics.alert_threshold) {
-            changeType = 'significant_drop';
-            shouldAlert = true;
-            alertReason = `Bajada significativa de $${Math.abs(priceChange)} MXN`;
-        } else if (newPrice > oldAvg * 1.5) {
-            changeType = 'price_spike';
         }
 
+        const shouldAlert = Boolean(firedRule) && confirmationStatus !== 'hold';
+        let alertReason = firedRule ? firedRule.reason : '';
+        if (confirmationStatus === 'confirmed') {
+            alertReason = `${alertReason} (confirmado por un segundo scraping)`;
+        }
+
+        const changeType = classifyPriceChange({
+            newPrice,
+            referencePrice,
+            previousAvg: oldAvg,
+            anomaly,
+            alerting: Boolean(firedRule),
+            confirmation: confirmationStatus
+        });
+
         // Registrar el cambio
         const changeRecord = {
             route_id: routeId,
             from_city: fromCity,
             to_city: toCity,
             flight_date: flightDate,
-            old_price: oldMin,
+            old_price: referencePrice,
             new_price: newPrice,
             price_change: priceChange,
             change_percentage: Math.round(changePercentage * 100) / 100,
@@ -267,10 +451,14 @@ async function detectPriceChanges(fromCity, toCity, flightDate, newPrice) {
             previous_avg: oldAvg,
             alert_sent: shouldAlert,
             alert_reason: shouldAlert ? alertReason : null,
-            currency: 'MXN'
+            alert_rule_id: firedRule ? firedRule.rule.id : null,
+            alert_rule_type: firedRule ? firedRule.rule.rule_type : null,
+            anomaly_score: anomaly ? anomaly.score : null,
+            baseline_price: anomaly ? anomaly.baseline : null,
+            currency: baseCurrency
         };
 
-        const { error: insertError } = await supabase
+        const { error: insertError } = await db
             .from('price_changes')
             .insert([changeRecord]);
 
@@ -280,18 +468,25 @@ async function detectPriceChanges(fromCity, toCity, flightDate, newPrice) {
         }
 
         console.log(`📊 Cambio de precio registrado: ${changeType}`);
-        console.log(`   Cambio: $${priceChange} (${changePercentage.toFixed(2)}%)`);
+        console.log(`   Cambio: $${priceChange} (${changePercentage.toFixed(2)}%) vs. referencia $${referencePrice}`);
         
-        if (shouldAlert) {
-            console.log(`🚨 Alerta requerida: ${alertReason}`);
+        if (confirmationStatus === 'hold') {
+            console.log(`⏸️ Bajada atípica (puntaje ${anomaly.score}): la alerta espera confirmación`);
+            await requestRouteRecheck(fromCity, toCity, flightDate, returnDate, itineraryKey);
+        } else if (shouldAlert) {
+            console.log(`🚨 Alerta requerida (regla ${firedRule.rule.rule_type}): ${alertReason}`);
         }
 
         return {
             shouldAlert,
             alertReason,
+            firedRule: firedRule ? firedRule.rule : null,
             changeType,
             priceChange,
-            changePercentage
+            changePercentage,
+            previousMin: referencePrice,
+            anomaly,
+            confirmation: confirmationStatus
         };
 
     } catch (error) {
@@ -303,7 +498,7 @@ async function detectPriceChanges(fromCity, toCity, flightDate, newPrice) {
 // Función para obtener resumen de analytics
 async function getAnalyticsSummary() {
     try {
-        const { data: analytics, error } = await supabase
+        const { data: analytics, error } = await db
             .from('price_analytics')
             .select('*')
             .order('last_updated', { ascending: false });
@@ -327,6 +522,10 @@ async function getAnalyticsSummary() {
                 console.log(`   📈 Volatilidad: $${record.price_volatility} (${volatilityLevel})`);
                 console.log(`   📋 Muestras: ${record.total_samples} total | ${record.samples_last_24h} (24h) | ${record.samples_last_7d} (7d)`);
                 console.log(`   📊 Tendencias: 24h ${getTrendIcon(record.trend_24h)} | 7d ${getTrendIcon(record.trend_7d)}`);
+                const forecast = describeStoredForecast(record);
+                if (forecast) {
+                    console.log(`   🔮 Pronóstico: ${forecast}`);
+                }
                 console.log(`   🚨 Alertas enviadas: ${record.total_alerts_sent}`);
             });
         } else {
@@ -340,6 +539,67 @@ async function getAnalyticsSummary() {
     }
 }
 
+// Función para obtener el itinerario más barato de una ruta con filtros (ej. sin escalas, aerolínea)
+async function getCheapestItinerary(fromCity, toCity, flightDate, { maxStops = null, airline = null, returnDate = null, itineraryKey = null } = {}) {
+    try {
+        let query = filterByItinerary(
+            db
+                .from('flight_itineraries')
+                .select('*')
+                .eq('from', fromCity)
+                .eq('to', toCity)
+                .eq('flight_date', flightDate),
+            returnDate,
+            itineraryKey
+        );
+
+        if (maxStops !== null) {
+            query = query.lte('stops', maxStops);
+        }
+
+        if (airline) {
+            query = query.ilike('airline', `%${airline}%`);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error obteniendo itinerario más barato:', error.message);
+            return null;
+        }
+        if (!data || data.length === 0) return null;
+
+        // price está en la moneda de cada itinerario: se compara en moneda base (price_base guardado
+        // al scrapear o convertido con la tabla actual) y solo sin tipo de cambio se usa price
+        const exchangeRates = await loadExchangeRates();
+        const getComparablePrice = (itinerary) => {
+            if (itinerary.price_base !== null && itinerary.price_base !== undefined) {
+                return parseFloat(itinerary.price_base);
+            }
+            return convertToBase(itinerary.price, itinerary.currency, exchangeRates) ?? parseFloat(itinerary.price);
+        };
+
+        return data.reduce((cheapest, itinerary) =>
+            getComparablePrice(itinerary) < getComparablePrice(cheapest) ? itinerary : cheapest
+        );
+    } catch (error) {
+        console.error('Error crítico obteniendo itinerario más barato:', error.message);
+        return null;
+    }
+}
+
+// Función para describir el pronóstico guardado en una fila de price_analytics
+function describeStoredForecast(record) {
+    if (!record.forecast_recommendation) return null;
+    const confidence = Number(record.forecast_confidence);
+    return describeForecast({
+        recommendation: record.forecast_recommendation,
+        dropProbability: Number(record.forecast_drop_probability),
+        confidence,
+        confidenceLevel: describeConfidence(confidence)
+    });
+}
+
 function getTrendIcon(trend) {
     switch (trend) {
         case 'up': return '📈';
@@ -354,6 +614,10 @@ export {
     updatePriceAnalytics, 
     detectPriceChanges, 
     getAnalyticsSummary,
+    getCheapestItinerary,
     calculateAdvancedStats,
-    generateRouteId
+    generateRouteId,
+    generateWindowRouteId,
+    loadAlertRules,
+    describeStoredForecast
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Detección estadística de precios anómalos: cada muestra nueva se compara con la ventana móvil de
+// precios recientes de la ruta (mediana + MAD o media + desviación estándar). Una bajada atípica puede
+// ser una oferta real o ruido del scraping, así que antes de alertar se confirma con un nuevo scraping
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Factor que vuelve la MAD comparable con la desviación estándar en datos normales
+const MAD_SCALE = 1.4826;
+
+// Métodos de puntaje soportados en CONFIG.ANOMALY.METHOD
+export const ANOMALY_METHODS = {
+    MAD: 'mad',         // (precio - mediana) / (1.4826 × MAD): robusto a muestras erróneas en la ventana
+    ZSCORE: 'zscore'    // (precio - media) / desviación estándar
+};
+
+// Función para calcular la mediana de una lista de números
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Función para calcular el centro y la dispersión de la ventana según el método
+function describeWindow(prices, method) {
+    if (method === ANOMALY_METHODS.ZSCORE) {
+        const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+        const variance = prices.reduce((sum, price) => sum + (price - mean) ** 2, 0) / prices.length;
+        return { baseline: mean, spread: Math.sqrt(variance) };
+    }
+
+    const center = median(prices);
+    return { baseline: center, spread: MAD_SCALE * median(prices.map(price => Math.abs(price - center))) };
+}
+
+// Función para puntuar un precio contra la ventana de precios recientes (en moneda base)
+// score < 0 = más barato de lo habitual; null si la ventana no tiene MIN_SAMPLES muestras
+export function computeAnomalyScore(price, windowPrices, config) {
+    const prices = windowPrices.filter(value => value > 0);
+    if (prices.length < config.MIN_SAMPLES) return null;
+
+    const method = config.METHOD === ANOMALY_METHODS.ZSCORE ? ANOMALY_METHODS.ZSCORE : ANOMALY_METHODS.MAD;
+    const { baseline, spread } = describeWindow(prices, method);
+
+    // Ventana plana (todas las muestras iguales): cualquier cambio mayor a MIN_SPREAD_RATIO es atípico
+    const effectiveSpread = Math.max(spread, baseline * config.MIN_SPREAD_RATIO);
+    const score = effectiveSpread > 0 ? (price - baseline) / effectiveSpread : 0;
+
+    return {
+        method,
+        baseline: Math.round(baseline * 100) / 100,
+        spread: Math.round(spread * 100) / 100,
+        score: Math.round(score * 100) / 100,
+        samples: prices.length,
+        isLowOutlier: score <= -config.THRESHOLD,
+        isHighOutlier: score >= config.THRESHOLD
+    };
+}
+
+// Función para obtener el mínimo de referencia de la ventana descartando sus propios atípicos
+// Así una muestra errónea muy baja no bloquea las alertas siguientes; null si la ventana es corta
+export function getRobustReferencePrice(windowPrices, config) {
+    const prices = windowPrices.filter(value => value > 0);
+    if (prices.length < config.MIN_SAMPLES) return null;
+
+    const typical = prices.filter(price => {
+        const anomaly = computeAnomalyScore(price, prices, config);
+        return !anomaly.isLowOutlier && !anomaly.isHighOutlier;
+    });
+
+    return typical.length > 0 ? Math.min(...typical) : Math.min(...prices);
+}
+
+// Función para decidir qué hacer con una bajada atípica antes de alertar
+// pendingOutlier = { price, at } guardado en price_analytics al detectar el atípico anterior
+// status: 'none' (alerta normal) | 'hold' (esperar confirmación) | 'confirmed' (el nuevo scraping lo repitió)
+export function planOutlierConfirmation({ newPrice, anomaly, pendingOutlier = null, now = Date.now(), config }) {
+    const pendingAt = pendingOutlier ? Date.parse(pendingOutlier.at) : NaN;
+    const pendingIsValid = pendingOutlier && pendingOutlier.price > 0 && now - pendingAt <= config.CONFIRMATION_MAX_HOURS * HOUR_MS;
+
+    // El nuevo scraping repite el precio atípico (dentro de la tolerancia): es una oferta real
+    if (pendingIsValid && newPrice <= pendingOutlier.price * (1 + config.CONFIRMATION_TOLERANCE)) {
+        return { status: 'confirmed', rejectedPrevious: false, pendingOutlier: null };
+    }
+
+    const rejectedPrevious = Boolean(pendingIsValid);
+
+    if (anomaly && anomaly.isLowOutlier) {
+        return { status: 'hold', rejectedPrevious, pendingOutlier: { price: newPrice, at: new Date(now).toISOString() } };
+    }
+
+    return { status: 'none', rejectedPrevious, pendingOutlier: null };
+}
+
+// Función para clasificar el cambio que se registra en price_changes.change_type
+export function classifyPriceChange({ newPrice, referencePrice, previousAvg, anomaly = null, alerting = false, confirmation = 'none' }) {
+    if (confirmation === 'hold') return 'unconfirmed_outlier';
+    if (confirmation === 'confirmed') return 'confirmed_drop';
+    if (referencePrice !== null && newPrice < referencePrice) return 'new_minimum';
+
+    // Solo es bajada si el precio quedó por debajo de lo habitual (no basta con que una regla se cumpla)
+    const baseline = anomaly ? anomaly.baseline : previousAvg;
+    if (alerting && baseline && newPrice < baseline) return 'significant_drop';
+
+    if ((anomaly && anomaly.isHighOutlier) || (previousAvg && newPrice > previousAvg * 1.5)) return 'price_spike';
+    return 'normal_fluctuation';
+}
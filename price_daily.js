@@ -0,0 +1,136 @@
+import { db } from './storage.js';
+import { loadExchangeRates, getBasePrice } from './currency_converter.js';
+import { foldSamplesIntoDays, toUtcDay } from './price_rollup.js';
+import { PRICE_SOURCES, filterByItinerary } from './trip_types.js';
+
+// Función para obtener el último id de flights ya sumado a los agregados diarios de una ruta y fuente (0 si ninguno)
+async function getRollupWatermark(routeId, source) {
+    const { data, error } = await db
+        .from('price_daily')
+        .select('last_flight_id')
+        .eq('route_id', routeId)
+        .eq('source', source)
+        .order('last_flight_id', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        console.error('Error obteniendo la marca de agua de price_daily:', error.message);
+        return null;
+    }
+
+    return data && data.length > 0 ? Number(data[0].last_flight_id) : 0;
+}
+
+// Función para sumar a price_daily las muestras de flights que llegaron desde el último rollup de la ruta
+// La primera vez suma toda la historia de la ruta (backfill). Cada fuente (búsqueda de fecha fija o
+// calendario de ventanas) tiene sus propias filas: los precios del calendario no entran al analytics de la fecha.
+// itineraryKey separa los multi-destino de los otros viajes con los mismos extremos y fechas
+export async function rollupNewSamples(fromCity, toCity, flightDate, returnDate, routeId, { source = PRICE_SOURCES.SEARCH, itineraryKey = null } = {}) {
+    try {
+        const watermark = await getRollupWatermark(routeId, source);
+        if (watermark === null) return null;
+
+        const { data: flights, error } = await filterByItinerary(
+            db
+                .from('flights')
+                .select('id, price, currency, price_base, base_currency, updated_at')
+                .eq('from', fromCity)
+                .eq('to', toCity)
+                .eq('flight_date', flightDate)
+                .eq('source', source)
+                .gt('id', watermark),
+            returnDate,
+            itineraryKey
+        ).order('id', { ascending: true });
+
+        if (error) {
+            console.error('Error obteniendo muestras nuevas:', error.message);
+            return null;
+        }
+
+        if (!flights || flights.length === 0) {
+            return { samples: 0, days: 0 };
+        }
+
+        // Normalizar a la moneda base (las muestras sin tipo de cambio no entran al rollup)
+        const exchangeRates = await loadExchangeRates();
+        const samples = [];
+        flights.forEach(flight => {
+            const price = getBasePrice(flight, exchangeRates);
+            if (price === null) {
+                console.log(`⚠️ Registro en ${flight.currency} omitido: sin tipo de cambio a ${exchangeRates.base}`);
+                return;
+            }
+            samples.push({ id: Number(flight.id), at: flight.updated_at, price });
+        });
+
+        // Días tocados por las muestras nuevas y sus agregados actuales
+        const days = [...new Set(samples.map(sample => toUtcDay(sample.at)))];
+        const { data: existingRows, error: existingError } = await db
+            .from('price_daily')
+            .select('*')
+            .eq('route_id', routeId)
+            .eq('source', source)
+            .in('day', days);
+
+        if (existingError) {
+            console.error('Error obteniendo agregados diarios:', existingError.message);
+            return null;
+        }
+
+        const rows = foldSamplesIntoDays(existingRows || [], samples);
+        const updatedAt = new Date().toISOString();
+
+        for (const row of rows) {
+            const { id, ...fields } = row;
+            const record = { ...fields, route_id: routeId, source, from_city: fromCity, to_city: toCity, flight_date: flightDate, return_date: returnDate, currency: exchangeRates.base, updated_at: updatedAt };
+            const { error: saveError } = id
+                ? await db.from('price_daily').update(record).eq('id', id)
+                : await db.from('price_daily').insert([record]);
+
+            if (saveError) {
+                console.error(`Error guardando el agregado del ${row.day}:`, saveError.message);
+                return null;
+            }
+        }
+
+        console.log(`🗓️ Rollup diario: ${samples.length} muestra(s) nueva(s) en ${rows.length} día(s)`);
+        return { samples: samples.length, days: rows.length };
+
+    } catch (error) {
+        console.error('Error crítico en el rollup diario:', error.message);
+        return null;
+    }
+}
+
+// Función para leer los agregados diarios de búsquedas de una ruta (más antiguos primero; null si falla)
+export async function loadDailyRollups(routeId, { since = null } = {}) {
+    let query = db
+        .from('price_daily')
+        .select('day, open_price, close_price, min_price, max_price, median_price, avg_price, stddev_price, sample_count, prices, first_sample_at, last_sample_at')
+        .eq('route_id', routeId)
+        .eq('source', PRICE_SOURCES.SEARCH);
+
+    if (since) {
+        query = query.gte('day', since);
+    }
+
+    const { data, error } = await query.order('day', { ascending: true });
+
+    if (error) {
+        console.error('Error obteniendo agregados diarios:', error.message);
+        return null;
+    }
+
+    return (data || []).map(row => ({
+        ...row,
+        open_price: Number(row.open_price),
+        close_price: Number(row.close_price),
+        min_price: Number(row.min_price),
+        max_price: Number(row.max_price),
+        median_price: Number(row.median_price),
+        avg_price: Number(row.avg_price),
+        stddev_price: Number(row.stddev_price),
+        prices: (row.prices || []).map(Number)
+    }));
+}
@@ -0,0 +1,168 @@
+// Pronóstico "comprar o esperar" por ruta a partir de su serie de precios y los días para la salida
+// El logaritmo del precio se modela como una caminata aleatoria con tendencia (drift) y volatilidad
+// estimadas de la propia serie; la probabilidad de que baje X% antes de la salida es la de que esa
+// caminata toque ln(1 - X) dentro del horizonte (principio de reflexión)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recomendaciones posibles
+export const FORECAST_RECOMMENDATIONS = {
+    BUY: 'buy',
+    WAIT: 'wait'
+};
+
+// Función de distribución acumulada de la normal estándar (aproximación de Abramowitz y Stegun 7.1.26)
+export function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Función para ordenar la serie y descartar precios inválidos: [{ at, price }] con at en milisegundos
+function normalizeSeries(series) {
+    return series
+        .map(point => ({ at: new Date(point.at).getTime(), price: Number(point.price) }))
+        .filter(point => !Number.isNaN(point.at) && point.price > 0)
+        .sort((a, b) => a.at - b.at);
+}
+
+// Función para estimar drift y volatilidad diarios del logaritmo del precio
+// Las muestras no son equiespaciadas: cada retorno se pondera por los días que cubre
+export function estimateDriftAndVolatility(series) {
+    const points = normalizeSeries(series);
+    const steps = [];
+
+    for (let i = 1; i < points.length; i++) {
+        const days = (points[i].at - points[i - 1].at) / DAY_MS;
+        if (days > 0) {
+            steps.push({ days, logReturn: Math.log(points[i].price / points[i - 1].price) });
+        }
+    }
+
+    const totalDays = steps.reduce((sum, step) => sum + step.days, 0);
+    if (totalDays === 0) {
+        return null;
+    }
+
+    const drift = steps.reduce((sum, step) => sum + step.logReturn, 0) / totalDays;
+    const variance = steps.reduce((sum, step) => sum + (step.logReturn - drift * step.days) ** 2, 0) / totalDays;
+
+    return { drift, volatility: Math.sqrt(variance), spanDays: totalDays, steps: steps.length };
+}
+
+// Función para calcular la probabilidad de que el precio baje dropRatio (0.05 = 5%) en los próximos `days` días
+export function probabilityOfDrop({ drift, volatility, days, dropRatio }) {
+    if (days <= 0) return 0;
+
+    const barrier = Math.log(1 - dropRatio);
+    const expectedMove = drift * days;
+
+    // Sin volatilidad el precio sigue su tendencia: baja solo si el drift alcanza la barrera
+    if (volatility < 1e-9) {
+        return expectedMove <= barrier ? 1 : 0;
+    }
+
+    const spread = volatility * Math.sqrt(days);
+    const probability = normalCdf((barrier - expectedMove) / spread)
+        + Math.exp((2 * drift * barrier) / (volatility * volatility)) * normalCdf((barrier + expectedMove) / spread);
+
+    // Con drift muy negativo el segundo término se desborda: la baja es prácticamente segura
+    return Number.isFinite(probability) ? Math.min(1, Math.max(0, probability)) : 1;
+}
+
+// Función para traducir la confianza (0-1) a un nivel legible
+export function describeConfidence(confidence) {
+    if (confidence >= 0.7) return 'alta';
+    if (confidence >= 0.4) return 'media';
+    return 'baja';
+}
+
+// Función para pronosticar una ruta: recomendación, probabilidad de baja y confianza
+// series = [{ at, price }] en moneda base; departureDate = YYYY-MM-DD de la salida
+export function forecastRoute(series, { departureDate, now = Date.now(), config }) {
+    const points = normalizeSeries(series).filter(point => point.at <= now);
+    const daysToDeparture = Math.max(0, (Date.parse(`${departureDate}T00:00:00.000Z`) - now) / DAY_MS);
+    const base = { recommendation: null, dropProbability: null, confidence: 0, confidenceLevel: 'baja', samples: points.length, daysToDeparture: Math.floor(daysToDeparture) };
+
+    if (points.length < config.MIN_SAMPLES) {
+        return { ...base, reason: `Se necesitan al menos ${config.MIN_SAMPLES} muestras` };
+    }
+
+    const estimate = estimateDriftAndVolatility(points);
+    if (!estimate) {
+        return { ...base, reason: 'Las muestras no cubren un intervalo de tiempo' };
+    }
+
+    const dropProbability = probabilityOfDrop({ ...estimate, days: daysToDeparture, dropRatio: config.DROP_RATIO });
+    const recommendation = dropProbability >= config.WAIT_PROBABILITY ? FORECAST_RECOMMENDATIONS.WAIT : FORECAST_RECOMMENDATIONS.BUY;
+
+    // Confianza: cuánta historia respalda el modelo × qué tan lejos del 50% está la probabilidad
+    const dataScore = Math.min(1, points.length / config.FULL_CONFIDENCE_SAMPLES) * Math.min(1, estimate.spanDays / config.FULL_CONFIDENCE_SPAN_DAYS);
+    const confidence = Math.round(dataScore * Math.max(dropProbability, 1 - dropProbability) * 100) / 100;
+
+    return {
+        ...base,
+        recommendation,
+        dropProbability: Math.round(dropProbability * 1000) / 1000,
+        confidence,
+        confidenceLevel: describeConfidence(confidence),
+        reason: `${Math.round(dropProbability * 100)}% de probabilidad de bajar ${Math.round(config.DROP_RATIO * 100)}% en ${Math.floor(daysToDeparture)} día(s)`
+    };
+}
+
+// Función para describir un pronóstico en una línea (resúmenes y alertas)
+export function describeForecast(forecast) {
+    if (!forecast || !forecast.recommendation) return null;
+    const action = forecast.recommendation === FORECAST_RECOMMENDATIONS.WAIT ? 'esperar' : 'comprar';
+    return `${action} (${Math.round(forecast.dropProbability * 100)}% prob. de baja, confianza ${forecast.confidenceLevel})`;
+}
+
+// Función para evaluar el pronóstico contra la historia guardada (backtest offline)
+// routes = [{ routeId, departureDate, series }]; en cada muestra se pronostica solo con las anteriores
+// y se compara con lo que pasó después: ¿hubo un precio dropRatio más bajo antes de la salida?
+export function backtestForecasts(routes, { config, now = Date.now() }) {
+    const outcomes = [];
+    let routesSkipped = 0;
+
+    routes.forEach(route => {
+        const departureAt = Date.parse(`${route.departureDate}T00:00:00.000Z`);
+        // Solo rutas con la salida ya pasada: en las demás el resultado todavía no se conoce
+        if (!(departureAt <= now)) {
+            routesSkipped++;
+            return;
+        }
+
+        const points = normalizeSeries(route.series).filter(point => point.at < departureAt);
+        for (let i = config.MIN_SAMPLES - 1; i < points.length - 1; i++) {
+            const forecast = forecastRoute(points.slice(0, i + 1), { departureDate: route.departureDate, now: points[i].at, config });
+            if (!forecast.recommendation) continue;
+
+            const target = points[i].price * (1 - config.DROP_RATIO);
+            const dropped = points.slice(i + 1).some(point => point.price <= target);
+            outcomes.push({ routeId: route.routeId, forecast, dropped });
+        }
+    });
+
+    const summarize = list => ({
+        count: list.length,
+        correct: list.filter(({ forecast, dropped }) => (forecast.recommendation === FORECAST_RECOMMENDATIONS.WAIT) === dropped).length
+    });
+    const buy = summarize(outcomes.filter(outcome => outcome.forecast.recommendation === FORECAST_RECOMMENDATIONS.BUY));
+    const wait = summarize(outcomes.filter(outcome => outcome.forecast.recommendation === FORECAST_RECOMMENDATIONS.WAIT));
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        routesEvaluated: routes.length - routesSkipped,
+        routesSkipped,
+        forecasts: outcomes.length,
+        // Precisión de la recomendación y error cuadrático medio de la probabilidad (Brier, 0 = perfecto)
+        accuracy: outcomes.length > 0 ? round((buy.correct + wait.correct) / outcomes.length) : null,
+        brierScore: outcomes.length > 0
+            ? round(outcomes.reduce((sum, { forecast, dropped }) => sum + (forecast.dropProbability - (dropped ? 1 : 0)) ** 2, 0) / outcomes.length)
+            : null,
+        // Frecuencia real de bajas: la referencia que el modelo debe superar
+        baseRate: outcomes.length > 0 ? round(outcomes.filter(outcome => outcome.dropped).length / outcomes.length) : null,
+        byRecommendation: { buy, wait }
+    };
+}
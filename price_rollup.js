@@ -0,0 +1,115 @@
+// Agregados diarios de precios por ruta (tabla price_daily): apertura, cierre, mínimo, máximo, mediana,
+// promedio, desviación y cantidad de muestras de cada día. Se actualizan solo con las muestras nuevas
+// y el analytics de la ruta se calcula sobre ellos en vez de recorrer todo flights
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para redondear a 2 decimales
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Función para obtener el día UTC (YYYY-MM-DD) de un instante
+export function toUtcDay(at) {
+    return new Date(at).toISOString().slice(0, 10);
+}
+
+// Función para calcular la mediana de una lista de precios
+function medianOf(prices) {
+    const sorted = [...prices].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Función para sumar muestras nuevas a los agregados diarios de una ruta
+// existingRows = filas de price_daily de los días tocados; samples = [{ id, at, price }] en moneda base
+// Devuelve solo las filas de los días que cambiaron. Las muestras con id ≤ last_flight_id del día ya
+// están sumadas y se ignoran, así repetir el mismo lote no cuenta dos veces
+export function foldSamplesIntoDays(existingRows, samples) {
+    const rowsByDay = new Map(existingRows.map(row => [row.day, row]));
+    const samplesByDay = new Map();
+
+    samples.forEach(sample => {
+        const day = toUtcDay(sample.at);
+        const existing = rowsByDay.get(day);
+        if (existing && existing.last_flight_id !== null && sample.id <= existing.last_flight_id) return;
+
+        if (!samplesByDay.has(day)) samplesByDay.set(day, []);
+        samplesByDay.get(day).push(sample);
+    });
+
+    return [...samplesByDay.entries()].map(([day, daySamples]) => {
+        const existing = rowsByDay.get(day) || null;
+        const sorted = [...daySamples].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+
+        // La apertura y el cierre son la muestra más temprana y la más tardía del día, lleguen en el orden que lleguen
+        const opensEarlier = !existing || Date.parse(first.at) < Date.parse(existing.first_sample_at);
+        const closesLater = !existing || Date.parse(last.at) >= Date.parse(existing.last_sample_at);
+        const prices = [...(existing ? existing.prices : []), ...sorted.map(sample => sample.price)];
+        const avg = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+
+        return {
+            ...(existing ? { id: existing.id } : {}),
+            day,
+            open_price: opensEarlier ? first.price : existing.open_price,
+            close_price: closesLater ? last.price : existing.close_price,
+            min_price: Math.min(...prices),
+            max_price: Math.max(...prices),
+            median_price: round(medianOf(prices)),
+            avg_price: round(avg),
+            stddev_price: round(Math.sqrt(prices.reduce((sum, price) => sum + (price - avg) ** 2, 0) / prices.length)),
+            sample_count: prices.length,
+            prices,
+            first_sample_at: opensEarlier ? first.at : existing.first_sample_at,
+            last_sample_at: closesLater ? last.at : existing.last_sample_at,
+            last_flight_id: Math.max(existing?.last_flight_id ?? 0, ...daySamples.map(sample => sample.id))
+        };
+    });
+}
+
+// Función para combinar los agregados diarios en las estadísticas de la ruta (forma de calculateAdvancedStats)
+// La volatilidad es exacta (varianza combinada) y la mediana sale de los precios que guarda cada día
+export function combineDailyStats(rows) {
+    const samples = rows.reduce((sum, row) => sum + row.sample_count, 0);
+    if (samples === 0) return null;
+
+    const avg = rows.reduce((sum, row) => sum + row.avg_price * row.sample_count, 0) / samples;
+    const variance = rows.reduce((sum, row) => sum + row.sample_count * (row.stddev_price ** 2 + (row.avg_price - avg) ** 2), 0) / samples;
+
+    return {
+        min: round(Math.min(...rows.map(row => row.min_price))),
+        max: round(Math.max(...rows.map(row => row.max_price))),
+        avg: round(avg),
+        median: round(medianOf(rows.flatMap(row => row.prices))),
+        volatility: round(Math.sqrt(variance)),
+        samples
+    };
+}
+
+// Función para resumir los días recientes: muestras de los últimos 7 días y promedios de esos 7 y de los 7 anteriores
+export function summarizeRecentDays(rows, { now = Date.now() } = {}) {
+    const today = Date.parse(`${toUtcDay(now)}T00:00:00.000Z`);
+    const daysAgo = row => Math.round((today - Date.parse(`${row.day}T00:00:00.000Z`)) / DAY_MS);
+    const weightedAvg = list => {
+        const count = list.reduce((sum, row) => sum + row.sample_count, 0);
+        return count > 0 ? list.reduce((sum, row) => sum + row.avg_price * row.sample_count, 0) / count : null;
+    };
+
+    const last7d = rows.filter(row => daysAgo(row) >= 0 && daysAgo(row) < 7);
+    const previous7d = rows.filter(row => daysAgo(row) >= 7 && daysAgo(row) < 14);
+
+    return {
+        samplesLast7d: last7d.reduce((sum, row) => sum + row.sample_count, 0),
+        avgLast7d: weightedAvg(last7d),
+        avgPrevious7d: weightedAvg(previous7d)
+    };
+}
+
+// Función para armar la serie diaria de cierres (entrada del pronóstico y de los gráficos)
+export function toCloseSeries(rows) {
+    return [...rows]
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(row => ({ at: row.last_sample_at, price: row.close_price }));
+}
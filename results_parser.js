@@ -0,0 +1,265 @@
+import { CONFIG, getSelectors } from './config.js';
+
+// Función para limpiar espacios especiales que usa Google (nbsp, narrow nbsp)
+function cleanText(text) {
+    return (text || '').replace(/[\u00a0\u202f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Función para convertir un precio con separadores ("8,231" / "8.231" / "1.234,00") a número entero
+export function parsePriceText(text) {
+    const digits = cleanText(text)
+        .replace(/[.,]\d{2}$/, '')
+        .replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+// Función para convertir una hora "6:25 a.m." / "2:55 p.m." / "14:55" a formato HH:MM
+export function parseTimeText(text) {
+    const match = cleanText(text).match(/^(\d{1,2}):(\d{2})\s*([ap])?\.?\s*m?\.?/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2];
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+
+    return `${String(hours).padStart(2, '0')}:${minutes}`;
+}
+
+// Función para convertir una duración "6 h 30 min" a minutos
+export function parseDurationText(text) {
+    const clean = cleanText(text);
+    const hours = clean.match(/(\d+)\s*h/);
+    const minutes = clean.match(/(\d+)\s*min/);
+
+    if (!hours && !minutes) return null;
+    return (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+}
+
+// Función para extraer los datos de un itinerario a partir de su aria-label
+export function parseItineraryLabel(label, language = CONFIG.LOCALE.language) {
+    const text = cleanText(label);
+    if (!text) return null;
+
+    const patterns = getSelectors(language).RESULTS;
+
+    const priceMatch = text.match(patterns.PRICE);
+    const price = priceMatch ? parsePriceText(priceMatch[1]) : null;
+    const currency = priceMatch && priceMatch[2] ? parseCurrencyName(priceMatch[2], language) : null;
+
+    let stops = null;
+    if (patterns.NONSTOP.test(text)) {
+        stops = 0;
+    } else {
+        const stopsMatch = text.match(patterns.STOPS);
+        if (stopsMatch) stops = parseInt(stopsMatch[1], 10);
+    }
+
+    let airline = null;
+    for (const airlinePattern of patterns.AIRLINE) {
+        const airlineMatch = text.match(airlinePattern);
+        if (airlineMatch) {
+            airline = airlineMatch[1].trim();
+            break;
+        }
+    }
+
+    // Horarios: la primera hora es la salida y la segunda la llegada
+    const times = [...text.matchAll(patterns.TIME)].map(m => parseTimeText(m[1]));
+
+    const durationMatch = text.match(patterns.DURATION);
+
+    const layoverAirports = [...text.matchAll(patterns.LAYOVER)].map(m => m[1].trim());
+
+    return {
+        airline,
+        departure_time: times[0] || null,
+        arrival_time: times[1] || null,
+        duration_minutes: durationMatch ? parseDurationText(durationMatch[1]) : null,
+        stops,
+        layover_airports: layoverAirports,
+        price,
+        currency
+    };
+}
+
+// Función para convertir un nombre de moneda ("pesos mexicanos") a su código ISO
+export function parseCurrencyName(name, language = CONFIG.LOCALE.language) {
+    const normalized = cleanText(name).toLowerCase();
+    return getSelectors(language).CURRENCY_NAMES[normalized] || null;
+}
+
+// Función para detectar la moneda mostrada en un texto (nombre de moneda o código ISO)
+export function detectCurrency(text, language = CONFIG.LOCALE.language) {
+    const clean = cleanText(text);
+    const lower = clean.toLowerCase();
+
+    for (const [name, code] of Object.entries(getSelectors(language).CURRENCY_NAMES)) {
+        if (lower.includes(name)) return code;
+    }
+
+    const isoMatch = clean.match(new RegExp(`\\b(${CONFIG.CURRENCY.SUPPORTED.join('|')})\\s?\\d`));
+    return isoMatch ? isoMatch[1] : null;
+}
+
+// Función para decodificar entidades HTML comunes en atributos y texto
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Función para recorrer las etiquetas de apertura del HTML y devolver sus atributos (y su posición)
+function extractTags(html) {
+    const tags = [];
+    const tagRegex = /<([a-zA-Z][\w-]*)(\s[^<>]*?)?\/?>/g;
+    const attributeRegex = /([^\s=\/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let tagMatch;
+
+    while ((tagMatch = tagRegex.exec(html)) !== null) {
+        const attributes = {};
+        let attributeMatch;
+        while ((attributeMatch = attributeRegex.exec(tagMatch[2] || '')) !== null) {
+            attributes[attributeMatch[1].toLowerCase()] = decodeEntities(attributeMatch[2] ?? attributeMatch[3]);
+        }
+        tags.push({ name: tagMatch[1].toLowerCase(), attributes, index: tagMatch.index });
+    }
+
+    return tags;
+}
+
+// Función para obtener el texto visible del HTML (sin scripts, estilos ni etiquetas)
+function extractText(html) {
+    return cleanText(decodeEntities(
+        html
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+    ));
+}
+
+// Función para leer el enlace propio de un resultado (primer <a href> del segmento, absoluto)
+// null si el resultado no trae enlace: no se inventa uno con la URL de la búsqueda
+function extractResultLink(segment) {
+    const anchor = extractTags(segment).find(tag =>
+        tag.name === 'a' && tag.attributes.href && !/^(#|javascript:)/i.test(tag.attributes.href.trim())
+    );
+    if (!anchor) return null;
+
+    try {
+        return new URL(anchor.attributes.href.trim(), CONFIG.GOOGLE_FLIGHTS_URL).toString();
+    } catch {
+        return null;
+    }
+}
+
+// Función para leer el precio del tab "Más económicos desde N" (o su equivalente en el idioma)
+export function parseCheapestTabPrice(text, language = CONFIG.LOCALE.language) {
+    const match = cleanText(text).match(getSelectors(language).RESULTS.CHEAPEST_TAB_PRICE);
+    return match ? parsePriceText(match[1]) : null;
+}
+
+// Función principal: convierte el HTML de una página de resultados en precios estructurados
+export function parseResultsHtml(html, language = CONFIG.LOCALE.language) {
+    if (!html || typeof html !== 'string') {
+        return { cheapestPrice: null, cheapestTabPrice: null, currency: null, itineraries: [] };
+    }
+
+    const { ITINERARY_CLASS } = getSelectors(language);
+
+    const resultTags = extractTags(html)
+        .filter(tag => (tag.attributes.class || '').split(/\s+/).includes(ITINERARY_CLASS) && tag.attributes['aria-label']);
+
+    // El enlace de cada resultado se busca desde su elemento hasta el cierre de su <li> (o el siguiente resultado)
+    const itineraries = resultTags
+        .map((tag, index) => {
+            const itinerary = parseItineraryLabel(tag.attributes['aria-label'], language);
+            if (!itinerary) return null;
+
+            const nextResult = index + 1 < resultTags.length ? resultTags[index + 1].index : html.length;
+            const itemEnd = html.indexOf('</li>', tag.index);
+            const segmentEnd = itemEnd !== -1 && itemEnd < nextResult ? itemEnd : nextResult;
+            return { ...itinerary, booking_link: extractResultLink(html.slice(tag.index, segmentEnd)) };
+        })
+        .filter(itinerary => itinerary && itinerary.price);
+
+    const text = extractText(html);
+    const tabPrice = parseCheapestTabPrice(text, language);
+    const minItineraryPrice = itineraries.length > 0
+        ? Math.min(...itineraries.map(itinerary => itinerary.price))
+        : null;
+
+    // Moneda: la más frecuente entre los itinerarios; si no hay, la que aparezca en la página
+    const currencyCounts = new Map();
+    itineraries.forEach(itinerary => {
+        if (itinerary.currency) {
+            currencyCounts.set(itinerary.currency, (currencyCounts.get(itinerary.currency) || 0) + 1);
+        }
+    });
+    const currency = currencyCounts.size > 0
+        ? [...currencyCounts.entries()].sort((a, b) => b[1] - a[1])[0][0]
+        : detectCurrency(text, language);
+
+    return {
+        cheapestPrice: tabPrice ?? minItineraryPrice,
+        cheapestTabPrice: tabPrice,
+        currency,
+        itineraries
+    };
+}
+
+// Función para leer los precios por día del calendario de salida (vista de fechas flexibles)
+// Devuelve [{ date: 'YYYY-MM-DD', price, currency }] ordenado por fecha
+export function parseCalendarPrices(html, language = CONFIG.LOCALE.language) {
+    if (!html || typeof html !== 'string') return [];
+
+    const { CALENDAR_DAY_ATTRIBUTE, CALENDAR_PRICE_CLASS } = getSelectors(language);
+    const dayRegex = new RegExp(`<[^>]+\\s${CALENDAR_DAY_ATTRIBUTE}="(\\d{4}-\\d{2}-\\d{2})"[^>]*>`, 'g');
+    const dayMatches = [...html.matchAll(dayRegex)];
+    const pricesByDate = new Map();
+
+    dayMatches.forEach((match, index) => {
+        // Segmento del HTML que pertenece a este día (hasta la siguiente celda)
+        const segmentEnd = index + 1 < dayMatches.length ? dayMatches[index + 1].index : html.length;
+        const segment = html.slice(match.index, segmentEnd);
+
+        let price = null;
+        let currency = null;
+
+        for (const tag of extractTags(segment)) {
+            const classes = (tag.attributes.class || '').split(/\s+/);
+            const label = tag.attributes['aria-label'];
+            if (!classes.includes(CALENDAR_PRICE_CLASS) && !label) continue;
+
+            const labelMatch = label ? cleanText(label).match(/^(\d[\d.,]*)\s+(.+)$/) : null;
+            if (labelMatch) {
+                price = parsePriceText(labelMatch[1]);
+                currency = parseCurrencyName(labelMatch[2], language);
+                break;
+            }
+        }
+
+        // Sin aria-label: usar el texto del elemento de precio
+        if (price === null) {
+            const textMatch = segment.match(new RegExp(`class="[^"]*\\b${CALENDAR_PRICE_CLASS}\\b[^"]*"[^>]*>([^<]+)<`));
+            if (textMatch) {
+                price = parsePriceText(decodeEntities(textMatch[1]));
+                currency = detectCurrency(decodeEntities(textMatch[1]), language);
+            }
+        }
+
+        // Un mismo día puede aparecer dos veces (dos meses visibles); se queda el primero con precio
+        if (price && !pricesByDate.has(match[1])) {
+            pricesByDate.set(match[1], { date: match[1], price, currency });
+        }
+    });
+
+    return [...pricesByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
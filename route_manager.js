@@ -0,0 +1,208 @@
+import { db } from './storage.js';
+import { buildRouteConfig, isDateWindowJob } from './trip_types.js';
+import { DEAD_LETTER_STATUS } from './job_retry.js';
+
+// Función para describir una ruta de config_flights en una línea
+export function describeRoute(route) {
+    const dates = isDateWindowJob(route)
+        ? `${route.window_start} → ${route.window_end}${route.window_weekdays ? ` (días ${route.window_weekdays.join(',')})` : ''}`
+        : `${route.flight_date}${route.return_date ? ` → ${route.return_date}` : ''}`;
+    const state = route.is_active ? route.status : route.status === 'retired' ? 'retirada' : 'pausada';
+    const nextScrape = route.is_active && route.status === 'completed' && route.next_scrape_at ? ` | próximo scraping ${route.next_scrape_at}` : '';
+
+    return `#${route.id} ${route.origin_city} → ${route.destination_city} | ${dates} | ${route.trip_type} | prioridad ${route.priority} | ${state}${nextScrape}`;
+}
+
+// Función para dar de alta una ruta a monitorear
+export async function addRoute(options) {
+    let route;
+    try {
+        route = buildRouteConfig(options);
+    } catch (error) {
+        console.error('❌ Ruta inválida:', error.message);
+        return null;
+    }
+
+    try {
+        const { data, error } = await db
+            .from('config_flights')
+            .insert([route])
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('❌ Error al guardar la ruta:', error.message);
+            return null;
+        }
+
+        console.log(`✅ Ruta agregada: ${describeRoute(data)}`);
+        return data;
+    } catch (error) {
+        console.error('❌ Error crítico al guardar la ruta:', error.message);
+        return null;
+    }
+}
+
+// Función para listar las rutas (por defecto solo las activas)
+export async function listRoutes({ includeInactive = false } = {}) {
+    try {
+        let query = db
+            .from('config_flights')
+            .select('*')
+            .order('priority', { ascending: false })
+            .order('id', { ascending: true });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data: routes, error } = await query;
+
+        if (error) {
+            console.error('❌ Error al listar rutas:', error.message);
+            return null;
+        }
+
+        console.log(`\n🛫 RUTAS MONITOREADAS (${routes.length}):`);
+        console.log('=========================');
+        if (routes.length === 0) {
+            console.log('📭 No hay rutas configuradas');
+        }
+        routes.forEach(route => {
+            console.log(`   ${describeRoute(route)}`);
+            if (route.last_error) {
+                console.log(`      ⚠️ Último error: ${route.last_error}`);
+            }
+        });
+
+        return routes;
+    } catch (error) {
+        console.error('❌ Error crítico al listar rutas:', error.message);
+        return null;
+    }
+}
+
+// Función para pausar (is_active = false) o reanudar una ruta
+export async function setRouteActive(routeId, isActive) {
+    try {
+        const { data, error } = await db
+            .from('config_flights')
+            .update({ is_active: isActive, updated_at: new Date().toISOString() })
+            .eq('id', routeId)
+            .select('*');
+
+        if (error) {
+            console.error('❌ Error al actualizar la ruta:', error.message);
+            return null;
+        }
+
+        if (!data || data.length === 0) {
+            console.error(`❌ No existe la ruta ${routeId}`);
+            return null;
+        }
+
+        console.log(`${isActive ? '▶️ Ruta reanudada' : '⏸️ Ruta pausada'}: ${describeRoute(data[0])}`);
+        return data[0];
+    } catch (error) {
+        console.error('❌ Error crítico al actualizar la ruta:', error.message);
+        return null;
+    }
+}
+
+// Función para eliminar una ruta (los precios guardados se conservan)
+export async function removeRoute(routeId) {
+    try {
+        const { data, error } = await db
+            .from('config_flights')
+            .delete()
+            .eq('id', routeId)
+            .select('*');
+
+        if (error) {
+            console.error('❌ Error al eliminar la ruta:', error.message);
+            return null;
+        }
+
+        if (!data || data.length === 0) {
+            console.error(`❌ No existe la ruta ${routeId}`);
+            return null;
+        }
+
+        console.log(`🗑️ Ruta eliminada: ${describeRoute(data[0])}`);
+        return data[0];
+    } catch (error) {
+        console.error('❌ Error crítico al eliminar la ruta:', error.message);
+        return null;
+    }
+}
+
+// Función para listar los trabajos en dead letter (agotaron sus intentos) con su último error
+export async function listDeadLetterJobs() {
+    try {
+        const { data: jobs, error } = await db
+            .from('config_flights')
+            .select('*')
+            .eq('status', DEAD_LETTER_STATUS)
+            .order('dead_lettered_at', { ascending: false });
+
+        if (error) {
+            console.error('❌ Error al listar trabajos en dead letter:', error.message);
+            return null;
+        }
+
+        console.log(`\n🪦 TRABAJOS EN DEAD LETTER (${jobs.length}):`);
+        console.log('=========================');
+        if (jobs.length === 0) {
+            console.log('📭 No hay trabajos en dead letter');
+        }
+        jobs.forEach(job => {
+            console.log(`   ${describeRoute(job)} | ${job.attempts} intento(s) | desde ${job.dead_lettered_at}`);
+            console.log(`      ⚠️ Último error: ${job.last_error || '(sin detalle)'}`);
+        });
+
+        return jobs;
+    } catch (error) {
+        console.error('❌ Error crítico al listar trabajos en dead letter:', error.message);
+        return null;
+    }
+}
+
+// Función para devolver a la cola trabajos en dead letter (uno por id o todos)
+// Se reinician los intentos; last_error se conserva hasta el próximo scraping exitoso
+export async function requeueJobs({ jobId = null } = {}) {
+    try {
+        let query = db
+            .from('config_flights')
+            .update({
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: null,
+                dead_lettered_at: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('status', DEAD_LETTER_STATUS);
+
+        if (jobId !== null) {
+            query = query.eq('id', jobId);
+        }
+
+        const { data: jobs, error } = await query.select('*');
+
+        if (error) {
+            console.error('❌ Error al reencolar trabajos:', error.message);
+            return null;
+        }
+
+        if (jobId !== null && jobs.length === 0) {
+            console.error(`❌ El trabajo ${jobId} no existe o no está en dead letter`);
+            return null;
+        }
+
+        console.log(`🔁 ${jobs.length} trabajo(s) reencolado(s)`);
+        jobs.forEach(job => console.log(`   ${describeRoute(job)}`));
+        return jobs;
+    } catch (error) {
+        console.error('❌ Error crítico al reencolar trabajos:', error.message);
+        return null;
+    }
+}
@@ -0,0 +1,85 @@
+import { isDateWindowJob } from './trip_types.js';
+
+// Política de frecuencia de scraping: cada ruta se vuelve a scrapear según días para la salida,
+// volatilidad del precio, frecuencia de cambios recientes y prioridad del trabajo
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para obtener la fecha UTC (YYYY-MM-DD) de un instante
+function toIsoDate(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Función para obtener la última fecha de salida que cubre el trabajo (después de ella se retira)
+export function getLastDepartureDate(job) {
+    return isDateWindowJob(job) ? job.window_end : job.flight_date;
+}
+
+// Función para saber si ya pasaron todas las fechas de salida del trabajo
+export function isDeparturePast(job, { now = Date.now() } = {}) {
+    const lastDate = getLastDepartureDate(job);
+    return Boolean(lastDate) && lastDate < toIsoDate(now);
+}
+
+// Función para calcular los días que faltan para la próxima salida del trabajo
+// En ventanas de fechas ya iniciadas la próxima salida es hoy
+export function getDaysToDeparture(job, { now = Date.now() } = {}) {
+    const today = toIsoDate(now);
+    const nextDate = isDateWindowJob(job) && job.window_start < today ? today : job.flight_date || job.window_start;
+    if (!nextDate) return null;
+    return Math.max(0, Math.round((Date.parse(`${nextDate}T00:00:00.000Z`) - Date.parse(`${today}T00:00:00.000Z`)) / DAY_MS));
+}
+
+// Función para calcular cada cuántos minutos scrapear una ruta
+// volatilityRatio = price_volatility / current_avg_price; changesLastWeek = filas de price_changes recientes
+export function computeScrapeIntervalMinutes({ daysToDeparture, volatilityRatio = null, changesLastWeek = 0, priority = 1 }, policy) {
+    // 1. Intervalo base por cercanía de la salida (sin fecha conocida se usa el tramo más lejano)
+    const tiers = policy.PROXIMITY_TIERS;
+    const tier = daysToDeparture === null
+        ? tiers[tiers.length - 1]
+        : tiers.find(candidate => daysToDeparture <= candidate.maxDays) || tiers[tiers.length - 1];
+    let minutes = tier.hours * 60;
+
+    // 2. Precios volátiles se revisan más seguido; precios planos, menos
+    if (volatilityRatio !== null && volatilityRatio >= policy.HIGH_VOLATILITY_RATIO) {
+        minutes *= 0.5;
+    } else if (volatilityRatio !== null && volatilityRatio <= policy.LOW_VOLATILITY_RATIO) {
+        minutes *= 1.5;
+    }
+
+    // 3. Cada cambio de precio detectado en la última semana acorta el intervalo (hasta la mitad)
+    minutes *= Math.max(0.5, 1 / (1 + 0.25 * changesLastWeek));
+
+    // 4. Prioridad 1 = normal; 2 = 1.5× más seguido; 3 = 2×...
+    minutes /= 1 + 0.5 * (Math.max(1, priority || 1) - 1);
+
+    return Math.round(Math.min(Math.max(minutes, policy.MIN_INTERVAL_MINUTES), policy.MAX_INTERVAL_MINUTES));
+}
+
+// Función para decidir qué hacer con un trabajo en el scheduler
+// retire = ya pasó la salida | release = le toca scrapear (vuelve a pending) | wait = aún no
+export function planJobSchedule(job, { analytics = null, changesLastWeek = 0, policy, now = Date.now() }) {
+    if (isDeparturePast(job, { now })) {
+        return { action: 'retire', nextScrapeAt: null, intervalMinutes: null };
+    }
+
+    const volatilityRatio = analytics && analytics.current_avg_price > 0 && analytics.price_volatility !== null
+        ? analytics.price_volatility / analytics.current_avg_price
+        : null;
+    const intervalMinutes = computeScrapeIntervalMinutes({
+        daysToDeparture: getDaysToDeparture(job, { now }),
+        volatilityRatio,
+        changesLastWeek,
+        priority: job.priority
+    }, policy);
+
+    // Sin scraping exitoso registrado la ruta se considera vencida
+    const lastScrapedAt = job.last_scraped_at ? Date.parse(job.last_scraped_at) : null;
+    const nextScrapeAt = new Date(lastScrapedAt === null ? now : lastScrapedAt + intervalMinutes * 60 * 1000);
+
+    return {
+        action: nextScrapeAt.getTime() <= now ? 'release' : 'wait',
+        nextScrapeAt: nextScrapeAt.toISOString(),
+        intervalMinutes
+    };
+}
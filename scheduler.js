@@ -0,0 +1,137 @@
+import { CONFIG } from './config.js';
+import { db } from './storage.js';
+import { buildItinerary, isDateWindowJob } from './trip_types.js';
+import { generateRouteId, generateWindowRouteId } from './price_analytics.js';
+import { planJobSchedule } from './schedule_policy.js';
+
+// Función para obtener el route_id de price_analytics de un trabajo (null si el trabajo es inválido)
+function getJobRouteId(job) {
+    try {
+        if (isDateWindowJob(job)) {
+            return generateWindowRouteId(job.origin_city, job.destination_city, job.window_start, job.window_end);
+        }
+        const itinerary = buildItinerary(job);
+        return generateRouteId(itinerary.from, itinerary.to, itinerary.flightDate, itinerary.returnDate, itinerary.itineraryKey);
+    } catch (error) {
+        console.log(`⚠️ Trabajo ${job.id} sin route_id: ${error.message}`);
+        return null;
+    }
+}
+
+// Función para cargar analytics y cambios de precio recientes de las rutas a programar
+async function loadScheduleInputs(routeIds, now) {
+    if (routeIds.length === 0) {
+        return { analyticsByRoute: new Map(), changesByRoute: new Map() };
+    }
+
+    const since = new Date(now - CONFIG.SCHEDULER.CHANGE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const [analyticsResult, changesResult] = await Promise.all([
+        db.from('price_analytics').select('route_id, current_avg_price, price_volatility').in('route_id', routeIds),
+        db.from('price_changes').select('route_id').in('route_id', routeIds).gte('created_at', since)
+    ]);
+
+    if (analyticsResult.error) {
+        console.error('❌ Error cargando analytics para el scheduler:', analyticsResult.error.message);
+    }
+    if (changesResult.error) {
+        console.error('❌ Error cargando cambios de precio para el scheduler:', changesResult.error.message);
+    }
+
+    const analyticsByRoute = new Map((analyticsResult.data || []).map(row => [row.route_id, row]));
+    const changesByRoute = new Map();
+    (changesResult.data || []).forEach(row => changesByRoute.set(row.route_id, (changesByRoute.get(row.route_id) || 0) + 1));
+
+    return { analyticsByRoute, changesByRoute };
+}
+
+// Función principal del scheduler: retira los trabajos cuya salida ya pasó y devuelve a pending
+// los completados a los que les toca scrapear; al resto les deja calculado next_scrape_at
+export async function runScheduler({ now = Date.now() } = {}) {
+    try {
+        console.log('🗓️ Programando próximos scrapings...');
+
+        // PASO 1: Trabajos activos (los que están en processing los maneja su lease)
+        const { data: jobs, error } = await db
+            .from('config_flights')
+            .select('*')
+            .eq('is_active', true)
+            .neq('status', 'processing');
+
+        if (error) {
+            console.error('❌ Error cargando trabajos para el scheduler:', error.message);
+            return null;
+        }
+
+        // PASO 2: Analytics y frecuencia de cambios de las rutas completadas
+        const completedJobs = jobs.filter(job => job.status === 'completed');
+        const routeIdByJob = new Map(completedJobs.map(job => [job.id, getJobRouteId(job)]));
+        const routeIds = [...new Set([...routeIdByJob.values()].filter(Boolean))];
+        const { analyticsByRoute, changesByRoute } = await loadScheduleInputs(routeIds, now);
+
+        // PASO 3: Retirar, liberar o reprogramar cada trabajo
+        const result = { retired: 0, released: 0, waiting: 0, schedule: [] };
+        const timestamp = new Date(now).toISOString();
+
+        for (const job of jobs) {
+            const routeId = routeIdByJob.get(job.id) ?? null;
+            const plan = planJobSchedule(job, {
+                analytics: analyticsByRoute.get(routeId) || null,
+                changesLastWeek: changesByRoute.get(routeId) || 0,
+                policy: CONFIG.SCHEDULER,
+                now
+            });
+            const route = `#${job.id} ${job.origin_city} → ${job.destination_city}`;
+
+            if (plan.action === 'retire') {
+                const { error: retireError } = await db
+                    .from('config_flights')
+                    .update({ status: 'retired', is_active: false, next_scrape_at: null, retired_at: timestamp, updated_at: timestamp })
+                    .eq('id', job.id)
+                    .neq('status', 'processing');
+
+                if (retireError) {
+                    console.error(`❌ Error retirando el trabajo ${job.id}:`, retireError.message);
+                    continue;
+                }
+                result.retired++;
+                result.schedule.push({ id: job.id, route, action: plan.action, nextScrapeAt: null, intervalMinutes: null });
+                console.log(`   🗄️ ${route}: salida pasada, trabajo retirado`);
+                continue;
+            }
+
+            // Los pendientes o en dead letter no se reprograman: ya esperan su turno o una intervención
+            if (job.status !== 'completed') continue;
+
+            const update = plan.action === 'release'
+                ? { status: 'pending', next_scrape_at: plan.nextScrapeAt, updated_at: timestamp }
+                : { next_scrape_at: plan.nextScrapeAt };
+            const unchanged = plan.action === 'wait' && job.next_scrape_at && Date.parse(job.next_scrape_at) === Date.parse(plan.nextScrapeAt);
+
+            if (!unchanged) {
+                const { error: updateError } = await db
+                    .from('config_flights')
+                    .update(update)
+                    .eq('id', job.id)
+                    .eq('status', 'completed');
+
+                if (updateError) {
+                    console.error(`❌ Error programando el trabajo ${job.id}:`, updateError.message);
+                    continue;
+                }
+            }
+
+            result[plan.action === 'release' ? 'released' : 'waiting']++;
+            result.schedule.push({ id: job.id, route, action: plan.action, nextScrapeAt: plan.nextScrapeAt, intervalMinutes: plan.intervalMinutes });
+            if (plan.action === 'release') {
+                console.log(`   ▶️ ${route}: le toca scrapear (cada ${plan.intervalMinutes} min)`);
+            }
+        }
+
+        console.log(`📊 Scheduler: ${result.released} liberado(s) | ${result.waiting} en espera | ${result.retired} retirado(s)`);
+        return result;
+
+    } catch (error) {
+        console.error('❌ Error crítico en el scheduler:', error.message);
+        return null;
+    }
+}
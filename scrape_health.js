@@ -0,0 +1,105 @@
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { db } from './storage.js';
+import { buildScrapeHealthReport } from './scrape_telemetry.js';
+
+const RUNS_LOG_FILE = 'scrape_runs.jsonl';
+
+// Función para guardar una ejecución de scraping en scrape_runs y en logs/scrape_runs.jsonl
+// El archivo se sube como artefacto del workflow aunque la base no esté disponible
+export async function recordScrapeRun(record) {
+    try {
+        await mkdir(CONFIG.FILES.LOGS_DIR, { recursive: true });
+        await appendFile(path.join(CONFIG.FILES.LOGS_DIR, RUNS_LOG_FILE), `${JSON.stringify(record)}\n`, 'utf8');
+    } catch (error) {
+        console.error('❌ Error escribiendo log de telemetría:', error.message);
+    }
+
+    try {
+        const { error } = await db
+            .from('scrape_runs')
+            .insert([record]);
+
+        if (error) {
+            console.error('❌ Error guardando telemetría de scraping:', error.message);
+            return false;
+        }
+
+        const timings = record.step_timings.map(timing => `${timing.step} ${timing.duration_ms}ms${timing.status === 'ok' ? '' : ' ❌'}`).join(' | ');
+        console.log(`⏱️ Telemetría: ${record.success ? 'ok' : `${record.failure_category} en ${record.failure_step || 'inicio'}`} (${record.duration_ms}ms) ${timings}`);
+        return true;
+
+    } catch (error) {
+        console.error('❌ Error crítico guardando telemetría de scraping:', error.message);
+        return false;
+    }
+}
+
+// Función para leer las ejecuciones de scraping de los últimos N días (null si falla)
+export async function loadScrapeRuns({ days = 7 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const { data: runs, error } = await db
+        .from('scrape_runs')
+        .select('route, success, failure_step, failure_category, step_timings, started_at')
+        .gte('started_at', since)
+        .order('started_at', { ascending: true });
+
+    if (error) {
+        console.error('Error obteniendo telemetría de scraping:', error.message);
+        return null;
+    }
+
+    return runs || [];
+}
+
+// Función para obtener el reporte de salud del scraper de los últimos N días
+export async function getScrapeHealthReport({ days = 7 } = {}) {
+    try {
+        const runs = await loadScrapeRuns({ days });
+        if (runs === null) {
+            return null;
+        }
+
+        const report = { days, ...buildScrapeHealthReport(runs) };
+
+        console.log(`\n🩺 SALUD DEL SCRAPER (últimos ${days} días):`);
+        console.log('=====================================');
+
+        if (report.totalRuns === 0) {
+            console.log('📭 No hay ejecuciones registradas');
+            return report;
+        }
+
+        console.log(`   📈 Tasa de éxito: ${report.successRate}% (${report.totalRuns} ejecuciones)`);
+
+        console.log('\n   🛣️ Por ruta:');
+        report.byRoute.forEach(route => {
+            const lastFailure = route.lastFailure ? ` | última falla: ${route.lastFailure.category} en ${route.lastFailure.step || 'inicio'}` : '';
+            console.log(`      ${route.route}: ${route.successRate}% (${route.successes}/${route.runs})${lastFailure}`);
+        });
+
+        console.log('\n   🧩 Por paso:');
+        report.byStep.forEach(step => {
+            console.log(`      ${step.step}: ${step.successRate}% (${step.failures} falla(s) de ${step.attempts}) | promedio ${step.avgMs}ms`);
+        });
+
+        console.log('\n   📅 Por día:');
+        report.byDay.forEach(day => {
+            console.log(`      ${day.day}: ${day.successRate}% (${day.successes}/${day.runs})`);
+        });
+
+        if (Object.keys(report.byCategory).length > 0) {
+            console.log('\n   🏷️ Fallas por categoría:');
+            Object.entries(report.byCategory)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([category, count]) => console.log(`      ${category}: ${count}`));
+        }
+
+        return report;
+
+    } catch (error) {
+        console.error('Error obteniendo telemetría de scraping:', error.message);
+        return null;
+    }
+}
@@ -0,0 +1,188 @@
+import { CHALLENGE_TYPES, detectChallenge } from './page_challenges.js';
+
+// Telemetría de cada ejecución de scraping: tiempos por paso, categoría de falla y reportes de salud
+
+// Pasos instrumentados del formulario de Google Flights (en multi-destino origin/destination/date se repiten por tramo)
+export const SCRAPE_STEPS = {
+    NAVIGATE: 'navigate',
+    ORIGIN: 'origin',
+    DESTINATION: 'destination',
+    DATE: 'date',
+    RESULTS: 'results'
+};
+
+// Categorías de falla registradas en scrape_runs.failure_category
+export const FAILURE_CATEGORIES = {
+    SELECTOR_MISSING: 'selector_missing',
+    NO_RESULTS: 'no_results',
+    CONSENT: CHALLENGE_TYPES.CONSENT,
+    CAPTCHA: CHALLENGE_TYPES.CAPTCHA,
+    RATE_LIMITED: CHALLENGE_TYPES.RATE_LIMIT,
+    TIMEOUT: 'timeout',
+    VALIDATION: 'validation',
+    UNKNOWN: 'unknown'
+};
+
+const VALIDATION_REGEX = /inválid|invalid|requiere|required|no soportado|supera el máximo|anterior a|no coincide|validation failed|Cannot process flight date/i;
+const SELECTOR_REGEX = /waiting for (locator|getBy)|strict mode violation|Sin sugerencias de autocompletado|element is not (visible|attached)|quedó vacío/i;
+const TIMEOUT_REGEX = /Timeout \d+ms exceeded|TimeoutError|timed out/i;
+const NO_RESULTS_REGEX = /No se encontraron precios|no mostró precios|no results/i;
+
+// Función para clasificar el error de un scraping fallido
+// url = URL de la página al fallar (Google redirige a consent.google.com o /sorry/ con captcha)
+export function classifyScrapeError(error, { url = null, step = null } = {}) {
+    const message = `${error?.name || ''} ${error?.message || error || ''}`;
+
+    // Los desafíos detectados en la página llegan marcados en el error
+    const challenge = error?.challenge || detectChallenge({ url: url || '' });
+    if (challenge) {
+        return challenge;
+    }
+    // Un error antes de navegar solo puede venir del trabajo (itinerario, fechas, ventana)
+    if (step === null || VALIDATION_REGEX.test(message)) {
+        return FAILURE_CATEGORIES.VALIDATION;
+    }
+    // Los timeouts de Playwright esperando un locator son selectores que ya no existen
+    if (SELECTOR_REGEX.test(message)) {
+        return FAILURE_CATEGORIES.SELECTOR_MISSING;
+    }
+    if (TIMEOUT_REGEX.test(message)) {
+        return FAILURE_CATEGORIES.TIMEOUT;
+    }
+    if (NO_RESULTS_REGEX.test(message)) {
+        return FAILURE_CATEGORIES.NO_RESULTS;
+    }
+    return FAILURE_CATEGORIES.UNKNOWN;
+}
+
+// Función para iniciar el registro de una ejecución de scraping
+export function startScrapeRun(job, { now = Date.now() } = {}) {
+    return {
+        job_id: job.id ?? null,
+        route: `${job.origin_city} → ${job.destination_city}`,
+        search_mode: job.search_mode || 'fixed_date',
+        trip_type: job.trip_type || 'one_way',
+        flight_date: job.flight_date || job.window_start || null,
+        instance_id: job.processing_instance_id || null,
+        started_at: new Date(now).toISOString(),
+        steps: [],
+        currentStep: null
+    };
+}
+
+// Función para cerrar el paso en curso con su duración
+function closeCurrentStep(run, status, now) {
+    if (!run.currentStep) return;
+    run.steps.push({
+        step: run.currentStep.step,
+        status,
+        duration_ms: Math.max(0, now - run.currentStep.startedAt)
+    });
+    run.currentStep = null;
+}
+
+// Función para marcar el inicio de un paso (cierra el anterior como exitoso)
+export function beginStep(run, step, { now = Date.now() } = {}) {
+    if (!run) return;
+    closeCurrentStep(run, 'ok', now);
+    run.currentStep = { step, startedAt: now };
+}
+
+// Función para registrar la falla de la ejecución en el paso en curso
+export function failScrapeRun(run, error, { url = null, category = null, now = Date.now() } = {}) {
+    if (!run) return;
+    const step = run.currentStep ? run.currentStep.step : null;
+    run.failure_step = step;
+    run.failure_category = category || classifyScrapeError(error, { url, step });
+    run.error_message = String(error?.message || error).slice(0, 1000);
+    closeCurrentStep(run, 'failed', now);
+}
+
+// Función para cerrar la ejecución y armar la fila de scrape_runs
+export function finishScrapeRun(run, { success, screenshotPath = null, htmlPath = null, now = Date.now() } = {}) {
+    closeCurrentStep(run, success ? 'ok' : 'failed', now);
+
+    return {
+        job_id: run.job_id,
+        route: run.route,
+        search_mode: run.search_mode,
+        trip_type: run.trip_type,
+        flight_date: run.flight_date,
+        instance_id: run.instance_id,
+        success: Boolean(success),
+        failure_step: success ? null : run.failure_step ?? null,
+        failure_category: success ? null : run.failure_category || FAILURE_CATEGORIES.UNKNOWN,
+        error_message: success ? null : run.error_message ?? null,
+        step_timings: run.steps,
+        duration_ms: Math.max(0, now - new Date(run.started_at).getTime()),
+        screenshot_path: screenshotPath,
+        html_path: htmlPath,
+        started_at: run.started_at,
+        finished_at: new Date(now).toISOString()
+    };
+}
+
+// Función para calcular la tasa de éxito (porcentaje con un decimal)
+function successRate(successes, total) {
+    return total > 0 ? Math.round((successes / total) * 1000) / 10 : 0;
+}
+
+// Función para armar el reporte de salud: éxito por ruta, por paso, por día y fallas por categoría
+export function buildScrapeHealthReport(runs) {
+    const byRoute = new Map();
+    const byStep = new Map();
+    const byDay = new Map();
+    const byCategory = {};
+
+    runs.forEach(run => {
+        const route = byRoute.get(run.route) || { route: run.route, runs: 0, successes: 0, lastFailure: null };
+        route.runs++;
+        if (run.success) {
+            route.successes++;
+        } else if (!route.lastFailure || run.started_at > route.lastFailure.at) {
+            route.lastFailure = { at: run.started_at, category: run.failure_category, step: run.failure_step };
+        }
+        byRoute.set(run.route, route);
+
+        const dayKey = String(run.started_at).slice(0, 10);
+        const day = byDay.get(dayKey) || { day: dayKey, runs: 0, successes: 0 };
+        day.runs++;
+        if (run.success) day.successes++;
+        byDay.set(dayKey, day);
+
+        if (!run.success) {
+            const category = run.failure_category || FAILURE_CATEGORIES.UNKNOWN;
+            byCategory[category] = (byCategory[category] || 0) + 1;
+        }
+
+        (run.step_timings || []).forEach(timing => {
+            const step = byStep.get(timing.step) || { step: timing.step, attempts: 0, failures: 0, totalMs: 0 };
+            step.attempts++;
+            if (timing.status !== 'ok') step.failures++;
+            step.totalMs += timing.duration_ms || 0;
+            byStep.set(timing.step, step);
+        });
+    });
+
+    const stepOrder = Object.values(SCRAPE_STEPS);
+    const totalSuccesses = runs.filter(run => run.success).length;
+
+    return {
+        totalRuns: runs.length,
+        successRate: successRate(totalSuccesses, runs.length),
+        byRoute: [...byRoute.values()]
+            .map(route => ({ ...route, successRate: successRate(route.successes, route.runs) }))
+            .sort((a, b) => a.successRate - b.successRate || a.route.localeCompare(b.route)),
+        byStep: [...byStep.values()]
+            .map(({ totalMs, ...step }) => ({
+                ...step,
+                successRate: successRate(step.attempts - step.failures, step.attempts),
+                avgMs: step.attempts > 0 ? Math.round(totalMs / step.attempts) : 0
+            }))
+            .sort((a, b) => stepOrder.indexOf(a.step) - stepOrder.indexOf(b.step)),
+        byDay: [...byDay.values()]
+            .map(day => ({ ...day, successRate: successRate(day.successes, day.runs) }))
+            .sort((a, b) => a.day.localeCompare(b.day)),
+        byCategory
+    };
+}
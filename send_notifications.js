@@ -1,13 +1,8 @@
-import { createClient } from '@supabase/supabase-js';
-import { CONFIG } from './config.js';
-import dotenv from 'dotenv';
+import { deliverToChannel, selectSubscriptions } from './notification_channels.js';
+import { db } from './storage.js';
 
-dotenv.config();
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// Función para registrar notificación en la base de datos
-async function logNotification(routeId, fromCity, toCity, flightDate, notificationType, oldPrice, newPrice, priceDrop, dropPercentage, currency, alertReason, pushcutResponse = null) {
+// Función para registrar notificación en la base de datos (una fila por canal entregado)
+async function logNotification(routeId, fromCity, toCity, flightDate, notificationType, oldPrice, newPrice, priceDrop, dropPercentage, currency, alertReason, deliveryResponse = null, channel = null, subscriber = null) {
     try {
         const notificationData = {
             route_id: routeId,
@@ -21,11 +16,13 @@ async function logNotification(routeId, fromCity, toCity, flightDate, notificati
             drop_percentage: dropPercentage,
             currency: currency,
             alert_reason: alertReason,
-            pushcut_response: pushcutResponse,
+            channel: channel,
+            subscriber: subscriber,
+            delivery_response: deliveryResponse,
             notification_sent_at: new Date().toISOString()
         };
 
-        const { error } = await supabase
+        const { error } = await db
             .from('notifications')
             .insert([notificationData]);
 
@@ -34,7 +31,7 @@ async function logNotification(routeId, fromCity, toCity, flightDate, notificati
             return false;
         }
 
-        console.log('📝 Notificación registrada en base de datos');
+        console.log(`📝 Notificación registrada en base de datos (${channel || 'sin canal'})`);
         return true;
     } catch (error) {
         console.error('❌ Error crítico registrando notificación:', error.message);
@@ -43,15 +40,21 @@ async function logNotification(routeId, fromCity, toCity, flightDate, notificati
 }
 
 // Función para verificar si se puede enviar notificación
-async function canSendNotification(from, to, flightDate, newPrice) {
+// La ruta se identifica por route_id (incluye regreso y tramos) y solo cuentan las entregas exitosas:
+// un envío que falló no bloquea el reintento
+async function canSendNotification(routeId, newPrice) {
+    if (!routeId) {
+        console.log('✅ Alerta sin route_id: no hay historial con qué limitar la frecuencia');
+        return true;
+    }
+
     try {
-        // Buscar la última notificación para esta ruta
-        const { data: lastNotification, error } = await supabase
+        // Buscar la última notificación entregada para esta ruta
+        const { data: lastNotification, error } = await db
             .from('notifications')
             .select('*')
-            .eq('from_city', from)
-            .eq('to_city', to)
-            .eq('flight_date', flightDate)
+            .eq('route_id', routeId)
+            .eq('delivery_response->success', true)
             .order('notification_sent_at', { ascending: false })
             .limit(1)
             .single();
@@ -63,7 +66,7 @@ async function canSendNotification(from, to, flightDate, newPrice) {
 
         // Si no hay notificaciones previas, se puede enviar
         if (!lastNotification) {
-            console.log('✅ Sin notificaciones previas para esta ruta');
+            console.log('✅ Sin notificaciones entregadas para esta ruta');
             return true;
         }
 
@@ -96,88 +99,72 @@ async function canSendNotification(from, to, flightDate, newPrice) {
     }
 }
 
-// Función principal para enviar alerta de precio
-export async function sendPriceAlert(from, to, currentPrice, currency, flightDate, reason = 'Precio bajo detectado', routeId = null, oldPrice = null, priceDrop = null) {
+// Función para obtener las suscripciones activas que reciben la alerta de una ruta
+async function loadSubscriptions(routeId, fromCity, toCity) {
+    const { data, error } = await db
+        .from('notification_subscriptions')
+        .select('*')
+        .eq('is_active', true);
+
+    if (error) {
+        console.error('Error obteniendo suscripciones (se usan los canales de CONFIG):', error.message);
+    }
+
+    return selectSubscriptions(error ? [] : data, { routeId, fromCity, toCity });
+}
+
+// Función principal para enviar alerta de precio por todos los canales de la ruta
+export async function sendPriceAlert(from, to, currentPrice, currency, flightDate, reason = 'Precio bajo detectado', routeId = null, oldPrice = null, priceDrop = null, forecast = null) {
     try {
         // Verificar si se puede enviar notificación
-        const canSend = await canSendNotification(from, to, flightDate, currentPrice);
+        const canSend = await canSendNotification(routeId, currentPrice);
         
         if (!canSend) {
             console.log('🔕 Notificación bloqueada por reglas de frecuencia');
             return false;
         }
 
-        const response = await fetch(CONFIG.ALERTS.PUSHCUT_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                text: `${reason}: ${currency}$${currentPrice} para ${flightDate}`,
-                title: `Vuelo ${from} → ${to}`
-            })
-        });
-
-        const responseData = await response.json().catch(() => null);
-        const isSuccess = response.ok;
-
-        if (isSuccess) {
-            console.log('🚨 Alerta de precio enviada exitosamente');
-        } else {
-            console.error('Error al enviar alerta:', response.statusText);
-        }
+        const subscriptions = await loadSubscriptions(routeId, from, to);
+        const alert = { from, to, currentPrice, currency, flightDate, reason, routeId, oldPrice, priceDrop, forecast };
+        const dropPercentage = oldPrice && oldPrice > 0 ? ((priceDrop / oldPrice) * 100) : 0;
+        let deliveredCount = 0;
 
-        // Registrar la notificación en la base de datos independientemente del resultado
-        if (routeId) {
-            const dropPercentage = oldPrice && oldPrice > 0 ? ((priceDrop / oldPrice) * 100) : 0;
-            
-            await logNotification(
-                routeId,
-                from,
-                to,
-                flightDate,
-                'price_drop',
-                oldPrice,
-                currentPrice,
-                priceDrop,
-                Math.round(dropPercentage * 100) / 100, // Redondear a 2 decimales
-                currency,
-                reason,
-                { 
-                    success: isSuccess, 
-                    status: response.status, 
-                    response: responseData 
-                }
-            );
+        for (const subscription of subscriptions) {
+            const result = await deliverToChannel(subscription.channel, alert, subscription.settings);
+            const target = subscription.subscriber ? `${subscription.channel} (${subscription.subscriber})` : subscription.channel;
+
+            if (result.success) {
+                deliveredCount++;
+                console.log(`🚨 Alerta de precio enviada por ${target}`);
+            } else {
+                console.error(`❌ Error al enviar alerta por ${target}:`, result.error || `HTTP ${result.status}`);
+            }
+
+            // Registrar cada entrega en la base de datos independientemente del resultado
+            if (routeId) {
+                await logNotification(
+                    routeId,
+                    from,
+                    to,
+                    flightDate,
+                    'price_drop',
+                    oldPrice,
+                    currentPrice,
+                    priceDrop,
+                    Math.round(dropPercentage * 100) / 100, // Redondear a 2 decimales
+                    currency,
+                    reason,
+                    result,
+                    subscription.channel,
+                    subscription.subscriber
+                );
+            }
         }
 
-        return isSuccess;
+        console.log(`📨 Alerta entregada por ${deliveredCount}/${subscriptions.length} canal(es)`);
+        return deliveredCount > 0;
     } catch (error) {
         console.error('Error al enviar alerta:', error);
-        
-        // Registrar el error en la base de datos si tenemos routeId
-        if (routeId) {
-            const dropPercentage = oldPrice && oldPrice > 0 ? ((priceDrop / oldPrice) * 100) : 0;
-            
-            await logNotification(
-                routeId,
-                from,
-                to,
-                flightDate,
-                'price_drop',
-                oldPrice,
-                currentPrice,
-                priceDrop,
-                Math.round(dropPercentage * 100) / 100,
-                currency,
-                reason,
-                { 
-                    success: false, 
-                    error: error.message 
-                }
-            );
-        }
-        
         return false;
     }
 }
@@ -185,7 +172,7 @@ export async function sendPriceAlert(from, to, currentPrice, currency, flightDat
 // Función para obtener historial de notificaciones
 export async function getNotificationsHistory(limit = 10) {
     try {
-        const { data: notifications, error } = await supabase
+        const { data: notifications, error } = await db
             .from('notifications')
             .select('*')
             .order('notification_sent_at', { ascending: false })
@@ -202,16 +189,16 @@ export async function getNotificationsHistory(limit = 10) {
         if (notifications && notifications.length > 0) {
             notifications.forEach((notification, index) => {
                 const dateTime = new Date(notification.notification_sent_at).toLocaleString('es-MX');
-                const success = notification.pushcut_response?.success ? '✅' : '❌';
+                const success = notification.delivery_response?.success ? '✅' : '❌';
                 
-                console.log(`\n${index + 1}. ${success} ${notification.from_city} → ${notification.to_city}`);
+                console.log(`\n${index + 1}. ${success} ${notification.from_city} → ${notification.to_city} [${notification.channel || 'pushcut'}]`);
                 console.log(`   💰 Precio: ${notification.currency}$${notification.new_price} (bajó $${notification.price_drop})`);
                 console.log(`   📉 Porcentaje: ${notification.drop_percentage}%`);
                 console.log(`   📝 Razón: ${notification.alert_reason}`);
                 console.log(`   🕐 Enviada: ${dateTime}`);
                 
-                if (notification.pushcut_response && !notification.pushcut_response.success) {
-                    console.log(`   ❌ Error: ${notification.pushcut_response.error || 'Error desconocido'}`);
+                if (notification.delivery_response && !notification.delivery_response.success) {
+                    console.log(`   ❌ Error: ${notification.delivery_response.error || `HTTP ${notification.delivery_response.status}`}`);
                 }
             });
         } else {
@@ -229,7 +216,7 @@ export async function getNotificationsHistory(limit = 10) {
 export async function getNotificationStats() {
     try {
         // Total de notificaciones
-        const { count: totalCount, error: totalError } = await supabase
+        const { count: totalCount, error: totalError } = await db
             .from('notifications')
             .select('*', { count: 'exact', head: true });
 
@@ -239,10 +226,10 @@ export async function getNotificationStats() {
         }
 
         // Notificaciones exitosas
-        const { count: successCount, error: successError } = await supabase
+        const { count: successCount, error: successError } = await db
             .from('notifications')
             .select('*', { count: 'exact', head: true })
-            .eq('pushcut_response->success', true);
+            .eq('delivery_response->success', true);
 
         if (successError) {
             console.error('Error obteniendo notificaciones exitosas:', successError.message);
@@ -251,7 +238,7 @@ export async function getNotificationStats() {
 
         // Notificaciones de las últimas 24 horas
         const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-        const { count: last24hCount, error: last24hError } = await supabase
+        const { count: last24hCount, error: last24hError } = await db
             .from('notifications')
             .select('*', { count: 'exact', head: true })
             .gte('notification_sent_at', twentyFourHoursAgo);
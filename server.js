@@ -0,0 +1,132 @@
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const DASHBOARD_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public', 'dashboard.html');
+
+// Función para responder JSON
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// Función para responder un archivo exportado (la marca de agua va en X-Export-Watermark para la siguiente exportación)
+function sendFile(res, file) {
+    const headers = {
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Cache-Control': 'no-store',
+        'X-Export-Rows': String(file.rows)
+    };
+    if (file.watermark !== null && file.watermark !== undefined) {
+        headers['X-Export-Watermark'] = String(file.watermark);
+    }
+
+    res.writeHead(200, headers);
+    res.end(file.body);
+}
+
+// Función para armar el manejador de la API local
+// queries = funciones de dashboard_data.js y exportDataset de data_export.js (se inyectan para poder probar el servidor sin base de datos)
+export function createApiHandler(queries) {
+    // Endpoints de solo lectura: cada uno recibe los parámetros de la query string
+    const endpoints = {
+        '/api/routes': () => queries.getRoutes(),
+        '/api/analytics': params => queries.getAnalytics({ routeId: params.get('route_id') }),
+        '/api/history': params => {
+            if (!params.get('route_id')) {
+                return { status: 400, error: 'Falta el parámetro route_id' };
+            }
+            return queries.getPriceHistory({ routeId: params.get('route_id'), days: params.get('days') ?? undefined });
+        },
+        '/api/daily': params => {
+            if (!params.get('route_id')) {
+                return { status: 400, error: 'Falta el parámetro route_id' };
+            }
+            return queries.getDailyPrices({ routeId: params.get('route_id'), days: params.get('days') ?? undefined });
+        },
+        '/api/price-changes': params => queries.getPriceChanges({ routeId: params.get('route_id'), limit: params.get('limit') ?? undefined }),
+        '/api/notifications': params => queries.getNotifications({ routeId: params.get('route_id'), limit: params.get('limit') ?? undefined }),
+        '/api/scrape-health': params => queries.getScrapeHealth({ days: params.get('days') ?? undefined }),
+        '/api/export': params => {
+            if (!params.get('dataset')) {
+                return { status: 400, error: 'Falta el parámetro dataset' };
+            }
+            return queries.exportDataset({
+                dataset: params.get('dataset'),
+                format: params.get('format') ?? undefined,
+                routeId: params.get('route_id'),
+                dateFrom: params.get('date_from'),
+                dateTo: params.get('date_to'),
+                currency: params.get('currency'),
+                since: params.get('since')
+            });
+        }
+    };
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            return sendJson(res, 405, { error: `Método no permitido: ${req.method}` });
+        }
+
+        try {
+            if (url.pathname === '/' || url.pathname === '/dashboard') {
+                const html = await readFile(DASHBOARD_FILE);
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(html);
+            }
+
+            const endpoint = endpoints[url.pathname];
+            if (!endpoint) {
+                return sendJson(res, 404, { error: `No existe ${url.pathname}` });
+            }
+
+            const result = await endpoint(url.searchParams);
+            if (result === null) {
+                return sendJson(res, 500, { error: 'No se pudieron obtener los datos (revisa los logs del servidor)' });
+            }
+            if (result.error) {
+                return sendJson(res, result.status, { error: result.error });
+            }
+            if (result.file) {
+                return sendFile(res, result.file);
+            }
+
+            return sendJson(res, 200, { data: result });
+
+        } catch (error) {
+            console.error(`❌ Error en ${url.pathname}:`, error.message);
+            return sendJson(res, 500, { error: error.message });
+        }
+    };
+}
+
+// Función para levantar el servidor con el dashboard
+export async function startDashboardServer({ host, port } = {}) {
+    const { CONFIG } = await import('./config.js');
+    const queries = await import('./dashboard_data.js');
+    const { exportDataset } = await import('./data_export.js');
+    const server = createServer(createApiHandler({ ...queries, exportDataset }));
+    const listenHost = host ?? CONFIG.DASHBOARD.HOST;
+    const listenPort = port ?? CONFIG.DASHBOARD.PORT;
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(listenPort, listenHost, resolve);
+    });
+
+    console.log(`📊 Dashboard disponible en http://${listenHost}:${server.address().port}`);
+    return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    // Cargar .env antes que cualquier módulo lea process.env (config.js lo lee al importarse)
+    await import('dotenv/config');
+    startDashboardServer().catch(error => {
+        console.error('❌ No se pudo iniciar el dashboard:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,619 @@
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+// Fecha actual en el mismo formato ISO que guarda el resto del sistema
+const NOW_SQL = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// Esquema local equivalente al que crean las migraciones de migrations/ en Postgres
+// Tipos: ID, TEXT, INTEGER, REAL, BOOLEAN (0/1), JSON (texto) y TIMESTAMP (texto ISO)
+export const SQLITE_TABLES = {
+    config_flights: {
+        id: 'ID',
+        origin_city: 'TEXT',
+        destination_city: 'TEXT',
+        flight_date: 'TEXT',
+        return_date: 'TEXT',
+        trip_type: "TEXT DEFAULT 'one_way'",
+        legs: 'JSON',
+        search_mode: "TEXT DEFAULT 'fixed_date'",
+        window_start: 'TEXT',
+        window_end: 'TEXT',
+        window_weekdays: 'JSON',
+        priority: 'INTEGER DEFAULT 1',
+        status: "TEXT DEFAULT 'pending'",
+        attempts: 'INTEGER DEFAULT 0',
+        iterations: 'INTEGER DEFAULT 0',
+        is_active: 'BOOLEAN DEFAULT 1',
+        processing_instance_id: 'TEXT',
+        processing_started_at: 'TIMESTAMP',
+        last_error: 'TEXT',
+        next_attempt_at: 'TIMESTAMP',
+        challenge_count: 'INTEGER DEFAULT 0',
+        dead_lettered_at: 'TIMESTAMP',
+        last_scraped_at: 'TIMESTAMP',
+        next_scrape_at: 'TIMESTAMP',
+        retired_at: 'TIMESTAMP',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`,
+        updated_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    flights: {
+        id: 'ID',
+        from: 'TEXT',
+        to: 'TEXT',
+        price: 'REAL',
+        currency: 'TEXT',
+        price_base: 'REAL',
+        base_currency: 'TEXT',
+        link: 'TEXT',
+        flight_date: 'TEXT',
+        return_date: 'TEXT',
+        trip_type: "TEXT DEFAULT 'one_way'",
+        legs: 'JSON',
+        itinerary_key: 'TEXT',
+        source: "TEXT DEFAULT 'search'",
+        window_job_id: 'INTEGER',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`,
+        updated_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    flight_itineraries: {
+        id: 'ID',
+        flight_id: 'INTEGER',
+        position: 'INTEGER',
+        from: 'TEXT',
+        to: 'TEXT',
+        flight_date: 'TEXT',
+        return_date: 'TEXT',
+        itinerary_key: 'TEXT',
+        airline: 'TEXT',
+        departure_time: 'TEXT',
+        arrival_time: 'TEXT',
+        duration_minutes: 'INTEGER',
+        stops: 'INTEGER',
+        layover_airports: 'JSON',
+        price: 'REAL',
+        currency: 'TEXT',
+        price_base: 'REAL',
+        booking_link: 'TEXT',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    price_analytics: {
+        id: 'ID',
+        route_id: 'TEXT UNIQUE',
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        flight_date: 'TEXT',
+        return_date: 'TEXT',
+        currency: 'TEXT',
+        current_min_price: 'REAL',
+        current_max_price: 'REAL',
+        current_avg_price: 'REAL',
+        current_median_price: 'REAL',
+        all_time_min_price: 'REAL',
+        all_time_max_price: 'REAL',
+        price_volatility: 'REAL',
+        total_samples: 'INTEGER',
+        samples_last_24h: 'INTEGER',
+        samples_last_7d: 'INTEGER',
+        trend_24h: 'TEXT',
+        trend_7d: 'TEXT',
+        total_alerts_sent: 'INTEGER DEFAULT 0',
+        last_alert_sent_at: 'TIMESTAMP',
+        forecast_recommendation: 'TEXT',
+        forecast_drop_probability: 'REAL',
+        forecast_confidence: 'REAL',
+        pending_outlier_price: 'REAL',
+        pending_outlier_at: 'TIMESTAMP',
+        last_updated: 'TIMESTAMP',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    price_changes: {
+        id: 'ID',
+        route_id: 'TEXT',
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        flight_date: 'TEXT',
+        old_price: 'REAL',
+        new_price: 'REAL',
+        price_change: 'REAL',
+        change_percentage: 'REAL',
+        change_type: 'TEXT',
+        samples_analyzed: 'INTEGER',
+        previous_min: 'REAL',
+        previous_avg: 'REAL',
+        alert_sent: 'BOOLEAN DEFAULT 0',
+        alert_reason: 'TEXT',
+        alert_rule_id: 'INTEGER',
+        alert_rule_type: 'TEXT',
+        anomaly_score: 'REAL',
+        baseline_price: 'REAL',
+        currency: 'TEXT',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    notifications: {
+        id: 'ID',
+        route_id: 'TEXT',
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        flight_date: 'TEXT',
+        notification_type: 'TEXT',
+        old_price: 'REAL',
+        new_price: 'REAL',
+        price_drop: 'REAL',
+        drop_percentage: 'REAL',
+        currency: 'TEXT',
+        alert_reason: 'TEXT',
+        channel: 'TEXT',
+        subscriber: 'TEXT',
+        delivery_response: 'JSON',
+        notification_sent_at: `TIMESTAMP DEFAULT ${NOW_SQL}`,
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    exchange_rates: {
+        id: 'ID',
+        currency: 'TEXT',
+        rate: 'REAL',
+        base_currency: 'TEXT',
+        updated_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    alert_rules: {
+        id: 'ID',
+        route_id: 'TEXT',
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        rule_type: 'TEXT',
+        threshold: 'REAL',
+        window_days: 'INTEGER',
+        is_active: 'BOOLEAN DEFAULT 1',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    notification_subscriptions: {
+        id: 'ID',
+        subscriber: 'TEXT',
+        channel: 'TEXT',
+        route_id: 'TEXT',
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        settings: 'JSON',
+        is_active: 'BOOLEAN DEFAULT 1',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    scrape_runs: {
+        id: 'ID',
+        job_id: 'INTEGER',
+        route: 'TEXT',
+        search_mode: "TEXT DEFAULT 'fixed_date'",
+        trip_type: "TEXT DEFAULT 'one_way'",
+        flight_date: 'TEXT',
+        instance_id: 'TEXT',
+        success: 'BOOLEAN',
+        failure_step: 'TEXT',
+        failure_category: 'TEXT',
+        error_message: 'TEXT',
+        step_timings: 'JSON',
+        duration_ms: 'INTEGER',
+        screenshot_path: 'TEXT',
+        html_path: 'TEXT',
+        started_at: `TIMESTAMP DEFAULT ${NOW_SQL}`,
+        finished_at: 'TIMESTAMP',
+        created_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    },
+    price_daily: {
+        id: 'ID',
+        route_id: 'TEXT',
+        source: "TEXT DEFAULT 'search'",
+        from_city: 'TEXT',
+        to_city: 'TEXT',
+        flight_date: 'TEXT',
+        return_date: 'TEXT',
+        day: 'TEXT',
+        currency: 'TEXT',
+        open_price: 'REAL',
+        close_price: 'REAL',
+        min_price: 'REAL',
+        max_price: 'REAL',
+        median_price: 'REAL',
+        avg_price: 'REAL',
+        stddev_price: 'REAL DEFAULT 0',
+        sample_count: 'INTEGER',
+        prices: 'JSON',
+        first_sample_at: 'TIMESTAMP',
+        last_sample_at: 'TIMESTAMP',
+        last_flight_id: 'INTEGER',
+        updated_at: `TIMESTAMP DEFAULT ${NOW_SQL}`
+    }
+};
+
+const IDENTIFIER_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Función para obtener el tipo lógico de una columna (primera palabra de su definición)
+function columnType(table, column) {
+    const definition = SQLITE_TABLES[table]?.[column];
+    return definition ? definition.split(' ')[0] : null;
+}
+
+// Función para convertir una definición lógica a SQL de SQLite
+function columnDefinitionSql(definition) {
+    const [type, ...rest] = definition.split(' ');
+    const modifiers = rest.length > 0 ? ` ${rest.join(' ')}` : '';
+
+    switch (type) {
+        case 'ID': return 'INTEGER PRIMARY KEY AUTOINCREMENT';
+        case 'BOOLEAN': return `INTEGER${modifiers}`;
+        case 'JSON':
+        case 'TIMESTAMP': return `TEXT${modifiers}`;
+        default: return `${type}${modifiers}`;
+    }
+}
+
+// Función para citar un identificador de SQL (from y to son palabras reservadas)
+function quoteIdentifier(name) {
+    if (!IDENTIFIER_REGEX.test(name)) {
+        throw new Error(`Identificador inválido: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+// Función para convertir una columna del filtro a SQL ("delivery_response->success" lee el JSON)
+export function columnSql(column) {
+    const jsonMatch = column.match(/^([a-zA-Z_]\w*)->>?([a-zA-Z_]\w*)$/);
+    if (jsonMatch) {
+        return `json_extract(${quoteIdentifier(jsonMatch[1])}, '$.${jsonMatch[2]}')`;
+    }
+    return quoteIdentifier(column);
+}
+
+// Función para convertir un valor de JavaScript a un parámetro de SQLite
+function toSqlValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+// Función para convertir una fila de SQLite a los tipos que devuelve Supabase
+function fromSqlRow(table, row) {
+    const converted = {};
+    for (const [column, value] of Object.entries(row)) {
+        const type = columnType(table, column);
+        if (value === null) {
+            converted[column] = null;
+        } else if (type === 'BOOLEAN') {
+            converted[column] = Boolean(value);
+        } else if (type === 'JSON') {
+            converted[column] = JSON.parse(value);
+        } else {
+            converted[column] = value;
+        }
+    }
+    return converted;
+}
+
+// Función para quedarse con las columnas pedidas en select('a, b')
+function pickColumns(row, columns) {
+    if (!columns || columns.trim() === '*') return row;
+
+    const picked = {};
+    columns.split(',').map(column => column.trim()).filter(Boolean).forEach(column => {
+        picked[column] = row[column] ?? null;
+    });
+    return picked;
+}
+
+// Consulta encadenable con la misma API que supabase-js (from().select().eq()...)
+// Es "thenable": se ejecuta al hacer await, igual que el cliente de Supabase
+class SqliteQuery {
+    constructor(database, table) {
+        this.database = database;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = null;
+        this.rows = [];
+        this.values = {};
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.singleMode = null;
+        this.countMode = null;
+        this.headOnly = false;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        if (this.action === 'select') {
+            this.columns = columns;
+            this.countMode = count;
+            this.headOnly = head;
+        } else {
+            this.returning = columns;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    addFilter(column, operator, value) {
+        this.filters.push({ column, operator, value });
+        return this;
+    }
+
+    eq(column, value) { return this.addFilter(column, '=', value); }
+    neq(column, value) { return this.addFilter(column, '!=', value); }
+    gt(column, value) { return this.addFilter(column, '>', value); }
+    gte(column, value) { return this.addFilter(column, '>=', value); }
+    lt(column, value) { return this.addFilter(column, '<', value); }
+    lte(column, value) { return this.addFilter(column, '<=', value); }
+    ilike(column, pattern) { return this.addFilter(column, 'LIKE', pattern); }
+    is(column, value) { return this.addFilter(column, 'IS', value); }
+    in(column, values) { return this.addFilter(column, 'IN', values); }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    // Función para armar el WHERE con parámetros
+    buildWhere() {
+        if (this.filters.length === 0) return { sql: '', params: [] };
+
+        const params = [];
+        const conditions = this.filters.map(({ column, operator, value }) => {
+            const columnExpression = columnSql(column);
+
+            switch (operator) {
+                case 'IS':
+                    if (value === null) return `${columnExpression} IS NULL`;
+                    params.push(toSqlValue(value));
+                    return `${columnExpression} IS ?`;
+                case 'IN':
+                    if (value.length === 0) return '0';
+                    params.push(...value.map(toSqlValue));
+                    return `${columnExpression} IN (${value.map(() => '?').join(', ')})`;
+                case 'LIKE':
+                    params.push(value);
+                    return `${columnExpression} LIKE ?`;
+                default:
+                    params.push(toSqlValue(value));
+                    return `${columnExpression} ${operator} ?`;
+            }
+        });
+
+        return { sql: ` WHERE ${conditions.join(' AND ')}`, params };
+    }
+
+    // Función para armar ORDER BY y LIMIT
+    buildOrderAndLimit() {
+        let sql = '';
+        if (this.orders.length > 0) {
+            sql += ` ORDER BY ${this.orders
+                .map(({ column, ascending }) => `${columnSql(column)} ${ascending ? 'ASC' : 'DESC'}`)
+                .join(', ')}`;
+        }
+        if (this.limitCount !== null) {
+            sql += ` LIMIT ${parseInt(this.limitCount, 10)}`;
+        }
+        return sql;
+    }
+
+    // Función para ejecutar la consulta y devolver filas ya convertidas
+    run() {
+        if (!SQLITE_TABLES[this.table]) {
+            throw Object.assign(new Error(`La tabla ${this.table} no existe`), { code: '42P01' });
+        }
+
+        const table = quoteIdentifier(this.table);
+        const where = this.buildWhere();
+
+        switch (this.action) {
+            case 'insert': {
+                const insertAll = this.database.transaction(rows => rows.map(row => {
+                    const columns = Object.keys(row);
+                    const sql = columns.length > 0
+                        ? `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`
+                        : `INSERT INTO ${table} DEFAULT VALUES RETURNING *`;
+                    return this.database.prepare(sql).get(...columns.map(column => toSqlValue(row[column])));
+                }));
+                return { rows: insertAll(this.rows) };
+            }
+
+            case 'update': {
+                const columns = Object.keys(this.values);
+                const sql = `UPDATE ${table} SET ${columns.map(column => `${quoteIdentifier(column)} = ?`).join(', ')}${where.sql} RETURNING *`;
+                const params = [...columns.map(column => toSqlValue(this.values[column])), ...where.params];
+                return { rows: this.database.prepare(sql).all(...params) };
+            }
+
+            case 'delete': {
+                const sql = `DELETE FROM ${table}${where.sql} RETURNING *`;
+                return { rows: this.database.prepare(sql).all(...where.params) };
+            }
+
+            default: {
+                let count = null;
+                if (this.countMode) {
+                    count = this.database.prepare(`SELECT COUNT(*) AS total FROM ${table}${where.sql}`).get(...where.params).total;
+                }
+                if (this.headOnly) {
+                    return { rows: null, count };
+                }
+                const sql = `SELECT * FROM ${table}${where.sql}${this.buildOrderAndLimit()}`;
+                return { rows: this.database.prepare(sql).all(...where.params), count };
+            }
+        }
+    }
+
+    // Función para ejecutar y armar la respuesta { data, error, count } de supabase-js
+    execute() {
+        try {
+            const { rows, count = null } = this.run();
+
+            // insert/update/delete solo devuelven filas si se encadenó .select()
+            const columns = this.action === 'select' ? this.columns : this.returning;
+            let data = rows && (this.action === 'select' || this.returning !== null)
+                ? rows.map(row => pickColumns(fromSqlRow(this.table, row), columns))
+                : null;
+
+            if (this.singleMode && data) {
+                if (data.length === 1) {
+                    data = data[0];
+                } else if (data.length === 0 && this.singleMode === 'maybe') {
+                    data = null;
+                } else {
+                    return {
+                        data: null,
+                        error: { code: 'PGRST116', message: `Se esperaba 1 fila y se obtuvieron ${data.length}` },
+                        count
+                    };
+                }
+            }
+
+            return { data, error: null, count };
+        } catch (error) {
+            return { data: null, error: { code: error.code || 'SQLITE_ERROR', message: error.message }, count: null };
+        }
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+}
+
+// Funciones RPC equivalentes a las de Supabase
+const RPC_FUNCTIONS = {
+    // Reclama el siguiente trabajo pendiente en una sola sentencia (atómica en SQLite)
+    claim_next_pending_job(database, { p_instance_id: instanceId }) {
+        const now = new Date().toISOString();
+        const claimed = database.prepare(`
+            UPDATE config_flights
+            SET status = 'processing', processing_instance_id = ?, processing_started_at = ?, updated_at = ?
+            WHERE id = (
+                SELECT id FROM config_flights
+                WHERE status = 'pending' AND is_active = 1
+                  AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+                ORDER BY priority DESC, updated_at ASC, id ASC
+                LIMIT 1
+            ) AND status = 'pending'
+            RETURNING *
+        `).all(instanceId, now, now, now);
+
+        return claimed.map(row => fromSqlRow('config_flights', row));
+    },
+
+    increment_alert_counter(database, { p_route_id: routeId }) {
+        database.prepare(`
+            UPDATE price_analytics
+            SET total_alerts_sent = COALESCE(total_alerts_sent, 0) + 1
+            WHERE route_id = ?
+        `).run(routeId);
+        return null;
+    }
+};
+
+// Cliente SQLite con la API de supabase-js que usa el sistema (from, rpc)
+class SqliteClient {
+    constructor(database) {
+        this.database = database;
+    }
+
+    from(table) {
+        return new SqliteQuery(this.database, table);
+    }
+
+    async rpc(name, params = {}) {
+        const rpcFunction = RPC_FUNCTIONS[name];
+        if (!rpcFunction) {
+            return { data: null, error: { code: 'PGRST202', message: `La función ${name} no existe` } };
+        }
+
+        try {
+            return { data: rpcFunction(this.database, params), error: null };
+        } catch (error) {
+            return { data: null, error: { code: error.code || 'SQLITE_ERROR', message: error.message } };
+        }
+    }
+
+    close() {
+        this.database.close();
+    }
+}
+
+// Función para agregar a una base existente las columnas nuevas del esquema (CREATE TABLE IF NOT EXISTS no lo hace)
+// SQLite no permite UNIQUE ni defaults calculados en ADD COLUMN: esas columnas se agregan sin ellos
+function addMissingColumns(database, table, columns) {
+    const existing = new Set(database.prepare(`PRAGMA table_info(${quoteIdentifier(table)})`).all().map(column => column.name));
+
+    Object.entries(columns)
+        .filter(([column]) => !existing.has(column))
+        .forEach(([column, definition]) => {
+            const columnSql = columnDefinitionSql(definition)
+                .replace(' UNIQUE', '')
+                .replace(` DEFAULT ${NOW_SQL}`, '');
+            database.prepare(`ALTER TABLE ${quoteIdentifier(table)} ADD COLUMN ${quoteIdentifier(column)} ${columnSql}`).run();
+        });
+}
+
+// Función para crear las tablas que falten (idempotente)
+export function createSqliteSchema(database) {
+    const createAll = database.transaction(() => {
+        for (const [table, columns] of Object.entries(SQLITE_TABLES)) {
+            const columnsSql = Object.entries(columns)
+                .map(([column, definition]) => `${quoteIdentifier(column)} ${columnDefinitionSql(definition)}`)
+                .join(', ');
+            database.prepare(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (${columnsSql})`).run();
+            addMissingColumns(database, table, columns);
+        }
+    });
+    createAll();
+}
+
+// Función principal: abre (o crea) la base SQLite y devuelve un cliente compatible con supabase-js
+// filename ':memory:' crea una base en memoria (útil para tests)
+export async function openSqliteStorage(filename) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error(`STORAGE_BACKEND=sqlite requiere el paquete better-sqlite3 (npm install better-sqlite3): ${error.message}`);
+    }
+
+    if (filename !== ':memory:') {
+        mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const database = new Database(filename);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    createSqliteSchema(database);
+
+    return new SqliteClient(database);
+}
@@ -0,0 +1,32 @@
+import { CONFIG } from './config.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Backends de almacenamiento soportados en STORAGE_BACKEND
+export const STORAGE_BACKENDS = {
+    SUPABASE: 'supabase',   // Supabase o un Postgres local detrás de PostgREST (supabase start)
+    SQLITE: 'sqlite'        // Archivo local o ':memory:' con better-sqlite3
+};
+
+// Función para crear el cliente de almacenamiento; ambos backends exponen la API de supabase-js
+export async function createStorageClient(backend = CONFIG.STORAGE.BACKEND) {
+    switch (backend) {
+        case STORAGE_BACKENDS.SUPABASE: {
+            const { createClient } = await import('@supabase/supabase-js');
+            return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+        }
+
+        case STORAGE_BACKENDS.SQLITE: {
+            const { openSqliteStorage } = await import('./sqlite_storage.js');
+            console.log(`🗄️ Usando almacenamiento SQLite: ${CONFIG.STORAGE.SQLITE_PATH}`);
+            return openSqliteStorage(CONFIG.STORAGE.SQLITE_PATH);
+        }
+
+        default:
+            throw new Error(`STORAGE_BACKEND no soportado: ${backend} (usa ${Object.values(STORAGE_BACKENDS).join(' o ')})`);
+    }
+}
+
+// Cliente compartido por todos los módulos
+export const db = await createStorageClient();
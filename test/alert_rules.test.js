@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import {
+    RULE_TYPES,
+    normalizeRule,
+    selectRulesForRoute,
+    getMedianWindows,
+    evaluateAlertRules
+} from '../alert_rules.js';
+
+const ROUTE = { routeId: 'Ciudad de México::Bogotá::2026-12-15', fromCity: 'Ciudad de México', toCity: 'Bogotá' };
+
+test('absolute_drop se dispara solo cuando la bajada alcanza el monto', () => {
+    const rules = [normalizeRule({ rule_type: RULE_TYPES.ABSOLUTE_DROP, threshold: 500 })];
+
+    assert.equal(evaluateAlertRules(rules, { newPrice: 9600, referencePrice: 10000, currency: 'MXN' }), null);
+
+    const fired = evaluateAlertRules(rules, { newPrice: 9500, referencePrice: 10000, currency: 'MXN' });
+    assert.equal(fired.rule.rule_type, RULE_TYPES.ABSOLUTE_DROP);
+    assert.match(fired.reason, /\$500 MXN/);
+});
+
+test('percent_drop escala con el precio de la ruta', () => {
+    const rules = [normalizeRule({ rule_type: RULE_TYPES.PERCENT_DROP, threshold: 10 })];
+
+    assert.ok(evaluateAlertRules(rules, { newPrice: 1350, referencePrice: 1500, currency: 'MXN' }));
+    assert.equal(evaluateAlertRules(rules, { newPrice: 28000, referencePrice: 30000, currency: 'MXN' }), null);
+});
+
+test('las reglas de bajada nunca se disparan cuando el precio sube', () => {
+    const rules = [
+        normalizeRule({ rule_type: RULE_TYPES.ABSOLUTE_DROP, threshold: 400 }),
+        normalizeRule({ rule_type: RULE_TYPES.PERCENT_DROP, threshold: 5 })
+    ];
+
+    assert.equal(evaluateAlertRules(rules, { newPrice: 12000, referencePrice: 10000, currency: 'MXN' }), null);
+});
+
+test('target_price se dispara sin historial previo', () => {
+    const rules = [normalizeRule({ rule_type: RULE_TYPES.TARGET_PRICE, threshold: 5000 })];
+
+    const fired = evaluateAlertRules(rules, { newPrice: 4999, referencePrice: null, currency: 'MXN' });
+    assert.equal(fired.rule.rule_type, RULE_TYPES.TARGET_PRICE);
+    assert.equal(evaluateAlertRules(rules, { newPrice: 5001, referencePrice: null, currency: 'MXN' }), null);
+});
+
+test('below_median usa la mediana de su ventana de días y se omite sin datos', () => {
+    const rules = [normalizeRule({ rule_type: RULE_TYPES.BELOW_MEDIAN, threshold: 15, window_days: 30 })];
+    assert.deepEqual(getMedianWindows(rules), [30]);
+
+    assert.ok(evaluateAlertRules(rules, { newPrice: 8400, medians: { 30: 10000 }, currency: 'MXN' }));
+    assert.equal(evaluateAlertRules(rules, { newPrice: 8600, medians: { 30: 10000 }, currency: 'MXN' }), null);
+    assert.equal(evaluateAlertRules(rules, { newPrice: 1000, medians: {}, currency: 'MXN' }), null);
+});
+
+test('evaluateAlertRules devuelve la primera regla que se cumple', () => {
+    const rules = [
+        normalizeRule({ id: 1, rule_type: RULE_TYPES.TARGET_PRICE, threshold: 3000 }),
+        normalizeRule({ id: 2, rule_type: RULE_TYPES.PERCENT_DROP, threshold: 5 }),
+        normalizeRule({ id: 3, rule_type: RULE_TYPES.ABSOLUTE_DROP, threshold: 100 })
+    ];
+
+    const fired = evaluateAlertRules(rules, { newPrice: 4500, referencePrice: 5000, currency: 'MXN' });
+    assert.equal(fired.rule.id, 2);
+});
+
+test('normalizeRule rechaza reglas inválidas', () => {
+    assert.throws(() => normalizeRule({ rule_type: 'fixed_400', threshold: 400 }), /no soportado/);
+    assert.throws(() => normalizeRule({ rule_type: RULE_TYPES.PERCENT_DROP, threshold: 0 }), /mayor a 0/);
+    assert.throws(() => normalizeRule({ rule_type: RULE_TYPES.BELOW_MEDIAN, threshold: 10 }), /window_days/);
+});
+
+test('selectRulesForRoute prioriza route_id, luego ciudades, luego globales', () => {
+    const rows = [
+        { id: 1, rule_type: RULE_TYPES.PERCENT_DROP, threshold: 10 },
+        { id: 2, from_city: 'Ciudad de México', rule_type: RULE_TYPES.ABSOLUTE_DROP, threshold: 300 },
+        { id: 3, route_id: ROUTE.routeId, rule_type: RULE_TYPES.TARGET_PRICE, threshold: 4000 },
+        { id: 4, route_id: 'Otra::Ruta::2026-12-15', rule_type: RULE_TYPES.TARGET_PRICE, threshold: 1 }
+    ];
+
+    assert.deepEqual(selectRulesForRoute(rows, ROUTE).map(rule => rule.id), [3]);
+    assert.deepEqual(selectRulesForRoute(rows.filter(row => row.id !== 3), ROUTE).map(rule => rule.id), [2]);
+    assert.deepEqual(
+        selectRulesForRoute(rows.filter(row => row.id === 1 || row.id === 4), ROUTE).map(rule => rule.id),
+        [1]
+    );
+});
+
+test('selectRulesForRoute usa CONFIG.ALERTS.DEFAULT_RULES cuando no hay reglas', () => {
+    const rules = selectRulesForRoute([], ROUTE);
+    assert.deepEqual(
+        rules.map(rule => rule.rule_type),
+        CONFIG.ALERTS.DEFAULT_RULES.map(rule => rule.rule_type)
+    );
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCliArgs, toRouteOptions, toExportOptions } from '../cli.js';
+import { buildRouteConfig } from '../trip_types.js';
+
+test('parseCliArgs separa comando, subcomando y opciones', () => {
+    const parsed = parseCliArgs(['routes', 'pause', '12', '--json']);
+    assert.equal(parsed.command, 'routes');
+    assert.deepEqual(parsed.args, ['pause', '12']);
+    assert.equal(parsed.options.json, true);
+
+    assert.equal(parseCliArgs(['scrape', '--job', '7']).options.job, '7');
+    assert.throws(() => parseCliArgs(['scrape', '--jbo', '7']), /Unknown option/);
+});
+
+test('routes add arma rutas de fecha fija, ida y vuelta y multi-destino', () => {
+    const oneWay = buildRouteConfig(toRouteOptions(parseCliArgs([
+        'routes', 'add', '--from', 'Ciudad de México', '--to', 'Bogotá', '--date', '2026-12-15', '--priority', '3'
+    ]).options));
+    assert.equal(oneWay.trip_type, 'one_way');
+    assert.equal(oneWay.search_mode, 'fixed_date');
+    assert.equal(oneWay.priority, 3);
+    assert.equal(oneWay.return_date, null);
+
+    const roundTrip = buildRouteConfig({ from: 'MEX', to: 'BOG', date: '2026-12-15', returnDate: '2026-12-22' });
+    assert.equal(roundTrip.trip_type, 'round_trip');
+    assert.equal(roundTrip.return_date, '2026-12-22');
+
+    const multiCity = buildRouteConfig(toRouteOptions({
+        legs: '[{"origin":"MEX","destination":"BOG","date":"2026-12-15"},{"origin":"BOG","destination":"LIM","date":"2026-12-20"}]'
+    }));
+    assert.equal(multiCity.trip_type, 'multi_city');
+    assert.equal(multiCity.origin_city, 'MEX');
+    assert.equal(multiCity.destination_city, 'LIM');
+    assert.equal(multiCity.flight_date, '2026-12-15');
+});
+
+test('routes add arma ventanas de fechas y rechaza rutas inválidas', () => {
+    const window = buildRouteConfig(toRouteOptions({
+        from: 'MEX', to: 'LIM', 'window-start': '2026-12-01', 'window-end': '2026-12-31', weekdays: '5, 6, 0'
+    }));
+    assert.equal(window.search_mode, 'date_window');
+    assert.deepEqual(window.window_weekdays, [5, 6, 0]);
+    assert.equal(window.flight_date, undefined);
+
+    assert.throws(() => buildRouteConfig({ from: 'MEX', to: 'BOG' }), /fecha inválida/);
+    assert.throws(() => buildRouteConfig({ from: 'MEX', to: 'BOG', date: '2026-12-15', priority: 0 }), /prioridad/);
+    assert.throws(() => buildRouteConfig({ from: 'MEX', to: 'BOG', date: '2026-12-15', tripType: 'round_trip' }), /return_date/);
+    assert.throws(() => buildRouteConfig({ from: 'MEX', to: 'LIM', windowStart: '2026-12-31', windowEnd: '2026-12-01' }), /anterior/);
+    assert.throws(() => toRouteOptions({ legs: '[{' }), /--legs no es un JSON válido/);
+});
+
+test('export deduce el formato de --out y exige el archivo de salida', () => {
+    const parsed = parseCliArgs(['export', 'flights', '--out', 'vuelos.parquet', '--currency', 'mxn', '--watermark-file', 'vuelos.marca']);
+    const options = toExportOptions(parsed.args[0], parsed.options);
+    assert.equal(options.dataset, 'flights');
+    assert.equal(options.format, 'parquet');
+    assert.equal(options.currency, 'mxn');
+    assert.equal(options.watermarkFile, 'vuelos.marca');
+
+    assert.equal(toExportOptions('flights', { out: 'vuelos.txt' }).format, undefined);
+    assert.equal(toExportOptions('flights', { out: 'vuelos.parquet', format: 'jsonl' }).format, 'jsonl');
+    assert.throws(() => toExportOptions('flights', {}), /--out/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { sqliteAvailable, skip } from './helpers/sqlite_memory.js';
+
+const { CONFIG } = await import('../config.js');
+const { db } = sqliteAvailable ? await import('../storage.js') : {};
+const converter = sqliteAvailable ? await import('../currency_converter.js') : {};
+
+const RATES = { base: 'MXN', rates: { MXN: 1, USD: 18.35, COP: 0.0047 }, source: 'file' };
+
+// Función para escribir una tabla de tipos de cambio en un archivo temporal y apuntar CONFIG a él
+async function useRatesFile(table) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'rates-'));
+    CONFIG.CURRENCY.RATES_SOURCE = 'file';
+    CONFIG.CURRENCY.RATES_FILE = path.join(dir, 'exchange_rates.json');
+    await writeFile(CONFIG.CURRENCY.RATES_FILE, JSON.stringify(table));
+}
+
+test('convertToBase convierte con la tabla y devuelve null sin tipo de cambio', { skip }, () => {
+    assert.equal(converter.convertToBase(320, 'USD', RATES), 5872);
+    assert.equal(converter.convertToBase(1000, 'COP', RATES), 4.7);
+    assert.equal(converter.convertToBase(6498, null, RATES), 6498);
+    assert.equal(converter.convertToBase(100, 'EUR', RATES), null);
+    assert.equal(converter.convertToBase(null, 'USD', RATES), null);
+    assert.equal(converter.convertToBase('abc', 'USD', RATES), null);
+});
+
+test('getBasePrice usa price_base solo si se guardó en la moneda base actual', { skip }, () => {
+    assert.equal(converter.getBasePrice({ price: 320, currency: 'USD', price_base: '5800', base_currency: 'MXN' }, RATES), 5800);
+
+    // price_base calculado con otra base (BASE_CURRENCY cambió) o sin base registrada: se convierte de nuevo
+    assert.equal(converter.getBasePrice({ price: 320, currency: 'USD', price_base: 320, base_currency: 'USD' }, RATES), 5872);
+    assert.equal(converter.getBasePrice({ price: 320, currency: 'USD', price_base: 5800, base_currency: null }, RATES), 5872);
+    assert.equal(converter.getBasePrice({ price: 320, currency: 'USD', price_base: null, base_currency: 'MXN' }, RATES), 5872);
+    assert.equal(converter.getBasePrice({ price: 90, currency: 'EUR', price_base: 81, base_currency: 'USD' }, RATES), null);
+});
+
+test('loadExchangeRates lee el archivo, agrega la base y reutiliza la tabla', { skip }, async () => {
+    await useRatesFile({ base: 'MXN', rates: { USD: 18.35 } });
+
+    const rates = await converter.loadExchangeRates({ forceReload: true });
+    assert.deepEqual(rates, { base: 'MXN', rates: { USD: 18.35, MXN: 1 }, source: 'file' });
+
+    await writeFile(CONFIG.CURRENCY.RATES_FILE, JSON.stringify({ base: 'MXN', rates: { USD: 20 } }));
+    assert.equal(await converter.loadExchangeRates(), rates);
+    assert.equal((await converter.loadExchangeRates({ forceReload: true })).rates.USD, 20);
+});
+
+test('loadExchangeRates no guarda la tabla vacía de un fallo y reintenta en la siguiente llamada', { skip }, async () => {
+    await useRatesFile({ base: 'USD', rates: { MXN: 0.054 } });
+
+    const failed = await converter.loadExchangeRates({ forceReload: true });
+    assert.deepEqual(failed, { base: 'MXN', rates: { MXN: 1 }, source: 'none' });
+    assert.equal(converter.convertToBase(320, 'USD', failed), null);
+
+    // Corregido el archivo, la siguiente llamada (sin forceReload) ya lo carga
+    await writeFile(CONFIG.CURRENCY.RATES_FILE, JSON.stringify({ base: 'MXN', rates: { USD: 18.35 } }));
+    const loaded = await converter.loadExchangeRates();
+    assert.equal(loaded.source, 'file');
+    assert.equal(loaded.rates.USD, 18.35);
+
+    await writeFile(CONFIG.CURRENCY.RATES_FILE, '{"rates": {}}');
+    assert.equal((await converter.loadExchangeRates({ forceReload: true })).source, 'none');
+});
+
+test('loadExchangeRates toma de exchange_rates el tipo de cambio más reciente de cada moneda', { skip }, async () => {
+    const { error } = await db.from('exchange_rates').insert([
+        { currency: 'USD', rate: 17.9, base_currency: 'MXN', updated_at: '2026-10-01T00:00:00.000Z' },
+        { currency: 'USD', rate: 18.35, base_currency: 'MXN', updated_at: '2026-10-15T00:00:00.000Z' },
+        { currency: 'MXN', rate: 0.054, base_currency: 'USD', updated_at: '2026-10-15T00:00:00.000Z' }
+    ]);
+    assert.equal(error, null);
+
+    CONFIG.CURRENCY.RATES_SOURCE = 'supabase';
+    const rates = await converter.loadExchangeRates({ forceReload: true });
+    assert.deepEqual(rates, { base: 'MXN', rates: { USD: 18.35, MXN: 1 }, source: 'supabase' });
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { sqliteAvailable, skip } from './helpers/sqlite_memory.js';
+
+const { db } = sqliteAvailable ? await import('../storage.js') : {};
+const { CONFIG } = await import('../config.js');
+const dataExport = sqliteAvailable ? await import('../data_export.js') : {};
+
+// Páginas chicas para que la exportación recorra varias
+CONFIG.EXPORT.PAGE_SIZE = 2;
+
+// Función para insertar muestras de flights
+async function seedFlights(rows) {
+    const { error } = await db.from('flights').insert(rows.map(([to, flightDate, price, currency]) => ({
+        from: 'Ciudad de México', to, flight_date: flightDate, price, currency
+    })));
+    assert.equal(error, null);
+}
+
+test('runExport filtra, pagina y guarda la marca de agua para exportar solo lo nuevo', { skip }, async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'export-'));
+    const output = path.join(dir, 'vuelos.jsonl');
+    const watermarkFile = path.join(dir, 'vuelos.marca.json');
+    const options = { dataset: 'flights', format: 'jsonl', routeId: 'Ciudad de México::Bogotá::2026-12-15', currency: 'MXN', output, watermarkFile };
+
+    await seedFlights([
+        ['Bogotá', '2026-12-15', 6498, 'MXN'],
+        ['Bogotá', '2026-12-15', 320, 'USD'],
+        ['Lima', '2026-12-15', 5100, 'MXN'],
+        ['Bogotá', '2026-12-15', 6400, 'MXN'],
+        ['Bogotá', '2026-12-15', 6300, 'MXN']
+    ]);
+
+    const first = await dataExport.runExport(options);
+    assert.equal(first.rows, 3);
+    assert.equal(first.since, null);
+    assert.equal(first.watermark, 5);
+
+    const lines = (await readFile(output, 'utf8')).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.price), [6498, 6400, 6300]);
+    assert.equal(lines[0].trip_type, 'one_way');
+    assert.deepEqual(JSON.parse(await readFile(watermarkFile, 'utf8')).watermark, 5);
+
+    // La siguiente exportación solo trae las filas posteriores a la marca
+    await seedFlights([['Bogotá', '2026-12-15', 6200, 'MXN']]);
+    const second = await dataExport.runExport(options);
+    assert.equal(second.since, 5);
+    assert.equal(second.rows, 1);
+    assert.equal(second.watermark, 6);
+
+    const third = await dataExport.runExport(options);
+    assert.equal(third.rows, 0);
+    assert.equal(third.watermark, 6);
+
+    // Una marca de otro dataset no se usa
+    await writeFile(watermarkFile, JSON.stringify({ dataset: 'notifications', watermark: 1 }));
+    await assert.rejects(dataExport.runExport(options), /es de notifications/);
+});
+
+test('exportDataset filtra por fecha de vuelo y responde 400 con parámetros inválidos', { skip }, async () => {
+    await db.from('price_changes').insert([
+        { route_id: 'Ciudad de México::Bogotá::2026-12-15', flight_date: '2026-12-15', new_price: 6400, change_type: 'new_minimum', currency: 'MXN' },
+        { route_id: 'Ciudad de México::Lima::2027-01-10', flight_date: '2027-01-10', new_price: 5000, change_type: 'normal_fluctuation', currency: 'MXN' }
+    ]);
+
+    const result = await dataExport.exportDataset({ dataset: 'price_changes', dateFrom: '2026-12-01', dateTo: '2026-12-31' });
+    assert.equal(result.file.filename, 'price_changes.csv');
+    assert.equal(result.file.rows, 1);
+    assert.equal(result.file.watermark, 1);
+
+    const [header, row] = result.file.body.trimEnd().split('\n');
+    assert.match(header, /^id,route_id,from_city,/);
+    assert.match(row, /^1,Ciudad de México::Bogotá::2026-12-15,/);
+
+    assert.deepEqual(await dataExport.exportDataset({ dataset: 'flights', since: 'ayer' }), {
+        status: 400,
+        error: 'Marca de agua inválida: ayer (se espera el último id exportado)'
+    });
+});
+
+test('buildExport no pierde filas de price_analytics con el mismo last_updated entre páginas', { skip }, async () => {
+    const { error } = await db.from('price_analytics').insert([
+        { route_id: 'Ciudad de México::Bogotá::2026-12-15', last_updated: '2026-10-18T06:00:00.000Z' },
+        { route_id: 'Ciudad de México::Lima::2026-12-15', last_updated: '2026-10-18T07:00:00.000Z' },
+        { route_id: 'Ciudad de México::Quito::2026-12-15', last_updated: '2026-10-18T07:00:00.000Z' },
+        { route_id: 'Ciudad de México::Santiago::2026-12-15', last_updated: '2026-10-18T07:00:00.000Z' },
+        { route_id: 'Ciudad de México::Cancún::2026-12-15', last_updated: '2026-10-18T08:00:00.000Z' }
+    ]);
+    assert.equal(error, null);
+
+    const { normalizeExportOptions } = await import('../export_format.js');
+    const result = await dataExport.buildExport(normalizeExportOptions({ dataset: 'price_analytics', format: 'jsonl' }));
+    const routeIds = result.body.trimEnd().split('\n').map(line => JSON.parse(line).route_id.split('::')[1]);
+    assert.deepEqual(routeIds, ['Bogotá', 'Lima', 'Quito', 'Santiago', 'Cancún']);
+    assert.equal(result.watermark, '2026-10-18T08:00:00.000Z');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EVALUATION_SCOPES,
+    parseRouteId,
+    normalizeEvaluationScope,
+    getActiveRouteKeys,
+    groupLatestByRoute,
+    getIncrementalSince,
+    selectRoutesWithNewSamples
+} from '../evaluation_scope.js';
+
+// Misma forma que generateRouteId de price_analytics.js
+const routeId = (from, to, date, returnDate = null, itineraryKey = null) => `${from}::${to}::${date}${returnDate ? `::${returnDate}` : ''}${itineraryKey ? `::${itineraryKey}` : ''}`;
+
+test('normalizeEvaluationScope acepta fecha, rango, ruta o trabajos activos', () => {
+    assert.deepEqual(normalizeEvaluationScope(), { type: EVALUATION_SCOPES.ACTIVE, incremental: false });
+    assert.deepEqual(normalizeEvaluationScope('2026-12-15'), { type: EVALUATION_SCOPES.DATE, flightDate: '2026-12-15', incremental: false });
+    assert.deepEqual(
+        normalizeEvaluationScope({ dateFrom: '2026-12-01', dateTo: '2026-12-31', incremental: true }),
+        { type: EVALUATION_SCOPES.RANGE, dateFrom: '2026-12-01', dateTo: '2026-12-31', incremental: true }
+    );
+    assert.deepEqual(normalizeEvaluationScope({ routeId: 'MEX::BOG::2026-12-15::2026-12-22' }).route, {
+        from: 'MEX', to: 'BOG', flightDate: '2026-12-15', returnDate: '2026-12-22', itineraryKey: null
+    });
+    assert.deepEqual(parseRouteId('MEX::SCL::2026-12-10::2026-12-15::377e15eb0495'), {
+        from: 'MEX', to: 'SCL', flightDate: '2026-12-10', returnDate: '2026-12-15', itineraryKey: '377e15eb0495'
+    });
+
+    assert.throws(() => normalizeEvaluationScope('15/12/2026'), /Fecha inválida/);
+    assert.throws(() => normalizeEvaluationScope({ dateFrom: '2026-12-31', dateTo: '2026-12-01' }), /antes de empezar/);
+    assert.throws(() => parseRouteId('MEX::BOG::2026-12-01..2026-12-31'), /ventana de fechas/);
+    assert.throws(() => parseRouteId('MEX::BOG'), /route_id inválido/);
+    assert.throws(() => parseRouteId('MEX::SCL::2026-12-10::2026-12-15::LIM'), /route_id inválido/);
+});
+
+test('getActiveRouteKeys arma las rutas de los trabajos activos de fecha fija', () => {
+    const keys = getActiveRouteKeys([
+        { id: 1, origin_city: 'MEX', destination_city: 'BOG', flight_date: '2026-12-15' },
+        { id: 2, origin_city: 'MEX', destination_city: 'LIM', flight_date: '2026-12-20', return_date: '2026-12-27', trip_type: 'round_trip' },
+        { id: 3, origin_city: 'MEX', destination_city: 'CUN', search_mode: 'date_window', window_start: '2026-12-01', window_end: '2026-12-31' },
+        { id: 4, origin_city: 'MEX', destination_city: 'MTY', flight_date: '2026-12-22', is_active: false },
+        { id: 5, origin_city: 'MEX', destination_city: 'GDL', flight_date: null },
+        { id: 6, trip_type: 'multi_city', legs: [
+            { origin: 'MEX', destination: 'LIM', date: '2026-12-20' },
+            { origin: 'LIM', destination: 'MEX', date: '2026-12-27' }
+        ] }
+    ], routeId);
+
+    assert.equal(keys.size, 3);
+    assert.deepEqual([...keys].slice(0, 2), ['MEX::BOG::2026-12-15', 'MEX::LIM::2026-12-20::2026-12-27']);
+    assert.match([...keys][2], /^MEX::MEX::2026-12-20::2026-12-27::[0-9a-f]{12}$/);
+});
+
+test('el modo incremental solo deja rutas con muestras posteriores a last_updated', () => {
+    const routeMap = groupLatestByRoute([
+        { from: 'MEX', to: 'BOG', flight_date: '2026-12-15', return_date: null, price: 9000, updated_at: '2026-10-01T10:00:00.000Z' },
+        { from: 'MEX', to: 'BOG', flight_date: '2026-12-15', return_date: null, price: 8000, updated_at: '2026-10-02T10:00:00.000Z' },
+        { from: 'MEX', to: 'BOG', flight_date: '2026-12-16', return_date: null, price: 7000, updated_at: '2026-10-01T10:00:00.000Z' },
+        { from: 'MEX', to: 'LIM', flight_date: '2026-12-20', return_date: null, price: 5000, updated_at: '2026-10-01T10:00:00.000Z' }
+    ], routeId);
+
+    assert.equal(routeMap.size, 3);
+    assert.equal(routeMap.get('MEX::BOG::2026-12-15').price, 8000);
+
+    const selected = selectRoutesWithNewSamples(routeMap, new Map([
+        ['MEX::BOG::2026-12-15', '2026-10-01T12:00:00.000Z'],
+        ['MEX::BOG::2026-12-16', '2026-10-01T12:00:00.000Z']
+    ]));
+
+    assert.deepEqual([...selected.keys()], ['MEX::BOG::2026-12-15', 'MEX::LIM::2026-12-20']);
+});
+
+test('getIncrementalSince corta en el last_updated más antiguo y no corta si falta el analytics de una ruta', () => {
+    const lastUpdatedByRoute = new Map([
+        ['MEX::BOG::2026-12-15', '2026-10-02T12:00:00.000Z'],
+        ['MEX::LIM::2026-12-20', '2026-10-01T12:00:00.000Z']
+    ]);
+
+    assert.equal(getIncrementalSince(['MEX::BOG::2026-12-15', 'MEX::LIM::2026-12-20'], lastUpdatedByRoute), '2026-10-01T12:00:00.000Z');
+    assert.equal(getIncrementalSince(['MEX::BOG::2026-12-15'], lastUpdatedByRoute), '2026-10-02T12:00:00.000Z');
+    assert.equal(getIncrementalSince(['MEX::BOG::2026-12-15', 'MEX::CUN::2026-12-22'], lastUpdatedByRoute), null);
+    assert.equal(getIncrementalSince([], lastUpdatedByRoute), null);
+});
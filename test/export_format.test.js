@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EXPORT_FORMATS,
+    getExportColumns,
+    parseExportRoute,
+    parseWatermark,
+    formatFromFilename,
+    normalizeExportOptions,
+    nextWatermark,
+    toCsv,
+    toJsonl,
+    toParquetColumns,
+    encodeExport
+} from '../export_format.js';
+
+// hyparquet-writer es dependencia opcional: sin el paquete se omite la prueba de Parquet
+const parquetAvailable = await import('hyparquet-writer').then(() => true, () => false);
+
+const COLUMNS = [
+    { name: 'id', type: 'ID' },
+    { name: 'from', type: 'TEXT' },
+    { name: 'price', type: 'REAL' },
+    { name: 'legs', type: 'JSON' },
+    { name: 'updated_at', type: 'TIMESTAMP' }
+];
+const ROWS = [
+    { id: 1, from: 'Ciudad de México', price: 6498, legs: [{ origin: 'MEX' }], updated_at: '2026-10-18T08:00:00.000Z' },
+    { id: 2, from: 'Bogotá, "El Dorado"', price: null, legs: null, updated_at: '2026-10-19T08:00:00.000Z' }
+];
+
+test('getExportColumns toma columnas y tipos del esquema compartido', () => {
+    const columns = getExportColumns('flights');
+    assert.deepEqual(columns[0], { name: 'id', type: 'ID' });
+    assert.deepEqual(columns.find(column => column.name === 'legs'), { name: 'legs', type: 'JSON' });
+    assert.deepEqual(columns.find(column => column.name === 'trip_type'), { name: 'trip_type', type: 'TEXT' });
+});
+
+test('normalizeExportOptions valida dataset, formato, fechas, moneda y marca de agua', () => {
+    const options = normalizeExportOptions({ dataset: 'price_changes', currency: 'usd', since: '42' });
+    assert.equal(options.format, EXPORT_FORMATS.CSV);
+    assert.equal(options.cursor, 'id');
+    assert.equal(options.byRouteId, true);
+    assert.equal(options.currency, 'USD');
+    assert.equal(options.since, 42);
+
+    const analytics = normalizeExportOptions({ dataset: 'price_analytics', format: 'JSONL', since: '2026-10-19T08:00:00+00:00' });
+    assert.equal(analytics.format, EXPORT_FORMATS.JSONL);
+    assert.equal(analytics.since, '2026-10-19T08:00:00.000Z');
+
+    assert.throws(() => normalizeExportOptions({ dataset: 'config_flights' }), /Dataset desconocido/);
+    assert.throws(() => normalizeExportOptions({ dataset: 'flights', format: 'xlsx' }), /Formato desconocido/);
+    assert.throws(() => normalizeExportOptions({ dataset: 'flights', dateFrom: '2026-12-31', dateTo: '2026-12-01' }), /antes de empezar/);
+    assert.throws(() => normalizeExportOptions({ dataset: 'flights', currency: 'pesos' }), /Moneda inválida/);
+    assert.throws(() => normalizeExportOptions({ dataset: 'flights', since: '2026-10-19' }), /último id/);
+    assert.throws(() => normalizeExportOptions({ dataset: 'flights', routeId: 'MEX::BOG' }), /route_id inválido/);
+});
+
+test('parseExportRoute acepta rutas de fecha fija y ventanas de fechas', () => {
+    assert.deepEqual(parseExportRoute('MEX::BOG::2026-12-15::2026-12-22'), { from: 'MEX', to: 'BOG', flightDate: '2026-12-15', returnDate: '2026-12-22', itineraryKey: null });
+    assert.deepEqual(parseExportRoute('MEX::LIM::2026-12-01..2026-12-31'), { from: 'MEX', to: 'LIM', windowStart: '2026-12-01', windowEnd: '2026-12-31' });
+    assert.equal(parseWatermark('', 'id'), null);
+    assert.equal(formatFromFilename('data/vuelos.JSONL'), 'jsonl');
+    assert.equal(formatFromFilename('vuelos.txt'), null);
+});
+
+test('nextWatermark avanza al cursor de la última fila o conserva la anterior', () => {
+    assert.equal(nextWatermark(ROWS, 'id', null), 2);
+    assert.equal(nextWatermark([], 'id', 7), 7);
+});
+
+test('toCsv escribe encabezado, comillas solo cuando hacen falta y JSON en las columnas de objetos', () => {
+    assert.equal(toCsv(ROWS, COLUMNS), [
+        'id,from,price,legs,updated_at',
+        '1,Ciudad de México,6498,"[{""origin"":""MEX""}]",2026-10-18T08:00:00.000Z',
+        '2,"Bogotá, ""El Dorado""",,,2026-10-19T08:00:00.000Z',
+        ''
+    ].join('\n'));
+    assert.equal(toCsv([], COLUMNS), 'id,from,price,legs,updated_at\n');
+});
+
+test('toJsonl escribe una fila por línea con las columnas del esquema', () => {
+    const lines = toJsonl([{ ...ROWS[0], extra: true }, { id: 3 }], COLUMNS).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines[0], ROWS[0]);
+    assert.deepEqual(lines[1], { id: 3, from: null, price: null, legs: null, updated_at: null });
+});
+
+test('toParquetColumns convierte cada columna a su tipo Parquet', () => {
+    const [id, from, price, legs, updatedAt] = toParquetColumns(ROWS, COLUMNS);
+    assert.deepEqual(id, { name: 'id', type: 'INT64', data: [1n, 2n] });
+    assert.equal(from.type, 'STRING');
+    assert.deepEqual(price.data, [6498, null]);
+    assert.equal(legs.type, 'JSON');
+    assert.deepEqual(updatedAt.data, [new Date('2026-10-18T08:00:00.000Z'), new Date('2026-10-19T08:00:00.000Z')]);
+});
+
+test('encodeExport escribe Parquet aunque no haya filas', { skip: !parquetAvailable && 'hyparquet-writer no está instalado' }, async () => {
+    for (const rows of [ROWS, []]) {
+        const body = await encodeExport(rows, { format: EXPORT_FORMATS.PARQUET, columns: COLUMNS });
+        assert.ok(Buffer.isBuffer(body));
+        assert.equal(body.subarray(0, 4).toString(), 'PAR1');
+        assert.equal(body.subarray(-4).toString(), 'PAR1');
+    }
+});
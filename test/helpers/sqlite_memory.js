@@ -0,0 +1,10 @@
+// Entorno de las pruebas que usan el cliente compartido de storage.js: SQLite en memoria y moneda base MXN
+// Se importa antes que cualquier módulo del repo para que config.js y storage.js lean estas variables;
+// las pruebas que necesitan más variables (ej. canales de alerta) las asignan antes de sus import()
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.BASE_CURRENCY = 'MXN';
+
+// better-sqlite3 es dependencia opcional: sin el paquete se omiten estas pruebas
+export const sqliteAvailable = await import('better-sqlite3').then(() => true, () => false);
+export const skip = !sqliteAvailable && 'better-sqlite3 no está instalado';
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLeaseExpiry, isLeaseExpired } from '../job_lease.js';
+
+const LEASE_MS = 10 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+test('getLeaseExpiry suma el lease al último heartbeat', () => {
+    assert.equal(
+        getLeaseExpiry({ processing_started_at: '2026-10-19T11:55:00.000Z' }, LEASE_MS).toISOString(),
+        '2026-10-19T12:05:00.000Z'
+    );
+    assert.equal(getLeaseExpiry({ processing_started_at: null }, LEASE_MS), null);
+});
+
+test('isLeaseExpired solo reclama trabajos processing sin heartbeat reciente', () => {
+    const job = { status: 'processing', processing_instance_id: '123-1' };
+
+    assert.equal(isLeaseExpired({ ...job, processing_started_at: '2026-10-19T11:55:00.000Z' }, { leaseMs: LEASE_MS, now: NOW }), false);
+    assert.equal(isLeaseExpired({ ...job, processing_started_at: '2026-10-19T11:50:00.000Z' }, { leaseMs: LEASE_MS, now: NOW }), true);
+    assert.equal(isLeaseExpired({ ...job, processing_started_at: '2026-10-19T11:40:00+00:00' }, { leaseMs: LEASE_MS, now: NOW }), true);
+    assert.equal(isLeaseExpired({ ...job, processing_started_at: null }, { leaseMs: LEASE_MS, now: NOW }), true);
+    assert.equal(isLeaseExpired({ status: 'completed', processing_started_at: '2026-10-19T08:00:00.000Z' }, { leaseMs: LEASE_MS, now: NOW }), false);
+});
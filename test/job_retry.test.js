@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEAD_LETTER_STATUS, computeRetryDelayMs, planJobFailure } from '../job_retry.js';
+
+const POLICY = { maxAttempts: 3, baseMinutes: 5, maxMinutes: 240, jitterRatio: 0.2 };
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+test('computeRetryDelayMs crece exponencialmente hasta el máximo', () => {
+    const noJitter = { baseMinutes: 5, maxMinutes: 240 };
+
+    assert.equal(computeRetryDelayMs(1, noJitter), 5 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(2, noJitter), 10 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(3, noJitter), 20 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(20, noJitter), 240 * 60 * 1000);
+});
+
+test('computeRetryDelayMs aplica el jitter en ambos sentidos', () => {
+    const options = { baseMinutes: 10, maxMinutes: 240, jitterRatio: 0.2 };
+
+    assert.equal(computeRetryDelayMs(1, { ...options, random: () => 0 }), 8 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(1, { ...options, random: () => 0.5 }), 10 * 60 * 1000);
+    assert.equal(computeRetryDelayMs(1, { ...options, random: () => 1 }), 12 * 60 * 1000);
+});
+
+test('planJobFailure reagenda el trabajo mientras queden intentos', () => {
+    const update = planJobFailure({ id: 1, attempts: 1 }, 'Timeout 30000ms exceeded', { ...POLICY, random: () => 0.5, now: NOW });
+
+    assert.equal(update.status, 'pending');
+    assert.equal(update.attempts, 2);
+    assert.equal(update.next_attempt_at, '2026-10-19T12:10:00.000Z');
+    assert.equal(update.last_error, 'Timeout 30000ms exceeded');
+    assert.equal(update.processing_instance_id, null);
+    assert.equal(update.dead_lettered_at, undefined);
+});
+
+test('planJobFailure mueve a dead letter al agotar los intentos y conserva el error', () => {
+    const update = planJobFailure({ id: 1, attempts: 2 }, 'No se encontraron precios', { ...POLICY, now: NOW });
+
+    assert.equal(update.status, DEAD_LETTER_STATUS);
+    assert.equal(update.attempts, 3);
+    assert.equal(update.next_attempt_at, null);
+    assert.equal(update.dead_lettered_at, '2026-10-19T12:00:00.000Z');
+    assert.equal(update.last_error, 'No se encontraron precios');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isIataCode, scoreSuggestion, pickBestSuggestion } from '../location_resolver.js';
+
+test('isIataCode solo acepta tres letras mayúsculas', () => {
+    assert.equal(isIataCode('MEX'), true);
+    assert.equal(isIataCode(' BOG '), true);
+    assert.equal(isIataCode('mex'), false);
+    assert.equal(isIataCode('MEXI'), false);
+    assert.equal(isIataCode('Lima'), false);
+    assert.equal(isIataCode(null), false);
+});
+
+test('scoreSuggestion busca un código IATA como palabra completa', () => {
+    assert.equal(scoreSuggestion('Ciudad de México, México (MEX)', 'MEX'), 100);
+    assert.equal(scoreSuggestion('Aeropuerto Internacional Benito Juárez MEX', 'MEX'), 100);
+    assert.equal(scoreSuggestion('Mexicali, Baja California (MXL)', 'MEX'), 0);
+    assert.equal(scoreSuggestion('MEXICO CITY', 'MEX'), 0);
+});
+
+test('scoreSuggestion prefiere la ciudad exacta sin importar acentos ni mayúsculas', () => {
+    assert.equal(scoreSuggestion('Bogotá, Colombia', 'bogota'), 90);
+    assert.equal(scoreSuggestion('Santiago de Chile, Chile', 'Santiago'), 80);
+    assert.equal(scoreSuggestion('Aeropuerto Internacional El Dorado, Bogotá', 'Bogotá'), 60);
+    assert.equal(scoreSuggestion('Cancún, Quintana Roo', 'Cancún Quintana Roo'), 40);
+    assert.equal(scoreSuggestion('Lima, Perú', 'Bogotá'), 0);
+    assert.equal(scoreSuggestion('', 'Bogotá'), 0);
+    assert.equal(scoreSuggestion('Bogotá, Colombia', ''), 0);
+});
+
+test('scoreSuggestion no interpreta la ubicación como expresión regular', () => {
+    assert.equal(scoreSuggestion('San José (SJO), Costa Rica', 'San José (SJO)'), 90);
+    assert.equal(scoreSuggestion('Sao Paulo, Brasil', 'S.o Paulo'), 0);
+});
+
+test('pickBestSuggestion elige la sugerencia con mayor puntaje (la primera si empatan)', () => {
+    const suggestions = [
+        'Santiago de Querétaro, Querétaro',
+        'Aeropuerto Internacional Arturo Merino Benítez, Santiago',
+        'Santiago, Chile',
+        'Santiago, República Dominicana'
+    ];
+
+    assert.equal(pickBestSuggestion(suggestions, 'Santiago'), 2);
+    assert.equal(pickBestSuggestion(['Bogotá, Colombia', 'Bogotá (BOG)'], 'BOG'), 1);
+    assert.equal(pickBestSuggestion(['Lima, Perú', 'Lima, Ohio'], 'Lima'), 0);
+    assert.equal(pickBestSuggestion(['Lima, Perú'], 'Bogotá'), -1);
+    assert.equal(pickBestSuggestion([], 'Bogotá'), -1);
+});
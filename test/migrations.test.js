@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import {
+    parseMigrationFiles,
+    planMigrations,
+    getMigrationStatus,
+    loadMigrations
+} from '../migrate.js';
+import { SQLITE_TABLES } from '../sqlite_storage.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const MIGRATIONS = parseMigrationFiles([
+    '002_trip_types.down.sql',
+    '001_initial.up.sql',
+    '001_initial.down.sql',
+    '002_trip_types.up.sql',
+    '003_itineraries.up.sql',
+    '003_itineraries.down.sql',
+    'README.md'
+]);
+
+const applied = versions => versions.map(version => ({ version, checksum: null }));
+
+test('parseMigrationFiles ordena por versión y exige up y down', () => {
+    assert.deepEqual(MIGRATIONS.map(migration => migration.version), ['001', '002', '003']);
+    assert.equal(MIGRATIONS[1].upFile, '002_trip_types.up.sql');
+
+    assert.throws(() => parseMigrationFiles(['004_sin_down.up.sql']), /\.up\.sql y \.down\.sql/);
+    assert.throws(
+        () => parseMigrationFiles(['004_a.up.sql', '004_a.down.sql', '004_b.up.sql', '004_b.down.sql']),
+        /repetida/
+    );
+});
+
+test('planMigrations aplica las pendientes en orden con --to y --steps', () => {
+    assert.deepEqual(planMigrations(MIGRATIONS, applied(['001'])).map(m => m.version), ['002', '003']);
+    assert.deepEqual(planMigrations(MIGRATIONS, [], { to: '002' }).map(m => m.version), ['001', '002']);
+    assert.deepEqual(planMigrations(MIGRATIONS, [], { steps: 1 }).map(m => m.version), ['001']);
+    assert.throws(() => planMigrations(MIGRATIONS, [], { to: '009' }), /No existe/);
+});
+
+test('planMigrations revierte de la más nueva a la más vieja', () => {
+    const all = applied(['001', '002', '003']);
+
+    assert.deepEqual(planMigrations(MIGRATIONS, all, { direction: 'down' }).map(m => m.version), ['003']);
+    assert.deepEqual(planMigrations(MIGRATIONS, all, { direction: 'down', to: '001' }).map(m => m.version), ['003', '002']);
+    assert.deepEqual(planMigrations(MIGRATIONS, all, { direction: 'down', to: '000' }).map(m => m.version), ['003', '002', '001']);
+    assert.throws(
+        () => planMigrations(MIGRATIONS, applied(['001', '007']), { direction: 'down' }),
+        /sin archivos: 007/
+    );
+});
+
+test('getMigrationStatus marca pendientes, modificadas y faltantes', () => {
+    const migrations = MIGRATIONS.map(migration => ({ ...migration, checksum: `sum-${migration.version}` }));
+    const status = getMigrationStatus(migrations, [
+        { version: '001', name: 'initial', checksum: 'sum-001', applied_at: null },
+        { version: '002', name: 'trip_types', checksum: 'editada', applied_at: null },
+        { version: '009', name: 'borrada', checksum: 'x', applied_at: null }
+    ]);
+
+    assert.deepEqual(
+        status.map(row => `${row.version}:${row.state}`),
+        ['001:applied', '002:modified', '003:pending', '009:missing']
+    );
+});
+
+test('las migraciones definen todas las tablas y RPC que usa el código', async () => {
+    const upSql = (await loadMigrations()).map(migration => migration.upSql).join('\n');
+    const sourceFiles = (await readdir(ROOT_DIR)).filter(file => file.endsWith('.js'));
+    const tables = new Set();
+    const rpcs = new Set();
+
+    for (const file of sourceFiles) {
+        const source = await readFile(path.join(ROOT_DIR, file), 'utf8');
+        for (const match of source.matchAll(/\.from\('([a-z_]+)'\)/g)) tables.add(match[1]);
+        for (const match of source.matchAll(/\.rpc\('([a-z_]+)'/g)) rpcs.add(match[1]);
+    }
+
+    assert.ok(tables.size > 0 && rpcs.size > 0);
+    tables.forEach(table => {
+        assert.match(upSql, new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(`), `Falta la tabla ${table}`);
+    });
+    rpcs.forEach(rpc => {
+        assert.match(upSql, new RegExp(`CREATE OR REPLACE FUNCTION ${rpc}\\(`), `Falta la función ${rpc}`);
+    });
+});
+
+test('el esquema SQLite no tiene columnas que no existan en las migraciones', async () => {
+    const upSql = (await loadMigrations()).map(migration => migration.upSql).join('\n');
+
+    for (const [table, columns] of Object.entries(SQLITE_TABLES)) {
+        assert.match(upSql, new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(`), `Falta la tabla ${table}`);
+        Object.keys(columns).forEach(column => {
+            assert.match(upSql, new RegExp(`(^|[\\s"(])${column}"?[\\s,;]`, 'm'), `Falta ${table}.${column}`);
+        });
+    }
+});
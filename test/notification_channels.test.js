@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import {
+    CHANNEL_TYPES,
+    formatAlertMessage,
+    buildChannelRequest,
+    buildEmailMessage,
+    deliverToChannel,
+    selectSubscriptions
+} from '../notification_channels.js';
+
+const ALERT = {
+    from: 'Ciudad de México',
+    to: 'Bogotá',
+    currentPrice: 6498,
+    currency: 'MXN',
+    flightDate: '2026-12-15',
+    reason: 'Bajada de 10% vs. mínimo previo',
+    routeId: 'Ciudad de México::Bogotá::2026-12-15',
+    oldPrice: 7220,
+    priceDrop: 722
+};
+
+const ENV = {
+    PUSHCUT_URL: 'https://api.pushcut.io/secret/notifications/Flights',
+    TELEGRAM_BOT_TOKEN: '123:abc',
+    TELEGRAM_CHAT_ID: '42',
+    SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T/B/X',
+    DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/x',
+    SLACK_WEBHOOK_EQUIPO: 'https://hooks.slack.com/services/T/B/EQUIPO',
+    SMTP_HOST: 'smtp.example.com',
+    SMTP_PORT: '465',
+    SMTP_USER: 'alertas@example.com',
+    SMTP_PASS: 'secreto',
+    ALERT_EMAIL_TO: 'yo@example.com'
+};
+
+test('formatAlertMessage conserva el formato de la alerta de Pushcut', () => {
+    assert.deepEqual(formatAlertMessage(ALERT), {
+        title: 'Vuelo Ciudad de México → Bogotá',
+        text: 'Bajada de 10% vs. mínimo previo: MXN$6498 para 2026-12-15'
+    });
+});
+
+test('formatAlertMessage agrega la recomendación del pronóstico si la alerta la trae', () => {
+    const forecast = { recommendation: 'wait', dropProbability: 0.62, confidence: 0.55, confidenceLevel: 'media' };
+
+    assert.equal(
+        formatAlertMessage({ ...ALERT, forecast }).text,
+        'Bajada de 10% vs. mínimo previo: MXN$6498 para 2026-12-15. Recomendación: esperar (62% prob. de baja, confianza media)'
+    );
+    assert.equal(buildChannelRequest(CHANNEL_TYPES.WEBHOOK, { ...ALERT, forecast }, {}, { ...ENV, ALERT_WEBHOOK_URL: 'https://hooks.example.com/alerts' }).body.forecast_recommendation, 'wait');
+});
+
+test('buildChannelRequest arma la petición de cada canal HTTP con secretos de env', () => {
+    const pushcut = buildChannelRequest(CHANNEL_TYPES.PUSHCUT, ALERT, {}, ENV);
+    assert.equal(pushcut.url, ENV.PUSHCUT_URL);
+    assert.equal(pushcut.body.title, 'Vuelo Ciudad de México → Bogotá');
+
+    const telegram = buildChannelRequest(CHANNEL_TYPES.TELEGRAM, ALERT, {}, ENV);
+    assert.equal(telegram.url, 'https://api.telegram.org/bot123:abc/sendMessage');
+    assert.equal(telegram.body.chat_id, '42');
+
+    const slack = buildChannelRequest(CHANNEL_TYPES.SLACK, ALERT, {}, ENV);
+    assert.match(slack.body.text, /^\*Vuelo Ciudad de México → Bogotá\*\n/);
+
+    const discord = buildChannelRequest(CHANNEL_TYPES.DISCORD, ALERT, {}, ENV);
+    assert.match(discord.body.content, /^\*\*Vuelo/);
+});
+
+test('una suscripción puede cambiar la variable de entorno y el chat de destino', () => {
+    const slack = buildChannelRequest(CHANNEL_TYPES.SLACK, ALERT, { url_env: 'SLACK_WEBHOOK_EQUIPO' }, ENV);
+    assert.equal(slack.url, ENV.SLACK_WEBHOOK_EQUIPO);
+
+    const telegram = buildChannelRequest(CHANNEL_TYPES.TELEGRAM, ALERT, { chat_id: 7 }, ENV);
+    assert.equal(telegram.body.chat_id, '7');
+});
+
+test('los secretos no se aceptan directo en settings', () => {
+    assert.throws(
+        () => buildChannelRequest(CHANNEL_TYPES.WEBHOOK, ALERT, { url: 'https://example.com/hook' }, ENV),
+        /ALERT_WEBHOOK_URL/
+    );
+});
+
+test('buildEmailMessage arma el transporte SMTP desde env', () => {
+    const { transport, mail } = buildEmailMessage(ALERT, {}, ENV);
+    assert.equal(transport.host, 'smtp.example.com');
+    assert.equal(transport.port, 465);
+    assert.equal(transport.secure, true);
+    assert.deepEqual(transport.auth, { user: 'alertas@example.com', pass: 'secreto' });
+    assert.equal(mail.from, 'alertas@example.com');
+    assert.equal(mail.to, 'yo@example.com');
+    assert.equal(mail.subject, 'Vuelo Ciudad de México → Bogotá');
+});
+
+test('deliverToChannel devuelve el error en lugar de lanzar', async () => {
+    const result = await deliverToChannel('fax', ALERT);
+    assert.deepEqual(result, { channel: 'fax', success: false, error: 'Canal de notificación no soportado: fax' });
+});
+
+test('selectSubscriptions suma las suscripciones de la ruta, de las ciudades y globales', () => {
+    const subscriptions = [
+        { id: 1, subscriber: 'ana', channel: 'telegram', route_id: ALERT.routeId, settings: { chat_id: '1' } },
+        { id: 2, subscriber: 'equipo', channel: 'slack', from_city: 'Ciudad de México' },
+        { id: 3, subscriber: 'todos', channel: 'email' },
+        { id: 4, subscriber: 'otro', channel: 'discord', route_id: 'Lima::Cusco::2026-12-15' },
+        { id: 5, subscriber: 'otro', channel: 'pushcut', to_city: 'Lima' }
+    ];
+
+    const selected = selectSubscriptions(subscriptions, {
+        routeId: ALERT.routeId,
+        fromCity: ALERT.from,
+        toCity: ALERT.to
+    });
+
+    assert.deepEqual(selected.map(subscription => subscription.id), [1, 2, 3]);
+    assert.deepEqual(selected[1].settings, {});
+});
+
+test('selectSubscriptions usa CONFIG.NOTIFICATIONS.DEFAULT_CHANNELS sin suscripciones', () => {
+    const selected = selectSubscriptions([], { routeId: ALERT.routeId, fromCity: ALERT.from, toCity: ALERT.to });
+    assert.deepEqual(selected.map(subscription => subscription.channel), CONFIG.NOTIFICATIONS.DEFAULT_CHANNELS);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CHALLENGE_TYPES,
+    detectChallenge,
+    createChallengeError,
+    computeChallengeBackoff,
+    isBlockingChallenge
+} from '../page_challenges.js';
+
+test('detectChallenge reconoce consentimiento, captcha y límite de solicitudes', () => {
+    assert.equal(
+        detectChallenge({ url: 'https://consent.google.com/ml?continue=https://www.google.com/travel/flights' }),
+        CHALLENGE_TYPES.CONSENT
+    );
+    assert.equal(detectChallenge({ html: '<h1>Antes de ir a Google</h1>' }), CHALLENGE_TYPES.CONSENT);
+    assert.equal(detectChallenge({ url: 'https://www.google.com/sorry/index?continue=x' }), CHALLENGE_TYPES.CAPTCHA);
+    assert.equal(detectChallenge({ html: '<form id="captcha-form">' }), CHALLENGE_TYPES.CAPTCHA);
+    assert.equal(detectChallenge({ status: 429 }), CHALLENGE_TYPES.RATE_LIMIT);
+    assert.equal(detectChallenge({ html: '<title>Too Many Requests</title>' }), CHALLENGE_TYPES.RATE_LIMIT);
+
+    assert.equal(detectChallenge({ url: 'https://www.google.com/travel/flights?hl=es-419', html: '<div>$6,498</div>', status: 200 }), null);
+    assert.equal(detectChallenge(), null);
+});
+
+test('createChallengeError marca el error con el tipo de desafío', () => {
+    const error = createChallengeError(CHALLENGE_TYPES.CAPTCHA, 'https://www.google.com/sorry/index');
+
+    assert.equal(error.challenge, 'captcha');
+    assert.match(error.message, /captcha.*\/sorry\//);
+});
+
+test('computeChallengeBackoff duplica la espera hasta el máximo', () => {
+    const now = Date.parse('2026-10-19T12:00:00.000Z');
+    const options = { baseMinutes: 30, maxMinutes: 360, now };
+
+    assert.equal(computeChallengeBackoff(1, options), '2026-10-19T12:30:00.000Z');
+    assert.equal(computeChallengeBackoff(3, options), '2026-10-19T14:00:00.000Z');
+    assert.equal(computeChallengeBackoff(10, options), '2026-10-19T18:00:00.000Z');
+});
+
+test('isBlockingChallenge solo corta la ejecución con captcha o 429', () => {
+    assert.equal(isBlockingChallenge(CHALLENGE_TYPES.CAPTCHA), true);
+    assert.equal(isBlockingChallenge(CHALLENGE_TYPES.RATE_LIMIT), true);
+    assert.equal(isBlockingChallenge(CHALLENGE_TYPES.CONSENT), false);
+    assert.equal(isBlockingChallenge(null), false);
+});
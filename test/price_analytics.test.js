@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqliteAvailable, skip } from './helpers/sqlite_memory.js';
+
+const { db } = sqliteAvailable ? await import('../storage.js') : {};
+const analytics = sqliteAvailable ? await import('../price_analytics.js') : {};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Función para insertar muestras de una ruta: prices[i] se scrapeó hace (prices.length - i) días
+async function seedDailyFlights(to, flightDate, prices) {
+    const rows = prices.map((price, index) => ({
+        from: 'Ciudad de México',
+        to,
+        flight_date: flightDate,
+        price,
+        currency: 'MXN',
+        updated_at: new Date(Date.now() - (prices.length - index) * 24 * HOUR_MS).toISOString()
+    }));
+    const { error } = await db.from('flights').insert(rows);
+    assert.equal(error, null);
+}
+
+test('updatePriceAnalytics guarda las estadísticas de la ruta sobre los agregados diarios', { skip }, async () => {
+    await seedDailyFlights('Bogotá', '2026-12-20', [7000, 7100, 6950, 7050, 7000, 6980, 7020]);
+
+    const result = await analytics.updatePriceAnalytics('Ciudad de México', 'Bogotá', '2026-12-20');
+    assert.equal(result.routeId, 'Ciudad de México::Bogotá::2026-12-20');
+    assert.equal(result.previousAnalytics, null);
+
+    const { data: row } = await db.from('price_analytics').select('*').eq('route_id', result.routeId).single();
+    assert.equal(row.currency, 'MXN');
+    assert.equal(row.current_min_price, 6950);
+    assert.equal(row.all_time_min_price, 6950);
+    assert.equal(row.all_time_max_price, 7100);
+    assert.equal(row.total_samples, 7);
+
+    const { data: days } = await db.from('price_daily').select('day').eq('route_id', result.routeId);
+    assert.equal(days.length, 7);
+
+    // Repetir sin muestras nuevas no vuelve a sumar las ya agregadas
+    const again = await analytics.updatePriceAnalytics('Ciudad de México', 'Bogotá', '2026-12-20');
+    assert.equal(again.currentStats.samples, 7);
+    assert.equal(again.previousAnalytics.route_id, result.routeId);
+});
+
+test('updatePriceAnalytics calcula la mediana exacta de las muestras aunque un día tenga varias', { skip }, async () => {
+    const dayAgo = Date.now() - 24 * HOUR_MS;
+    const prices = [7000, 6800, 7200, 6900];
+    const { error } = await db.from('flights').insert(prices.map((price, index) => ({
+        from: 'Ciudad de México',
+        to: 'Panamá',
+        flight_date: '2026-12-21',
+        price,
+        currency: 'MXN',
+        // Las tres primeras el mismo día, la última un día después
+        updated_at: new Date(index < 3 ? dayAgo - (3 - index) * HOUR_MS : Date.now() - HOUR_MS).toISOString()
+    })));
+    assert.equal(error, null);
+
+    const result = await analytics.updatePriceAnalytics('Ciudad de México', 'Panamá', '2026-12-21');
+    assert.equal(result.currentStats.median, analytics.calculateAdvancedStats(prices).median);
+    assert.equal(result.currentStats.median, 6950);
+});
+
+test('detectPriceChanges clasifica la muestra nueva contra la ventana reciente', { skip }, async () => {
+    const { error } = await db.from('flights').insert([{
+        from: 'Ciudad de México', to: 'Bogotá', flight_date: '2026-12-20', price: 9000, currency: 'MXN', updated_at: new Date().toISOString()
+    }]);
+    assert.equal(error, null);
+
+    const update = await analytics.updatePriceAnalytics('Ciudad de México', 'Bogotá', '2026-12-20');
+    const change = await analytics.detectPriceChanges('Ciudad de México', 'Bogotá', '2026-12-20', 9000, null, update.previousAnalytics);
+
+    assert.equal(change.changeType, 'price_spike');
+    assert.equal(change.shouldAlert, false);
+
+    const { data: changes } = await db.from('price_changes').select('change_type, currency').eq('route_id', update.routeId);
+    assert.deepEqual(changes, [{ change_type: 'price_spike', currency: 'MXN' }]);
+});
+
+test('detectPriceChanges no registra cambios en la primera muestra de una ruta', { skip }, async () => {
+    const routeId = 'Ciudad de México::Quito::2026-12-18';
+    const { error } = await db.from('flights').insert([{
+        from: 'Ciudad de México', to: 'Quito', flight_date: '2026-12-18', price: 8200, currency: 'MXN', updated_at: new Date().toISOString()
+    }]);
+    assert.equal(error, null);
+
+    // Analytics recién creado: sin muestras previas en la ventana ni mínimo histórico
+    const firstAnalytics = { route_id: routeId, currency: 'MXN', all_time_min_price: null, current_avg_price: null, total_samples: 0 };
+    const change = await analytics.detectPriceChanges('Ciudad de México', 'Quito', '2026-12-18', 8200, null, firstAnalytics);
+    assert.equal(change, false);
+
+    const { data: changes } = await db.from('price_changes').select('id').eq('route_id', routeId);
+    assert.deepEqual(changes, []);
+});
+
+test('una fila migrada de historical_prices en otra moneda no se mezcla con la moneda base', { skip }, async () => {
+    const routeId = 'Ciudad de México::Lima::2026-12-22';
+    const { error } = await db.from('price_analytics').insert([{
+        route_id: routeId, from_city: 'Ciudad de México', to_city: 'Lima', flight_date: '2026-12-22',
+        currency: 'USD', current_min_price: 300, all_time_min_price: 300, all_time_max_price: 400, trend_7d: 'up'
+    }]);
+    assert.equal(error, null);
+
+    // Sin analytics en moneda base no hay con qué comparar
+    const { data: migrated } = await db.from('price_analytics').select('*').eq('route_id', routeId).single();
+    assert.equal(await analytics.detectPriceChanges('Ciudad de México', 'Lima', '2026-12-22', 5000, null, migrated), false);
+
+    await seedDailyFlights('Lima', '2026-12-22', [5200, 5000, 5100]);
+    await analytics.updatePriceAnalytics('Ciudad de México', 'Lima', '2026-12-22');
+
+    const { data: row } = await db.from('price_analytics').select('*').eq('route_id', routeId).single();
+    assert.equal(row.currency, 'MXN');
+    assert.equal(row.all_time_min_price, 5000);
+    assert.equal(row.all_time_max_price, 5200);
+});
+
+test('un multi-destino no comparte analytics con el ida y vuelta de los mismos extremos y fechas', { skip }, async () => {
+    const { buildItinerary } = await import('../trip_types.js');
+    const multiCity = buildItinerary({
+        trip_type: 'multi_city',
+        legs: [
+            { origin: 'Ciudad de México', destination: 'Lima', date: '2026-12-10' },
+            { origin: 'Lima', destination: 'Santiago', date: '2026-12-15' }
+        ]
+    });
+    const updatedAt = new Date().toISOString();
+    const { error } = await db.from('flights').insert([
+        { from: 'Ciudad de México', to: 'Santiago', flight_date: '2026-12-10', return_date: '2026-12-15', trip_type: 'round_trip', price: 15000, currency: 'MXN', updated_at: updatedAt },
+        { from: 'Ciudad de México', to: 'Santiago', flight_date: '2026-12-10', return_date: '2026-12-15', trip_type: 'multi_city', legs: multiCity.legs, itinerary_key: multiCity.itineraryKey, price: 11000, currency: 'MXN', updated_at: updatedAt }
+    ]);
+    assert.equal(error, null);
+
+    const roundTrip = await analytics.updatePriceAnalytics('Ciudad de México', 'Santiago', '2026-12-10', '2026-12-15');
+    const multi = await analytics.updatePriceAnalytics('Ciudad de México', 'Santiago', '2026-12-10', '2026-12-15', multiCity.itineraryKey);
+
+    assert.equal(roundTrip.routeId, 'Ciudad de México::Santiago::2026-12-10::2026-12-15');
+    assert.equal(multi.routeId, `Ciudad de México::Santiago::2026-12-10::2026-12-15::${multiCity.itineraryKey}`);
+    assert.equal(roundTrip.currentStats.min, 15000);
+    assert.equal(roundTrip.currentStats.samples, 1);
+    assert.equal(multi.currentStats.min, 11000);
+    assert.equal(multi.currentStats.samples, 1);
+});
+
+test('getCheapestItinerary compara itinerarios de distintas monedas en moneda base', { skip }, async () => {
+    const { error } = await db.from('flight_itineraries').insert([
+        { from: 'Ciudad de México', to: 'Lima', flight_date: '2026-12-22', airline: 'Aeroméxico', stops: 1, price: 6200, currency: 'MXN', price_base: 6200 },
+        { from: 'Ciudad de México', to: 'Lima', flight_date: '2026-12-22', airline: 'Avianca', stops: 0, price: 400, currency: 'USD', price_base: 7340 },
+        { from: 'Ciudad de México', to: 'Lima', flight_date: '2026-12-22', airline: 'LATAM', stops: 0, price: 1500000, currency: 'COP', price_base: 7050 }
+    ]);
+    assert.equal(error, null);
+
+    const cheapest = await analytics.getCheapestItinerary('Ciudad de México', 'Lima', '2026-12-22');
+    assert.equal(cheapest.airline, 'Aeroméxico');
+
+    const direct = await analytics.getCheapestItinerary('Ciudad de México', 'Lima', '2026-12-22', { maxStops: 0 });
+    assert.equal(direct.airline, 'LATAM');
+
+    assert.equal(await analytics.getCheapestItinerary('Ciudad de México', 'Lima', '2026-12-23'), null);
+});
+
+test('getAnalyticsSummary lista todas las rutas analizadas', { skip }, async () => {
+    const summary = await analytics.getAnalyticsSummary();
+    assert.equal(summary.length, 5);
+    assert.deepEqual(
+        summary.map(record => record.route_id).filter(routeId => !routeId.includes('Santiago')).sort(),
+        ['Ciudad de México::Bogotá::2026-12-20', 'Ciudad de México::Lima::2026-12-22', 'Ciudad de México::Panamá::2026-12-21']
+    );
+});
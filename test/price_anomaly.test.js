@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ANOMALY_METHODS,
+    median,
+    computeAnomalyScore,
+    getRobustReferencePrice,
+    planOutlierConfirmation,
+    classifyPriceChange
+} from '../price_anomaly.js';
+
+const CONFIG = {
+    METHOD: ANOMALY_METHODS.MAD,
+    MIN_SAMPLES: 5,
+    THRESHOLD: 3,
+    MIN_SPREAD_RATIO: 0.01,
+    CONFIRMATION_TOLERANCE: 0.03,
+    CONFIRMATION_MAX_HOURS: 24
+};
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const WINDOW = [7000, 7100, 6950, 7050, 7000, 6980, 7020];
+
+test('median ordena sin modificar la lista', () => {
+    const values = [3, 1, 2, 4];
+    assert.equal(median(values), 2.5);
+    assert.deepEqual(values, [3, 1, 2, 4]);
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(median([]), null);
+});
+
+test('computeAnomalyScore puntúa con mediana y MAD y marca los atípicos', () => {
+    const deal = computeAnomalyScore(5000, WINDOW, CONFIG);
+    assert.equal(deal.method, ANOMALY_METHODS.MAD);
+    assert.equal(deal.baseline, 7000);
+    assert.equal(deal.samples, 7);
+    assert.ok(deal.score < -3);
+    assert.equal(deal.isLowOutlier, true);
+
+    const usual = computeAnomalyScore(6990, WINDOW, CONFIG);
+    assert.equal(usual.isLowOutlier, false);
+    assert.equal(usual.isHighOutlier, false);
+
+    assert.equal(computeAnomalyScore(9000, WINDOW, CONFIG).isHighOutlier, true);
+    assert.equal(computeAnomalyScore(5000, WINDOW.slice(0, 4), CONFIG), null);
+});
+
+test('computeAnomalyScore con zscore y con una ventana plana', () => {
+    const zscore = computeAnomalyScore(5000, WINDOW, { ...CONFIG, METHOD: ANOMALY_METHODS.ZSCORE });
+    assert.equal(zscore.method, ANOMALY_METHODS.ZSCORE);
+    assert.equal(zscore.isLowOutlier, true);
+
+    // Sin dispersión se usa el 1% del centro: 7000 → 6900 es un puntaje de -1.43
+    const flat = computeAnomalyScore(6900, [7000, 7000, 7000, 7000, 7000], CONFIG);
+    assert.equal(flat.spread, 0);
+    assert.equal(flat.score, -1.43);
+    assert.equal(flat.isLowOutlier, false);
+});
+
+test('getRobustReferencePrice ignora una muestra errónea muy baja de la ventana', () => {
+    assert.equal(getRobustReferencePrice([...WINDOW, 1200], CONFIG), 6950);
+    assert.equal(getRobustReferencePrice(WINDOW, CONFIG), 6950);
+    assert.equal(getRobustReferencePrice([1200, 7000], CONFIG), null);
+});
+
+test('planOutlierConfirmation retiene la bajada atípica y la confirma con el siguiente scraping', () => {
+    const anomaly = computeAnomalyScore(5000, WINDOW, CONFIG);
+
+    const hold = planOutlierConfirmation({ newPrice: 5000, anomaly, now: NOW, config: CONFIG });
+    assert.equal(hold.status, 'hold');
+    assert.deepEqual(hold.pendingOutlier, { price: 5000, at: new Date(NOW).toISOString() });
+
+    const later = NOW + 2 * 60 * 60 * 1000;
+    const confirmed = planOutlierConfirmation({ newPrice: 5100, anomaly, pendingOutlier: hold.pendingOutlier, now: later, config: CONFIG });
+    assert.deepEqual(confirmed, { status: 'confirmed', rejectedPrevious: false, pendingOutlier: null });
+
+    // El precio volvió a lo habitual: el atípico anterior era ruido
+    const rejected = planOutlierConfirmation({ newPrice: 7000, anomaly: null, pendingOutlier: hold.pendingOutlier, now: later, config: CONFIG });
+    assert.deepEqual(rejected, { status: 'none', rejectedPrevious: true, pendingOutlier: null });
+});
+
+test('planOutlierConfirmation ignora una bajada pendiente vencida', () => {
+    const pendingOutlier = { price: 5000, at: new Date(NOW - 25 * 60 * 60 * 1000).toISOString() };
+    const anomaly = computeAnomalyScore(5000, WINDOW, CONFIG);
+
+    const plan = planOutlierConfirmation({ newPrice: 5000, anomaly, pendingOutlier, now: NOW, config: CONFIG });
+    assert.equal(plan.status, 'hold');
+    assert.equal(plan.rejectedPrevious, false);
+});
+
+test('classifyPriceChange no llama bajada a un precio que subió', () => {
+    const base = { referencePrice: 6950, previousAvg: 7000 };
+
+    // Una regla (ej. precio objetivo) se cumple pero el precio está sobre el centro de la ventana
+    const up = computeAnomalyScore(7080, WINDOW, CONFIG);
+    assert.equal(classifyPriceChange({ ...base, newPrice: 7080, anomaly: up, alerting: true }), 'normal_fluctuation');
+
+    const down = computeAnomalyScore(6960, WINDOW, CONFIG);
+    assert.equal(classifyPriceChange({ ...base, newPrice: 6960, anomaly: down, alerting: true }), 'significant_drop');
+
+    assert.equal(classifyPriceChange({ ...base, newPrice: 6900, anomaly: down }), 'new_minimum');
+    assert.equal(classifyPriceChange({ ...base, newPrice: 5000, confirmation: 'hold' }), 'unconfirmed_outlier');
+    assert.equal(classifyPriceChange({ ...base, newPrice: 5000, confirmation: 'confirmed' }), 'confirmed_drop');
+    assert.equal(classifyPriceChange({ ...base, newPrice: 9000, anomaly: computeAnomalyScore(9000, WINDOW, CONFIG) }), 'price_spike');
+});
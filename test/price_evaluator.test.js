@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqliteAvailable, skip } from './helpers/sqlite_memory.js';
+
+const { db } = sqliteAvailable ? await import('../storage.js') : {};
+const { runPriceEvaluator } = sqliteAvailable ? await import('../evaluate_price.js') : {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para insertar muestras de búsqueda: prices[i] se scrapeó hace (prices.length - i) días
+async function seedFlights(to, prices) {
+    const { error } = await db.from('flights').insert(prices.map((price, index) => ({
+        from: 'Ciudad de México',
+        to,
+        flight_date: '2026-12-20',
+        price,
+        currency: 'MXN',
+        updated_at: new Date(Date.now() - (prices.length - index) * DAY_MS).toISOString()
+    })));
+    assert.equal(error, null);
+}
+
+test('el modo incremental no lee de flights las rutas sin muestras nuevas', { skip }, async () => {
+    await seedFlights('Bogotá', [7000, 7100, 6950]);
+    await seedFlights('Lima', [5200, 5000, 5100]);
+
+    const full = await runPriceEvaluator('2026-12-20');
+    assert.equal(full.routesAnalyzed, 2);
+
+    // Muestra nueva solo para Bogotá (posterior al last_updated recién guardado)
+    const { error } = await db.from('flights').insert([{
+        from: 'Ciudad de México', to: 'Bogotá', flight_date: '2026-12-20', price: 7400, currency: 'MXN',
+        updated_at: new Date(Date.now() + 1000).toISOString()
+    }]);
+    assert.equal(error, null);
+
+    // Lima ni siquiera llega a la lista de rutas: la consulta ya corta por updated_at
+    const incremental = await runPriceEvaluator({ flightDate: '2026-12-20', incremental: true });
+    assert.equal(incremental.routesAnalyzed, 1);
+    assert.equal(incremental.routesSkipped, 0);
+
+    const { data: bogota } = await db.from('price_analytics').select('total_samples').eq('route_id', 'Ciudad de México::Bogotá::2026-12-20').single();
+    assert.equal(bogota.total_samples, 4);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FORECAST_RECOMMENDATIONS,
+    normalCdf,
+    estimateDriftAndVolatility,
+    probabilityOfDrop,
+    forecastRoute,
+    describeForecast,
+    backtestForecasts
+} from '../price_forecast.js';
+
+const CONFIG = {
+    DROP_RATIO: 0.05,
+    WAIT_PROBABILITY: 0.5,
+    MIN_SAMPLES: 5,
+    FULL_CONFIDENCE_SAMPLES: 30,
+    FULL_CONFIDENCE_SPAN_DAYS: 14
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+// Serie diaria que termina en `end` con los precios indicados
+function dailySeries(prices, end = NOW) {
+    return prices.map((price, i) => ({ at: new Date(end - (prices.length - 1 - i) * DAY_MS).toISOString(), price }));
+}
+
+test('normalCdf aproxima la normal estándar', () => {
+    assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-6);
+    assert.ok(Math.abs(normalCdf(1.96) - 0.975) < 1e-3);
+    assert.ok(Math.abs(normalCdf(-1.96) - 0.025) < 1e-3);
+});
+
+test('estimateDriftAndVolatility pondera los retornos por los días que cubren', () => {
+    const estimate = estimateDriftAndVolatility([
+        { at: '2026-10-01T00:00:00.000Z', price: 100 },
+        { at: '2026-10-03T00:00:00.000Z', price: 100 * Math.exp(-0.02) },
+        { at: '2026-10-04T00:00:00.000Z', price: 100 * Math.exp(-0.03) }
+    ]);
+
+    assert.ok(Math.abs(estimate.drift - -0.01) < 1e-9);
+    assert.ok(estimate.volatility < 1e-9);
+    assert.equal(estimate.spanDays, 3);
+    assert.equal(estimate.steps, 2);
+
+    assert.equal(estimateDriftAndVolatility([{ at: '2026-10-01', price: 100 }]), null);
+});
+
+test('probabilityOfDrop crece con el horizonte y la volatilidad', () => {
+    const params = { drift: 0, volatility: 0.03, dropRatio: 0.05 };
+
+    assert.equal(probabilityOfDrop({ ...params, days: 0 }), 0);
+    assert.ok(probabilityOfDrop({ ...params, days: 30 }) > probabilityOfDrop({ ...params, days: 3 }));
+    assert.ok(probabilityOfDrop({ ...params, days: 10, volatility: 0.06 }) > probabilityOfDrop({ ...params, days: 10 }));
+
+    // Sin volatilidad solo baja si la tendencia alcanza la barrera
+    assert.equal(probabilityOfDrop({ drift: -0.01, volatility: 0, days: 10, dropRatio: 0.05 }), 1);
+    assert.equal(probabilityOfDrop({ drift: 0.01, volatility: 0, days: 10, dropRatio: 0.05 }), 0);
+
+    // Drift muy negativo con volatilidad mínima: el término de reflexión se desborda y se toma como seguro
+    assert.equal(probabilityOfDrop({ drift: -0.5, volatility: 1e-6, days: 5, dropRatio: 0.05 }), 1);
+});
+
+test('forecastRoute sin muestras suficientes no recomienda', () => {
+    const forecast = forecastRoute(dailySeries([100, 98, 97]), { departureDate: '2026-11-19', now: NOW, config: CONFIG });
+
+    assert.equal(forecast.recommendation, null);
+    assert.equal(forecast.samples, 3);
+    assert.equal(forecast.confidence, 0);
+    assert.match(forecast.reason, /al menos 5 muestras/);
+    assert.equal(describeForecast(forecast), null);
+});
+
+test('forecastRoute recomienda esperar con tendencia a la baja y comprar con tendencia al alza', () => {
+    const falling = dailySeries([120, 118, 117, 114, 113, 110, 109, 106, 105, 103]);
+    const rising = dailySeries([100, 101, 103, 104, 106, 107, 109, 110, 112, 113]);
+
+    const wait = forecastRoute(falling, { departureDate: '2026-11-19', now: NOW, config: CONFIG });
+    assert.equal(wait.recommendation, FORECAST_RECOMMENDATIONS.WAIT);
+    assert.ok(wait.dropProbability >= 0.5);
+    assert.equal(wait.daysToDeparture, 30);
+
+    const buy = forecastRoute(rising, { departureDate: '2026-11-19', now: NOW, config: CONFIG });
+    assert.equal(buy.recommendation, FORECAST_RECOMMENDATIONS.BUY);
+    assert.ok(buy.dropProbability < 0.5);
+
+    // Diez muestras en nueve días: la confianza queda penalizada por la poca historia
+    assert.ok(buy.confidence > 0 && buy.confidence < 0.4);
+    assert.equal(buy.confidenceLevel, 'baja');
+    assert.match(describeForecast(buy), /^comprar \(\d+% prob\. de baja, confianza baja\)$/);
+});
+
+test('forecastRoute con la salida hoy recomienda comprar', () => {
+    const forecast = forecastRoute(dailySeries([120, 110, 100, 90, 80]), { departureDate: '2026-10-19', now: NOW, config: CONFIG });
+
+    assert.equal(forecast.dropProbability, 0);
+    assert.equal(forecast.recommendation, FORECAST_RECOMMENDATIONS.BUY);
+});
+
+test('backtestForecasts evalúa solo rutas con salida pasada y compara con lo que pasó después', () => {
+    const departure = '2026-10-10';
+    const end = Date.parse('2026-10-09T12:00:00.000Z');
+    const report = backtestForecasts([
+        { routeId: 'A::B::2026-10-10', departureDate: departure, series: dailySeries([120, 118, 115, 113, 110, 108, 104, 101], end) },
+        { routeId: 'A::C::2026-12-01', departureDate: '2026-12-01', series: dailySeries([100, 100, 100, 100, 100, 100]) }
+    ], { config: CONFIG, now: NOW });
+
+    assert.equal(report.routesEvaluated, 1);
+    assert.equal(report.routesSkipped, 1);
+    // Se pronostica desde la 5.ª muestra hasta la penúltima: 3 pronósticos
+    assert.equal(report.forecasts, 3);
+    assert.equal(report.byRecommendation.buy.count + report.byRecommendation.wait.count, 3);
+    assert.ok(report.accuracy >= 0 && report.accuracy <= 1);
+    assert.ok(report.brierScore >= 0 && report.brierScore <= 1);
+    // Desde 110 y 108 se llega a 101 (baja de más de 5%); desde 104 no
+    assert.equal(report.baseRate, Math.round(2 / 3 * 1000) / 1000);
+});
+
+test('backtestForecasts sin pronósticos devuelve métricas nulas', () => {
+    const report = backtestForecasts([], { config: CONFIG, now: NOW });
+
+    assert.equal(report.forecasts, 0);
+    assert.equal(report.accuracy, null);
+    assert.equal(report.brierScore, null);
+});
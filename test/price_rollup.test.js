@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toUtcDay,
+    foldSamplesIntoDays,
+    combineDailyStats,
+    summarizeRecentDays,
+    toCloseSeries
+} from '../price_rollup.js';
+
+const SAMPLES = [
+    { id: 1, at: '2026-10-17T08:00:00.000Z', price: 7000 },
+    { id: 2, at: '2026-10-17T20:00:00.000Z', price: 6800 },
+    { id: 3, at: '2026-10-17T14:00:00.000Z', price: 7200 },
+    { id: 4, at: '2026-10-18T09:00:00.000Z', price: 6900 }
+];
+
+test('toUtcDay usa el día UTC', () => {
+    assert.equal(toUtcDay('2026-10-17T23:30:00.000-06:00'), '2026-10-18');
+});
+
+test('foldSamplesIntoDays arma apertura, cierre y estadísticas por día', () => {
+    const rows = foldSamplesIntoDays([], SAMPLES);
+    const day = rows.find(row => row.day === '2026-10-17');
+
+    assert.equal(rows.length, 2);
+    assert.equal(day.id, undefined);
+    assert.equal(day.open_price, 7000);
+    assert.equal(day.close_price, 6800);
+    assert.equal(day.min_price, 6800);
+    assert.equal(day.max_price, 7200);
+    assert.equal(day.median_price, 7000);
+    assert.equal(day.sample_count, 3);
+    assert.equal(day.first_sample_at, '2026-10-17T08:00:00.000Z');
+    assert.equal(day.last_sample_at, '2026-10-17T20:00:00.000Z');
+    assert.equal(day.last_flight_id, 3);
+});
+
+test('foldSamplesIntoDays suma muestras nuevas a un día existente sin contar dos veces las ya sumadas', () => {
+    const [existing] = foldSamplesIntoDays([], SAMPLES.slice(0, 2)).map(row => ({ ...row, id: 10 }));
+
+    // La muestra 2 ya está sumada; la 3 llega tarde pero es de media tarde: no cambia apertura ni cierre
+    const [merged] = foldSamplesIntoDays([existing], SAMPLES.slice(1, 3));
+    assert.equal(merged.id, 10);
+    assert.equal(merged.sample_count, 3);
+    assert.equal(merged.open_price, 7000);
+    assert.equal(merged.close_price, 6800);
+    assert.equal(merged.max_price, 7200);
+    assert.equal(merged.last_flight_id, 3);
+
+    // Un lote ya sumado completo no produce cambios
+    assert.deepEqual(foldSamplesIntoDays([{ ...merged, id: 10 }], SAMPLES.slice(0, 3)), []);
+
+    // Una muestra anterior a la apertura pasa a ser la apertura
+    const [earlier] = foldSamplesIntoDays([{ ...merged, id: 10 }], [{ id: 5, at: '2026-10-17T01:00:00.000Z', price: 7500 }]);
+    assert.equal(earlier.open_price, 7500);
+    assert.equal(earlier.first_sample_at, '2026-10-17T01:00:00.000Z');
+    assert.equal(earlier.close_price, 6800);
+});
+
+test('combineDailyStats coincide con las estadísticas de las muestras crudas', () => {
+    const rows = foldSamplesIntoDays([], SAMPLES);
+    const combined = combineDailyStats(rows);
+    const prices = SAMPLES.map(sample => sample.price);
+    const avg = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    const volatility = Math.sqrt(prices.reduce((sum, price) => sum + (price - avg) ** 2, 0) / prices.length);
+
+    assert.equal(combined.min, 6800);
+    assert.equal(combined.max, 7200);
+    assert.equal(combined.avg, avg);
+    assert.ok(Math.abs(combined.volatility - volatility) <= 0.01);
+    assert.equal(combined.samples, 4);
+    // Mediana exacta de las 4 muestras (6800, 6900, 7000, 7200), no la de las medianas diarias (7000)
+    assert.equal(combined.median, 6950);
+
+    assert.equal(combineDailyStats([]), null);
+});
+
+test('summarizeRecentDays separa los últimos 7 días de los 7 anteriores', () => {
+    const row = (day, avg, count) => ({ day, avg_price: avg, sample_count: count });
+    const now = Date.parse('2026-10-19T12:00:00.000Z');
+    const summary = summarizeRecentDays([
+        row('2026-10-19', 6000, 2),
+        row('2026-10-13', 6300, 2),
+        row('2026-10-12', 7000, 1),
+        row('2026-10-06', 8000, 1),
+        row('2026-10-01', 9000, 5)
+    ], { now });
+
+    assert.equal(summary.samplesLast7d, 4);
+    assert.equal(summary.avgLast7d, 6150);
+    assert.equal(summary.avgPrevious7d, 7500);
+    assert.equal(summarizeRecentDays([], { now }).avgLast7d, null);
+});
+
+test('toCloseSeries ordena los cierres por día', () => {
+    const series = toCloseSeries(foldSamplesIntoDays([], SAMPLES).reverse());
+    assert.deepEqual(series, [
+        { at: '2026-10-17T20:00:00.000Z', price: 6800 },
+        { at: '2026-10-18T09:00:00.000Z', price: 6900 }
+    ]);
+});
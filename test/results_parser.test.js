@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import {
+    parseResultsHtml,
+    parseItineraryLabel,
+    parseCheapestTabPrice,
+    detectCurrency,
+    parseCalendarPrices,
+    parsePriceText,
+    parseTimeText,
+    parseDurationText
+} from '../results_parser.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+async function loadFixture(name) {
+    return readFile(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+test('parseResultsHtml lee el precio del tab y todos los itinerarios', async () => {
+    const html = await loadFixture('results_one_way_es-419.html');
+    const results = parseResultsHtml(html, 'es-419');
+
+    assert.equal(results.cheapestTabPrice, 6498);
+    assert.equal(results.cheapestPrice, 6498);
+    assert.equal(results.currency, 'MXN');
+    assert.equal(results.itineraries.length, 3);
+
+    assert.deepEqual(results.itineraries[0], {
+        airline: 'Avianca',
+        departure_time: '06:25',
+        arrival_time: '14:55',
+        duration_minutes: 450,
+        stops: 1,
+        layover_airports: ['Aeropuerto Internacional Juan Santamaría'],
+        price: 6498,
+        currency: 'MXN',
+        booking_link: 'https://www.google.com/travel/flights/booking?tfs=CBwQAhooEgoyMDI2LTEyLTEwagcIARIDTUVYcgcIARIDQk9HGgwIAxIIQVY3OTcyMjU&hl=es-419&curr=MXN'
+    });
+});
+
+test('parseResultsHtml toma el enlace de reserva de cada resultado (null si no trae uno propio)', async () => {
+    const html = await loadFixture('results_one_way_es-419.html');
+    const links = parseResultsHtml(html, 'es-419').itineraries.map(itinerary => itinerary.booking_link);
+
+    assert.equal(new Set(links).size, 3);
+    assert.match(links[1], /^https:\/\/www\.google\.com\/travel\/flights\/booking\?tfs=.+QU02NDIxMTA&hl=es-419/);
+    // El enlace de ayuda del pie de página no es del último resultado
+    assert.equal(links[2], null);
+
+    const inline = parseResultsHtml(
+        '<div class="JMc5Xc" aria-label="Desde 5100 pesos mexicanos. Vuelo sin escalas con Volaris."></div><a href="javascript:void(0)">Más</a>'
+        + '<div class="JMc5Xc" aria-label="Desde 4900 pesos mexicanos. Vuelo sin escalas con Viva Aerobus."></div><a href="https://www.vivaaerobus.com/reserva?vuelo=1">Reservar</a>',
+        'es-419'
+    );
+    assert.deepEqual(inline.itineraries.map(itinerary => itinerary.booking_link), [null, 'https://www.vivaaerobus.com/reserva?vuelo=1']);
+});
+
+test('parseResultsHtml distingue vuelos sin escalas y con varias escalas', async () => {
+    const html = await loadFixture('results_one_way_es-419.html');
+    const [, nonstop, twoStops] = parseResultsHtml(html, 'es-419').itineraries;
+
+    assert.equal(nonstop.airline, 'Aeroméxico');
+    assert.equal(nonstop.stops, 0);
+    assert.equal(nonstop.departure_time, '00:05');
+    assert.deepEqual(nonstop.layover_airports, []);
+
+    assert.equal(twoStops.airline, 'Copa y Wingo');
+    assert.equal(twoStops.stops, 2);
+    assert.equal(twoStops.departure_time, '23:50');
+    assert.deepEqual(twoStops.layover_airports, [
+        'Aeropuerto Internacional de Tocumen',
+        'Aeropuerto Internacional Rafael Núñez'
+    ]);
+});
+
+test('parseResultsHtml devuelve resultados vacíos cuando no hay vuelos', async () => {
+    const html = await loadFixture('results_empty_es-419.html');
+    const results = parseResultsHtml(html, 'es-419');
+
+    assert.equal(results.cheapestPrice, null);
+    assert.equal(results.currency, null);
+    assert.deepEqual(results.itineraries, []);
+});
+
+test('parseResultsHtml tolera entradas vacías', () => {
+    assert.deepEqual(parseResultsHtml(''), { cheapestPrice: null, cheapestTabPrice: null, currency: null, itineraries: [] });
+    assert.deepEqual(parseResultsHtml(null), { cheapestPrice: null, cheapestTabPrice: null, currency: null, itineraries: [] });
+});
+
+test('parseResultsHtml usa el itinerario más barato si no hay tab', () => {
+    const html = '<div class="JMc5Xc" aria-label="Desde 5100 pesos mexicanos. Vuelo sin escalas con Viva Aerobus."></div>'
+        + '<div class="JMc5Xc" aria-label="Desde 4900 pesos mexicanos. Vuelo sin escalas con Volaris."></div>';
+    const results = parseResultsHtml(html, 'es-419');
+
+    assert.equal(results.cheapestTabPrice, null);
+    assert.equal(results.cheapestPrice, 4900);
+});
+
+test('parseResultsHtml interpreta páginas en en-US', async () => {
+    const html = await loadFixture('results_one_way_en-US.html');
+    const results = parseResultsHtml(html, 'en-US');
+
+    assert.equal(results.cheapestTabPrice, 6498);
+    assert.equal(results.itineraries.length, 2);
+    assert.deepEqual(results.itineraries[0], {
+        airline: 'Avianca',
+        departure_time: '06:25',
+        arrival_time: '14:55',
+        duration_minutes: 450,
+        stops: 1,
+        layover_airports: ['Juan Santamaría International Airport'],
+        price: 6498,
+        currency: 'MXN',
+        booking_link: null
+    });
+    assert.equal(results.itineraries[1].stops, 0);
+    assert.equal(results.itineraries[1].airline, 'Aeromexico');
+});
+
+test('parseResultsHtml interpreta páginas en pt-BR', async () => {
+    const html = await loadFixture('results_one_way_pt-BR.html');
+    const results = parseResultsHtml(html, 'pt-BR');
+
+    assert.equal(results.cheapestTabPrice, 1412);
+    assert.equal(results.currency, 'BRL');
+    assert.equal(results.itineraries.length, 2);
+    assert.equal(results.itineraries[0].airline, 'LATAM');
+    assert.equal(results.itineraries[0].stops, 0);
+    assert.equal(results.itineraries[0].departure_time, '08:10');
+    assert.deepEqual(results.itineraries[1], {
+        airline: 'Aerolíneas Argentinas',
+        departure_time: '06:00',
+        arrival_time: '14:40',
+        duration_minutes: 580,
+        stops: 1,
+        layover_airports: ['Aeroporto Jorge Newbery'],
+        price: 1655,
+        currency: 'BRL',
+        booking_link: null
+    });
+});
+
+test('parseResultsHtml rechaza idiomas sin selectores', () => {
+    assert.throws(() => parseResultsHtml('<div></div>', 'fr-FR'), /No hay selectores/);
+});
+
+test('detectCurrency reconoce nombres de moneda y códigos ISO', () => {
+    assert.equal(detectCurrency('Desde 120 dólares estadounidenses', 'es-419'), 'USD');
+    assert.equal(detectCurrency('Cheapest from COP 450,000', 'en-US'), 'COP');
+    assert.equal(detectCurrency('Sin precios', 'es-419'), null);
+});
+
+test('parseCalendarPrices lee un precio por día del calendario', async () => {
+    const html = await loadFixture('calendar_es-419.html');
+    const prices = parseCalendarPrices(html, 'es-419');
+
+    assert.deepEqual(prices, [
+        { date: '2026-12-09', price: 7105, currency: 'MXN' },
+        { date: '2026-12-10', price: 6498, currency: 'MXN' },
+        { date: '2026-12-11', price: 8020, currency: null },
+        { date: '2027-01-02', price: 5890, currency: 'MXN' }
+    ]);
+});
+
+test('parseCalendarPrices tolera calendarios vacíos', () => {
+    assert.deepEqual(parseCalendarPrices('', 'es-419'), []);
+    assert.deepEqual(parseCalendarPrices('<div data-iso="2026-12-01"></div>', 'es-419'), []);
+});
+
+test('parseItineraryLabel ignora etiquetas vacías', () => {
+    assert.equal(parseItineraryLabel(''), null);
+});
+
+test('helpers de formato', () => {
+    assert.equal(parsePriceText('MXN 12,345'), 12345);
+    assert.equal(parsePriceText('sin precio'), null);
+    assert.equal(parsePriceText('R$ 1.234,00'), 1234);
+    assert.equal(parseCheapestTabPrice('Más económicos desde $8,231', 'es-419'), 8231);
+    assert.equal(parseTimeText('12:30 p.m.'), '12:30');
+    assert.equal(parseTimeText('12:30 a.m.'), '00:30');
+    assert.equal(parseTimeText('18:45'), '18:45');
+    assert.equal(parseDurationText('3 h'), 180);
+    assert.equal(parseDurationText('45 min'), 45);
+});
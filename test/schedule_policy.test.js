@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getDaysToDeparture,
+    isDeparturePast,
+    computeScrapeIntervalMinutes,
+    planJobSchedule
+} from '../schedule_policy.js';
+
+const POLICY = {
+    PROXIMITY_TIERS: [
+        { maxDays: 7, hours: 3 },
+        { maxDays: 30, hours: 8 },
+        { maxDays: 90, hours: 24 },
+        { maxDays: Infinity, hours: 72 }
+    ],
+    HIGH_VOLATILITY_RATIO: 0.08,
+    LOW_VOLATILITY_RATIO: 0.02,
+    MIN_INTERVAL_MINUTES: 60,
+    MAX_INTERVAL_MINUTES: 7 * 24 * 60
+};
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+test('getDaysToDeparture e isDeparturePast usan la próxima y la última salida del trabajo', () => {
+    assert.equal(getDaysToDeparture({ flight_date: '2026-10-26' }, { now: NOW }), 7);
+    assert.equal(getDaysToDeparture({ search_mode: 'date_window', window_start: '2026-10-01', window_end: '2026-10-31' }, { now: NOW }), 0);
+
+    assert.equal(isDeparturePast({ flight_date: '2026-10-18' }, { now: NOW }), true);
+    assert.equal(isDeparturePast({ flight_date: '2026-10-19' }, { now: NOW }), false);
+    assert.equal(isDeparturePast({ search_mode: 'date_window', window_start: '2026-10-01', window_end: '2026-10-31' }, { now: NOW }), false);
+});
+
+test('computeScrapeIntervalMinutes scrapea más seguido cerca de la salida', () => {
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 5 }, POLICY), 180);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 20 }, POLICY), 480);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 300 }, POLICY), 72 * 60);
+});
+
+test('computeScrapeIntervalMinutes ajusta por volatilidad, cambios recientes y prioridad', () => {
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 60, volatilityRatio: 0.1 }, POLICY), 720);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 60, volatilityRatio: 0.01 }, POLICY), 2160);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 60, changesLastWeek: 4 }, POLICY), 720);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 60, priority: 3 }, POLICY), 720);
+
+    // Nunca por debajo del mínimo ni por encima del máximo
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 1, volatilityRatio: 0.5, changesLastWeek: 10, priority: 5 }, POLICY), 60);
+    assert.equal(computeScrapeIntervalMinutes({ daysToDeparture: 300, volatilityRatio: 0.001 }, { ...POLICY, MAX_INTERVAL_MINUTES: 4000 }), 4000);
+});
+
+test('planJobSchedule retira, libera o deja esperando cada trabajo', () => {
+    const job = { id: 1, flight_date: '2026-11-10', priority: 1, status: 'completed' };
+    const analytics = { current_avg_price: 5000, price_volatility: 50 };
+
+    assert.equal(planJobSchedule({ ...job, flight_date: '2026-10-01' }, { policy: POLICY, now: NOW }).action, 'retire');
+
+    const waiting = planJobSchedule({ ...job, last_scraped_at: '2026-10-19T10:00:00.000Z' }, { analytics, policy: POLICY, now: NOW });
+    assert.equal(waiting.action, 'wait');
+    assert.equal(waiting.intervalMinutes, 720);
+    assert.equal(waiting.nextScrapeAt, '2026-10-19T22:00:00.000Z');
+
+    const due = planJobSchedule({ ...job, last_scraped_at: '2026-10-18T10:00:00.000Z' }, { analytics, policy: POLICY, now: NOW });
+    assert.equal(due.action, 'release');
+
+    assert.equal(planJobSchedule(job, { policy: POLICY, now: NOW }).action, 'release');
+});
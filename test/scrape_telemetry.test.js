@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FAILURE_CATEGORIES,
+    classifyScrapeError,
+    startScrapeRun,
+    beginStep,
+    failScrapeRun,
+    finishScrapeRun,
+    buildScrapeHealthReport
+} from '../scrape_telemetry.js';
+
+const JOB = { id: 7, origin_city: 'Ciudad de México', destination_city: 'Bogotá', flight_date: '2026-12-15' };
+
+test('classifyScrapeError distingue selector, timeout, desafíos, validación y sin resultados', () => {
+    const locatorTimeout = Object.assign(
+        new Error("locator.click: Timeout 30000ms exceeded.\nCall log:\n  - waiting for getByRole('combobox', { name: 'Origen' })"),
+        { name: 'TimeoutError' }
+    );
+    assert.equal(classifyScrapeError(locatorTimeout, { step: 'origin' }), FAILURE_CATEGORIES.SELECTOR_MISSING);
+
+    const gotoTimeout = Object.assign(new Error('page.goto: Timeout 30000ms exceeded.'), { name: 'TimeoutError' });
+    assert.equal(classifyScrapeError(gotoTimeout, { step: 'navigate' }), FAILURE_CATEGORIES.TIMEOUT);
+
+    assert.equal(
+        classifyScrapeError(gotoTimeout, { step: 'navigate', url: 'https://consent.google.com/ml?continue=https://www.google.com/travel/flights' }),
+        FAILURE_CATEGORIES.CONSENT
+    );
+    assert.equal(
+        classifyScrapeError(Object.assign(new Error('Google mostró un captcha'), { challenge: 'captcha' }), { step: 'results' }),
+        FAILURE_CATEGORIES.CAPTCHA
+    );
+    assert.equal(classifyScrapeError(new Error('Un viaje de ida y vuelta requiere return_date')), FAILURE_CATEGORIES.VALIDATION);
+    assert.equal(classifyScrapeError('No se encontraron precios después de 3 intentos', { step: 'results' }), FAILURE_CATEGORIES.NO_RESULTS);
+    assert.equal(classifyScrapeError(new Error('Target closed'), { step: 'results' }), FAILURE_CATEGORIES.UNKNOWN);
+});
+
+test('la ejecución registra la duración de cada paso y el paso que falló', () => {
+    const run = startScrapeRun(JOB, { now: 0 });
+    beginStep(run, 'navigate', { now: 0 });
+    beginStep(run, 'origin', { now: 1500 });
+    beginStep(run, 'destination', { now: 2000 });
+    failScrapeRun(run, new Error('Sin sugerencias de autocompletado para destino "Bogotá"'), { now: 12000 });
+
+    const record = finishScrapeRun(run, { success: false, screenshotPath: 'screenshots/x.png', now: 12500 });
+
+    assert.deepEqual(record.step_timings, [
+        { step: 'navigate', status: 'ok', duration_ms: 1500 },
+        { step: 'origin', status: 'ok', duration_ms: 500 },
+        { step: 'destination', status: 'failed', duration_ms: 10000 }
+    ]);
+    assert.equal(record.failure_step, 'destination');
+    assert.equal(record.failure_category, FAILURE_CATEGORIES.SELECTOR_MISSING);
+    assert.equal(record.duration_ms, 12500);
+    assert.equal(record.route, 'Ciudad de México → Bogotá');
+    assert.equal(record.screenshot_path, 'screenshots/x.png');
+
+    const ok = startScrapeRun(JOB, { now: 0 });
+    beginStep(ok, 'results', { now: 100 });
+    const okRecord = finishScrapeRun(ok, { success: true, now: 400 });
+    assert.deepEqual(okRecord.step_timings, [{ step: 'results', status: 'ok', duration_ms: 300 }]);
+    assert.equal(okRecord.failure_category, null);
+});
+
+test('buildScrapeHealthReport calcula el éxito por ruta, paso y día', () => {
+    const steps = (failedStep = null) => ['navigate', 'origin', 'results']
+        .map(step => ({ step, status: step === failedStep ? 'failed' : 'ok', duration_ms: 1000 }));
+    const report = buildScrapeHealthReport([
+        { route: 'A → B', success: true, step_timings: steps(), started_at: '2026-10-01T10:00:00.000Z' },
+        { route: 'A → B', success: false, failure_category: 'no_results', failure_step: 'results', step_timings: steps('results'), started_at: '2026-10-02T10:00:00.000Z' },
+        { route: 'C → D', success: true, step_timings: steps(), started_at: '2026-10-02T11:00:00.000Z' }
+    ]);
+
+    assert.equal(report.totalRuns, 3);
+    assert.equal(report.successRate, 66.7);
+    assert.deepEqual(report.byRoute.map(route => [route.route, route.successRate]), [['A → B', 50], ['C → D', 100]]);
+    assert.deepEqual(report.byRoute[0].lastFailure, { at: '2026-10-02T10:00:00.000Z', category: 'no_results', step: 'results' });
+    assert.deepEqual(report.byStep.map(step => [step.step, step.successRate, step.avgMs]), [
+        ['navigate', 100, 1000], ['origin', 100, 1000], ['results', 66.7, 1000]
+    ]);
+    assert.deepEqual(report.byDay.map(day => [day.day, day.runs, day.successRate]), [['2026-10-01', 1, 100], ['2026-10-02', 2, 50]]);
+    assert.deepEqual(report.byCategory, { no_results: 1 });
+});
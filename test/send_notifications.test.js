@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqliteAvailable, skip } from './helpers/sqlite_memory.js';
+
+// Pushcut como único canal, antes de que send_notifications.js cargue config.js
+process.env.ALERT_CHANNELS = 'pushcut';
+process.env.PUSHCUT_URL = 'https://api.pushcut.io/secret/notifications/Flights';
+
+const { db } = sqliteAvailable ? await import('../storage.js') : {};
+const { sendPriceAlert } = sqliteAvailable ? await import('../send_notifications.js') : {};
+
+const ROUND_TRIP_ID = 'Ciudad de México::Bogotá::2026-12-15::2026-12-22';
+const ONE_WAY_ID = 'Ciudad de México::Bogotá::2026-12-15';
+
+// Pushcut simulado: cuenta las peticiones y responde con el estado indicado
+let pushcutRequests = 0;
+let pushcutStatus = 200;
+globalThis.fetch = async () => {
+    pushcutRequests++;
+    return new Response('{}', { status: pushcutStatus });
+};
+
+// Función para enviar la alerta de una ruta de Ciudad de México a Bogotá
+function sendAlert(routeId, price) {
+    return sendPriceAlert('Ciudad de México', 'Bogotá', price, 'MXN', '2026-12-15', 'Bajada de precio', routeId, 7000, 7000 - price);
+}
+
+test('una entrega fallida no bloquea el reintento con el mismo precio', { skip }, async () => {
+    pushcutStatus = 500;
+    assert.equal(await sendAlert(ROUND_TRIP_ID, 6500), false);
+
+    pushcutStatus = 200;
+    assert.equal(await sendAlert(ROUND_TRIP_ID, 6500), true);
+    assert.equal(pushcutRequests, 2);
+});
+
+test('el mismo precio se bloquea 12 horas solo para la misma ruta (route_id)', { skip }, async () => {
+    // Misma ruta y precio: bloqueada sin llegar al canal
+    assert.equal(await sendAlert(ROUND_TRIP_ID, 6500), false);
+    assert.equal(pushcutRequests, 2);
+
+    // El solo ida de la misma fecha es otra ruta
+    assert.equal(await sendAlert(ONE_WAY_ID, 6500), true);
+    assert.equal(pushcutRequests, 3);
+
+    // Con otro precio la misma ruta sí alerta
+    assert.equal(await sendAlert(ROUND_TRIP_ID, 6300), true);
+
+    const { data: notifications } = await db.from('notifications').select('route_id, new_price').eq('delivery_response->success', true);
+    assert.deepEqual(notifications.map(row => [row.route_id, row.new_price]), [
+        [ROUND_TRIP_ID, 6500],
+        [ONE_WAY_ID, 6500],
+        [ROUND_TRIP_ID, 6300]
+    ]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createApiHandler } from '../server.js';
+
+// Levanta el manejador en un puerto libre con consultas falsas
+async function withServer(queries, run) {
+    const server = createServer(createApiHandler(queries));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        await run(baseUrl);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('la API devuelve { data } y pasa los filtros de la query string', async () => {
+    const calls = [];
+    const queries = {
+        getRoutes: async () => [{ id: 1 }],
+        getAnalytics: async options => { calls.push(['analytics', options]); return []; },
+        getPriceHistory: async options => { calls.push(['history', options]); return [{ price: 6498 }]; },
+        getDailyPrices: async options => { calls.push(['daily', options]); return [{ day: '2026-10-19', close_price: 6498 }]; },
+        getPriceChanges: async options => { calls.push(['changes', options]); return []; },
+        getNotifications: async options => { calls.push(['notifications', options]); return []; }
+    };
+
+    await withServer(queries, async baseUrl => {
+        assert.deepEqual(await (await fetch(`${baseUrl}/api/routes`)).json(), { data: [{ id: 1 }] });
+
+        const routeId = encodeURIComponent('Ciudad de México::Bogotá::2026-12-15');
+        const history = await fetch(`${baseUrl}/api/history?route_id=${routeId}&days=30`);
+        assert.equal(history.status, 200);
+        assert.deepEqual((await history.json()).data, [{ price: 6498 }]);
+
+        const daily = await fetch(`${baseUrl}/api/daily?route_id=${routeId}`);
+        assert.deepEqual((await daily.json()).data, [{ day: '2026-10-19', close_price: 6498 }]);
+
+        await fetch(`${baseUrl}/api/notifications?limit=5`);
+        await fetch(`${baseUrl}/api/analytics`);
+    });
+
+    assert.deepEqual(calls, [
+        ['history', { routeId: 'Ciudad de México::Bogotá::2026-12-15', days: '30' }],
+        ['daily', { routeId: 'Ciudad de México::Bogotá::2026-12-15', days: undefined }],
+        ['notifications', { routeId: null, limit: '5' }],
+        ['analytics', { routeId: null }]
+    ]);
+});
+
+test('la API responde errores en JSON y sirve el dashboard', async () => {
+    const queries = {
+        getRoutes: async () => null,
+        getPriceHistory: async () => []
+    };
+
+    await withServer(queries, async baseUrl => {
+        const failed = await fetch(`${baseUrl}/api/routes`);
+        assert.equal(failed.status, 500);
+        assert.match((await failed.json()).error, /No se pudieron obtener/);
+
+        const missingParam = await fetch(`${baseUrl}/api/history`);
+        assert.equal(missingParam.status, 400);
+        assert.equal((await fetch(`${baseUrl}/api/daily`)).status, 400);
+
+        assert.equal((await fetch(`${baseUrl}/api/no-existe`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/api/routes`, { method: 'POST' })).status, 405);
+
+        const dashboard = await fetch(`${baseUrl}/`);
+        assert.equal(dashboard.status, 200);
+        assert.match(dashboard.headers.get('content-type'), /text\/html/);
+        assert.match(await dashboard.text(), /Monitor de precios de vuelos/);
+    });
+});
+
+test('la API de exportación responde el archivo con su marca de agua', async () => {
+    const calls = [];
+    const queries = {
+        exportDataset: async options => {
+            calls.push(options);
+            return { file: { filename: 'flights.csv', contentType: 'text/csv; charset=utf-8', body: 'id,price\n7,6498\n', rows: 1, watermark: 7 } };
+        }
+    };
+
+    await withServer(queries, async baseUrl => {
+        const response = await fetch(`${baseUrl}/api/export?dataset=flights&currency=MXN&date_from=2026-12-01&since=6`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /filename="flights.csv"/);
+        assert.equal(response.headers.get('x-export-watermark'), '7');
+        assert.equal(await response.text(), 'id,price\n7,6498\n');
+
+        assert.equal((await fetch(`${baseUrl}/api/export`)).status, 400);
+    });
+
+    assert.deepEqual(calls, [{
+        dataset: 'flights', format: undefined, routeId: null, dateFrom: '2026-12-01', dateTo: null, currency: 'MXN', since: '6'
+    }]);
+});
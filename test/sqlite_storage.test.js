@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openSqliteStorage, createSqliteSchema, columnSql } from '../sqlite_storage.js';
+
+// better-sqlite3 es dependencia opcional: sin el paquete se omiten las pruebas con base en memoria
+const sqliteAvailable = await import('better-sqlite3').then(() => true, () => false);
+const skip = !sqliteAvailable && 'better-sqlite3 no está instalado';
+
+async function seedJobs(db) {
+    await db.from('config_flights').insert([
+        { origin_city: 'Ciudad de México', destination_city: 'Bogotá', flight_date: '2026-12-15', priority: 1, updated_at: '2026-10-01T00:00:00.000Z' },
+        { origin_city: 'Ciudad de México', destination_city: 'Lima', flight_date: '2026-12-20', priority: 2, updated_at: '2026-10-02T00:00:00.000Z' },
+        { origin_city: 'Monterrey', destination_city: 'Cancún', flight_date: '2026-12-22', is_active: false }
+    ]);
+}
+
+test('columnSql cita identificadores y traduce filtros sobre JSON', () => {
+    assert.equal(columnSql('from'), '"from"');
+    assert.equal(columnSql('delivery_response->success'), `json_extract("delivery_response", '$.success')`);
+    assert.throws(() => columnSql('price; DROP TABLE flights'), /Identificador inválido/);
+});
+
+test('insert().select().single() devuelve la fila con tipos de Supabase', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+
+    const { data, error } = await db
+        .from('flights')
+        .insert([{ from: 'Ciudad de México', to: 'Bogotá', price: 6498, currency: 'MXN', flight_date: '2026-12-15', legs: [{ origin: 'MEX' }] }])
+        .select('id')
+        .single();
+
+    assert.equal(error, null);
+    assert.deepEqual(data, { id: 1 });
+
+    const { data: flight } = await db.from('flights').select('*').eq('id', 1).single();
+    assert.deepEqual(flight.legs, [{ origin: 'MEX' }]);
+    assert.equal(flight.trip_type, 'one_way');
+    assert.match(flight.created_at, /^\d{4}-\d{2}-\d{2}T/);
+
+    db.close();
+});
+
+test('select aplica filtros, orden y límite como supabase-js', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+    await db.from('flights').insert([
+        { from: 'A', to: 'B', price: 300, flight_date: '2026-12-15', updated_at: '2026-10-01T00:00:00.000Z' },
+        { from: 'A', to: 'B', price: 200, flight_date: '2026-12-15', return_date: '2026-12-22', updated_at: '2026-10-02T00:00:00.000Z' },
+        { from: 'A', to: 'B', price: 100, flight_date: '2026-12-15', updated_at: '2026-10-03T00:00:00.000Z' }
+    ]);
+
+    const { data } = await db
+        .from('flights')
+        .select('price, updated_at')
+        .eq('from', 'A')
+        .is('return_date', null)
+        .gte('updated_at', '2026-10-01T12:00:00.000Z')
+        .order('updated_at', { ascending: false });
+
+    assert.deepEqual(data, [{ price: 100, updated_at: '2026-10-03T00:00:00.000Z' }]);
+
+    const { data: cheapest } = await db.from('flights').select('price').order('price').limit(1);
+    assert.deepEqual(cheapest, [{ price: 100 }]);
+
+    db.close();
+});
+
+test('single() sin filas devuelve el error PGRST116', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+
+    const { data, error } = await db.from('price_analytics').select('*').eq('route_id', 'no-existe').single();
+    assert.equal(data, null);
+    assert.equal(error.code, 'PGRST116');
+
+    db.close();
+});
+
+test('update().select() devuelve las filas modificadas y count usa filtros JSON', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+    await seedJobs(db);
+
+    const { data: reset } = await db.from('config_flights').update({ status: 'completed' }).eq('is_active', true).select();
+    assert.equal(reset.length, 2);
+
+    await db.from('notifications').insert([
+        { route_id: 'r1', channel: 'pushcut', delivery_response: { success: true } },
+        { route_id: 'r1', channel: 'slack', delivery_response: { success: false, error: 'HTTP 500' } }
+    ]);
+    const { count } = await db
+        .from('notifications')
+        .select('*', { count: 'exact', head: true })
+        .eq('delivery_response->success', true);
+    assert.equal(count, 1);
+
+    db.close();
+});
+
+test('claim_next_pending_job reclama cada trabajo una sola vez', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+    await seedJobs(db);
+
+    const claims = await Promise.all([
+        db.rpc('claim_next_pending_job', { p_instance_id: 'a' }),
+        db.rpc('claim_next_pending_job', { p_instance_id: 'b' }),
+        db.rpc('claim_next_pending_job', { p_instance_id: 'c' })
+    ]);
+
+    const claimed = claims.flatMap(claim => claim.data);
+    assert.deepEqual(claimed.map(job => job.destination_city), ['Lima', 'Bogotá']);
+    assert.deepEqual(claimed.map(job => job.processing_instance_id), ['a', 'b']);
+    assert.ok(claimed.every(job => job.status === 'processing'));
+    assert.deepEqual(claims[2].data, []);
+
+    db.close();
+});
+
+test('claim_next_pending_job no reclama trabajos en backoff hasta next_attempt_at', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+    await seedJobs(db);
+    await db.from('config_flights').update({ next_attempt_at: '2999-01-01T00:00:00.000Z', challenge_count: 1 }).eq('destination_city', 'Lima');
+    await db.from('config_flights').update({ next_attempt_at: '2000-01-01T00:00:00.000Z' }).eq('destination_city', 'Bogotá');
+
+    const first = await db.rpc('claim_next_pending_job', { p_instance_id: 'a' });
+    const second = await db.rpc('claim_next_pending_job', { p_instance_id: 'b' });
+
+    assert.deepEqual(first.data.map(job => job.destination_city), ['Bogotá']);
+    assert.deepEqual(second.data, []);
+
+    db.close();
+});
+
+test('createSqliteSchema agrega a una base existente las columnas nuevas', { skip }, async () => {
+    const { default: Database } = await import('better-sqlite3');
+    const database = new Database(':memory:');
+    database.prepare('CREATE TABLE config_flights (id INTEGER PRIMARY KEY AUTOINCREMENT, origin_city TEXT)').run();
+    database.prepare("INSERT INTO config_flights (origin_city) VALUES ('Monterrey')").run();
+
+    createSqliteSchema(database);
+
+    const columns = database.prepare('PRAGMA table_info(config_flights)').all().map(column => column.name);
+    assert.ok(['next_attempt_at', 'challenge_count', 'created_at'].every(column => columns.includes(column)));
+    assert.equal(database.prepare('SELECT challenge_count FROM config_flights').get().challenge_count, 0);
+
+    database.close();
+});
+
+test('increment_alert_counter suma una alerta a la ruta', { skip }, async () => {
+    const db = await openSqliteStorage(':memory:');
+    await db.from('price_analytics').insert([{ route_id: 'A::B::2026-12-15', from_city: 'A', to_city: 'B' }]);
+
+    await db.rpc('increment_alert_counter', { p_route_id: 'A::B::2026-12-15' });
+    await db.rpc('increment_alert_counter', { p_route_id: 'A::B::2026-12-15' });
+
+    const { data } = await db.from('price_analytics').select('total_alerts_sent').eq('route_id', 'A::B::2026-12-15').single();
+    assert.equal(data.total_alerts_sent, 2);
+
+    const { error } = await db.rpc('no_existe');
+    assert.equal(error.code, 'PGRST202');
+
+    db.close();
+});
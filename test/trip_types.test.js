@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TRIP_TYPES,
+    parseLegs,
+    buildItinerary,
+    describeItinerary,
+    getItineraryKey,
+    buildDateWindow,
+    isDateWindowJob
+} from '../trip_types.js';
+
+const MULTI_CITY_LEGS = [
+    { origin: 'Ciudad de México', destination: 'Lima', date: '2026-12-10' },
+    { origin: 'Lima', destination: 'Santiago', date: '2026-12-15' }
+];
+
+const WINDOW_JOB = {
+    origin_city: 'Ciudad de México',
+    destination_city: 'Lima',
+    search_mode: 'date_window',
+    window_start: '2026-12-01',
+    window_end: '2026-12-07'
+};
+
+test('buildDateWindow lista todas las fechas de la ventana', () => {
+    const window = buildDateWindow(WINDOW_JOB);
+    assert.equal(isDateWindowJob(WINDOW_JOB), true);
+    assert.deepEqual(window.dates, ['2026-12-01', '2026-12-02', '2026-12-03', '2026-12-04', '2026-12-05', '2026-12-06', '2026-12-07']);
+    assert.equal(window.from, 'Ciudad de México');
+    assert.equal(window.to, 'Lima');
+    assert.equal(window.weekdays, null);
+});
+
+test('buildDateWindow filtra por window_weekdays (arreglo o JSON guardado como texto)', () => {
+    // 2026-12-04 es viernes, 05 sábado y 06 domingo
+    assert.deepEqual(buildDateWindow({ ...WINDOW_JOB, window_weekdays: [5, 6, 0] }).dates, ['2026-12-04', '2026-12-05', '2026-12-06']);
+    assert.deepEqual(buildDateWindow({ ...WINDOW_JOB, window_weekdays: '[1]' }).dates, ['2026-12-07']);
+});
+
+test('buildDateWindow rechaza ventanas inválidas', () => {
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_end: '2026-11-30' }), /anterior/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_start: '01/12/2026' }), /Ventana de fechas inválida/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_end: '2027-03-31' }), /supera el máximo/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_weekdays: [7] }), /window_weekdays/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_weekdays: '"sat"' }), /window_weekdays debe contener números/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_weekdays: {} }), /window_weekdays debe contener números/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_weekdays: 'sat' }), /window_weekdays no es un JSON válido/);
+    assert.throws(() => buildDateWindow({ ...WINDOW_JOB, window_end: '2026-12-03', window_weekdays: [6] }), /ninguna fecha/);
+});
+
+test('parseLegs acepta un arreglo, JSON guardado como texto o nada', () => {
+    assert.deepEqual(parseLegs(MULTI_CITY_LEGS), MULTI_CITY_LEGS);
+    assert.deepEqual(parseLegs(JSON.stringify(MULTI_CITY_LEGS)), MULTI_CITY_LEGS);
+    assert.deepEqual(parseLegs(null), []);
+    assert.deepEqual(parseLegs('{"origin":"Lima"}'), []);
+    assert.throws(() => parseLegs('[{'), /legs no es un JSON válido/);
+});
+
+test('buildItinerary arma los tramos de solo ida e ida y vuelta', () => {
+    const oneWay = buildItinerary({ origin_city: 'Ciudad de México', destination_city: 'Lima', flight_date: '2026-12-10' });
+    assert.equal(oneWay.tripType, TRIP_TYPES.ONE_WAY);
+    assert.deepEqual(oneWay.legs, [{ origin: 'Ciudad de México', destination: 'Lima', date: '2026-12-10' }]);
+    assert.equal(oneWay.returnDate, null);
+    assert.equal(oneWay.itineraryKey, null);
+
+    const roundTrip = buildItinerary({
+        origin_city: 'Ciudad de México', destination_city: 'Lima', flight_date: '2026-12-10', return_date: '2026-12-15', trip_type: 'round_trip'
+    });
+    assert.deepEqual(roundTrip.legs.map(leg => `${leg.origin} > ${leg.destination}`), ['Ciudad de México > Lima', 'Lima > Ciudad de México']);
+    assert.equal(roundTrip.to, 'Lima');
+    assert.equal(roundTrip.returnDate, '2026-12-15');
+    assert.equal(roundTrip.itineraryKey, null);
+});
+
+test('buildItinerary toma origen, destino y fechas de los tramos de un multi-destino', () => {
+    const itinerary = buildItinerary({ trip_type: 'multi_city', legs: JSON.stringify(MULTI_CITY_LEGS) });
+
+    assert.equal(itinerary.from, 'Ciudad de México');
+    assert.equal(itinerary.to, 'Santiago');
+    assert.equal(itinerary.flightDate, '2026-12-10');
+    assert.equal(itinerary.returnDate, '2026-12-15');
+    assert.match(itinerary.itineraryKey, /^[0-9a-f]{12}$/);
+    assert.equal(describeItinerary(itinerary), 'Ciudad de México → Lima (2026-12-10) | Lima → Santiago (2026-12-15)');
+});
+
+test('buildItinerary rechaza itinerarios imposibles de buscar', () => {
+    assert.throws(() => buildItinerary({ origin_city: 'A', destination_city: 'B', flight_date: '2026-12-10', trip_type: 'round_trip' }), /requiere return_date/);
+    assert.throws(() => buildItinerary({ trip_type: 'multi_city', legs: MULTI_CITY_LEGS.slice(0, 1) }), /al menos 2 tramos/);
+    assert.throws(() => buildItinerary({ trip_type: 'multi_city', legs: [...MULTI_CITY_LEGS].reverse() }), /sale antes/);
+    assert.throws(() => buildItinerary({ origin_city: 'A', destination_city: 'B', flight_date: '10/12/2026' }), /fecha inválida/);
+    assert.throws(() => buildItinerary({ origin_city: 'A', flight_date: '2026-12-10' }), /requiere origen y destino/);
+    assert.throws(() => buildItinerary({ origin_city: 'A', destination_city: 'B', flight_date: '2026-12-10', trip_type: 'open_jaw' }), /no soportado/);
+});
+
+test('la clave del itinerario separa multi-destino con los mismos extremos y fechas', () => {
+    const viaLima = getItineraryKey({ tripType: TRIP_TYPES.MULTI_CITY, legs: MULTI_CITY_LEGS });
+    const viaBogota = getItineraryKey({
+        tripType: TRIP_TYPES.MULTI_CITY,
+        legs: [
+            { origin: 'Ciudad de México', destination: 'Bogotá', date: '2026-12-10' },
+            { origin: 'Bogotá', destination: 'Santiago', date: '2026-12-15' }
+        ]
+    });
+
+    assert.notEqual(viaLima, viaBogota);
+    assert.equal(getItineraryKey({ tripType: TRIP_TYPES.MULTI_CITY, legs: MULTI_CITY_LEGS.map(leg => ({ ...leg })) }), viaLima);
+    assert.equal(getItineraryKey({ tripType: TRIP_TYPES.ROUND_TRIP, legs: MULTI_CITY_LEGS }), null);
+});
@@ -0,0 +1,250 @@
+import { createHash } from 'crypto';
+
+// Tipos de viaje soportados en config_flights.trip_type
+export const TRIP_TYPES = {
+    ONE_WAY: 'one_way',
+    ROUND_TRIP: 'round_trip',
+    MULTI_CITY: 'multi_city'
+};
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Función para leer las escalas de un trabajo multi-destino (jsonb o texto JSON)
+export function parseLegs(rawLegs) {
+    if (!rawLegs) return [];
+    if (Array.isArray(rawLegs)) return rawLegs;
+
+    try {
+        const parsed = JSON.parse(rawLegs);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        throw new Error(`legs no es un JSON válido: ${error.message}`);
+    }
+}
+
+// Función para construir el itinerario (tramos) de un trabajo de config_flights
+export function buildItinerary(job) {
+    const tripType = job.trip_type || TRIP_TYPES.ONE_WAY;
+    let legs;
+
+    switch (tripType) {
+        case TRIP_TYPES.ONE_WAY:
+            legs = [
+                { origin: job.origin_city, destination: job.destination_city, date: job.flight_date }
+            ];
+            break;
+
+        case TRIP_TYPES.ROUND_TRIP:
+            if (!job.return_date) {
+                throw new Error('Un viaje de ida y vuelta requiere return_date');
+            }
+            legs = [
+                { origin: job.origin_city, destination: job.destination_city, date: job.flight_date },
+                { origin: job.destination_city, destination: job.origin_city, date: job.return_date }
+            ];
+            break;
+
+        case TRIP_TYPES.MULTI_CITY:
+            legs = parseLegs(job.legs).map(leg => ({
+                origin: leg.origin,
+                destination: leg.destination,
+                date: leg.date
+            }));
+            if (legs.length < 2) {
+                throw new Error('Un viaje multi-destino requiere al menos 2 tramos en legs');
+            }
+            break;
+
+        default:
+            throw new Error(`Tipo de viaje no soportado: ${tripType}`);
+    }
+
+    legs.forEach((leg, index) => {
+        if (!leg.origin || !leg.destination) {
+            throw new Error(`El tramo ${index + 1} requiere origen y destino`);
+        }
+        if (!leg.date || !DATE_REGEX.test(leg.date)) {
+            throw new Error(`El tramo ${index + 1} tiene una fecha inválida: ${leg.date}`);
+        }
+        if (index > 0 && leg.date < legs[index - 1].date) {
+            throw new Error(`El tramo ${index + 1} sale antes que el tramo ${index}`);
+        }
+    });
+
+    const lastLeg = legs[legs.length - 1];
+
+    return {
+        tripType,
+        legs,
+        from: legs[0].origin,
+        to: tripType === TRIP_TYPES.MULTI_CITY ? lastLeg.destination : legs[0].destination,
+        flightDate: legs[0].date,
+        returnDate: tripType === TRIP_TYPES.ONE_WAY ? null : lastLeg.date,
+        itineraryKey: getItineraryKey({ tripType, legs })
+    };
+}
+
+// Función para calcular la clave de un itinerario multi-destino (hash corto de sus tramos, null en los demás)
+// Origen, destino y fechas extremas no bastan: MEX → LIM → SCL y el ida y vuelta MEX ⇄ SCL de las mismas
+// fechas serían la misma ruta. La migración 017 calcula la misma clave en SQL (md5 de "origen>destino@fecha"
+// de cada tramo, unidos con "|")
+export function getItineraryKey({ tripType, legs }) {
+    if (tripType !== TRIP_TYPES.MULTI_CITY) return null;
+
+    const signature = legs.map(leg => `${leg.origin}>${leg.destination}@${leg.date}`).join('|');
+    return createHash('md5').update(signature).digest('hex').slice(0, 12);
+}
+
+// Función para filtrar una consulta de flights o flight_itineraries por el viaje de una ruta de fecha fija:
+// fecha de regreso (null = solo ida) y clave del itinerario (null = no es multi-destino)
+export function filterByItinerary(query, returnDate, itineraryKey = null) {
+    query = returnDate ? query.eq('return_date', returnDate) : query.is('return_date', null);
+    return itineraryKey ? query.eq('itinerary_key', itineraryKey) : query.is('itinerary_key', null);
+}
+
+// Función para describir un itinerario en los logs
+export function describeItinerary(itinerary) {
+    return itinerary.legs
+        .map(leg => `${leg.origin} → ${leg.destination} (${leg.date})`)
+        .join(' | ');
+}
+
+// Modos de búsqueda en config_flights.search_mode
+export const SEARCH_MODES = {
+    FIXED_DATE: 'fixed_date',
+    DATE_WINDOW: 'date_window'
+};
+
+// Origen de cada precio en flights.source: búsqueda de una fecha fija o calendario de una ventana
+// Los analytics de fecha fija solo usan búsquedas; los precios del calendario son de su ventana
+export const PRICE_SOURCES = {
+    SEARCH: 'search',
+    CALENDAR: 'calendar'
+};
+
+// Máximo de días por ventana (el calendario se recorre mes a mes)
+const MAX_WINDOW_DAYS = 92;
+
+// Función para saber si un trabajo es de ventana de fechas flexible
+export function isDateWindowJob(job) {
+    return job.search_mode === SEARCH_MODES.DATE_WINDOW;
+}
+
+// Función para construir la ventana de salida de un trabajo flexible
+// window_weekdays es opcional: 0 = domingo ... 6 = sábado (ej. [5, 6, 0] = fines de semana)
+export function buildDateWindow(job) {
+    const start = job.window_start;
+    const end = job.window_end;
+
+    if (!start || !DATE_REGEX.test(start) || !end || !DATE_REGEX.test(end)) {
+        throw new Error(`Ventana de fechas inválida: ${start} → ${end} (se espera YYYY-MM-DD)`);
+    }
+    if (end < start) {
+        throw new Error(`window_end (${end}) es anterior a window_start (${start})`);
+    }
+
+    let weekdays = null;
+    if (job.window_weekdays !== null && job.window_weekdays !== undefined) {
+        weekdays = job.window_weekdays;
+        if (typeof weekdays === 'string') {
+            try {
+                weekdays = JSON.parse(weekdays);
+            } catch (error) {
+                throw new Error(`window_weekdays no es un JSON válido: ${error.message}`);
+            }
+        }
+        if (!Array.isArray(weekdays) || !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            throw new Error(`window_weekdays debe contener números del 0 (domingo) al 6 (sábado)`);
+        }
+    }
+
+    const cursor = new Date(`${start}T00:00:00.000Z`);
+    const last = new Date(`${end}T00:00:00.000Z`);
+
+    const spanDays = Math.round((last - cursor) / (24 * 60 * 60 * 1000)) + 1;
+    if (spanDays > MAX_WINDOW_DAYS) {
+        throw new Error(`La ventana de ${spanDays} días supera el máximo de ${MAX_WINDOW_DAYS}`);
+    }
+
+    const dates = [];
+    while (cursor <= last) {
+        if (!weekdays || weekdays.includes(cursor.getUTCDay())) {
+            dates.push(cursor.toISOString().slice(0, 10));
+        }
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    if (dates.length === 0) {
+        throw new Error('La ventana no contiene ninguna fecha con los días de la semana indicados');
+    }
+
+    return {
+        start,
+        end,
+        weekdays,
+        dates,
+        from: job.origin_city,
+        to: job.destination_city
+    };
+}
+
+// Función para construir la fila de config_flights de una ruta nueva (CLI / API)
+// Valida con las mismas reglas que usa el scraper para que no entren rutas imposibles de buscar
+export function buildRouteConfig({
+    from,
+    to,
+    date = null,
+    returnDate = null,
+    tripType = null,
+    legs = null,
+    windowStart = null,
+    windowEnd = null,
+    weekdays = null,
+    priority = 1
+} = {}) {
+    const parsedPriority = Number(priority);
+    if (!Number.isInteger(parsedPriority) || parsedPriority < 1) {
+        throw new Error(`La prioridad debe ser un entero mayor o igual a 1: ${priority}`);
+    }
+
+    const route = {
+        origin_city: from || null,
+        destination_city: to || null,
+        priority: parsedPriority,
+        status: 'pending',
+        is_active: true
+    };
+
+    if (windowStart || windowEnd) {
+        if (!from || !to) {
+            throw new Error('Una ventana de fechas requiere origen y destino');
+        }
+
+        Object.assign(route, {
+            search_mode: SEARCH_MODES.DATE_WINDOW,
+            trip_type: TRIP_TYPES.ONE_WAY,
+            window_start: windowStart,
+            window_end: windowEnd,
+            window_weekdays: weekdays
+        });
+        buildDateWindow(route);
+        return route;
+    }
+
+    Object.assign(route, {
+        search_mode: SEARCH_MODES.FIXED_DATE,
+        trip_type: tripType || (legs ? TRIP_TYPES.MULTI_CITY : returnDate ? TRIP_TYPES.ROUND_TRIP : TRIP_TYPES.ONE_WAY),
+        flight_date: date,
+        return_date: returnDate,
+        legs: legs ? parseLegs(legs) : null
+    });
+
+    // En multi-destino el origen, destino y fecha salen de los tramos
+    const itinerary = buildItinerary(route);
+    route.origin_city = itinerary.from;
+    route.destination_city = itinerary.to;
+    route.flight_date = itinerary.flightDate;
+    route.return_date = itinerary.returnDate;
+
+    return route;
+}
@@ -1,11 +1,18 @@
 import { chromium } from 'playwright';
-import { CONFIG, getContextConfig, getBrowserConfig } from './config.js';
-import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+import { CONFIG, getContextConfig, getBrowserConfig, getSelectors, getGoogleFlightsUrl } from './config.js';
+import { selectLocation } from './location_resolver.js';
+import { TRIP_TYPES, SEARCH_MODES, PRICE_SOURCES, buildItinerary, describeItinerary, isDateWindowJob, buildDateWindow } from './trip_types.js';
+import { parseResultsHtml, parseCalendarPrices } from './results_parser.js';
+import { loadExchangeRates, convertToBase } from './currency_converter.js';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import { db } from './storage.js';
+import { SCRAPE_STEPS, FAILURE_CATEGORIES, startScrapeRun, beginStep, failScrapeRun, finishScrapeRun } from './scrape_telemetry.js';
+import { recordScrapeRun } from './scrape_health.js';
+import { CHALLENGE_TYPES, detectChallenge, createChallengeError, computeChallengeBackoff, isBlockingChallenge } from './page_challenges.js';
+import { DEAD_LETTER_STATUS, planJobFailure } from './job_retry.js';
+import { isLeaseExpired } from './job_lease.js';
+import { runScheduler } from './scheduler.js';
 
 // Función para validar y formatear fecha de forma segura
 function validateAndFormatDate(dateString) {
@@ -58,14 +65,31 @@ function validateFlightData(flightData) {
         errors.push('Price seems unreasonably high (>999,999)');
     }
     
-    if (!flightData.currency || !['MXN', 'USD', 'EUR'].includes(flightData.currency)) {
-        errors.push('Currency must be MXN, USD, or EUR');
+    if (!flightData.currency || !CONFIG.CURRENCY.SUPPORTED.includes(flightData.currency)) {
+        errors.push(`Currency must be one of: ${CONFIG.CURRENCY.SUPPORTED.join(', ')}`);
+    }
+    
+    if (flightData.price_base !== null && flightData.price_base !== undefined && 
+        (typeof flightData.price_base !== 'number' || flightData.price_base <= 0)) {
+        errors.push('Base price must be a positive number when present');
     }
     
     if (!flightData.flight_date) {
         errors.push('Flight date is required');
     }
     
+    if (flightData.trip_type && !Object.values(TRIP_TYPES).includes(flightData.trip_type)) {
+        errors.push(`Trip type must be one of: ${Object.values(TRIP_TYPES).join(', ')}`);
+    }
+    
+    if (flightData.trip_type && flightData.trip_type !== TRIP_TYPES.ONE_WAY && !flightData.return_date) {
+        errors.push('Return date is required for round-trip and multi-city itineraries');
+    }
+    
+    if (flightData.legs && (!Array.isArray(flightData.legs) || flightData.legs.length === 0)) {
+        errors.push('Legs must be a non-empty array');
+    }
+    
     if (flightData.link && !flightData.link.startsWith('https://')) {
         errors.push('Link must be a valid HTTPS URL');
     }
@@ -77,73 +101,82 @@ function validateFlightData(flightData) {
     return true;
 }
 
-// Función para resetear trabajos completed y processing a pending
-async function resetJobsToPending() {
+// Función para devolver a pending los trabajos en processing cuyo lease venció (instancia caída o colgada)
+// Los trabajos que otra instancia sigue renovando con heartbeat no se tocan
+async function reapExpiredLeases({ leaseMs = CONFIG.WORKER.LEASE_MS } = {}) {
     try {
-        console.log('🔄 Reseteando trabajos completados y procesando a pendiente...');
-        
-        let totalReset = 0;
-        
-        // Resetear trabajos completed
-        const { data: completedData, error: completedError } = await supabase
+        const { data: processingJobs, error } = await db
             .from('config_flights')
-            .update({ 
-                status: 'pending',
-                processing_instance_id: null,
-                processing_started_at: null,
-                updated_at: new Date().toISOString()
-            })
-            .eq('status', 'completed')
-            .select();
-        
-        if (completedError) {
-            console.error('❌ Error al resetear trabajos completed:', completedError.message);
-        } else {
-            const completedCount = completedData ? completedData.length : 0;
-            if (completedCount > 0) {
-                console.log(`✅ ${completedCount} trabajo(s) reseteado(s) de completed a pending`);
-                completedData.forEach(job => {
-                    console.log(`   • ${job.origin_city} → ${job.destination_city} (${job.flight_date})`);
-                });
-                totalReset += completedCount;
+            .select('id, origin_city, destination_city, flight_date, window_start, window_end, status, processing_instance_id, processing_started_at')
+            .eq('status', 'processing');
+
+        if (error) {
+            console.error('❌ Error al buscar leases vencidos:', error.message);
+            return 0;
+        }
+
+        let reclaimed = 0;
+        for (const job of processingJobs.filter(job => isLeaseExpired(job, { leaseMs }))) {
+            // Se reclama solo si nadie renovó el lease entre la lectura y la actualización
+            let query = db
+                .from('config_flights')
+                .update({
+                    status: 'pending',
+                    processing_instance_id: null,
+                    processing_started_at: null,
+                    last_error: `Lease vencido: la instancia ${job.processing_instance_id || '(desconocida)'} dejó de renovarlo`,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', job.id)
+                .eq('status', 'processing');
+            query = job.processing_instance_id ? query.eq('processing_instance_id', job.processing_instance_id) : query.is('processing_instance_id', null);
+            query = job.processing_started_at ? query.eq('processing_started_at', job.processing_started_at) : query.is('processing_started_at', null);
+
+            const { data, error: reapError } = await query.select('id');
+            if (reapError) {
+                console.error(`❌ Error al reclamar el trabajo ${job.id}:`, reapError.message);
+                continue;
+            }
+            if (data.length > 0) {
+                reclaimed++;
+                console.log(`⏰ Lease vencido: trabajo ${job.id} (${job.origin_city} → ${job.destination_city}, ${job.flight_date || `${job.window_start} → ${job.window_end}`}) reclamado a la instancia ${job.processing_instance_id || '(desconocida)'} | último heartbeat: ${job.processing_started_at || 'nunca'}`);
             }
         }
+
+        if (reclaimed > 0) {
+            console.log(`✅ ${reclaimed} trabajo(s) con lease vencido devuelto(s) a pending`);
+        }
+        return reclaimed;
+
+    } catch (error) {
+        console.error('❌ Error crítico al reclamar leases vencidos:', error.message);
+        return 0;
+    }
+}
+
+// Función para volver a llenar la cola: el scheduler libera las rutas a las que les toca scrapear
+// (y retira las fechas pasadas) y el reaper reclama los leases vencidos
+async function refillQueue() {
+    try {
+        console.log('🔄 Rellenando la cola de trabajos...');
         
-        // Resetear trabajos processing (posiblemente atascados)
-        const { data: processingData, error: processingError } = await supabase
-            .from('config_flights')
-            .update({ 
-                status: 'pending',
-                processing_instance_id: null,
-                processing_started_at: null,
-                updated_at: new Date().toISOString()
-            })
-            .eq('status', 'processing')
-            .select();
+        const schedule = await runScheduler();
+        const released = schedule ? schedule.released : 0;
         
-        if (processingError) {
-            console.error('❌ Error al resetear trabajos processing:', processingError.message);
-        } else {
-            const processingCount = processingData ? processingData.length : 0;
-            if (processingCount > 0) {
-                console.log(`✅ ${processingCount} trabajo(s) reseteado(s) de processing a pending`);
-                processingData.forEach(job => {
-                    console.log(`   • ${job.origin_city} → ${job.destination_city} (${job.flight_date})`);
-                });
-                totalReset += processingCount;
-            }
-        }
+        // Los trabajos processing solo se reclaman si su lease venció: otra instancia puede estar scrapeándolos
+        const reaped = await reapExpiredLeases();
         
+        const totalReset = released + reaped;
         if (totalReset === 0) {
-            console.log('📝 No hay trabajos para resetear');
+            console.log('📝 Ninguna ruta debe scrapearse todavía');
         } else {
-            console.log(`📊 Total de trabajos reseteados: ${totalReset}`);
+            console.log(`📊 Total de trabajos devueltos a pending: ${totalReset}`);
         }
         
         return totalReset;
         
     } catch (error) {
-        console.error('❌ Error crítico al resetear trabajos:', error.message);
+        console.error('❌ Error crítico al rellenar la cola:', error.message);
         return 0;
     }
 }
@@ -154,7 +187,7 @@ async function getNextPendingJob() {
         console.log('🔍 Buscando y reclamando próximo trabajo pendiente...');
         
         // Implementar atomic job claiming con FOR UPDATE SKIP LOCKED
-        const { data, error } = await supabase.rpc('claim_next_pending_job', {
+        const { data, error } = await db.rpc('claim_next_pending_job', {
             p_instance_id: `${process.pid}-${Date.now()}`
         });
 
@@ -166,13 +199,13 @@ async function getNextPendingJob() {
         if (!data || data.length === 0) {
             console.log('📭 No hay trabajos pendientes en este momento');
             
-            // Resetear trabajos completed y processing a pending
-            const resetCount = await resetJobsToPending();
+            // Liberar las rutas a las que les toca scrapear y los leases vencidos
+            const resetCount = await refillQueue();
             
             if (resetCount > 0) {
                 console.log('🔄 Intentando reclamar uno de los trabajos reseteados...');
                 // Intentar reclamar uno de los trabajos recién reseteados
-                const { data: retryData, error: retryError } = await supabase.rpc('claim_next_pending_job', {
+                const { data: retryData, error: retryError } = await db.rpc('claim_next_pending_job', {
                     p_instance_id: `${process.pid}-${Date.now()}`
                 });
                 
@@ -198,8 +231,48 @@ async function getNextPendingJob() {
     }
 }
 
+// Función para reclamar un trabajo específico por id (ej. `cli.js scrape --job 12`)
+// Se permite aunque la ruta esté pausada, pero nunca si otro proceso la está procesando
+async function claimJobById(jobId) {
+    try {
+        console.log(`🔍 Reclamando trabajo ${jobId}...`);
+        const now = new Date().toISOString();
+
+        const { data, error } = await db
+            .from('config_flights')
+            .update({
+                status: 'processing',
+                processing_instance_id: `${process.pid}-${Date.now()}`,
+                processing_started_at: now,
+                updated_at: now
+            })
+            .eq('id', jobId)
+            .neq('status', 'processing')
+            .select('*');
+
+        if (error) {
+            console.error('❌ Error al reclamar trabajo:', error.message);
+            return null;
+        }
+
+        if (!data || data.length === 0) {
+            console.error(`❌ El trabajo ${jobId} no existe o ya está en proceso`);
+            return null;
+        }
+
+        const job = data[0];
+        console.log(`✅ Trabajo reclamado: ${job.origin_city} → ${job.destination_city} (${job.flight_date || `${job.window_start} → ${job.window_end}`})`);
+        console.log(`🆔 Instance ID: ${job.processing_instance_id}`);
+        return job;
+
+    } catch (error) {
+        console.error('❌ Error crítico al reclamar trabajo:', error.message);
+        return null;
+    }
+}
+
 // Función para actualizar el estado del trabajo
-async function updateJobStatus(jobId, status, attempts = null) {
+async function updateJobStatus(jobId, status, attempts = null, lastError = undefined) {
     try {
         const updateData = { 
             status: status,
@@ -209,8 +282,12 @@ async function updateJobStatus(jobId, status, attempts = null) {
         if (attempts !== null) {
             updateData.attempts = attempts;
         }
+        
+        if (lastError !== undefined) {
+            updateData.last_error = lastError;
+        }
 
-        const { error } = await supabase
+        const { error } = await db
             .from('config_flights')
             .update(updateData)
             .eq('id', jobId);
@@ -230,7 +307,7 @@ async function updateJobStatus(jobId, status, attempts = null) {
 }
 
 // Función para guardar precio en Supabase
-async function savePriceToSupabase(flightData) {
+async function savePriceToSupabase(flightData, itineraries = []) {
     try {
         console.log('💾 Guardando precio en Supabase...');
         console.log(`   ${flightData.from} → ${flightData.to}: ${flightData.currency} $${flightData.price}`);
@@ -244,13 +321,23 @@ async function savePriceToSupabase(flightData) {
             to: flightData.to,
             price: flightData.price,
             currency: flightData.currency,
+            price_base: flightData.price_base ?? null,
+            base_currency: CONFIG.CURRENCY.BASE,
             link: flightData.link,
-            flight_date: flightData.flight_date
+            flight_date: flightData.flight_date,
+            return_date: flightData.return_date || null,
+            trip_type: flightData.trip_type || TRIP_TYPES.ONE_WAY,
+            legs: flightData.legs || null,
+            itinerary_key: flightData.itinerary_key || null,
+            source: flightData.source || PRICE_SOURCES.SEARCH,
+            window_job_id: flightData.window_job_id || null
         };
 
-        const { data, error } = await supabase
+        const { data, error } = await db
             .from('flights')
-            .insert([payload]);
+            .insert([payload])
+            .select('id')
+            .single();
 
         if (error) {
             console.error('❌ Error al insertar en Supabase:', error.message);
@@ -258,6 +345,11 @@ async function savePriceToSupabase(flightData) {
         }
 
         console.log('✅ Precio guardado exitosamente en tabla flights');
+        
+        if (itineraries.length > 0) {
+            await saveItinerariesToSupabase(data.id, flightData, itineraries);
+        }
+        
         return true;
         
     } catch (error) {
@@ -266,148 +358,438 @@ async function savePriceToSupabase(flightData) {
     }
 }
 
-// Función principal de scraping
-async function scrapeFlight(job) {
-    const browser = await chromium.launch(getBrowserConfig());
-    const context = await browser.newContext(getContextConfig());
+// Función para guardar los itinerarios de la búsqueda como filas hijas de flights
+async function saveItinerariesToSupabase(flightId, flightData, itineraries) {
+    try {
+        const exchangeRates = await loadExchangeRates();
+        const rows = itineraries.map((itinerary, index) => ({
+            flight_id: flightId,
+            position: index + 1,
+            from: flightData.from,
+            to: flightData.to,
+            flight_date: flightData.flight_date,
+            return_date: flightData.return_date || null,
+            itinerary_key: flightData.itinerary_key || null,
+            airline: itinerary.airline,
+            departure_time: itinerary.departure_time,
+            arrival_time: itinerary.arrival_time,
+            duration_minutes: itinerary.duration_minutes,
+            stops: itinerary.stops,
+            layover_airports: itinerary.layover_airports,
+            price: itinerary.price,
+            currency: itinerary.currency || flightData.currency,
+            price_base: convertToBase(itinerary.price, itinerary.currency || flightData.currency, exchangeRates),
+            booking_link: itinerary.booking_link ?? null
+        }));
+
+        const { error } = await db
+            .from('flight_itineraries')
+            .insert(rows);
+
+        if (error) {
+            console.error('❌ Error al insertar itinerarios:', error.message);
+            return false;
+        }
+
+        console.log(`✅ ${rows.length} itinerario(s) guardado(s) en tabla flight_itineraries`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error crítico al guardar itinerarios:', error.message);
+        return false;
+    }
+}
+
+// Función para armar el nombre de archivo de un artefacto: fecha_origen_destino_fecha-vuelo_resultado
+function buildArtifactName(itinerary, outcome) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const routeSlug = `${itinerary.from}_${itinerary.to}_${itinerary.flightDate}`
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\w-]+/g, '-');
+    return `${timestamp}_${routeSlug}_${outcome}`;
+}
+
+// Función para guardar el HTML de una página de resultados en CONFIG.FILES.HTML_DUMPS_DIR
+async function saveHtmlDump(html, itinerary, outcome) {
+    try {
+        await mkdir(CONFIG.FILES.HTML_DUMPS_DIR, { recursive: true });
+        
+        const filePath = path.join(CONFIG.FILES.HTML_DUMPS_DIR, `${buildArtifactName(itinerary, outcome)}.html`);
+        
+        await writeFile(filePath, html, 'utf8');
+        console.log(`🗂️ HTML guardado en ${filePath}`);
+        return filePath;
+        
+    } catch (error) {
+        console.error('❌ Error guardando HTML de resultados:', error.message);
+        return null;
+    }
+}
+
+// Función para guardar captura y HTML de la página cuando un scraping falla
+async function saveFailureArtifacts(page, itinerary, category) {
+    const outcome = `failed-${category}`;
+    let screenshotPath = null;
+    let htmlPath = null;
+
+    try {
+        await mkdir(CONFIG.FILES.SCREENSHOTS_DIR, { recursive: true });
+        screenshotPath = path.join(CONFIG.FILES.SCREENSHOTS_DIR, `${buildArtifactName(itinerary, outcome)}.png`);
+        await page.screenshot({ path: screenshotPath, fullPage: true });
+        console.log(`📸 Captura guardada en ${screenshotPath}`);
+    } catch (error) {
+        console.error('❌ Error guardando captura de la falla:', error.message);
+        screenshotPath = null;
+    }
+
+    try {
+        htmlPath = await saveHtmlDump(await page.content(), itinerary, outcome);
+    } catch (error) {
+        console.error('❌ Error leyendo HTML de la falla:', error.message);
+    }
+
+    return { screenshotPath, htmlPath };
+}
+
+// Función para cerrar la telemetría de un scraping: artefactos si falló y registro en scrape_runs
+async function completeScrapeRun(run, page, success, itinerary) {
+    const artifacts = success
+        ? {}
+        : await saveFailureArtifacts(page, itinerary, run.failure_category || FAILURE_CATEGORIES.UNKNOWN);
+    await recordScrapeRun(finishScrapeRun(run, { success, ...artifacts }));
+}
+
+// Función para seleccionar el tipo de viaje en el formulario
+async function selectTripType(page, tripType, selectors) {
+    const optionName = selectors.TRIP_TYPES[tripType];
+    console.log(`3. Seleccionando "${optionName}"...`);
+    await page.locator(selectors.TRIP_TYPE_DROPDOWN).first().click();
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+    await page.getByRole('option', { name: optionName }).click();
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+}
+
+// Función para escribir una fecha (YYYY-MM-DD) en un campo de fecha
+async function fillDateField(page, textbox, isoDate) {
+    await textbox.click();
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+    
+    // Validar y formatear fecha de forma segura
+    const formattedDate = validateAndFormatDate(isoDate);
+    console.log(`   Fecha convertida: ${isoDate} → ${formattedDate}`);
+    
+    await textbox.fill(formattedDate);
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+    await textbox.press('Enter');
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+}
+
+// Función para completar un tramo del formulario (índice 0 = primer tramo; sin fecha si leg.date es null)
+async function fillLeg(page, leg, index, selectors, run = null) {
+    const legLabel = `Tramo ${index + 1}`;
+
+    // Google muestra dos tramos por defecto en multi-destino; agregar los que falten
+    const originFields = page.getByRole('combobox', { name: selectors.ORIGIN_FIELD });
+    if (index >= await originFields.count()) {
+        console.log(`   ${legLabel}: agregando tramo...`);
+        await page.getByRole('button', { name: selectors.ADD_FLIGHT_BUTTON }).click();
+        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+    }
+
+    beginStep(run, SCRAPE_STEPS.ORIGIN);
+    console.log(`4. ${legLabel}: origen ${leg.origin}...`);
+    const originValue = await selectLocation(page, originFields.nth(index), leg.origin, 'origen');
+    console.log(`✅ Origen seleccionado exitosamente: ${originValue}`);
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+
+    beginStep(run, SCRAPE_STEPS.DESTINATION);
+    console.log(`5. ${legLabel}: destino ${leg.destination}...`);
+    const destinationValue = await selectLocation(
+        page,
+        page.getByRole('combobox', { name: selectors.DESTINATION_FIELD }).nth(index),
+        leg.destination,
+        'destino'
+    );
+    console.log(`✅ Destino seleccionado exitosamente: ${destinationValue}`);
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+
+    if (!leg.date) return;
+
+    beginStep(run, SCRAPE_STEPS.DATE);
+    console.log(`6. ${legLabel}: fecha ${leg.date}...`);
+    await fillDateField(page, page.getByRole('textbox', { name: selectors.DEPARTURE_DATE_FIELD }).nth(index), leg.date);
+}
+
+// Función para abrir una página de scraping
+// Si se recibe un contexto (modo worker) se reutiliza y solo se cierra la página;
+// si no, se lanza y cierra un navegador propio
+async function openPage(sharedContext = null) {
+    const browser = sharedContext ? null : await chromium.launch(getBrowserConfig());
+    const context = sharedContext || await browser.newContext(getContextConfig());
     const page = await context.newPage();
+    return { browser, page };
+}
+
+// Función para cerrar lo que abrió openPage
+async function closePage({ browser, page }) {
+    if (browser) {
+        await browser.close();
+    } else {
+        await page.close().catch(() => {});
+    }
+}
+
+// Función para guardar cookies y consentimiento del contexto para la próxima ejecución
+// Se escribe a un temporal y se renombra para que dos workers no dejen el archivo a medias
+async function saveStorageState(context) {
+    const statePath = CONFIG.CHALLENGES.STORAGE_STATE_PATH;
+    try {
+        await mkdir(path.dirname(statePath), { recursive: true });
+        const tempPath = `${statePath}.${process.pid}-${Date.now()}.tmp`;
+        await writeFile(tempPath, JSON.stringify(await context.storageState()), 'utf8');
+        await rename(tempPath, statePath);
+        return true;
+    } catch (error) {
+        console.error('❌ Error guardando estado del navegador:', error.message);
+        return false;
+    }
+}
+
+// Función para revisar si la página es un desafío en lugar de Google Flights
+// El consentimiento de cookies se acepta solo; captcha y límite de solicitudes cortan el scraping
+async function handleChallenges(page, { status = null, html = null } = {}) {
+    const challenge = detectChallenge({ url: page.url(), html: html ?? await page.content(), status });
+    if (!challenge) return;
+
+    if (challenge !== CHALLENGE_TYPES.CONSENT) {
+        console.log(`🛑 Desafío detectado: ${challenge}`);
+        throw createChallengeError(challenge, page.url());
+    }
+
+    console.log('🍪 Página de consentimiento detectada, aceptando...');
+    try {
+        await page.getByRole('button', { name: CONFIG.CHALLENGES.CONSENT_ACCEPT_BUTTON }).first().click();
+        await page.waitForLoadState('domcontentloaded');
+    } catch (error) {
+        console.error('❌ No se encontró el botón para aceptar el consentimiento:', error.message);
+        throw createChallengeError(CHALLENGE_TYPES.CONSENT, page.url());
+    }
+    await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY * 2);
+
+    const remaining = detectChallenge({ url: page.url(), html: await page.content() });
+    if (remaining) {
+        throw createChallengeError(remaining, page.url());
+    }
+
+    console.log('✅ Consentimiento aceptado');
+    await saveStorageState(page.context());
+}
+
+// Función para obtener el desafío que cortó un scraping fallido (null si fue otra falla)
+// Usa la categoría de telemetría: también cubre timeouts de una página redirigida a /sorry/
+function getRunChallenge(run) {
+    return Object.values(CHALLENGE_TYPES).includes(run.failure_category) ? run.failure_category : null;
+}
+
+// Función de scraping para ventanas de fechas: lee el calendario y guarda un precio por día
+async function scrapeDateWindow(job, sharedContext = null) {
+    const { browser, page } = await openPage(sharedContext);
+    const run = startScrapeRun(job);
+    const artifactTarget = { from: job.origin_city, to: job.destination_city, flightDate: job.window_start };
     let success = false;
+    let failureReason = null;
+    let challenge = null;
+    let windowData = null;
 
     try {
-        console.log(`🎭 Iniciando scraping para: ${job.origin_city} → ${job.destination_city}`);
-        console.log(`📅 Fecha: ${job.flight_date}`);
+        const selectors = getSelectors();
+        const dateWindow = buildDateWindow(job);
+        console.log(`🎭 Iniciando escaneo de fechas para: ${dateWindow.from} → ${dateWindow.to}`);
+        console.log(`📅 Ventana: ${dateWindow.start} → ${dateWindow.end} (${dateWindow.dates.length} fechas)`);
         console.log(`🎯 Prioridad: ${job.priority} | Intentos previos: ${job.attempts}`);
 
         // 1. Navegación
+        beginStep(run, SCRAPE_STEPS.NAVIGATE);
         console.log('1. Navegando a Google Flights...');
-        await page.goto(CONFIG.GOOGLE_FLIGHTS_URL);
+        const response = await page.goto(getGoogleFlightsUrl());
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY * 2);
+        await handleChallenges(page, { status: response?.status() ?? null });
 
-        // 2. Configurar origen
-        console.log(`2. Configurando origen: ${job.origin_city}...`);
-        await page.getByRole('combobox', { name: '¿Desde dónde?' }).click();
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        
-        // 3. Solo ida
-        console.log('3. Seleccionando "Solo ida"...');
-        await page.locator('.VfPpkd-aPP78e').first().click();
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        await page.getByRole('option', { name: 'Solo ida' }).click();
+        // 2-3. Formulario de solo ida
+        console.log('2. Activando formulario de búsqueda...');
+        await page.getByRole('combobox', { name: selectors.ORIGIN_FIELD }).first().click();
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+        await selectTripType(page, TRIP_TYPES.ONE_WAY, selectors);
+
+        // 4-5. Origen y destino (sin fecha)
+        await fillLeg(page, { origin: dateWindow.from, destination: dateWindow.to, date: null }, 0, selectors, run);
 
-        // 4. Completar origen
-        console.log(`4. Escribiendo origen: ${job.origin_city}...`);
-        await page.getByRole('combobox', { name: '¿Desde dónde?' }).click();
+        // 6. Abrir el calendario en el mes de inicio de la ventana
+        beginStep(run, SCRAPE_STEPS.DATE);
+        console.log(`6. Abriendo calendario en ${dateWindow.start}...`);
+        const dateField = page.getByRole('textbox', { name: selectors.DEPARTURE_DATE_FIELD }).first();
+        await dateField.click();
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        
-        let originSearchTerm = 'argentina';  // Para Buenos Aires, Argentina
-        
-        await page.getByRole('combobox', { name: '¿Desde dónde?' }).fill(originSearchTerm);
+        await dateField.fill(validateAndFormatDate(dateWindow.start));
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        
-        // Lógica de fallback: intentar primer elemento, luego segundo si es necesario
-        let originSelected = false;
-        for (let attempt = 1; attempt <= 2; attempt++) {
-            try {
-                console.log(`   Intentando seleccionar origen (opción ${attempt})...`);
-                
-                // Navegar a la opción correcta
-                for (let i = 0; i < attempt; i++) {
-                    await page.getByRole('combobox', { name: '¿Desde dónde?' }).press('ArrowDown');
-                    await page.waitForTimeout(300);
-                }
-                
-                await page.getByRole('combobox', { name: '¿Desde dónde?' }).press('Enter');
-                await page.waitForTimeout(500);
-                
-                // Verificar si se seleccionó correctamente
-                const currentValue = await page.getByRole('combobox', { name: '¿Desde dónde?' }).inputValue();
-                if (currentValue && currentValue.toLowerCase().includes('buenos aires')) {
-                    console.log(`✅ Origen seleccionado exitosamente: ${currentValue}`);
-                    originSelected = true;
-                    break;
-                }
-            } catch (e) {
-                console.log(`   Opción ${attempt} falló: ${e.message}`);
+
+        // 7. Recorrer el calendario mes a mes leyendo los precios por día
+        beginStep(run, SCRAPE_STEPS.RESULTS);
+        console.log('7. Leyendo precios del calendario...');
+        const pricesByDate = new Map();
+        let lastHtml = null;
+
+        for (let attempt = 1; attempt <= CONFIG.SEARCH.MAX_CALENDAR_NAVIGATION_ATTEMPTS; attempt++) {
+            await page.waitForTimeout(CONFIG.SEARCH.PRICE_SEARCH_INTERVAL);
+            lastHtml = await page.content();
+            await handleChallenges(page, { html: lastHtml });
+
+            const dayPrices = parseCalendarPrices(lastHtml, CONFIG.LOCALE.language);
+            dayPrices
+                .filter(dayPrice => dateWindow.dates.includes(dayPrice.date))
+                .forEach(dayPrice => pricesByDate.set(dayPrice.date, dayPrice));
+
+            console.log(`   Vista ${attempt}: ${dayPrices.length} días con precio | ${pricesByDate.size}/${dateWindow.dates.length} fechas de la ventana`);
+
+            const lastVisibleDate = dayPrices.length > 0 ? dayPrices[dayPrices.length - 1].date : null;
+            if (pricesByDate.size === dateWindow.dates.length || (lastVisibleDate && lastVisibleDate >= dateWindow.end)) {
+                break;
             }
+
+            await page.getByRole('button', { name: selectors.NEXT_MONTH_BUTTON }).first().click();
+            await page.waitForTimeout(CONFIG.SEARCH.CALENDAR_NAVIGATION_INTERVAL);
         }
-        
-        if (!originSelected) {
-            throw new Error('No se pudo seleccionar origen después de 2 intentos');
+
+        if (CONFIG.FILES.DUMP_HTML && lastHtml) {
+            await saveHtmlDump(lastHtml, { from: dateWindow.from, to: dateWindow.to, flightDate: dateWindow.start }, 'calendar');
         }
-        
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
 
-        // 5. Configurar destino
-        console.log(`5. Configurando destino: ${job.destination_city}...`);
-        await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).click();
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        
-        let destSearchTerm = job.destination_city;
-        
-        await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).fill(destSearchTerm);
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        
-        // Lógica de fallback: intentar primer elemento, luego segundo si es necesario
-        let destinationSelected = false;
-        for (let attempt = 1; attempt <= 2; attempt++) {
-            try {
-                console.log(`   Intentando seleccionar destino (opción ${attempt})...`);
-                
-                // Navegar a la opción correcta
-                for (let i = 0; i < attempt; i++) {
-                    await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).press('ArrowDown');
-                    await page.waitForTimeout(300);
-                }
-                
-                await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).press('Enter');
-                await page.waitForTimeout(500);
-                
-                // Verificar si se seleccionó correctamente
-                const currentValue = await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).inputValue();
-                if (currentValue && currentValue.length > 3 && 
-                    (currentValue.toLowerCase().includes(destSearchTerm.toLowerCase()) || 
-                     destSearchTerm.toLowerCase().includes(currentValue.toLowerCase().split(',')[0]))) {
-                    console.log(`✅ Destino seleccionado exitosamente: ${currentValue}`);
-                    destinationSelected = true;
-                    break;
-                } else {
-                    console.log(`   Valor actual: "${currentValue}", esperado que contenga: "${destSearchTerm}"`);
-                }
-            } catch (e) {
-                console.log(`   Opción ${attempt} falló: ${e.message}`);
+        if (pricesByDate.size === 0) {
+            throw new Error(`El calendario no mostró precios entre ${dateWindow.start} y ${dateWindow.end}`);
+        }
+
+        // 8. Guardar un precio por fecha
+        console.log(`8. Guardando ${pricesByDate.size} precio(s) por fecha...`);
+        const exchangeRates = await loadExchangeRates();
+        const datePrices = [];
+
+        for (const dayPrice of [...pricesByDate.values()].sort((a, b) => a.date.localeCompare(b.date))) {
+            const currency = dayPrice.currency || CONFIG.LOCALE.currency;
+            const flightData = {
+                from: dateWindow.from,
+                to: dateWindow.to,
+                price: dayPrice.price,
+                currency,
+                price_base: convertToBase(dayPrice.price, currency, exchangeRates),
+                base_currency: exchangeRates.base,
+                link: page.url(),
+                flight_date: dayPrice.date,
+                trip_type: TRIP_TYPES.ONE_WAY,
+                source: PRICE_SOURCES.CALENDAR,
+                window_job_id: job.id
+            };
+
+            if (await savePriceToSupabase(flightData)) {
+                datePrices.push(flightData);
             }
         }
-        
-        if (!destinationSelected) {
-            console.log('⚠️ No se pudo verificar destino, pero continuando...');
-            const finalValue = await page.getByRole('combobox', { name: '¿A dónde quieres ir?' }).inputValue();
-            console.log(`   Valor final en campo destino: "${finalValue}"`);
+
+        if (datePrices.length === 0) {
+            throw new Error('No se pudo guardar ningún precio de la ventana');
         }
-        
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
 
-        // 6. Configurar fecha
-        console.log(`6. Configurando fecha: ${job.flight_date}...`);
-        await page.getByRole('textbox', { name: 'Salida' }).click();
+        const cheapest = datePrices.reduce((best, current) =>
+            (current.price_base ?? current.price) < (best.price_base ?? best.price) ? current : best
+        );
+        console.log(`\n✅ Día más barato de la ventana: ${cheapest.flight_date} (${cheapest.currency} $${cheapest.price})`);
+
+        windowData = {
+            from: dateWindow.from,
+            to: dateWindow.to,
+            flight_date: cheapest.flight_date,
+            trip_type: TRIP_TYPES.ONE_WAY,
+            search_mode: SEARCH_MODES.DATE_WINDOW,
+            window_start: dateWindow.start,
+            window_end: dateWindow.end,
+            date_prices: datePrices
+        };
+        success = true;
+
+    } catch (error) {
+        console.error('\n❌ Error durante el escaneo de fechas:', error.message);
+        success = false;
+        failureReason = error.message;
+        failScrapeRun(run, error, { url: page.url() });
+        challenge = getRunChallenge(run);
+
+    } finally {
+        await completeScrapeRun(run, page, success, artifactTarget);
+        if (success) {
+            await saveStorageState(page.context());
+        }
+        await closePage({ browser, page });
+        return { success, error: failureReason, challenge, flightData: windowData };
+    }
+}
+
+// Función principal de scraping
+async function scrapeFlight(job, sharedContext = null) {
+    const { browser, page } = await openPage(sharedContext);
+    const run = startScrapeRun(job);
+    let artifactTarget = { from: job.origin_city, to: job.destination_city, flightDate: job.flight_date };
+    let success = false;
+    let failureReason = null;
+    let challenge = null;
+    let savedFlight = null;
+
+    try {
+        const selectors = getSelectors();
+        const itinerary = buildItinerary(job);
+        artifactTarget = itinerary;
+        console.log(`🎭 Iniciando scraping para: ${job.origin_city} → ${job.destination_city}`);
+        console.log(`🧳 Tipo de viaje: ${itinerary.tripType} | ${describeItinerary(itinerary)}`);
+        console.log(`🎯 Prioridad: ${job.priority} | Intentos previos: ${job.attempts}`);
+
+        // 1. Navegación
+        beginStep(run, SCRAPE_STEPS.NAVIGATE);
+        console.log('1. Navegando a Google Flights...');
+        const response = await page.goto(getGoogleFlightsUrl());
+        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY * 2);
+        await handleChallenges(page, { status: response?.status() ?? null });
+
+        // 2. Activar formulario
+        console.log('2. Activando formulario de búsqueda...');
+        await page.getByRole('combobox', { name: selectors.ORIGIN_FIELD }).first().click();
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
         
-        // Validar y formatear fecha de forma segura
-        const formattedDate = validateAndFormatDate(job.flight_date);
-        console.log(`   Fecha convertida: ${job.flight_date} → ${formattedDate}`);
-        
-        await page.getByRole('textbox', { name: 'Salida' }).fill(formattedDate);
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
-        await page.getByRole('textbox', { name: 'Salida' }).press('Enter');
-        await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
+        // 3. Tipo de viaje
+        await selectTripType(page, itinerary.tripType, selectors);
+
+        // 4. Completar tramos (origen, destino y fecha de salida)
+        if (itinerary.tripType === TRIP_TYPES.MULTI_CITY) {
+            for (let i = 0; i < itinerary.legs.length; i++) {
+                await fillLeg(page, itinerary.legs[i], i, selectors, run);
+            }
+        } else {
+            await fillLeg(page, itinerary.legs[0], 0, selectors, run);
+        }
+
+        // 5. Fecha de regreso (solo ida y vuelta)
+        if (itinerary.tripType === TRIP_TYPES.ROUND_TRIP) {
+            beginStep(run, SCRAPE_STEPS.DATE);
+            console.log(`5. Configurando fecha de regreso: ${itinerary.returnDate}...`);
+            await fillDateField(page, page.getByRole('textbox', { name: selectors.RETURN_DATE_FIELD }).first(), itinerary.returnDate);
+        }
 
         // 7. Confirmar y buscar
+        beginStep(run, SCRAPE_STEPS.RESULTS);
         console.log('7. Confirmando búsqueda...');
-        await page.getByRole('button', { name: 'Listo. Buscar vuelos de ida' }).click();
+        await page.getByRole('button', { name: selectors.DONE_BUTTON }).first().click();
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
 
         console.log('8. Iniciando búsqueda...');
-        await page.getByRole('button', { name: 'Buscar', exact: true }).click();
+        await page.getByRole('button', { name: selectors.SEARCH_BUTTON, exact: true }).click();
         await page.waitForTimeout(CONFIG.SEARCH.CLICK_DELAY);
 
         console.log('9. Esperando resultados...');
@@ -417,6 +799,7 @@ async function scrapeFlight(job) {
         console.log('10. Buscando precios...\n');
         
         let priceFound = false;
+        let lastHtml = null;
         let attempts = 0;
         const maxAttempts = CONFIG.SEARCH.MAX_PRICE_SEARCH_ATTEMPTS;
         
@@ -425,40 +808,66 @@ async function scrapeFlight(job) {
             console.log(`   Intento ${attempts}/${maxAttempts}...`);
             
             try {
-                // Buscar el tab "Más económicos"
-                const cheapestTab = await page.getByRole('tab', { name: /Más económicos desde \d+/i });
-                if (await cheapestTab.isVisible()) {
-                    console.log('✅ Tab "Más económicos" encontrado');
+                // Leer el HTML de la página y extraer precios con el parser offline
+                const html = await page.content();
+                lastHtml = html;
+                await handleChallenges(page, { html });
+                const results = parseResultsHtml(html, CONFIG.LOCALE.language);
+                
+                if (results.cheapestPrice) {
+                    const capturedPrice = results.cheapestPrice;
+                    const capturedCurrency = results.currency || CONFIG.LOCALE.currency;
+                    console.log(`💰 Precio capturado: ${capturedPrice} ${capturedCurrency}`);
                     
-                    // Capturar el precio
-                    const tabText = await cheapestTab.textContent();
-                    const priceMatch = tabText.match(/(\d+[\d,]*)/);
+                    if (results.currency && results.currency !== CONFIG.LOCALE.currency) {
+                        console.log(`⚠️ La página muestra ${results.currency} aunque se configuró ${CONFIG.LOCALE.currency}`);
+                    }
+                    
+                    // Normalizar a la moneda base para analytics
+                    const exchangeRates = await loadExchangeRates();
+                    const basePrice = convertToBase(capturedPrice, capturedCurrency, exchangeRates);
+                    if (basePrice === null) {
+                        console.log(`⚠️ Sin tipo de cambio ${capturedCurrency} → ${CONFIG.CURRENCY.BASE}; se guarda sin price_base`);
+                    } else if (capturedCurrency !== CONFIG.CURRENCY.BASE) {
+                        console.log(`💱 Precio en moneda base: ${basePrice} ${CONFIG.CURRENCY.BASE}`);
+                    }
                     
-                    if (priceMatch) {
-                        const capturedPrice = parseInt(priceMatch[1].replace(/,/g, ''));
-                        console.log(`💰 Precio capturado: ${capturedPrice} MXN`);
-                        
-                        // Hacer click en el precio
-                        await cheapestTab.getByLabel('pesos mexicanos').click();
+                    // Itinerarios completos (capturados antes de salir de los resultados); booking_link es el
+                    // enlace propio de cada resultado o null si la página no lo trae
+                    const itineraries = results.itineraries;
+                    console.log(`✈️ Itinerarios capturados: ${itineraries.length}`);
+                    
+                    // Hacer click en el tab de precios más económicos si está visible
+                    const cheapestTab = page.getByRole('tab', { name: selectors.CHEAPEST_TAB });
+                    if (await cheapestTab.isVisible()) {
+                        await cheapestTab.click();
                         console.log('✅ Click en precio realizado exitosamente!');
-                        
-                        // Guardar en Supabase
-                        await savePriceToSupabase({
-                            from: job.origin_city,
-                            to: job.destination_city,
-                            price: capturedPrice,
-                            currency: 'MXN',
-                            link: page.url(),
-                            flight_date: job.flight_date
-                        });
-                        
-                        priceFound = true;
-                        success = true;
-                        break;
                     }
+                    
+                    // Guardar en Supabase
+                    savedFlight = {
+                        from: itinerary.from,
+                        to: itinerary.to,
+                        price: capturedPrice,
+                        currency: capturedCurrency,
+                        price_base: basePrice,
+                        link: page.url(),
+                        flight_date: itinerary.flightDate,
+                        return_date: itinerary.returnDate,
+                        trip_type: itinerary.tripType,
+                        legs: itinerary.legs,
+                        itinerary_key: itinerary.itineraryKey
+                    };
+                    await savePriceToSupabase(savedFlight, itineraries);
+                    
+                    priceFound = true;
+                    success = true;
+                    break;
                 }
             } catch (e) {
-                console.log(`   Tab específico no encontrado, intentando estrategia alternativa...`);
+                // Un desafío no se resuelve esperando más resultados
+                if (e.challenge) throw e;
+                console.log(`   Error leyendo resultados: ${e.message}`);
             }
             
             if (!priceFound) {
@@ -467,98 +876,333 @@ async function scrapeFlight(job) {
             }
         }
         
+        // Guardar el HTML de resultados para ampliar los fixtures del parser
+        if (CONFIG.FILES.DUMP_HTML && lastHtml) {
+            await saveHtmlDump(lastHtml, itinerary, priceFound ? 'ok' : 'no-price');
+        }
+        
         if (priceFound) {
             console.log('\n✅ ¡PRECIO ENCONTRADO Y GUARDADO EXITOSAMENTE!');
         } else {
             console.log('\n⚠️ No se pudieron encontrar precios después de múltiples intentos');
+            failureReason = `No se encontraron precios después de ${maxAttempts} intentos`;
+            failScrapeRun(run, failureReason, { url: page.url() });
         }
         
     } catch (error) {
         console.error('\n❌ Error durante la ejecución:', error.message);
         success = false;
+        failureReason = error.message;
+        failScrapeRun(run, error, { url: page.url() });
+        challenge = getRunChallenge(run);
         
     } finally {
-        await browser.close();
-        return success;
+        await completeScrapeRun(run, page, success, artifactTarget);
+        if (success) {
+            await saveStorageState(page.context());
+        }
+        await closePage({ browser, page });
+        return { success, error: failureReason, challenge, flightData: savedFlight };
     }
 }
 
-// Función principal del web scraper
-export async function runWebScraper() {
+// Función para renovar el lease del trabajo mientras dura el scraping; devuelve la función que lo detiene
+function startLeaseHeartbeat(job) {
+    const instanceId = job.processing_instance_id;
+    if (!instanceId) return () => {};
+
+    const timer = setInterval(async () => {
+        try {
+            const { data, error } = await db
+                .from('config_flights')
+                .update({ processing_started_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .eq('status', 'processing')
+                .eq('processing_instance_id', instanceId)
+                .select('id');
+
+            if (error) {
+                console.error(`❌ Error renovando el lease del trabajo ${job.id}:`, error.message);
+            } else if (data.length === 0) {
+                console.log(`⚠️ El trabajo ${job.id} ya no pertenece a la instancia ${instanceId} (lease reclamado)`);
+            }
+        } catch (error) {
+            console.error(`❌ Error crítico renovando el lease del trabajo ${job.id}:`, error.message);
+        }
+    }, CONFIG.WORKER.HEARTBEAT_INTERVAL_MS);
+
+    // El heartbeat no debe mantener vivo el proceso
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// Función para guardar el estado final de un trabajo solo si esta instancia conserva su lease
+// Si el reaper lo reclamó, otra instancia puede estar procesándolo y no se pisa su estado
+async function updateClaimedJob(job, updateData) {
+    let query = db
+        .from('config_flights')
+        .update(updateData)
+        .eq('id', job.id);
+
+    if (job.processing_instance_id) {
+        query = query.eq('processing_instance_id', job.processing_instance_id);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) {
+        return { error, lost: false };
+    }
+    if (data.length === 0) {
+        console.log(`⚠️ El trabajo ${job.id} perdió su lease durante el scraping; no se actualiza su estado`);
+    }
+    return { error: null, lost: data.length === 0 };
+}
+
+// Función para devolver a pending un trabajo reclamado sin scrapearlo (no suma intento)
+async function releaseJob(job) {
+    const { error } = await updateClaimedJob(job, {
+        status: 'pending',
+        processing_instance_id: null,
+        processing_started_at: null,
+        updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+        console.error(`❌ Error devolviendo el trabajo ${job.id} a pending:`, error.message);
+    }
+}
+
+// Función para procesar un trabajo ya reclamado: scraping + actualización de estado
+async function processJob(job, sharedContext = null) {
+    // 1. Marcar como processing
+    console.log(`🔄 Marcando trabajo ${job.id} como "processing"...`);
+    await updateJobStatus(job.id, 'processing');
+    
+    // 2. Ejecutar scraping (fecha fija o ventana de fechas) renovando el lease
+    const scrape = isDateWindowJob(job) ? scrapeDateWindow : scrapeFlight;
+    const stopHeartbeat = startLeaseHeartbeat(job);
+    let scrapeResult;
+    try {
+        scrapeResult = await scrape(job, sharedContext);
+    } finally {
+        stopHeartbeat();
+    }
+    const { success, error: failureReason, challenge, flightData } = scrapeResult;
+    
+    // 3. Actualizar estado final
+    let finalStatus = null;
+    if (success) {
+        console.log('✅ Trabajo completado exitosamente');
+        // Incrementar iterations cuando se completa exitosamente
+        const newIterations = (job.iterations || 0) + 1;
+        const updateData = { 
+            status: 'completed',
+            iterations: newIterations,
+            last_error: null,
+            challenge_count: 0,
+            next_attempt_at: null,
+            last_scraped_at: new Date().toISOString(),
+            next_scrape_at: null,
+            updated_at: new Date().toISOString()
+        };
+        
+        const { error, lost } = await updateClaimedJob(job, updateData);
+            
+        if (error) {
+            console.error('❌ Error actualizando estado completado:', error.message);
+        } else if (!lost) {
+            console.log(`📝 Estado actualizado: completed (iterations: ${newIterations})`);
+        }
+    } else if (challenge) {
+        // Un desafío no es culpa del trabajo: no suma intento y vuelve a la cola con backoff
+        const challengeCount = (job.challenge_count || 0) + 1;
+        const nextAttemptAt = computeChallengeBackoff(challengeCount, {
+            baseMinutes: CONFIG.CHALLENGES.BACKOFF_BASE_MINUTES,
+            maxMinutes: CONFIG.CHALLENGES.BACKOFF_MAX_MINUTES
+        });
+        console.log(`🛑 Trabajo interrumpido por desafío (${challenge}); se reintentará desde ${nextAttemptAt}`);
+
+        const { error, lost } = await updateClaimedJob(job, {
+            status: 'pending',
+            challenge_count: challengeCount,
+            next_attempt_at: nextAttemptAt,
+            last_error: `[${challenge}] ${failureReason}`,
+            processing_instance_id: null,
+            processing_started_at: null,
+            updated_at: new Date().toISOString()
+        });
+
+        if (error) {
+            console.error('❌ Error aplicando backoff por desafío:', error.message);
+        } else if (!lost) {
+            console.log(`📝 Estado actualizado: pending (desafíos seguidos: ${challengeCount})`);
+        }
+    } else {
+        console.log('❌ Trabajo falló');
+        // El reintento queda agendado en la base (next_attempt_at): no depende de que el proceso siga vivo
+        const failureUpdate = planJobFailure(job, failureReason, {
+            maxAttempts: CONFIG.RETRY.MAX_ATTEMPTS,
+            baseMinutes: CONFIG.RETRY.BACKOFF_BASE_MINUTES,
+            maxMinutes: CONFIG.RETRY.BACKOFF_MAX_MINUTES,
+            jitterRatio: CONFIG.RETRY.JITTER_RATIO
+        });
+        finalStatus = failureUpdate.status;
+
+        const { error, lost } = await updateClaimedJob(job, failureUpdate);
+
+        if (error) {
+            console.error('❌ Error actualizando estado fallido:', error.message);
+        } else if (lost) {
+            finalStatus = 'lease perdido';
+        } else if (failureUpdate.status === DEAD_LETTER_STATUS) {
+            console.log(`🪦 Trabajo movido a ${DEAD_LETTER_STATUS} después de ${failureUpdate.attempts} intentos (reencolar con: npm run cli -- jobs requeue ${job.id})`);
+        } else {
+            console.log(`🔄 Reintentará desde ${failureUpdate.next_attempt_at} (intento ${failureUpdate.attempts}/${CONFIG.RETRY.MAX_ATTEMPTS})`);
+        }
+    }
+    
+    console.log('\n📊 RESUMEN FINAL:');
+    console.log(`   - Trabajo ID: ${job.id}`);
+    console.log(`   - Ruta: ${job.origin_city} → ${job.destination_city}`);
+    console.log(`   - Fecha: ${isDateWindowJob(job) ? `${job.window_start} → ${job.window_end}` : job.flight_date}`);
+    console.log(`   - Estado final: ${success ? 'completed' : challenge ? `pending (desafío ${challenge})` : finalStatus}`);
+    if (!success && failureReason) {
+        console.log(`   - Motivo: ${failureReason}`);
+    }
+    console.log(`   - Intentos: ${success || challenge ? job.attempts : job.attempts + 1}`);
+    
+    return {
+        success,
+        error: failureReason,
+        challenge: challenge || null,
+        job,
+        flightData: success ? flightData : null
+    };
+}
+
+// Función principal del web scraper (un solo trabajo por ejecución)
+// Con jobId procesa ese trabajo en lugar del próximo de la cola
+export async function runWebScraper({ jobId = null } = {}) {
     console.log('🚀 Iniciando Web Scraper');
     console.log('======================\n');
     
     try {
-        // 1. Obtener próximo trabajo
-        const job = await getNextPendingJob();
+        // Obtener próximo trabajo (o el solicitado)
+        const job = jobId !== null ? await claimJobById(jobId) : await getNextPendingJob();
         if (!job) {
-            console.log('🎉 No hay trabajos pendientes.');
+            if (jobId === null) {
+                console.log('🎉 No hay trabajos pendientes.');
+            }
             return null;
         }
         
-        // 2. Marcar como processing
-        console.log(`🔄 Marcando trabajo ${job.id} como "processing"...`);
-        await updateJobStatus(job.id, 'processing');
+        return await processJob(job);
         
-        // 3. Ejecutar scraping
-        const success = await scrapeFlight(job);
+    } catch (error) {
+        console.error('❌ Error crítico en web scraper:', error.message);
+        return null;
+    }
+}
+
+// Función para el modo worker: procesa trabajos hasta vaciar la cola o agotar el tiempo
+// Un solo navegador; cada worker en paralelo usa (y reutiliza) su propio contexto
+export async function runWorker({
+    concurrency = CONFIG.WORKER.CONCURRENCY,
+    timeBudgetMs = CONFIG.WORKER.TIME_BUDGET_MS
+} = {}) {
+    console.log('🚀 Iniciando Web Scraper (modo worker)');
+    console.log('=====================================');
+    console.log(`⚙️ Concurrencia: ${concurrency} | Presupuesto de tiempo: ${Math.round(timeBudgetMs / 60000)} min\n`);
+    
+    const startedAt = Date.now();
+    const deadline = startedAt + timeBudgetMs;
+    const results = [];
+    let queueEmpty = false;
+    let challenged = null;
+    let browser = null;
+    // Cada trabajo se scrapea a lo sumo una vez por ejecución: un fallo con backoff corto no se
+    // reintenta en esta misma ejecución sino en la siguiente
+    const attemptedJobIds = new Set();
+    // Si uno ya procesado vuelve a salir se retiene reclamado hasta el final: devuelto a pending saldría
+    // de nuevo antes que los trabajos de menor prioridad
+    const heldJobs = new Map();
+    
+    // Un worker: reclama y procesa trabajos en su propio contexto
+    const runSlot = async (slot) => {
+        const context = await browser.newContext(getContextConfig());
         
-        // 4. Actualizar estado final
-        if (success) {
-            console.log('✅ Trabajo completado exitosamente');
-            // Incrementar iterations cuando se completa exitosamente
-            const newIterations = (job.iterations || 0) + 1;
-            const updateData = { 
-                status: 'completed',
-                iterations: newIterations,
-                updated_at: new Date().toISOString()
-            };
-            
-            const { error } = await supabase
-                .from('config_flights')
-                .update(updateData)
-                .eq('id', job.id);
+        try {
+            while (!queueEmpty && !challenged && Date.now() < deadline) {
+                // Con la cola vacía se rellena (rutas debidas y leases vencidos) antes de darla por vacía
+                const job = await getNextPendingJob();
+                if (!job) {
+                    queueEmpty = true;
+                    break;
+                }
                 
-            if (error) {
-                console.error('❌ Error actualizando estado completado:', error.message);
-            } else {
-                console.log(`📝 Estado actualizado: completed (iterations: ${newIterations})`);
-            }
-        } else {
-            console.log('❌ Trabajo falló');
-            const newAttempts = job.attempts + 1;
-            await updateJobStatus(job.id, 'failed', newAttempts);
-            
-            // Si menos de 3 intentos, volver a pending para retry
-            if (newAttempts < 3) {
-                console.log(`🔄 Reintentará más tarde (intento ${newAttempts}/3)`);
-                setTimeout(async () => {
-                    await updateJobStatus(job.id, 'pending', newAttempts);
-                }, 1000);
-            } else {
-                console.log(`❌ Trabajo marcado como fallido después de 3 intentos`);
+                if (attemptedJobIds.has(job.id)) {
+                    console.log(`⏭️ Worker ${slot}: el trabajo ${job.id} ya se procesó en esta ejecución; se retiene hasta el final`);
+                    heldJobs.set(job.id, job);
+                    continue;
+                }
+                attemptedJobIds.add(job.id);
+                
+                console.log(`\n👷 Worker ${slot}: trabajo ${job.id}`);
+                try {
+                    const result = await processJob(job, context);
+                    results.push(result);
+                    
+                    // Captcha o límite de solicitudes marcan la IP del runner: seguir solo sumaría desafíos
+                    if (isBlockingChallenge(result.challenge) && !challenged) {
+                        challenged = result.challenge;
+                        console.log(`🛑 Worker ${slot}: desafío ${challenged}; no se reclamarán más trabajos en esta ejecución`);
+                    }
+                } catch (error) {
+                    console.error(`❌ Worker ${slot}: error procesando trabajo ${job.id}:`, error.message);
+                    results.push({ success: false, error: error.message, job, flightData: null });
+                }
             }
+        } finally {
+            await context.close().catch(() => {});
         }
-        
-        console.log('\n📊 RESUMEN FINAL:');
-        console.log(`   - Trabajo ID: ${job.id}`);
-        console.log(`   - Ruta: ${job.origin_city} → ${job.destination_city}`);
-        console.log(`   - Fecha: ${job.flight_date}`);
-        console.log(`   - Estado final: ${success ? 'completed' : 'failed'}`);
-        console.log(`   - Intentos: ${success ? job.attempts : job.attempts + 1}`);
-        
-        return {
-            success,
-            job,
-            flightData: success ? {
-                from: job.origin_city,
-                to: job.destination_city,
-                flight_date: job.flight_date
-            } : null
-        };
+    };
+    
+    try {
+        browser = await chromium.launch(getBrowserConfig());
+        const slots = Array.from({ length: Math.max(1, concurrency) }, (_, index) => runSlot(index + 1));
+        await Promise.all(slots);
         
     } catch (error) {
-        console.error('❌ Error crítico en web scraper:', error.message);
-        return null;
+        console.error('❌ Error crítico en modo worker:', error.message);
+        
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        
+        // Los trabajos retenidos vuelven a pending para la siguiente ejecución
+        for (const job of heldJobs.values()) {
+            await releaseJob(job);
+        }
     }
-}
\ No newline at end of file
+    
+    const succeeded = results.filter(result => result.success).length;
+    const elapsedMinutes = Math.round((Date.now() - startedAt) / 600) / 100;
+    
+    console.log('\n📊 RESUMEN DEL WORKER:');
+    console.log(`   - Trabajos procesados: ${results.length}`);
+    console.log(`   - Exitosos: ${succeeded}`);
+    console.log(`   - Fallidos: ${results.length - succeeded}`);
+    console.log(`   - Interrumpidos por desafío: ${results.filter(result => result.challenge).length}`);
+    console.log(`   - Tiempo: ${elapsedMinutes} min`);
+    console.log(`   - Motivo de fin: ${challenged ? `desafío ${challenged}` : queueEmpty ? 'cola vacía' : 'presupuesto de tiempo agotado'}`);
+    
+    return {
+        processed: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        challenged,
+        queueEmpty,
+        results
+    };
+}